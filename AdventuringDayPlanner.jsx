@@ -0,0 +1,211 @@
+import React from "react";
+import { MAX_DAY_ENCOUNTERS, MAX_SHORT_RESTS } from "./adventuringDay";
+
+const inputClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+const labelClassName = "block text-sm font-medium text-gray-300 mb-1";
+
+const DIFFICULTY_COLORS = {
+  Easy: "text-green-300",
+  Medium: "text-yellow-300",
+  Hard: "text-orange-300",
+  Deadly: "text-red-400",
+};
+
+const EncounterSlotRow = ({ slot, result, progress, isBusy, onOpen }) => (
+  <li className="flex flex-wrap items-center gap-2 p-2 rounded-lg border border-gray-700 bg-gray-900/40">
+    <span className="w-6 text-sm font-bold text-gray-400">#{slot.number}</span>
+    <span className="flex-1 min-w-0 text-sm text-gray-200">
+      <span className={`font-semibold ${DIFFICULTY_COLORS[slot.difficulty]}`}>
+        {slot.difficulty}
+      </span>{" "}
+      <span className="text-xs text-gray-400">
+        target {slot.targetXp.toLocaleString()} XP
+      </span>
+      {result && (
+        <span className="block truncate text-yellow-200">
+          {result.encounter.title}{" "}
+          <span className="text-xs text-gray-400">
+            ({progress.adjustedXp.toLocaleString()} XP · day total{" "}
+            {progress.cumulativeXp.toLocaleString()})
+          </span>
+        </span>
+      )}
+    </span>
+    {isBusy ? (
+      <span className="flex items-center text-xs text-gray-400">
+        <div className="loading-spinner w-4 h-4 border-2 rounded-full mr-2"></div>
+        Generating...
+      </span>
+    ) : (
+      result && (
+        <button
+          onClick={onOpen}
+          className="text-xs py-1 px-2 rounded-lg font-semibold bg-gray-600 text-white hover:bg-gray-500"
+        >
+          Open
+        </button>
+      )
+    )}
+  </li>
+);
+
+// Plans a day of fights against the DMG daily XP budget and generates them
+// in order, one story thread running through all of them.
+const AdventuringDayPlanner = ({
+  options,
+  onOptionsChange,
+  plan,
+  progress,
+  results,
+  generatingNumber,
+  disabled,
+  onGenerate,
+  onCancel,
+  onReset,
+  onOpen,
+  onClose,
+}) => {
+  const isGenerating = generatingNumber !== null;
+  const spentPercent =
+    plan.budget > 0 ? Math.min(100, (progress.spent / plan.budget) * 100) : 0;
+  const generatedCount = results.filter(Boolean).length;
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700 mb-8">
+      <div className="flex items-center mb-6 border-b border-yellow-700/50 pb-2">
+        <h2 className="text-2xl font-semibold text-white">Adventuring Day</h2>
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-400 hover:text-white"
+          aria-label="Close adventuring day planner"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 mb-2">
+        <div>
+          <label htmlFor="dayEncounterCount" className={labelClassName}>
+            Encounters
+          </label>
+          <input
+            id="dayEncounterCount"
+            type="number"
+            min="1"
+            max={MAX_DAY_ENCOUNTERS}
+            value={options.encounterCount}
+            onChange={(e) =>
+              onOptionsChange({
+                ...options,
+                encounterCount: Number(e.target.value),
+              })
+            }
+            disabled={isGenerating}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor="dayShortRests" className={labelClassName}>
+            Short Rests
+          </label>
+          <input
+            id="dayShortRests"
+            type="number"
+            min="0"
+            max={MAX_SHORT_RESTS}
+            value={options.shortRests}
+            onChange={(e) =>
+              onOptionsChange({
+                ...options,
+                shortRests: Number(e.target.value),
+              })
+            }
+            disabled={isGenerating}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-gray-400 mb-4">
+        Uses the active party, terrain and flavor from Party Details; each fight
+        continues the story of the ones before it.
+      </p>
+
+      <div className="mb-4">
+        <div className="flex justify-between text-sm text-gray-300 mb-1">
+          <span>
+            {progress.spent.toLocaleString()} / {plan.budget.toLocaleString()}{" "}
+            adjusted XP
+          </span>
+          <span
+            className={
+              progress.remaining < 0 ? "text-red-400" : "text-gray-400"
+            }
+          >
+            {progress.remaining >= 0
+              ? `${progress.remaining.toLocaleString()} XP left`
+              : `${(-progress.remaining).toLocaleString()} XP over budget`}
+          </span>
+        </div>
+        <div className="h-2 rounded-full bg-gray-700 overflow-hidden">
+          <div
+            className={`h-full ${
+              progress.remaining < 0 ? "bg-red-500" : "bg-yellow-500"
+            }`}
+            style={{ width: `${spentPercent}%` }}
+          />
+        </div>
+      </div>
+
+      <ul className="space-y-2 mb-4">
+        {plan.slots.map((slot) =>
+          slot.type === "rest" ? (
+            <li
+              key={`rest-${slot.afterNumber}`}
+              className="text-center text-xs text-blue-300 py-1"
+            >
+              ☕ Short rest
+            </li>
+          ) : (
+            <EncounterSlotRow
+              key={slot.number}
+              slot={slot}
+              result={results[slot.number - 1]}
+              progress={progress.entries[slot.number - 1]}
+              isBusy={generatingNumber === slot.number}
+              onOpen={() => onOpen(slot.number)}
+            />
+          )
+        )}
+      </ul>
+
+      <div className="flex gap-3">
+        {isGenerating ? (
+          <button
+            onClick={onCancel}
+            className="flex-1 py-2 px-4 rounded-lg font-semibold text-sm bg-red-700 text-white hover:bg-red-600"
+          >
+            ✕ Cancel
+          </button>
+        ) : (
+          <button
+            onClick={onGenerate}
+            disabled={disabled || generatedCount === plan.encounterCount}
+            className="flex-1 py-2 px-4 rounded-lg font-semibold text-sm bg-yellow-400 text-gray-900 hover:bg-yellow-500 disabled:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed"
+          >
+            {generatedCount > 0 ? "🗓️ Generate Remaining" : "🗓️ Generate Day"}
+          </button>
+        )}
+        <button
+          onClick={onReset}
+          disabled={isGenerating || generatedCount === 0}
+          className="py-2 px-4 rounded-lg font-semibold text-sm bg-gray-600 text-white hover:bg-gray-500 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Start Over
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AdventuringDayPlanner;
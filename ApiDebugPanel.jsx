@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from "react";
+import {
+  API_ERROR_KINDS,
+  MAX_CONCURRENT_REQUESTS,
+  REQUESTS_PER_MINUTE,
+} from "./apiClient";
+
+const STATUS_CLASSNAMES = {
+  queued: "text-gray-400",
+  pending: "text-yellow-300",
+  receiving: "text-yellow-300",
+  ok: "text-green-400",
+  cancelled: "text-gray-500",
+  error: "text-red-400",
+};
+
+const formatMs = (ms) =>
+  ms === null ? "—" : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+
+const formatTokens = (usage) =>
+  usage
+    ? `${usage.promptTokens.toLocaleString()} in / ${usage.outputTokens.toLocaleString()} out`
+    : "—";
+
+// Every request the API client has sent this session: status, retries,
+// latency to the first byte, total duration and token usage.
+const ApiDebugPanel = ({ client, onClose }) => {
+  const [log, setLog] = useState([]);
+
+  useEffect(() => client.subscribe(setLog), [client]);
+
+  const totalTokens = log.reduce(
+    (sum, entry) => sum + (entry.usage?.totalTokens || 0),
+    0
+  );
+  const failures = log.filter((entry) => entry.status === "error").length;
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700 mb-8">
+      <div className="flex items-center mb-6 border-b border-yellow-700/50 pb-2">
+        <h2 className="text-2xl font-semibold text-white">API Requests</h2>
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-400 hover:text-white"
+          aria-label="Close API requests"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mb-4 text-xs text-gray-400">
+        <span>{log.length} requests</span>
+        <span>{failures} failed</span>
+        <span>{totalTokens.toLocaleString()} tokens</span>
+        <span>
+          Up to {MAX_CONCURRENT_REQUESTS} at once, {REQUESTS_PER_MINUTE} per
+          minute
+        </span>
+        <button
+          onClick={client.clearLog}
+          disabled={log.length === 0}
+          className="ml-auto text-gray-400 hover:text-yellow-400 disabled:opacity-40"
+        >
+          Clear log
+        </button>
+      </div>
+
+      {log.length === 0 ? (
+        <p className="text-sm text-gray-500">No requests yet.</p>
+      ) : (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="min-w-full text-xs text-gray-300">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-1 pr-3 font-semibold">Time</th>
+                <th className="py-1 pr-3 font-semibold">Request</th>
+                <th className="py-1 pr-3 font-semibold">Status</th>
+                <th className="py-1 pr-3 font-semibold">Tries</th>
+                <th className="py-1 pr-3 font-semibold">Latency</th>
+                <th className="py-1 pr-3 font-semibold">Duration</th>
+                <th className="py-1 font-semibold">Tokens</th>
+              </tr>
+            </thead>
+            <tbody>
+              {log.map((entry) => (
+                <tr
+                  key={entry.id}
+                  className="border-t border-gray-700 align-top"
+                >
+                  <td className="py-1 pr-3 whitespace-nowrap">
+                    {new Date(entry.startedAt).toLocaleTimeString()}
+                  </td>
+                  <td className="py-1 pr-3">
+                    <span className="font-semibold">{entry.label}</span>
+                    <span
+                      className="block text-gray-500 truncate max-w-xs"
+                      title={entry.url}
+                    >
+                      {entry.url}
+                    </span>
+                    {entry.error && (
+                      <span className="block text-red-400">
+                        {entry.errorKind &&
+                          `${API_ERROR_KINDS[entry.errorKind].label}: `}
+                        {entry.error}
+                      </span>
+                    )}
+                  </td>
+                  <td
+                    className={`py-1 pr-3 whitespace-nowrap ${
+                      STATUS_CLASSNAMES[entry.status]
+                    }`}
+                  >
+                    {entry.status}
+                    {entry.httpStatus && ` (${entry.httpStatus})`}
+                  </td>
+                  <td className="py-1 pr-3">{entry.attempts}</td>
+                  <td className="py-1 pr-3 whitespace-nowrap">
+                    {formatMs(entry.latencyMs)}
+                  </td>
+                  <td className="py-1 pr-3 whitespace-nowrap">
+                    {formatMs(entry.durationMs)}
+                  </td>
+                  <td className="py-1 whitespace-nowrap">
+                    {formatTokens(entry.usage)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiDebugPanel;
@@ -0,0 +1,421 @@
+import React, { useState, useMemo, useRef } from "react";
+import {
+  FLOOR_COLOR,
+  FEATURE_COLORS,
+  FEATURE_OPACITY,
+  TOKEN_COLORS,
+  rasterizeMap,
+  isInsideMap,
+  placeTokens,
+  createFog,
+  revealFrom,
+  paintFog,
+} from "./battleMapLayout";
+import { renderBattleMapPng, buildUvttExport } from "./battleMapExport";
+import { slugify, downloadFile } from "./encounterExport";
+
+const CELL = 32;
+const BRUSH_RADIUS = 1;
+
+const FEATURE_LEGEND = [
+  ["wall", "Wall"],
+  ["cover", "Cover"],
+  ["difficult", "Difficult terrain"],
+  ["hazard", "Hazard"],
+  ["water", "Water"],
+  ["elevation", "Elevation"],
+];
+
+const TOOLS = [
+  ["move", "✋ Move tokens"],
+  ["reveal", "🔦 Reveal fog"],
+  ["hide", "🌫️ Hide fog"],
+];
+
+const buttonClassName =
+  "text-xs py-1 px-2 rounded-lg font-semibold transition duration-150";
+
+// Initial fog: the party's start area plus what each PC can see from it.
+const initialFog = (map, cells, tokens) =>
+  tokens
+    .filter((token) => token.kind === "pc")
+    .reduce((fog, token) => revealFrom(fog, cells, token), createFog(map));
+
+// Grid battle map with draggable PC and monster tokens, a DM fog-of-war
+// brush (PCs also reveal what they can see when moved) and PNG/UVTT export.
+const BattleMap = ({
+  map,
+  encounter,
+  characters,
+  isGenerating,
+  onRegenerate,
+  onClose,
+}) => {
+  const svgRef = useRef(null);
+  const paintingRef = useRef(false);
+  const cells = useMemo(() => rasterizeMap(map), [map]);
+  const [tokens, setTokens] = useState([]);
+  const [fog, setFog] = useState(() => createFog(map));
+  const [fogEnabled, setFogEnabled] = useState(true);
+  const [playerView, setPlayerView] = useState(false);
+  const [tool, setTool] = useState("move");
+  const [drag, setDrag] = useState(null);
+  const [layoutMap, setLayoutMap] = useState(null);
+
+  const resetTokens = () => {
+    const placed = placeTokens(map, encounter, characters);
+    setTokens(placed);
+    setFog(initialFog(map, cells, placed));
+  };
+
+  // Tokens and fog are laid out afresh for each new map only; later edits
+  // to the encounter or party do not move tokens already on the board.
+  if (layoutMap !== map) {
+    setLayoutMap(map);
+    resetTokens();
+    setDrag(null);
+  }
+
+  const cellFromEvent = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: Math.floor(((e.clientX - rect.left) / rect.width) * map.width),
+      y: Math.floor(((e.clientY - rect.top) / rect.height) * map.height),
+    };
+  };
+
+  const paintAt = (cell) => {
+    if (!isInsideMap(map, cell.x, cell.y)) return;
+    setFog((prev) => paintFog(prev, cell, BRUSH_RADIUS, tool === "reveal"));
+  };
+
+  const startTokenDrag = (e, token) => {
+    if (tool !== "move") return;
+    e.stopPropagation();
+    svgRef.current.setPointerCapture(e.pointerId);
+    setDrag({ id: token.id, x: token.x, y: token.y });
+  };
+
+  const handlePointerDown = (e) => {
+    if (tool === "move" || !fogEnabled) return;
+    paintingRef.current = true;
+    svgRef.current.setPointerCapture(e.pointerId);
+    paintAt(cellFromEvent(e));
+  };
+
+  const handlePointerMove = (e) => {
+    const cell = cellFromEvent(e);
+    if (drag) {
+      if (
+        isInsideMap(map, cell.x, cell.y) &&
+        (cell.x !== drag.x || cell.y !== drag.y)
+      ) {
+        setDrag({ ...drag, ...cell });
+      }
+    } else if (paintingRef.current) {
+      paintAt(cell);
+    }
+  };
+
+  const handlePointerUp = () => {
+    paintingRef.current = false;
+    if (!drag) return;
+    const blocked =
+      cells[drag.y][drag.x] === "wall" ||
+      tokens.some(
+        (token) =>
+          token.id !== drag.id && token.x === drag.x && token.y === drag.y
+      );
+    if (!blocked) {
+      const moved = tokens.find((token) => token.id === drag.id);
+      setTokens((prev) =>
+        prev.map((token) =>
+          token.id === drag.id ? { ...token, x: drag.x, y: drag.y } : token
+        )
+      );
+      if (moved.kind === "pc" && fogEnabled) {
+        setFog((prev) => revealFrom(prev, cells, drag));
+      }
+    }
+    setDrag(null);
+  };
+
+  const exportPng = async () => {
+    try {
+      const blob = await renderBattleMapPng(map, {
+        tokens,
+        fog: fogEnabled ? fog : null,
+        playerView,
+      });
+      downloadFile(
+        `${slugify(map.name)}${playerView ? "-players" : ""}.png`,
+        blob,
+        "image/png"
+      );
+    } catch (e) {
+      console.error("Battle map PNG export failed:", e);
+    }
+  };
+
+  const exportUvtt = () => {
+    downloadFile(
+      `${slugify(map.name)}.dd2vtt`,
+      JSON.stringify(buildUvttExport(map)),
+      "application/json"
+    );
+  };
+
+  const isHidden = (x, y) => fogEnabled && !fog[y]?.[x];
+  const fogOpacity = playerView ? 1 : 0.55;
+
+  return (
+    <div className="mt-6 p-4 bg-gray-900/40 rounded-lg border border-gray-700">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h3 className="text-lg font-semibold text-yellow-300 mr-auto">
+          🗺️ {map.name}{" "}
+          <span className="text-xs font-normal text-gray-400">
+            {map.width * 5} × {map.height * 5} ft.
+          </span>
+        </h3>
+        <button
+          onClick={onRegenerate}
+          disabled={isGenerating}
+          className={`${buttonClassName} bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-40`}
+        >
+          {isGenerating ? "Drawing..." : "🔄 New Layout"}
+        </button>
+        <button
+          onClick={exportPng}
+          className={`${buttonClassName} bg-gray-700 text-white hover:bg-gray-600`}
+        >
+          🖼️ PNG
+        </button>
+        <button
+          onClick={exportUvtt}
+          className={`${buttonClassName} bg-gray-700 text-white hover:bg-gray-600`}
+        >
+          📦 UVTT
+        </button>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-white"
+          aria-label="Close battle map"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {TOOLS.map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setTool(id)}
+            disabled={id !== "move" && !fogEnabled}
+            className={`${buttonClassName} ${
+              tool === id
+                ? "bg-yellow-400 text-gray-900"
+                : "bg-gray-700 text-white hover:bg-gray-600"
+            } disabled:opacity-40`}
+          >
+            {label}
+          </button>
+        ))}
+        <label className="flex items-center gap-1 text-xs text-gray-300 ml-2">
+          <input
+            type="checkbox"
+            checked={fogEnabled}
+            onChange={(e) => setFogEnabled(e.target.checked)}
+          />
+          Fog of war
+        </label>
+        <label className="flex items-center gap-1 text-xs text-gray-300">
+          <input
+            type="checkbox"
+            checked={playerView}
+            onChange={(e) => setPlayerView(e.target.checked)}
+          />
+          Player view
+        </label>
+        <button
+          onClick={() =>
+            setFog((prev) => prev.map((row) => row.map(() => true)))
+          }
+          disabled={!fogEnabled}
+          className={`${buttonClassName} bg-gray-700 text-white hover:bg-gray-600 disabled:opacity-40`}
+        >
+          Reveal All
+        </button>
+        <button
+          onClick={resetTokens}
+          className={`${buttonClassName} bg-gray-700 text-white hover:bg-gray-600`}
+        >
+          Reset Tokens
+        </button>
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${map.width * CELL} ${map.height * CELL}`}
+        className={`w-full h-auto rounded touch-none select-none ${
+          tool === "move" ? "" : "cursor-crosshair"
+        }`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <defs>
+          <pattern
+            id="battle-map-grid"
+            width={CELL}
+            height={CELL}
+            patternUnits="userSpaceOnUse"
+          >
+            <path
+              d={`M ${CELL} 0 L 0 0 0 ${CELL}`}
+              fill="none"
+              stroke="rgba(0, 0, 0, 0.25)"
+              strokeWidth="1"
+            />
+          </pattern>
+        </defs>
+        <rect
+          width={map.width * CELL}
+          height={map.height * CELL}
+          fill={FLOOR_COLOR}
+        />
+        {map.features.map((feature, index) => (
+          <rect
+            key={index}
+            x={feature.x * CELL}
+            y={feature.y * CELL}
+            width={feature.width * CELL}
+            height={feature.height * CELL}
+            fill={FEATURE_COLORS[feature.type]}
+            fillOpacity={FEATURE_OPACITY[feature.type]}
+          >
+            <title>
+              {[
+                feature.label,
+                feature.type,
+                feature.elevation && `+${feature.elevation} ft.`,
+              ]
+                .filter(Boolean)
+                .join(" · ")}
+            </title>
+          </rect>
+        ))}
+        <rect
+          width={map.width * CELL}
+          height={map.height * CELL}
+          fill="url(#battle-map-grid)"
+          pointerEvents="none"
+        />
+        {map.features.map((feature, index) =>
+          feature.label || feature.elevation ? (
+            <text
+              key={index}
+              x={(feature.x + feature.width / 2) * CELL}
+              y={(feature.y + feature.height / 2) * CELL}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              fontSize="8"
+              fill="#111827"
+              pointerEvents="none"
+            >
+              {[feature.label, feature.elevation && `+${feature.elevation} ft.`]
+                .filter(Boolean)
+                .join(" ")}
+            </text>
+          ) : null
+        )}
+        {tokens.map((token) => {
+          const position =
+            drag && drag.id === token.id ? { x: drag.x, y: drag.y } : token;
+          if (
+            playerView &&
+            token.kind === "monster" &&
+            isHidden(position.x, position.y)
+          ) {
+            return null;
+          }
+          return (
+            <g
+              key={token.id}
+              onPointerDown={(e) => startTokenDrag(e, token)}
+              className={tool === "move" ? "cursor-grab" : ""}
+              opacity={drag && drag.id === token.id ? 0.7 : 1}
+            >
+              <title>{token.name}</title>
+              <circle
+                cx={(position.x + 0.5) * CELL}
+                cy={(position.y + 0.5) * CELL}
+                r={CELL * 0.4}
+                fill={TOKEN_COLORS[token.kind]}
+                stroke="#ffffff"
+                strokeWidth="2"
+              />
+              <text
+                x={(position.x + 0.5) * CELL}
+                y={(position.y + 0.5) * CELL}
+                textAnchor="middle"
+                dominantBaseline="central"
+                fontSize="10"
+                fontWeight="bold"
+                fill="#ffffff"
+                pointerEvents="none"
+              >
+                {token.label}
+              </text>
+            </g>
+          );
+        })}
+        {fogEnabled &&
+          fog.map((row, y) =>
+            row.map((revealed, x) =>
+              revealed ? null : (
+                <rect
+                  key={`${x},${y}`}
+                  x={x * CELL}
+                  y={y * CELL}
+                  width={CELL}
+                  height={CELL}
+                  fill="#000000"
+                  fillOpacity={fogOpacity}
+                  pointerEvents="none"
+                />
+              )
+            )
+          )}
+      </svg>
+
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-400">
+        {FEATURE_LEGEND.map(([type, label]) => (
+          <span key={type} className="flex items-center gap-1">
+            <span
+              className="inline-block w-3 h-3 rounded-sm"
+              style={{ backgroundColor: FEATURE_COLORS[type] }}
+            />
+            {label}
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span
+            className="inline-block w-3 h-3 rounded-full"
+            style={{ backgroundColor: TOKEN_COLORS.pc }}
+          />
+          Party
+        </span>
+        <span className="flex items-center gap-1">
+          <span
+            className="inline-block w-3 h-3 rounded-full"
+            style={{ backgroundColor: TOKEN_COLORS.monster }}
+          />
+          Monsters
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default BattleMap;
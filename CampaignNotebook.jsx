@@ -0,0 +1,318 @@
+import React from "react";
+import {
+  NOTEBOOK_CATEGORIES,
+  KEEP_RECENT_ENCOUNTERS,
+  addNotebookEntry,
+  updateNotebookItem,
+  removeNotebookItem,
+  logEncounter,
+  notebookToPrompt,
+  getCondensableHistory,
+} from "./campaignMemory";
+
+const inputClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+const labelClassName = "block text-xs text-gray-400 mb-1";
+
+// Include checkbox shared by entries and logged encounters.
+const IncludeToggle = ({ item, label, onChange }) => (
+  <label className="flex items-center gap-1 text-xs text-gray-400 whitespace-nowrap">
+    <input
+      type="checkbox"
+      checked={item.include}
+      onChange={(e) => onChange({ include: e.target.checked })}
+      aria-label={`Use ${label} in prompts`}
+    />
+    In prompts
+  </label>
+);
+
+// The campaign's recurring factions, NPCs and locations and the encounters
+// played so far. Checked items are added to every encounter prompt.
+const CampaignNotebook = ({
+  notebook,
+  onChange,
+  currentEncounter,
+  currentEncounterId,
+  isSummarizing,
+  onSummarize,
+  isPersisted,
+  onClose,
+}) => {
+  const { text: promptText, omitted } = notebookToPrompt(notebook);
+  const condensable = getCondensableHistory(notebook);
+  const alreadyLogged =
+    currentEncounterId !== null &&
+    notebook.history.some((item) => item.encounterId === currentEncounterId);
+
+  const updateEntry = (id, changes) =>
+    onChange(updateNotebookItem(notebook, "entries", id, changes));
+  const updateHistory = (id, changes) =>
+    onChange(updateNotebookItem(notebook, "history", id, changes));
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700 mb-8">
+      <div className="flex items-center mb-6 border-b border-yellow-700/50 pb-2">
+        <h2 className="text-2xl font-semibold text-white">Campaign Notebook</h2>
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-400 hover:text-white"
+          aria-label="Close campaign notebook"
+        >
+          ✕
+        </button>
+      </div>
+
+      {!isPersisted && (
+        <p className="text-xs text-yellow-300 mb-4">
+          No database connection: the notebook is kept for this session only.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+        <label className="sm:col-span-2">
+          <span className={labelClassName}>Campaign</span>
+          <input
+            type="text"
+            value={notebook.name}
+            onChange={(e) => onChange({ ...notebook, name: e.target.value })}
+            className={inputClassName}
+          />
+        </label>
+        <div>
+          <span className={labelClassName}>Session</span>
+          <div className="flex items-center gap-2">
+            <span className="text-lg font-bold text-yellow-400">
+              {notebook.session}
+            </span>
+            <button
+              onClick={() =>
+                onChange({ ...notebook, session: notebook.session + 1 })
+              }
+              className="text-sm text-gray-400 hover:text-yellow-400"
+            >
+              Next session ›
+            </button>
+          </div>
+        </div>
+      </div>
+      <label className="flex items-center gap-2 mt-4 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={notebook.useInPrompts}
+          onChange={(e) =>
+            onChange({ ...notebook, useInPrompts: e.target.checked })
+          }
+        />
+        Add the checked notes to new encounter prompts
+      </label>
+
+      {NOTEBOOK_CATEGORIES.map((category) => {
+        const entries = notebook.entries.filter(
+          (entry) => entry.type === category.id
+        );
+        return (
+          <div
+            key={category.id}
+            className="mt-6 p-4 bg-gray-900/40 rounded-lg border border-gray-700"
+          >
+            <div className="flex items-center mb-2">
+              <h3 className="text-lg font-semibold text-yellow-400">
+                {category.label}
+              </h3>
+              <button
+                onClick={() =>
+                  onChange(addNotebookEntry(notebook, category.id))
+                }
+                className="ml-auto text-sm text-gray-400 hover:text-yellow-400"
+              >
+                + Add {category.singular}
+              </button>
+            </div>
+            {entries.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No {category.label.toLowerCase()} yet.
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {entries.map((entry) => (
+                  <li key={entry.id} className="space-y-1">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={entry.name}
+                        onChange={(e) =>
+                          updateEntry(entry.id, { name: e.target.value })
+                        }
+                        placeholder="Name"
+                        className={inputClassName}
+                        aria-label={`${category.singular} name`}
+                      />
+                      <IncludeToggle
+                        item={entry}
+                        label={entry.name || category.singular}
+                        onChange={(changes) => updateEntry(entry.id, changes)}
+                      />
+                      <button
+                        onClick={() => {
+                          if (
+                            window.confirm(
+                              `Remove "${entry.name || category.singular}"?`
+                            )
+                          ) {
+                            onChange(
+                              removeNotebookItem(notebook, "entries", entry.id)
+                            );
+                          }
+                        }}
+                        className="text-xs text-gray-400 hover:text-red-400"
+                        aria-label={`Remove ${entry.name || category.singular}`}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                    <textarea
+                      rows={2}
+                      value={entry.notes}
+                      onChange={(e) =>
+                        updateEntry(entry.id, { notes: e.target.value })
+                      }
+                      placeholder="Who or what they are, goals, relationships"
+                      className={inputClassName}
+                      aria-label={`${entry.name || category.singular} notes`}
+                    />
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="mt-6 p-4 bg-gray-900/40 rounded-lg border border-gray-700">
+        <div className="flex items-center mb-2">
+          <h3 className="text-lg font-semibold text-yellow-400">
+            Past Encounters
+          </h3>
+          <button
+            onClick={() =>
+              onChange(
+                logEncounter(notebook, currentEncounter, currentEncounterId)
+              )
+            }
+            disabled={!currentEncounter || alreadyLogged}
+            className="ml-auto text-sm text-gray-400 hover:text-yellow-400 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {alreadyLogged
+              ? "✓ Current encounter logged"
+              : "+ Log current encounter"}
+          </button>
+        </div>
+        {notebook.history.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Log encounters after you run them and note how they ended.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {[...notebook.history].reverse().map((item) => (
+              <li
+                key={item.id}
+                className={`space-y-1 ${item.summarized ? "opacity-60" : ""}`}
+              >
+                <div className="flex items-center gap-2 text-sm text-gray-300">
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    S{item.session}
+                  </span>
+                  <span className="font-semibold truncate" title={item.hook}>
+                    {item.title}
+                  </span>
+                  {item.summarized && (
+                    <span className="text-xs text-gray-500">(in summary)</span>
+                  )}
+                  <span className="ml-auto" />
+                  <IncludeToggle
+                    item={item}
+                    label={item.title}
+                    onChange={(changes) => updateHistory(item.id, changes)}
+                  />
+                  <button
+                    onClick={() => {
+                      if (
+                        window.confirm(`Remove "${item.title}" from the log?`)
+                      ) {
+                        onChange(
+                          removeNotebookItem(notebook, "history", item.id)
+                        );
+                      }
+                    }}
+                    className="text-xs text-gray-400 hover:text-red-400"
+                    aria-label={`Remove ${item.title}`}
+                  >
+                    ✕
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500">{item.monsters}</p>
+                <input
+                  type="text"
+                  value={item.outcome}
+                  onChange={(e) =>
+                    updateHistory(item.id, { outcome: e.target.value })
+                  }
+                  placeholder="Outcome, e.g. the lieutenant escaped with the map"
+                  className={inputClassName}
+                  aria-label={`Outcome of ${item.title}`}
+                />
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="mt-6 p-4 bg-gray-900/40 rounded-lg border border-gray-700">
+        <div className="flex items-center mb-2">
+          <h3 className="text-lg font-semibold text-yellow-400">
+            Story So Far
+          </h3>
+          <button
+            onClick={onSummarize}
+            disabled={isSummarizing || condensable.length === 0}
+            className="ml-auto text-sm text-gray-400 hover:text-yellow-400 disabled:opacity-40 disabled:cursor-not-allowed"
+            title={`Folds all but the latest ${KEEP_RECENT_ENCOUNTERS} logged encounters into the summary`}
+          >
+            {isSummarizing
+              ? "Condensing..."
+              : condensable.length > 0
+                ? `✨ Condense ${condensable.length} older encounters`
+                : "✨ Condense history"}
+          </button>
+        </div>
+        <textarea
+          rows={4}
+          value={notebook.summary}
+          onChange={(e) => onChange({ ...notebook, summary: e.target.value })}
+          placeholder="A short recap of the campaign, written by you or condensed from the encounter log"
+          className={inputClassName}
+          aria-label="Campaign summary"
+        />
+        {omitted > 0 && (
+          <p className="text-xs text-yellow-300 mt-2">
+            {omitted} logged encounters no longer fit in the prompt. Condense
+            them into the summary to keep them in the AI's memory.
+          </p>
+        )}
+      </div>
+
+      <details className="mt-6 text-sm text-gray-400">
+        <summary className="cursor-pointer hover:text-yellow-400">
+          What the AI will see
+        </summary>
+        <pre className="mt-2 p-3 bg-gray-900 rounded-lg text-xs text-gray-300 whitespace-pre-wrap">
+          {promptText ||
+            "Nothing: no checked notes, or prompts are turned off."}
+        </pre>
+      </details>
+    </div>
+  );
+};
+
+export default CampaignNotebook;
@@ -0,0 +1,100 @@
+import React, { createContext, useContext } from "react";
+import { CITATION_PATTERN, parseCitationMarker } from "./citations";
+
+// The grounding sources of the encounter being shown, numbered from 1 in
+// the markers.
+export const CitationContext = createContext([]);
+
+const hostname = (uri) => {
+  try {
+    return new URL(uri).hostname;
+  } catch (e) {
+    return uri;
+  }
+};
+
+const tooltipClassName =
+  "hidden group-hover:block group-focus-within:block absolute z-20 left-0 bottom-full pb-1 w-72 font-sans not-italic normal-case font-normal text-left";
+const tooltipBodyClassName =
+  "p-2 rounded-lg bg-gray-900 border border-gray-600 shadow-xl text-xs text-gray-200";
+
+// An inline citation: "[1,3]" with a hover/focus preview of the sources, or
+// a warning flag for a stat no source backs.
+const CitationMarker = (props) => {
+  const sources = useContext(CitationContext);
+  const indices = parseCitationMarker(props["data-sources"]);
+
+  if (!indices) {
+    return (
+      <span
+        tabIndex={0}
+        className="group relative ml-0.5 text-red-600 font-bold cursor-help"
+        aria-label="Unverified: no source backs this stat"
+      >
+        ⚠
+        <span className={tooltipClassName} role="tooltip">
+          <span className={`block ${tooltipBodyClassName}`}>
+            No grounding source backs this stat. Check it against the rules
+            before play.
+          </span>
+        </span>
+      </span>
+    );
+  }
+
+  return (
+    <sup
+      tabIndex={0}
+      className="group relative ml-0.5 text-yellow-500 font-semibold cursor-help"
+      aria-label={`Sources ${indices.map((index) => index + 1).join(", ")}`}
+    >
+      [{indices.map((index) => index + 1).join(",")}]
+      <span className={tooltipClassName} role="tooltip">
+        <span className={`block space-y-1 ${tooltipBodyClassName}`}>
+          {indices.map((index) => {
+            const source = sources[index];
+            return (
+              <span key={index} className="block">
+                <span className="text-yellow-400">[{index + 1}]</span>{" "}
+                {source ? (
+                  <a
+                    href={source.uri}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="underline hover:text-yellow-300"
+                  >
+                    {source.title || hostname(source.uri)}
+                  </a>
+                ) : (
+                  "Source no longer available"
+                )}
+                {source && (
+                  <span className="block text-gray-500 truncate">
+                    {hostname(source.uri)}
+                  </span>
+                )}
+              </span>
+            );
+          })}
+        </span>
+      </span>
+    </sup>
+  );
+};
+
+// Plain text with its markers rendered as CitationMarkers, for strings that
+// bypass the markdown renderer (stat block fields).
+export const renderCitedText = (text) => {
+  if (!text) return text;
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    parts.push(text.slice(last, match.index));
+    parts.push(<CitationMarker key={match.index} data-sources={match[1]} />);
+    last = match.index + match[0].length;
+  }
+  parts.push(text.slice(last));
+  return parts;
+};
+
+export default CitationMarker;
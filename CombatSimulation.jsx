@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from "react";
+import { DIFFICULTIES } from "./encounterMath";
+import {
+  DEFAULT_SIMULATION_RUNS,
+  MAX_SIMULATED_ROUNDS,
+  createSimulation,
+} from "./combatSimulator";
+import { randomSeed } from "./treasure";
+
+const RUN_OPTIONS = [500, DEFAULT_SIMULATION_RUNS, 5000, 10000];
+// Fights played per task; the rest wait for the next one, so long runs
+// never freeze the page.
+const BATCH_RUNS = 250;
+
+const formatPercent = (chance) => `${Math.round(chance * 100)}%`;
+
+// Monte Carlo results shown under the balance check, so an XP-based
+// "Deadly" can be compared with how the fight actually tends to go.
+const CombatSimulation = ({ monsters, characters, xpTier }) => {
+  const [seed, setSeed] = useState(randomSeed);
+  const [runs, setRuns] = useState(DEFAULT_SIMULATION_RUNS);
+  // Party edits re-run the simulation once typing pauses, not per keystroke.
+  const [party, setParty] = useState(characters);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setParty(characters), 500);
+    return () => clearTimeout(timer);
+  }, [characters]);
+
+  // Filled in batch by batch, so the numbers sharpen while it runs.
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    if (!monsters?.length) return;
+    const simulation = createSimulation({
+      monsters,
+      characters: party,
+      runs,
+      seed,
+    });
+    let timer;
+    const runBatch = () => {
+      simulation.runFights(BATCH_RUNS);
+      setReport(simulation.getReport());
+      if (!simulation.isDone()) timer = setTimeout(runBatch, 0);
+    };
+    timer = setTimeout(runBatch, 0);
+    return () => clearTimeout(timer);
+  }, [monsters, party, runs, seed]);
+
+  if (!monsters?.length || !report || report.runs === 0) return null;
+
+  // DIFFICULTIES has no "Trivial"; it ranks below Easy.
+  const disagrees =
+    xpTier &&
+    Math.abs(
+      DIFFICULTIES.indexOf(xpTier) - DIFFICULTIES.indexOf(report.tier)
+    ) >= 2;
+
+  return (
+    <div className="p-4 rounded-lg mb-6 border bg-gray-900/40 border-gray-700">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <h3 className="text-sm font-semibold text-gray-300">
+          Combat Simulation (
+          {report.runs < report.totalRuns
+            ? `${report.runs.toLocaleString()} of ${report.totalRuns.toLocaleString()}`
+            : report.runs.toLocaleString()}{" "}
+          fights)
+        </h3>
+        <select
+          value={runs}
+          onChange={(e) => setRuns(Number(e.target.value))}
+          className="ml-auto text-xs p-1 bg-gray-700 text-white border border-gray-600 rounded"
+          aria-label="Number of simulated fights"
+        >
+          {RUN_OPTIONS.map((count) => (
+            <option key={count} value={count}>
+              {count.toLocaleString()} fights
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => setSeed(randomSeed())}
+          className="text-xs text-gray-400 hover:text-yellow-400"
+          title={`Seed ${report.seed}`}
+        >
+          🎲 Re-run
+        </button>
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 text-sm text-gray-300">
+        <div>
+          <span className="block text-xs text-gray-500">Simulated</span>
+          <span className="font-bold text-yellow-400">{report.tier}</span>
+        </div>
+        <div>
+          <span className="block text-xs text-gray-500">Expected Rounds</span>
+          {report.averageRounds.toFixed(1)}
+        </div>
+        <div>
+          <span className="block text-xs text-gray-500">PC Down</span>
+          {formatPercent(report.pcDownChance)}
+        </div>
+        <div>
+          <span className="block text-xs text-gray-500">TPK</span>
+          {formatPercent(report.tpkChance)}
+        </div>
+        <div>
+          <span className="block text-xs text-gray-500">Party HP Lost</span>
+          {formatPercent(report.averageHpLost)}
+        </div>
+      </div>
+      <p className="mt-2 text-xs text-gray-400">
+        Most at risk:{" "}
+        {[...report.characters]
+          .sort((a, b) => b.downChance - a.downChance)
+          .slice(0, 3)
+          .map(
+            (character) =>
+              `${character.name} (${formatPercent(character.downChance)})`
+          )
+          .join(", ")}
+        . {report.averagePcsDown.toFixed(1)} characters drop per fight on
+        average.
+        {report.unresolvedChance > 0 &&
+          ` ${formatPercent(
+            report.unresolvedChance
+          )} of fights were still going after ${MAX_SIMULATED_ROUNDS} rounds.`}
+      </p>
+      {disagrees && (
+        <p className="mt-2 text-xs text-yellow-300">
+          The XP math rates this encounter {xpTier}, but the simulated fights
+          play out as {report.tier}.
+        </p>
+      )}
+      <p className="mt-2 text-xs text-gray-500">
+        Models attacks, Multiattack and AC only: spells, area effects, healing
+        and tactics are not simulated.
+      </p>
+    </div>
+  );
+};
+
+export default CombatSimulation;
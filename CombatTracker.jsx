@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useReducer, useRef } from "react";
+import {
+  CONDITIONS,
+  combatReducer,
+  loadCombatState,
+  saveCombatState,
+  monstersToCombatants,
+} from "./combatState";
+
+const inputClassName =
+  "p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+const smallButtonClassName =
+  "py-1 px-2 rounded-md text-xs font-semibold transition duration-150";
+
+const CombatantRow = ({ combatant, isActive, dispatch }) => {
+  const [amount, setAmount] = useState("");
+  const [condition, setCondition] = useState(CONDITIONS[0]);
+  const [rounds, setRounds] = useState("");
+
+  const applyHp = (type) => {
+    const value = parseInt(amount, 10);
+    if (!value || value < 0) return;
+    dispatch({ type, id: combatant.id, amount: value });
+    setAmount("");
+  };
+
+  const isDown = combatant.hp === 0;
+
+  return (
+    <li
+      className={`p-3 rounded-lg border ${
+        isActive
+          ? "border-yellow-500 bg-yellow-900/20"
+          : "border-gray-700 bg-gray-900/40"
+      } ${isDown ? "opacity-60" : ""}`}
+    >
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="number"
+          value={combatant.initiative}
+          onChange={(e) =>
+            dispatch({
+              type: "SET_INITIATIVE",
+              id: combatant.id,
+              initiative: e.target.value,
+            })
+          }
+          className={`${inputClassName} w-16`}
+          aria-label={`Initiative for ${combatant.name}`}
+        />
+        <span
+          className={`font-semibold ${
+            combatant.type === "pc" ? "text-blue-300" : "text-red-300"
+          }`}
+        >
+          {combatant.name}
+        </span>
+        {combatant.armorClass && (
+          <span className="text-xs text-gray-400">
+            AC {combatant.armorClass}
+          </span>
+        )}
+        {combatant.hp !== null && (
+          <span className="text-sm text-gray-200">
+            HP {combatant.hp}
+            {combatant.maxHp ? ` / ${combatant.maxHp}` : ""}
+          </span>
+        )}
+        <button
+          onClick={() => dispatch({ type: "REMOVE", id: combatant.id })}
+          className={`${smallButtonClassName} ml-auto text-gray-400 hover:text-red-400`}
+        >
+          Remove
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        {combatant.hp !== null && (
+          <>
+            <input
+              type="number"
+              min="0"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="Amount"
+              className={`${inputClassName} w-24`}
+            />
+            <button
+              onClick={() => applyHp("DAMAGE")}
+              className={`${smallButtonClassName} bg-red-700 text-white hover:bg-red-600`}
+            >
+              Damage
+            </button>
+            <button
+              onClick={() => applyHp("HEAL")}
+              className={`${smallButtonClassName} bg-green-700 text-white hover:bg-green-600`}
+            >
+              Heal
+            </button>
+          </>
+        )}
+        <select
+          value={condition}
+          onChange={(e) => setCondition(e.target.value)}
+          className={inputClassName}
+        >
+          {CONDITIONS.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          value={rounds}
+          onChange={(e) => setRounds(e.target.value)}
+          placeholder="Rounds"
+          className={`${inputClassName} w-24`}
+        />
+        <button
+          onClick={() => {
+            dispatch({
+              type: "ADD_CONDITION",
+              id: combatant.id,
+              name: condition,
+              rounds,
+            });
+            setRounds("");
+          }}
+          className={`${smallButtonClassName} bg-gray-600 text-white hover:bg-gray-500`}
+        >
+          Add Condition
+        </button>
+      </div>
+
+      {combatant.conditions.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {combatant.conditions.map((cond) => (
+            <span
+              key={cond.name}
+              className="flex items-center text-xs bg-purple-900/60 text-purple-200 rounded-full px-2 py-1"
+            >
+              {cond.name}
+              {cond.rounds !== null && ` (${cond.rounds} rd)`}
+              <button
+                onClick={() =>
+                  dispatch({
+                    type: "REMOVE_CONDITION",
+                    id: combatant.id,
+                    name: cond.name,
+                  })
+                }
+                className="ml-1 text-purple-300 hover:text-white"
+                aria-label={`Remove ${cond.name}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Initiative tracker and combat runner seeded from the generated encounter.
+// In a co-DM room every change goes to `onStateChange`, and the other DMs'
+// changes arrive as `remoteState`.
+const CombatTracker = ({ monsters, remoteState, onStateChange }) => {
+  const [state, dispatch] = useReducer(
+    combatReducer,
+    undefined,
+    loadCombatState
+  );
+  const [pcName, setPcName] = useState("");
+  const [pcInitiative, setPcInitiative] = useState("");
+  const [pcArmorClass, setPcArmorClass] = useState("");
+  const [pcHp, setPcHp] = useState("");
+
+  const { combatants, round, turnIndex, isActive } = state.present;
+
+  // Persist every change so a reload picks the fight back up. Each state is
+  // reported once, and states loaded from `remoteState` are not echoed back.
+  const reportedStateRef = useRef(null);
+  useEffect(() => {
+    saveCombatState(state);
+    if (!onStateChange || state === remoteState) return;
+    if (state === reportedStateRef.current) return;
+    reportedStateRef.current = state;
+    onStateChange(state);
+  }, [state, remoteState, onStateChange]);
+
+  useEffect(() => {
+    if (remoteState) dispatch({ type: "LOAD", state: remoteState });
+  }, [remoteState]);
+
+  const startCombat = () => {
+    if (!monsters || monsters.length === 0) return;
+    dispatch({ type: "START", combatants: monstersToCombatants(monsters) });
+  };
+
+  const addPc = (e) => {
+    e.preventDefault();
+    if (!pcName.trim()) return;
+    dispatch({
+      type: "ADD_PC",
+      name: pcName.trim(),
+      initiative: pcInitiative,
+      armorClass: pcArmorClass,
+      maxHp: pcHp,
+    });
+    setPcName("");
+    setPcInitiative("");
+    setPcArmorClass("");
+    setPcHp("");
+  };
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700">
+      <div className="flex flex-wrap items-center gap-3 mb-6 border-b border-yellow-700/50 pb-2">
+        <h2 className="text-2xl font-semibold text-white">Combat Tracker</h2>
+        {isActive && (
+          <span className="text-sm text-yellow-400 font-semibold">
+            Round {round}
+          </span>
+        )}
+        <div className="flex flex-wrap gap-2 ml-auto">
+          <button
+            onClick={startCombat}
+            disabled={!monsters || monsters.length === 0}
+            className={`${smallButtonClassName} ${
+              !monsters || monsters.length === 0
+                ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+                : "bg-yellow-400 text-gray-900 hover:bg-yellow-500"
+            }`}
+          >
+            🎲 Roll Initiative
+          </button>
+          <button
+            onClick={() => dispatch({ type: "NEXT_TURN" })}
+            disabled={!isActive}
+            className={`${smallButtonClassName} bg-blue-600 text-white hover:bg-blue-500 disabled:bg-gray-600 disabled:text-gray-400`}
+          >
+            Next Turn
+          </button>
+          <button
+            onClick={() => dispatch({ type: "UNDO" })}
+            disabled={state.past.length === 0}
+            className={`${smallButtonClassName} bg-gray-600 text-white hover:bg-gray-500 disabled:text-gray-400`}
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={() => dispatch({ type: "END" })}
+            disabled={combatants.length === 0}
+            className={`${smallButtonClassName} bg-red-800 text-white hover:bg-red-700 disabled:bg-gray-600 disabled:text-gray-400`}
+          >
+            End Combat
+          </button>
+        </div>
+      </div>
+
+      <form onSubmit={addPc} className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="text"
+          value={pcName}
+          onChange={(e) => setPcName(e.target.value)}
+          placeholder="Player character"
+          className={`${inputClassName} flex-1 min-w-[8rem]`}
+        />
+        <input
+          type="number"
+          value={pcInitiative}
+          onChange={(e) => setPcInitiative(e.target.value)}
+          placeholder="Init"
+          className={`${inputClassName} w-20`}
+        />
+        <input
+          type="number"
+          min="1"
+          value={pcArmorClass}
+          onChange={(e) => setPcArmorClass(e.target.value)}
+          placeholder="AC"
+          className={`${inputClassName} w-20`}
+        />
+        <input
+          type="number"
+          min="1"
+          value={pcHp}
+          onChange={(e) => setPcHp(e.target.value)}
+          placeholder="HP"
+          className={`${inputClassName} w-20`}
+        />
+        <button
+          type="submit"
+          className={`${smallButtonClassName} bg-blue-600 text-white hover:bg-blue-500`}
+        >
+          Add PC
+        </button>
+      </form>
+
+      {combatants.length > 0 ? (
+        <ol className="space-y-2">
+          {combatants.map((combatant, index) => (
+            <CombatantRow
+              key={combatant.id}
+              combatant={combatant}
+              isActive={isActive && index === turnIndex}
+              dispatch={dispatch}
+            />
+          ))}
+        </ol>
+      ) : (
+        <p className="text-center text-gray-500 p-6">
+          Add your player characters, then roll initiative for the generated
+          monsters to start combat.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CombatTracker;
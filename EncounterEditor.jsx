@@ -0,0 +1,148 @@
+import React from "react";
+
+const actionClassName =
+  "text-xs py-1 px-2 rounded-lg font-semibold transition duration-150 disabled:opacity-40 disabled:cursor-not-allowed";
+
+const MonsterGroupRow = ({
+  monster,
+  isBusy,
+  disabled,
+  onReroll,
+  onSwap,
+  onQuantityChange,
+}) => (
+  <li className="flex flex-wrap items-center gap-2 p-2 rounded-lg border border-gray-700 bg-gray-900/40">
+    <span className="flex-1 min-w-0 text-sm text-gray-200 truncate">
+      <span className="font-semibold text-yellow-300">{monster.name}</span>{" "}
+      <span className="text-xs text-gray-400">CR {monster.cr}</span>
+    </span>
+    <div className="flex items-center gap-1">
+      <button
+        onClick={() => onQuantityChange(monster.quantity - 1)}
+        disabled={disabled || monster.quantity <= 1}
+        className={`${actionClassName} bg-gray-700 text-white hover:bg-gray-600`}
+        aria-label={`Fewer ${monster.name}`}
+      >
+        −
+      </button>
+      <span className="w-8 text-center text-sm text-white">
+        ×{monster.quantity}
+      </span>
+      <button
+        onClick={() => onQuantityChange(monster.quantity + 1)}
+        disabled={disabled}
+        className={`${actionClassName} bg-gray-700 text-white hover:bg-gray-600`}
+        aria-label={`More ${monster.name}`}
+      >
+        +
+      </button>
+    </div>
+    {isBusy ? (
+      <span className="flex items-center text-xs text-gray-400">
+        <div className="loading-spinner w-4 h-4 border-2 rounded-full mr-2"></div>
+        Updating...
+      </span>
+    ) : (
+      <>
+        <button
+          onClick={onReroll}
+          disabled={disabled}
+          className={`${actionClassName} bg-purple-700 text-white hover:bg-purple-600`}
+        >
+          🎲 Reroll
+        </button>
+        <button
+          onClick={onSwap}
+          disabled={disabled}
+          className={`${actionClassName} bg-blue-700 text-white hover:bg-blue-600`}
+        >
+          🔄 Swap
+        </button>
+      </>
+    )}
+  </li>
+);
+
+// Per-monster reroll/swap/quantity controls plus the encounter's version
+// history. All edits keep the rest of the encounter intact.
+const EncounterEditor = ({
+  monsters,
+  history,
+  busyIndex,
+  disabled,
+  onReroll,
+  onSwap,
+  onQuantityChange,
+  onSelectVersion,
+  onCancel,
+}) => {
+  if (!monsters || monsters.length === 0) return null;
+  const isBusy = busyIndex !== null;
+
+  return (
+    <div className="p-4 rounded-lg mb-6 border border-gray-700 bg-gray-900/30">
+      <div className="flex items-center mb-2">
+        <h3 className="text-sm font-semibold text-gray-300">Monster Groups</h3>
+        {isBusy && (
+          <button
+            onClick={onCancel}
+            className="ml-auto text-xs text-red-400 hover:text-red-300"
+          >
+            ✕ Cancel
+          </button>
+        )}
+      </div>
+      <ul className="space-y-2">
+        {monsters.map((monster, index) => (
+          <MonsterGroupRow
+            key={`${index}-${monster.name}`}
+            monster={monster}
+            isBusy={busyIndex === index}
+            disabled={disabled || isBusy}
+            onReroll={() => onReroll(index)}
+            onSwap={() => onSwap(index)}
+            onQuantityChange={(quantity) => onQuantityChange(index, quantity)}
+          />
+        ))}
+      </ul>
+
+      {history && history.versions.length > 1 && (
+        <div className="flex items-center gap-2 mt-3 text-xs text-gray-400">
+          <button
+            onClick={() => onSelectVersion(history.index - 1)}
+            disabled={disabled || isBusy || history.index === 0}
+            className={`${actionClassName} bg-gray-700 text-white hover:bg-gray-600`}
+          >
+            ◀ Previous
+          </button>
+          <select
+            value={history.index}
+            onChange={(e) => onSelectVersion(Number(e.target.value))}
+            disabled={disabled || isBusy}
+            className="flex-1 min-w-0 p-1 bg-gray-700 text-white border border-gray-600 rounded-lg text-xs"
+            aria-label="Encounter version"
+          >
+            {history.versions.map((version, index) => (
+              <option key={index} value={index}>
+                v{index + 1}: {version.label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => onSelectVersion(history.index + 1)}
+            disabled={
+              disabled ||
+              isBusy ||
+              history.index === history.versions.length - 1
+            }
+            className={`${actionClassName} bg-gray-700 text-white hover:bg-gray-600`}
+          >
+            Next ▶
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EncounterEditor;
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  subscribeToEncounters,
+  updateEncounter,
+  deleteEncounter,
+  parseTags,
+  matchesSearch,
+} from "./encounterStore";
+
+const inputClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+
+const LibraryEntry = ({
+  entry,
+  isActive,
+  onLoad,
+  onTagClick,
+  db,
+  appId,
+  userId,
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(entry.name);
+  const [tags, setTags] = useState((entry.tags || []).join(", "));
+
+  const saveChanges = async (e) => {
+    e.preventDefault();
+    try {
+      await updateEncounter(db, appId, userId, entry.id, {
+        name: name.trim() || entry.name,
+        tags: parseTags(tags),
+      });
+      setIsEditing(false);
+    } catch (error) {
+      console.error("Failed to update saved encounter:", error);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete "${entry.name}" from your library?`)) return;
+    try {
+      await deleteEncounter(db, appId, userId, entry.id);
+    } catch (error) {
+      console.error("Failed to delete saved encounter:", error);
+    }
+  };
+
+  return (
+    <li
+      className={`p-3 rounded-lg border ${
+        isActive ? "border-yellow-500" : "border-gray-700"
+      } bg-gray-900/40`}
+    >
+      {isEditing ? (
+        <form onSubmit={saveChanges} className="space-y-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className={inputClassName}
+            aria-label="Encounter name"
+          />
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Tags, comma separated"
+            className={inputClassName}
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="py-1 px-2 rounded-md text-xs font-semibold bg-yellow-400 text-gray-900 hover:bg-yellow-500"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="py-1 px-2 rounded-md text-xs font-semibold bg-gray-600 text-white hover:bg-gray-500"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <button
+            onClick={() => onLoad(entry)}
+            className="block text-left w-full text-sm font-semibold text-yellow-300 hover:text-yellow-200"
+          >
+            {entry.name}
+          </button>
+          <p className="text-xs text-gray-500 mt-1">
+            {entry.inputs?.difficulty} · {entry.inputs?.partySize} PCs, level{" "}
+            {entry.inputs?.averageLevel} · {entry.inputs?.terrain}
+          </p>
+          {entry.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {entry.tags.map((tag) => (
+                <button
+                  key={tag}
+                  onClick={() => onTagClick(tag)}
+                  className="text-xs bg-gray-700 text-gray-300 rounded-full px-2 py-0.5 hover:bg-gray-600"
+                >
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex gap-3 mt-2 text-xs">
+            <button
+              onClick={() => setIsEditing(true)}
+              className="text-gray-400 hover:text-yellow-400"
+            >
+              Rename / Tag
+            </button>
+            <button
+              onClick={remove}
+              className="text-gray-400 hover:text-red-400"
+            >
+              Delete
+            </button>
+          </div>
+        </>
+      )}
+    </li>
+  );
+};
+
+// Sidebar listing the user's saved encounters, kept in sync via onSnapshot.
+const EncounterLibrary = ({ db, appId, userId, activeId, onLoad }) => {
+  const [entries, setEntries] = useState([]);
+  const [searchText, setSearchText] = useState("");
+  const [tagFilter, setTagFilter] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db || !userId) return;
+    return subscribeToEncounters(
+      db,
+      appId,
+      userId,
+      (newEntries) => {
+        setEntries(newEntries);
+        setError(null);
+      },
+      (e) => {
+        console.error("Failed to sync encounter library:", e);
+        setError("Could not load your saved encounters.");
+      }
+    );
+  }, [db, appId, userId]);
+
+  const visibleEntries = useMemo(
+    () =>
+      entries.filter(
+        (entry) =>
+          matchesSearch(entry, searchText) &&
+          (!tagFilter || (entry.tags || []).includes(tagFilter))
+      ),
+    [entries, searchText, tagFilter]
+  );
+
+  if (!db || !userId) return null;
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl h-fit border-2 border-gray-700">
+      <h2 className="text-2xl font-semibold mb-4 text-white border-b border-yellow-700/50 pb-2">
+        Encounter Library
+      </h2>
+      <input
+        type="search"
+        value={searchText}
+        onChange={(e) => setSearchText(e.target.value)}
+        placeholder="Search by name, terrain or tag"
+        className={`${inputClassName} mb-3`}
+      />
+      {tagFilter && (
+        <button
+          onClick={() => setTagFilter(null)}
+          className="text-xs text-yellow-400 mb-3 hover:text-yellow-300"
+        >
+          Filtering by #{tagFilter} ×
+        </button>
+      )}
+      {error && <p className="text-sm text-red-300 mb-3">{error}</p>}
+      {visibleEntries.length > 0 ? (
+        <ul className="space-y-2 max-h-[32rem] overflow-y-auto">
+          {visibleEntries.map((entry) => (
+            <LibraryEntry
+              key={entry.id}
+              entry={entry}
+              isActive={entry.id === activeId}
+              onLoad={onLoad}
+              onTagClick={setTagFilter}
+              db={db}
+              appId={appId}
+              userId={userId}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">
+          {entries.length === 0
+            ? "Generated encounters are saved here automatically."
+            : "No saved encounters match your search."}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default EncounterLibrary;
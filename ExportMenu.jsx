@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS } from "./encounterExport";
+
+// Structured formats need the encounter JSON, which older saved entries lack.
+const STRUCTURED_FORMATS = ["json", "foundry"];
+
+// Dropdown of export formats shown in the encounter toolbar.
+const ExportMenu = ({ onExport, hasStructuredData }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const formats = EXPORT_FORMATS.filter(
+    (format) => hasStructuredData || !STRUCTURED_FORMATS.includes(format.id)
+  );
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="flex items-center justify-center py-2 px-4 rounded-lg font-semibold text-sm transition duration-300 shadow-md bg-gray-600 text-white hover:bg-gray-500"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        ⬇️ Export ▾
+      </button>
+      {isOpen && (
+        <ul
+          role="menu"
+          className="absolute z-10 mt-2 w-60 p-1 bg-gray-900 border border-gray-700 rounded-lg shadow-2xl"
+        >
+          {formats.map((format) => (
+            <li key={format.id}>
+              <button
+                role="menuitem"
+                onClick={() => {
+                  setIsOpen(false);
+                  onExport(format.id);
+                }}
+                className="w-full text-left text-sm text-gray-200 px-3 py-2 rounded-md hover:bg-gray-700"
+              >
+                {format.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
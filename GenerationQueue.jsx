@@ -0,0 +1,61 @@
+import React from "react";
+
+// Encounter requests waiting for a connection. They are sent in order once
+// the app is online again; each result opens in the main view and is saved
+// to the library like any other encounter.
+const GenerationQueue = ({
+  queue,
+  isOnline,
+  isWaitingToRetry,
+  onRemove,
+  onRetryNow,
+}) => {
+  if (queue.length === 0) return null;
+  return (
+    <div className="p-4 rounded-lg mb-6 border bg-gray-900/40 border-gray-700">
+      <div className="flex items-center gap-2 mb-2">
+        <h3 className="text-sm font-semibold text-gray-300">
+          Queued Requests ({queue.length})
+        </h3>
+        {isOnline && isWaitingToRetry && (
+          <button
+            onClick={onRetryNow}
+            className="ml-auto text-xs text-gray-400 hover:text-yellow-400"
+          >
+            ↻ Retry now
+          </button>
+        )}
+      </div>
+      <ol className="space-y-1 text-sm text-gray-300">
+        {queue.map((item) => (
+          <li key={item.id} className="flex items-center gap-2">
+            <span className="flex-1">
+              {item.inputs.difficulty} · {item.inputs.terrain} ·{" "}
+              <span className="text-gray-400">{item.inputs.flavor}</span>
+              <span className="block text-xs text-gray-500">
+                {item.inputs.partyName}, queued{" "}
+                {new Date(item.queuedAt).toLocaleTimeString()}
+              </span>
+            </span>
+            <button
+              onClick={() => onRemove(item.id)}
+              className="text-gray-500 hover:text-red-400"
+              aria-label="Remove queued request"
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ol>
+      <p className="mt-2 text-xs text-gray-500">
+        {!isOnline
+          ? "You are offline. These requests are sent when the connection comes back."
+          : isWaitingToRetry
+          ? "The AI service could not be reached; retrying shortly."
+          : "Sending…"}
+      </p>
+    </div>
+  );
+};
+
+export default GenerationQueue;
@@ -0,0 +1,527 @@
+import React, { useState, useEffect } from "react";
+import { crToXp } from "./encounterMath";
+import { CHALLENGE_RATINGS, getCrStats } from "./monsterStats";
+import {
+  MAX_ATTACKS_PER_ROUND,
+  snapToCr,
+  rateHomebrew,
+  getHomebrewDamagePerRound,
+} from "./homebrew";
+import {
+  saveCreature,
+  deleteCreature,
+  subscribeToBestiary,
+} from "./bestiaryStore";
+
+const inputClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+const labelClassName = "block text-xs text-gray-400 mb-1";
+
+const toInteger = (value, fallback = 0) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Live CR of the draft next to the DMG's expected numbers for its target.
+const CrReadout = ({ creature }) => {
+  const rating = rateHomebrew(creature);
+  const target = getCrStats(creature.targetCr);
+  const onTarget = rating.cr === target.cr;
+  return (
+    <div
+      className={`p-3 rounded-lg border text-sm ${
+        onTarget
+          ? "bg-green-900/30 border-green-700"
+          : "bg-yellow-900/30 border-yellow-700"
+      }`}
+    >
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-gray-300">
+        <div>
+          <span className="block text-xs text-gray-500">Computed CR</span>
+          <span className="font-bold text-yellow-400">{rating.cr}</span> (
+          {crToXp(rating.cr).toLocaleString()} XP)
+        </div>
+        <div>
+          <span className="block text-xs text-gray-500">Defensive</span>
+          CR {rating.defensive}
+        </div>
+        <div>
+          <span className="block text-xs text-gray-500">Offensive</span>
+          CR {rating.offensive}
+        </div>
+        <div>
+          <span className="block text-xs text-gray-500">Damage / Round</span>
+          {getHomebrewDamagePerRound(creature)}
+        </div>
+      </div>
+      <p className="mt-2 text-xs text-gray-400">
+        DMG CR {target.cr}: AC {target.armorClass}, HP {target.hitPoints.min}-
+        {target.hitPoints.max}, +{target.attackBonus} to hit,{" "}
+        {target.damagePerRound.min}-{target.damagePerRound.max} damage per
+        round, save DC {target.saveDc}.
+      </p>
+    </div>
+  );
+};
+
+const NumberField = ({ label, value, onChange, min, allowEmpty = false }) => (
+  <label>
+    <span className={labelClassName}>{label}</span>
+    <input
+      type="number"
+      min={min}
+      value={value ?? ""}
+      onChange={(e) =>
+        onChange(
+          allowEmpty && e.target.value === ""
+            ? null
+            : Math.max(min ?? -Infinity, toInteger(e.target.value, min ?? 0))
+        )
+      }
+      className={inputClassName}
+    />
+  </label>
+);
+
+// Edits every part of a homebrew creature before it is saved or used.
+const CreatureEditor = ({ creature, onChange }) => {
+  const update = (changes) => onChange({ ...creature, ...changes });
+  const updateAttack = (index, changes) =>
+    update({
+      attacks: creature.attacks.map((attack, i) =>
+        i === index ? { ...attack, ...changes } : attack
+      ),
+    });
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <label>
+          <span className={labelClassName}>Name</span>
+          <input
+            type="text"
+            value={creature.name}
+            onChange={(e) => update({ name: e.target.value })}
+            className={inputClassName}
+          />
+        </label>
+        <label>
+          <span className={labelClassName}>Size</span>
+          <input
+            type="text"
+            value={creature.size}
+            onChange={(e) => update({ size: e.target.value })}
+            className={inputClassName}
+          />
+        </label>
+        <label>
+          <span className={labelClassName}>Type</span>
+          <input
+            type="text"
+            value={creature.type}
+            onChange={(e) => update({ type: e.target.value })}
+            className={inputClassName}
+          />
+        </label>
+      </div>
+      <label className="block">
+        <span className={labelClassName}>Description</span>
+        <textarea
+          rows={3}
+          value={creature.description}
+          onChange={(e) => update({ description: e.target.value })}
+          className={inputClassName}
+        />
+      </label>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        <NumberField
+          label="AC"
+          min={1}
+          value={creature.armorClass}
+          onChange={(armorClass) => update({ armorClass })}
+        />
+        <NumberField
+          label="HP"
+          min={1}
+          value={creature.hitPoints}
+          onChange={(hitPoints) => update({ hitPoints })}
+        />
+        <label>
+          <span className={labelClassName}>Speed</span>
+          <input
+            type="text"
+            value={creature.speed}
+            onChange={(e) => update({ speed: e.target.value })}
+            className={inputClassName}
+          />
+        </label>
+        <NumberField
+          label="Initiative"
+          value={creature.dexModifier ?? 0}
+          onChange={(dexModifier) => update({ dexModifier })}
+        />
+        <NumberField
+          label="Attack Bonus"
+          value={creature.attackBonus}
+          onChange={(attackBonus) => update({ attackBonus })}
+        />
+        <NumberField
+          label="Attacks / Round"
+          min={1}
+          value={creature.attacksPerRound}
+          onChange={(attacksPerRound) =>
+            update({
+              attacksPerRound: Math.min(MAX_ATTACKS_PER_ROUND, attacksPerRound),
+            })
+          }
+        />
+        <NumberField
+          label="Save DC"
+          min={1}
+          allowEmpty
+          value={creature.saveDc}
+          onChange={(saveDc) => update({ saveDc })}
+        />
+      </div>
+
+      <div>
+        <span className={labelClassName}>Attacks</span>
+        <ul className="space-y-2">
+          {creature.attacks.map((attack, index) => (
+            <li key={index} className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              <input
+                type="text"
+                value={attack.name}
+                onChange={(e) => updateAttack(index, { name: e.target.value })}
+                className={inputClassName}
+                aria-label="Attack name"
+              />
+              <input
+                type="text"
+                value={attack.damage}
+                onChange={(e) =>
+                  updateAttack(index, { damage: e.target.value })
+                }
+                placeholder="e.g. 13 (2d8 + 4) slashing"
+                className={inputClassName}
+                aria-label={`${attack.name} damage`}
+              />
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={attack.effect}
+                  onChange={(e) =>
+                    updateAttack(index, { effect: e.target.value })
+                  }
+                  placeholder="Effect"
+                  className={inputClassName}
+                  aria-label={`${attack.name} effect`}
+                />
+                <button
+                  onClick={() =>
+                    update({
+                      attacks: creature.attacks.filter((_, i) => i !== index),
+                    })
+                  }
+                  disabled={creature.attacks.length === 1}
+                  className="text-xs text-gray-400 hover:text-red-400 disabled:opacity-40"
+                  aria-label={`Remove ${attack.name}`}
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <button
+          onClick={() =>
+            update({
+              attacks: [
+                ...creature.attacks,
+                {
+                  name: "New Attack",
+                  damageType: "bludgeoning",
+                  damage: "5 (1d6 + 2) bludgeoning",
+                  effect: "",
+                },
+              ],
+            })
+          }
+          className="mt-2 text-sm text-gray-400 hover:text-yellow-400"
+        >
+          + Add attack
+        </button>
+      </div>
+
+      {creature.saveAction && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <label>
+            <span className={labelClassName}>Saving Throw Action</span>
+            <input
+              type="text"
+              value={creature.saveAction.name}
+              onChange={(e) =>
+                update({
+                  saveAction: { ...creature.saveAction, name: e.target.value },
+                })
+              }
+              className={inputClassName}
+            />
+          </label>
+          <label className="sm:col-span-2">
+            <span className={labelClassName}>
+              {creature.saveAction.ability} save effect
+            </span>
+            <input
+              type="text"
+              value={creature.saveAction.effect}
+              onChange={(e) =>
+                update({
+                  saveAction: {
+                    ...creature.saveAction,
+                    effect: e.target.value,
+                  },
+                })
+              }
+              className={inputClassName}
+            />
+          </label>
+        </div>
+      )}
+
+      <label className="block">
+        <span className={labelClassName}>Traits (one per line)</span>
+        <textarea
+          rows={3}
+          value={creature.traits.join("\n")}
+          onChange={(e) => update({ traits: e.target.value.split("\n") })}
+          className={inputClassName}
+        />
+      </label>
+    </div>
+  );
+};
+
+// Custom creature mode: the AI invents a creature for the hook, its numbers
+// are snapped to the DMG table for the target CR, and the DM can tweak it,
+// keep it in their bestiary or drop it into the current encounter.
+const HomebrewBuilder = ({
+  db,
+  appId,
+  userId,
+  defaultIdea,
+  suggestedCr,
+  onGenerate,
+  canAddToEncounter,
+  onAddToEncounter,
+  onClose,
+}) => {
+  const [idea, setIdea] = useState(defaultIdea);
+  const [targetCr, setTargetCr] = useState(suggestedCr);
+  const [draft, setDraft] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [bestiary, setBestiary] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!db || !userId) return;
+    return subscribeToBestiary(
+      db,
+      appId,
+      userId,
+      (creatures) => {
+        setBestiary(creatures);
+        setError(null);
+      },
+      (e) => {
+        console.error("Failed to sync bestiary:", e);
+        setError("Could not load your bestiary.");
+      }
+    );
+  }, [db, appId, userId]);
+
+  const generate = async () => {
+    setIsGenerating(true);
+    try {
+      const creature = await onGenerate({ idea, targetCr });
+      if (creature) setDraft(creature);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const snapDraft = () =>
+    setDraft(
+      snapToCr(
+        { ...draft, damagePerRound: getHomebrewDamagePerRound(draft) },
+        draft.targetCr
+      )
+    );
+
+  const saveDraft = async () => {
+    try {
+      const id = await saveCreature(db, appId, userId, {
+        ...draft,
+        traits: draft.traits.filter((trait) => trait.trim()),
+        cr: rateHomebrew(draft).cr,
+      });
+      setDraft((prev) => ({ ...prev, id }));
+    } catch (e) {
+      console.error("Failed to save creature:", e);
+      setError("Could not save the creature to your bestiary.");
+    }
+  };
+
+  const removeCreature = async (creature) => {
+    if (!window.confirm(`Delete "${creature.name}" from your bestiary?`)) {
+      return;
+    }
+    try {
+      await deleteCreature(db, appId, userId, creature.id);
+      if (draft?.id === creature.id) setDraft({ ...draft, id: undefined });
+    } catch (e) {
+      console.error("Failed to delete creature:", e);
+    }
+  };
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700 mb-8">
+      <div className="flex items-center mb-6 border-b border-yellow-700/50 pb-2">
+        <h2 className="text-2xl font-semibold text-white">Homebrew Monsters</h2>
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-400 hover:text-white"
+          aria-label="Close homebrew monsters"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-2 items-end">
+        <label className="sm:col-span-3">
+          <span className={labelClassName}>Creature idea</span>
+          <input
+            type="text"
+            value={idea}
+            onChange={(e) => setIdea(e.target.value)}
+            placeholder="e.g. the goblins' chained guardian beast"
+            className={inputClassName}
+          />
+        </label>
+        <label>
+          <span className={labelClassName}>Target CR</span>
+          <select
+            value={targetCr}
+            onChange={(e) => setTargetCr(e.target.value)}
+            className={inputClassName}
+          >
+            {CHALLENGE_RATINGS.map((cr) => (
+              <option key={cr} value={cr}>
+                CR {cr}
+                {cr === suggestedCr ? " (solo boss)" : ""}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <button
+        onClick={generate}
+        disabled={isGenerating}
+        className="mt-3 py-2 px-4 rounded-lg font-semibold text-sm bg-yellow-400 text-gray-900 hover:bg-yellow-500 disabled:opacity-40 disabled:cursor-not-allowed"
+      >
+        {isGenerating ? "Designing..." : "✨ Design Creature"}
+      </button>
+
+      {draft && (
+        <div className="mt-6 p-4 bg-gray-900/40 rounded-lg border border-gray-700 space-y-4">
+          <CrReadout creature={draft} />
+          <CreatureEditor creature={draft} onChange={setDraft} />
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={snapDraft}
+              className="py-1 px-3 rounded-lg font-semibold text-sm bg-gray-600 text-white hover:bg-gray-500"
+            >
+              Snap to CR {draft.targetCr}
+            </button>
+            {db && userId && (
+              <button
+                onClick={saveDraft}
+                className="py-1 px-3 rounded-lg font-semibold text-sm bg-yellow-400 text-gray-900 hover:bg-yellow-500"
+              >
+                {draft.id ? "Update in Bestiary" : "Save to Bestiary"}
+              </button>
+            )}
+            <button
+              onClick={() => onAddToEncounter(draft)}
+              disabled={!canAddToEncounter}
+              className="py-1 px-3 rounded-lg font-semibold text-sm bg-gray-600 text-white hover:bg-gray-500 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              Add to Encounter
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="mt-6 p-4 bg-gray-900/40 rounded-lg border border-gray-700">
+        <h3 className="text-lg font-semibold text-yellow-400 mb-2">
+          My Bestiary
+        </h3>
+        {error && <p className="text-sm text-red-400 mb-2">{error}</p>}
+        {!db || !userId ? (
+          <p className="text-sm text-gray-500">
+            Connect a database to keep homebrew creatures between sessions.
+          </p>
+        ) : bestiary.length === 0 ? (
+          <p className="text-sm text-gray-500">No saved creatures yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {bestiary.map((creature) => (
+              <li
+                key={creature.id}
+                className={`flex items-center gap-2 p-2 rounded-lg border ${
+                  draft?.id === creature.id
+                    ? "border-yellow-500"
+                    : "border-gray-700"
+                }`}
+              >
+                <div className="flex-1 min-w-0">
+                  <span className="font-semibold text-yellow-300">
+                    {creature.name}
+                  </span>
+                  <span className="block text-xs text-gray-400">
+                    CR {rateHomebrew(creature).cr} · {creature.size}{" "}
+                    {creature.type} · AC {creature.armorClass} · HP{" "}
+                    {creature.hitPoints}
+                  </span>
+                </div>
+                <button
+                  onClick={() => setDraft(creature)}
+                  className="text-xs text-gray-400 hover:text-yellow-400"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => onAddToEncounter(creature)}
+                  disabled={!canAddToEncounter}
+                  className="text-xs text-gray-400 hover:text-yellow-400 disabled:opacity-40"
+                >
+                  Add
+                </button>
+                <button
+                  onClick={() => removeCreature(creature)}
+                  className="text-xs text-gray-400 hover:text-red-400"
+                  aria-label={`Delete ${creature.name}`}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HomebrewBuilder;
@@ -0,0 +1,118 @@
+import React from "react";
+import {
+  formatCoins,
+  formatValuables,
+  getLootValue,
+  lootHasHoard,
+  carriesCoins,
+} from "./treasure";
+import { TREASURE_TIERS } from "./treasureTables";
+
+const rerollButtonClassName =
+  "text-xs py-1 px-2 rounded-lg font-semibold bg-gray-600 text-white hover:bg-gray-500 disabled:opacity-40 disabled:cursor-not-allowed";
+
+const ValuableList = ({ label, valuables }) =>
+  valuables.length > 0 ? (
+    <li>
+      <span className="text-gray-400">{label}:</span>{" "}
+      {formatValuables(valuables)}
+    </li>
+  ) : null;
+
+const HoardDetails = ({ hoard }) => (
+  <div className="mt-2 ml-4 pl-3 border-l-2 border-yellow-700/60">
+    <p className="text-xs font-semibold text-yellow-300">
+      Treasure hoard (
+      {TREASURE_TIERS.find((tier) => tier.id === hoard.tier).label})
+    </p>
+    <ul className="text-sm text-gray-200 space-y-1">
+      <li>
+        <span className="text-gray-400">Coins:</span> {formatCoins(hoard.coins)}
+      </li>
+      <ValuableList label="Gems" valuables={hoard.gems} />
+      <ValuableList label="Art objects" valuables={hoard.artObjects} />
+      {hoard.magicItems.length > 0 && (
+        <li>
+          <span className="text-gray-400">Magic items:</span>
+          <ul className="ml-4 list-disc list-inside">
+            {hoard.magicItems.map((item, index) => (
+              <li key={index}>
+                {item.name}{" "}
+                <span className="text-xs text-gray-500">
+                  (Table {item.table})
+                </span>
+              </li>
+            ))}
+          </ul>
+        </li>
+      )}
+    </ul>
+  </div>
+);
+
+// The rolled loot for each monster group, with per-group rerolls. Loot is
+// individual treasure only unless the DM adds a hoard.
+const LootPanel = ({
+  loot,
+  disabled,
+  onReroll,
+  onRerollAll,
+  onToggleHoard,
+}) => (
+  <div className="mt-6 p-4 bg-gray-900/40 rounded-lg border border-gray-700">
+    <div className="flex flex-wrap items-center gap-2 mb-3">
+      <h3 className="text-lg font-semibold text-yellow-300 mr-auto">
+        💰 Treasure
+      </h3>
+      <span className="text-xs text-gray-400">
+        ≈ {getLootValue(loot).toLocaleString()} gp · seed {loot.seed}
+      </span>
+      <button
+        onClick={onRerollAll}
+        disabled={disabled}
+        className={rerollButtonClassName}
+      >
+        🎲 Reroll All
+      </button>
+    </div>
+    <label className="flex items-center gap-2 mb-3 text-sm text-gray-300">
+      <input
+        type="checkbox"
+        checked={lootHasHoard(loot)}
+        disabled={disabled}
+        onChange={(e) => onToggleHoard(e.target.checked)}
+      />
+      Add a treasure hoard, guarded by the highest-CR group
+    </label>
+    <ul className="space-y-3">
+      {loot.groups.map((group, index) => (
+        <li key={`${group.seed}-${index}`}>
+          <div className="flex items-start gap-2">
+            <div className="flex-1 min-w-0 text-sm text-gray-200">
+              <span className="font-semibold">
+                {group.quantity}x {group.name}
+              </span>{" "}
+              <span className="text-xs text-gray-400">(CR {group.cr})</span>
+              {carriesCoins(group) && (
+                <span className="block text-gray-300">
+                  {formatCoins(group.coins)}
+                </span>
+              )}
+            </div>
+            <button
+              onClick={() => onReroll(index)}
+              disabled={disabled}
+              className={rerollButtonClassName}
+              aria-label={`Reroll loot for ${group.name}`}
+            >
+              🎲
+            </button>
+          </div>
+          {group.hoard && <HoardDetails hoard={group.hoard} />}
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+export default LootPanel;
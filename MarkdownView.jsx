@@ -0,0 +1,99 @@
+import React from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import remarkStatBlocks from "./remarkStatBlocks";
+import remarkCitations from "./remarkCitations";
+import StatBlockCard from "./StatBlockCard";
+import CitationMarker, { CitationContext } from "./CitationMarker";
+
+const REMARK_PLUGINS = [remarkGfm, remarkStatBlocks, remarkCitations];
+
+// Tailwind styling for each element, matching the app's dark theme.
+const COMPONENTS = {
+  h1: ({ node, ...props }) => (
+    <h1 className="text-2xl font-bold text-yellow-400 mt-4 mb-2" {...props} />
+  ),
+  h2: ({ node, ...props }) => (
+    <h2 className="text-xl font-bold text-yellow-400 mt-4 mb-2" {...props} />
+  ),
+  h3: ({ node, ...props }) => (
+    <h3
+      className="text-lg font-semibold text-yellow-300 mt-3 mb-1"
+      {...props}
+    />
+  ),
+  h4: ({ node, ...props }) => (
+    <h4 className="font-semibold text-yellow-200 mt-3 mb-1" {...props} />
+  ),
+  p: ({ node, ...props }) => <p className="mb-2" {...props} />,
+  ul: ({ node, ...props }) => (
+    <ul className="list-disc ml-6 mb-2 space-y-1" {...props} />
+  ),
+  ol: ({ node, ...props }) => (
+    <ol className="list-decimal ml-6 mb-2 space-y-1" {...props} />
+  ),
+  hr: ({ node, ...props }) => (
+    <hr className="my-6 border-gray-600" {...props} />
+  ),
+  a: ({ node, ...props }) => (
+    <a
+      className="text-yellow-400 underline hover:text-yellow-300"
+      target="_blank"
+      rel="noopener noreferrer"
+      {...props}
+    />
+  ),
+  blockquote: ({ node, ...props }) => (
+    <blockquote
+      className="border-l-4 border-yellow-700 pl-4 italic text-gray-300 my-3"
+      {...props}
+    />
+  ),
+  code: ({ node, ...props }) => (
+    <code
+      className="bg-gray-900 text-yellow-200 rounded px-1 text-sm"
+      {...props}
+    />
+  ),
+  pre: ({ node, ...props }) => (
+    <pre
+      className="bg-gray-900 rounded-lg p-3 overflow-x-auto my-3"
+      {...props}
+    />
+  ),
+  table: ({ node, ...props }) => (
+    <div className="overflow-x-auto my-4">
+      <table className="min-w-full text-sm border border-gray-700" {...props} />
+    </div>
+  ),
+  thead: ({ node, ...props }) => <thead className="bg-gray-900" {...props} />,
+  th: ({ node, ...props }) => (
+    <th
+      className="px-3 py-2 text-left font-semibold text-yellow-300 border border-gray-700"
+      {...props}
+    />
+  ),
+  td: ({ node, ...props }) => (
+    <td className="px-3 py-2 border border-gray-700" {...props} />
+  ),
+  "stat-block": ({ node, ...props }) => <StatBlockCard {...props} />,
+  "citation-ref": ({ node, ...props }) => <CitationMarker {...props} />,
+};
+
+// GitHub-flavored Markdown renderer for AI output, with monster stat blocks
+// shown as 5e stat cards. `sources` are the grounding sources the citation
+// markers in `content` point to.
+const MarkdownView = ({ content, sources = [] }) => {
+  if (!content) return null;
+  return (
+    <CitationContext.Provider value={sources}>
+      <div className="max-w-none text-gray-200">
+        <ReactMarkdown remarkPlugins={REMARK_PLUGINS} components={COMPONENTS}>
+          {content}
+        </ReactMarkdown>
+      </div>
+    </CitationContext.Provider>
+  );
+};
+
+export default MarkdownView;
@@ -0,0 +1,150 @@
+import React, { useState, useMemo } from "react";
+import { MONSTER_TYPES, COMPENDIUM_CRS, searchMonsters } from "./compendium";
+import { crToXp } from "./encounterMath";
+
+const inputClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+
+const formatBonus = (bonus) => (bonus >= 0 ? `+${bonus}` : `${bonus}`);
+
+const MonsterEntry = ({ monster, lockedQuantity, onLock }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <li className="p-3 rounded-lg border border-gray-700 bg-gray-900/40">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => setIsOpen((prev) => !prev)}
+          className="text-left flex-1 min-w-0"
+        >
+          <span className="font-semibold text-yellow-300">{monster.name}</span>
+          <span className="block text-xs text-gray-400">
+            CR {monster.cr} ({crToXp(monster.cr).toLocaleString()} XP) ·{" "}
+            {monster.size} {monster.type} · AC {monster.armorClass} · HP{" "}
+            {monster.hitPoints}
+          </span>
+        </button>
+        <button
+          onClick={() => onLock(monster)}
+          className="text-xs py-1 px-2 rounded-lg bg-yellow-400 text-gray-900 font-semibold hover:bg-yellow-500"
+        >
+          {lockedQuantity > 0 ? `Locked ×${lockedQuantity} +` : "Lock In"}
+        </button>
+      </div>
+      {isOpen && (
+        <ul className="mt-2 text-xs text-gray-300 space-y-1">
+          <li>Speed: {monster.speed}</li>
+          <li>Initiative: {formatBonus(monster.dexModifier)}</li>
+          {monster.attacks.map((attack) => (
+            <li key={attack.name}>
+              <span className="font-semibold">{attack.name}.</span>{" "}
+              {formatBonus(attack.toHit)} to hit, {attack.damage} damage.
+              {attack.effect ? ` ${attack.effect}` : ""}
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Searchable SRD monster list. Locked monsters are forced into the next
+// generated encounter.
+const MonsterCompendium = ({ lockedMonsters, onChange, onClose }) => {
+  const [query, setQuery] = useState("");
+  const [cr, setCr] = useState("");
+  const [type, setType] = useState("");
+
+  const results = useMemo(
+    () => searchMonsters({ query, cr, type }),
+    [query, cr, type]
+  );
+
+  const lockMonster = (monster) => {
+    const existing = lockedMonsters.find(
+      (entry) => entry.name === monster.name
+    );
+    onChange(
+      existing
+        ? lockedMonsters.map((entry) =>
+            entry === existing
+              ? { ...entry, quantity: entry.quantity + 1 }
+              : entry
+          )
+        : [...lockedMonsters, { name: monster.name, quantity: 1 }]
+    );
+  };
+
+  const lockedQuantity = (name) =>
+    lockedMonsters.find((entry) => entry.name === name)?.quantity || 0;
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700 mb-8">
+      <div className="flex items-center mb-6 border-b border-yellow-700/50 pb-2">
+        <h2 className="text-2xl font-semibold text-white">
+          Monster Compendium (SRD 5.1)
+        </h2>
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-400 hover:text-white"
+          aria-label="Close compendium"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mb-4">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by name or type..."
+          className={inputClassName}
+        />
+        <select
+          value={cr}
+          onChange={(e) => setCr(e.target.value)}
+          className={inputClassName}
+          aria-label="Filter by challenge rating"
+        >
+          <option value="">Any CR</option>
+          {COMPENDIUM_CRS.map((value) => (
+            <option key={value} value={value}>
+              CR {value}
+            </option>
+          ))}
+        </select>
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className={inputClassName}
+          aria-label="Filter by creature type"
+        >
+          <option value="">Any type</option>
+          {MONSTER_TYPES.map((value) => (
+            <option key={value} value={value}>
+              {value}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {results.length === 0 ? (
+        <p className="text-sm text-gray-500">No monsters match.</p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto pr-1">
+          {results.map((monster) => (
+            <MonsterEntry
+              key={monster.name}
+              monster={monster}
+              lockedQuantity={lockedQuantity(monster.name)}
+              onLock={lockMonster}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MonsterCompendium;
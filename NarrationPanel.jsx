@@ -0,0 +1,119 @@
+import React from "react";
+import { TTS_VOICES, HIGHLIGHTED_SECTION_ID } from "./narration";
+import NarrationPlayer from "./NarrationPlayer";
+
+const selectClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+const labelClassName = "block text-sm font-medium text-gray-300 mb-1";
+
+const VoiceSelect = ({ id, label, value, onChange, disabled }) => (
+  <div>
+    <label htmlFor={id} className={labelClassName}>
+      {label}
+    </label>
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className={selectClassName}
+    >
+      {TTS_VOICES.map((voice) => (
+        <option key={voice.name} value={voice.name}>
+          {voice.name} ({voice.tone})
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+// Section and voice pickers for reading the encounter aloud, plus the player
+// for the last generated clip.
+const NarrationPanel = ({
+  sections,
+  sectionId,
+  onSectionChange,
+  voices,
+  onVoicesChange,
+  supportsVoices,
+  isNarrating,
+  onNarrate,
+  onCancel,
+  clip,
+}) => (
+  <div className="mb-6 p-4 bg-gray-800 rounded-lg border border-gray-700">
+    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+      <div>
+        <label htmlFor="narrationSection" className={labelClassName}>
+          Section
+        </label>
+        <select
+          id="narrationSection"
+          value={sectionId}
+          onChange={(e) => onSectionChange(e.target.value)}
+          className={selectClassName}
+        >
+          {sections.map((section) => (
+            <option key={section.id} value={section.id}>
+              {section.title}
+            </option>
+          ))}
+          <option value={HIGHLIGHTED_SECTION_ID}>
+            Text highlighted on the page
+          </option>
+        </select>
+      </div>
+      <VoiceSelect
+        id="narratorVoice"
+        label="Narrator Voice"
+        value={voices.narrator}
+        onChange={(narrator) => onVoicesChange({ ...voices, narrator })}
+        disabled={!supportsVoices}
+      />
+      <VoiceSelect
+        id="monsterVoice"
+        label="Monster Dialogue Voice"
+        value={voices.monster}
+        onChange={(monster) => onVoicesChange({ ...voices, monster })}
+        disabled={!supportsVoices}
+      />
+    </div>
+    {!supportsVoices && (
+      <p className="mt-2 text-xs text-gray-400">
+        The active AI provider has no text-to-speech, so your browser's built-in
+        voice reads the section (no download or caching).
+      </p>
+    )}
+    <div className="mt-3 flex gap-3">
+      <button
+        onClick={onNarrate}
+        disabled={isNarrating}
+        className={`flex items-center justify-center py-2 px-4 rounded-lg font-semibold text-sm transition duration-300 shadow-md ${
+          isNarrating
+            ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+            : "bg-green-600 text-white hover:bg-green-500"
+        }`}
+      >
+        {isNarrating ? (
+          <>
+            <div className="loading-spinner w-4 h-4 border-2 rounded-full mr-2"></div>
+            {supportsVoices ? "Generating Audio..." : "Speaking..."}
+          </>
+        ) : (
+          "🔊 Narrate Section"
+        )}
+      </button>
+      {isNarrating && (
+        <button
+          onClick={onCancel}
+          className="flex items-center justify-center py-2 px-4 rounded-lg font-semibold text-sm transition duration-300 shadow-md bg-red-700 text-white hover:bg-red-600"
+        >
+          ✕ Stop
+        </button>
+      )}
+    </div>
+    {clip && <NarrationPlayer clip={clip} />}
+  </div>
+);
+
+export default NarrationPanel;
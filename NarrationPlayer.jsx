@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useRef } from "react";
+import { slugify, downloadFile } from "./encounterExport";
+
+const formatTime = (seconds) => {
+  if (!Number.isFinite(seconds)) return "0:00";
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+};
+
+// Plays a generated narration clip ({ title, blob }) with pause/resume,
+// seeking and a WAV download. Starts playing as soon as a new clip arrives.
+const NarrationPlayer = ({ clip }) => {
+  const audioRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(clip.blob);
+    setUrl(objectUrl);
+    setCurrentTime(0);
+    setDuration(0);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [clip.blob]);
+
+  const togglePlayback = () => {
+    const audio = audioRef.current;
+    if (audio.paused) {
+      audio.play().catch((e) => console.error("Narration playback failed:", e));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const seek = (e) => {
+    audioRef.current.currentTime = Number(e.target.value);
+    setCurrentTime(Number(e.target.value));
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-gray-900 rounded-lg border border-gray-700">
+      <audio
+        ref={audioRef}
+        src={url || undefined}
+        autoPlay
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={() => setIsPlaying(false)}
+        onLoadedMetadata={(e) => setDuration(e.target.duration)}
+        onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+      />
+      <p className="text-sm text-gray-300 mb-2 truncate">
+        🎙️ <span className="font-semibold text-white">{clip.title}</span>
+        {clip.fromCache && (
+          <span className="ml-2 text-xs text-gray-500">(cached)</span>
+        )}
+      </p>
+      <div className="flex items-center gap-3">
+        <button
+          onClick={togglePlayback}
+          className="py-1 px-3 rounded-lg font-semibold text-sm bg-green-600 text-white hover:bg-green-500"
+          aria-label={isPlaying ? "Pause narration" : "Play narration"}
+        >
+          {isPlaying ? "⏸ Pause" : "▶ Play"}
+        </button>
+        <span className="text-xs text-gray-400 tabular-nums">
+          {formatTime(currentTime)}
+        </span>
+        <input
+          type="range"
+          min="0"
+          max={duration || 0}
+          step="0.1"
+          value={Math.min(currentTime, duration || 0)}
+          onChange={seek}
+          className="flex-grow accent-yellow-500"
+          aria-label="Seek narration"
+        />
+        <span className="text-xs text-gray-400 tabular-nums">
+          {formatTime(duration)}
+        </span>
+        <button
+          onClick={() =>
+            downloadFile(`${slugify(clip.title)}.wav`, clip.blob, "audio/wav")
+          }
+          className="py-1 px-3 rounded-lg font-semibold text-sm bg-gray-600 text-white hover:bg-gray-500"
+        >
+          ⬇️ WAV
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NarrationPlayer;
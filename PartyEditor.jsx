@@ -0,0 +1,267 @@
+import React from "react";
+import {
+  CHARACTER_CLASSES,
+  createCharacter,
+  createParty,
+  getActiveParty,
+  estimateDamagePerRound,
+} from "./partyRoster";
+import { DIFFICULTIES, getPartyThresholds } from "./encounterMath";
+
+const inputClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+const labelClassName = "block text-xs text-gray-400 mb-1";
+
+const clampNumber = (value, min, max) =>
+  Math.max(min, Math.min(max, parseInt(value, 10) || min));
+
+const CharacterCard = ({ character, onChange, onRemove, canRemove }) => {
+  const update = (field, value) => onChange({ ...character, [field]: value });
+
+  return (
+    <li className="p-3 rounded-lg border border-gray-700 bg-gray-900/40 space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={character.name}
+          onChange={(e) => update("name", e.target.value)}
+          className={inputClassName}
+          aria-label="Character name"
+          required
+        />
+        <button
+          type="button"
+          onClick={onRemove}
+          disabled={!canRemove}
+          className="text-xs text-gray-400 hover:text-red-400 disabled:opacity-40"
+          aria-label={`Remove ${character.name}`}
+        >
+          ✕
+        </button>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <label>
+          <span className={labelClassName}>Class</span>
+          <select
+            value={character.characterClass}
+            onChange={(e) => update("characterClass", e.target.value)}
+            className={inputClassName}
+          >
+            {CHARACTER_CLASSES.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className={labelClassName}>Level</span>
+          <input
+            type="number"
+            min="1"
+            max="20"
+            value={character.level}
+            onChange={(e) =>
+              update("level", clampNumber(e.target.value, 1, 20))
+            }
+            className={inputClassName}
+          />
+        </label>
+        <label>
+          <span className={labelClassName}>AC</span>
+          <input
+            type="number"
+            min="1"
+            max="30"
+            value={character.armorClass}
+            onChange={(e) =>
+              update("armorClass", clampNumber(e.target.value, 1, 30))
+            }
+            className={inputClassName}
+          />
+        </label>
+        <label>
+          <span className={labelClassName}>HP</span>
+          <input
+            type="number"
+            min="1"
+            max="999"
+            value={character.hitPoints}
+            onChange={(e) =>
+              update("hitPoints", clampNumber(e.target.value, 1, 999))
+            }
+            className={inputClassName}
+          />
+        </label>
+        <label>
+          <span className={labelClassName}>Passive Perception</span>
+          <input
+            type="number"
+            min="1"
+            max="30"
+            value={character.passivePerception}
+            onChange={(e) =>
+              update("passivePerception", clampNumber(e.target.value, 1, 30))
+            }
+            className={inputClassName}
+          />
+        </label>
+        <label>
+          <span className={labelClassName}>Damage / Round</span>
+          <input
+            type="number"
+            min="0"
+            max="999"
+            value={character.damagePerRound ?? ""}
+            onChange={(e) =>
+              update(
+                "damagePerRound",
+                e.target.value === ""
+                  ? null
+                  : clampNumber(e.target.value, 0, 999)
+              )
+            }
+            placeholder={`~${estimateDamagePerRound(character)}`}
+            className={inputClassName}
+            title="Average damage per round, used by the combat simulator. Leave blank for an estimate from class and level."
+          />
+        </label>
+        <label>
+          <span className={labelClassName}>Resistances</span>
+          <input
+            type="text"
+            value={character.resistances}
+            onChange={(e) => update("resistances", e.target.value)}
+            placeholder="e.g., fire, poison"
+            className={inputClassName}
+          />
+        </label>
+      </div>
+    </li>
+  );
+};
+
+// Editor for the saved parties; the active party drives encounter budgets.
+const PartyEditor = ({ roster, onChange }) => {
+  const party = getActiveParty(roster);
+  const thresholds = getPartyThresholds(
+    party.characters.map((character) => character.level)
+  );
+
+  const updateParty = (changes) =>
+    onChange({
+      ...roster,
+      parties: roster.parties.map((p) =>
+        p.id === party.id ? { ...p, ...changes } : p
+      ),
+    });
+
+  const updateCharacter = (updated) =>
+    updateParty({
+      characters: party.characters.map((character) =>
+        character.id === updated.id ? updated : character
+      ),
+    });
+
+  const addParty = () => {
+    const newParty = createParty(`Party ${roster.parties.length + 1}`, [
+      createCharacter(),
+    ]);
+    onChange({
+      parties: [...roster.parties, newParty],
+      activePartyId: newParty.id,
+    });
+  };
+
+  const deleteParty = () => {
+    if (roster.parties.length <= 1) return;
+    if (!window.confirm(`Delete the party "${party.name}"?`)) return;
+    const parties = roster.parties.filter((p) => p.id !== party.id);
+    onChange({ parties, activePartyId: parties[0].id });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <select
+          value={party.id}
+          onChange={(e) =>
+            onChange({ ...roster, activePartyId: e.target.value })
+          }
+          className={inputClassName}
+          aria-label="Active party"
+        >
+          {roster.parties.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={addParty}
+          className="py-1 px-2 rounded-md text-xs font-semibold bg-gray-600 text-white hover:bg-gray-500 whitespace-nowrap"
+        >
+          + Party
+        </button>
+        <button
+          type="button"
+          onClick={deleteParty}
+          disabled={roster.parties.length <= 1}
+          className="py-1 px-2 rounded-md text-xs font-semibold bg-gray-600 text-white hover:bg-red-700 disabled:opacity-40"
+        >
+          Delete
+        </button>
+      </div>
+
+      <label>
+        <span className={labelClassName}>Party Name</span>
+        <input
+          type="text"
+          value={party.name}
+          onChange={(e) => updateParty({ name: e.target.value })}
+          className={inputClassName}
+        />
+      </label>
+
+      <ul className="space-y-2 max-h-[28rem] overflow-y-auto">
+        {party.characters.map((character) => (
+          <CharacterCard
+            key={character.id}
+            character={character}
+            onChange={updateCharacter}
+            canRemove={party.characters.length > 1}
+            onRemove={() =>
+              updateParty({
+                characters: party.characters.filter(
+                  (c) => c.id !== character.id
+                ),
+              })
+            }
+          />
+        ))}
+      </ul>
+
+      <button
+        type="button"
+        onClick={() =>
+          updateParty({ characters: [...party.characters, createCharacter()] })
+        }
+        className="w-full py-2 rounded-lg text-sm font-semibold bg-gray-700 text-gray-200 hover:bg-gray-600"
+      >
+        + Add Character
+      </button>
+
+      <div className="grid grid-cols-4 gap-1 text-center text-xs text-gray-400">
+        {DIFFICULTIES.map((tier) => (
+          <div key={tier}>
+            <span className="block text-gray-500">{tier}</span>
+            {thresholds[tier].toLocaleString()} XP
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PartyEditor;
@@ -0,0 +1,211 @@
+import React, { useState } from "react";
+import { buildPlayerViewLink } from "./playerScreen";
+import { PlayerScreenContent } from "./PlayerView";
+
+const inputClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+const labelClassName = "block text-xs text-gray-400 mb-1";
+
+// The DM's side of the player screen: opens it, shares it with remote
+// players and decides what it shows. Nothing reaches the players until it
+// is checked here.
+const PlayerScreenControls = ({
+  reveal,
+  onChange,
+  encounter,
+  screen,
+  isCombatActive,
+  screenId,
+  isRemoteAvailable,
+  isSharing,
+  onShareRemote,
+  onStopRemote,
+  onClose,
+}) => {
+  const [copied, setCopied] = useState(false);
+  const monsters = encounter?.monsters || [];
+  const remoteLink = screenId ? buildPlayerViewLink(screenId) : "";
+
+  const openWindow = () => {
+    window.open(buildPlayerViewLink(), "dnd-battle-master-players");
+  };
+
+  const copyLink = () => {
+    navigator.clipboard
+      .writeText(remoteLink)
+      .then(() => setCopied(true))
+      .catch((e) => console.error("Failed to copy player link:", e));
+  };
+
+  const toggleMonster = (name, isRevealed) =>
+    onChange({
+      ...reveal,
+      revealed: isRevealed
+        ? [...reveal.revealed, name]
+        : reveal.revealed.filter((revealedName) => revealedName !== name),
+    });
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700 mb-8">
+      <div className="flex items-center mb-6 border-b border-yellow-700/50 pb-2">
+        <h2 className="text-2xl font-semibold text-white">Player Screen</h2>
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-400 hover:text-white"
+          aria-label="Close player screen controls"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={openWindow}
+          className="py-2 px-3 rounded-lg text-sm font-semibold bg-blue-600 text-white hover:bg-blue-500"
+        >
+          📺 Open Player Window
+        </button>
+        {screenId ? (
+          <button
+            onClick={onStopRemote}
+            className="py-2 px-3 rounded-lg text-sm font-semibold bg-gray-600 text-white hover:bg-gray-500"
+          >
+            Stop Sharing Online
+          </button>
+        ) : (
+          <button
+            onClick={onShareRemote}
+            disabled={!isRemoteAvailable || isSharing}
+            className="py-2 px-3 rounded-lg text-sm font-semibold bg-gray-600 text-white hover:bg-gray-500 disabled:text-gray-400 disabled:cursor-not-allowed"
+            title={
+              isRemoteAvailable
+                ? "Share a link for players on other devices"
+                : "Needs a database connection"
+            }
+          >
+            {isSharing ? "Sharing…" : "🌐 Share with Remote Players"}
+          </button>
+        )}
+      </div>
+      {screenId && (
+        <div className="flex gap-2 mt-2">
+          <input
+            type="text"
+            value={remoteLink}
+            readOnly
+            onFocus={(e) => e.target.select()}
+            className={inputClassName}
+            aria-label="Player screen link"
+          />
+          <button
+            onClick={copyLink}
+            className="py-2 px-3 rounded-lg text-sm font-semibold bg-gray-600 text-white hover:bg-gray-500 whitespace-nowrap"
+          >
+            {copied ? "✓ Copied" : "Copy"}
+          </button>
+        </div>
+      )}
+
+      <div className="mt-6 p-4 bg-gray-900/40 rounded-lg border border-gray-700">
+        <div className="flex items-center mb-2">
+          <h3 className="text-sm font-semibold text-gray-300">Read-Aloud</h3>
+          <button
+            onClick={() =>
+              onChange({ ...reveal, readAloud: encounter?.hook || "" })
+            }
+            disabled={!encounter?.hook}
+            className="ml-auto text-xs text-gray-400 hover:text-yellow-400 disabled:text-gray-600"
+          >
+            Use the scene hook
+          </button>
+        </div>
+        <textarea
+          value={reveal.readAloud}
+          onChange={(e) => onChange({ ...reveal, readAloud: e.target.value })}
+          rows={4}
+          placeholder="Text to show the players"
+          className={inputClassName}
+          aria-label="Read-aloud text"
+        />
+        <label className="flex items-center gap-2 mt-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={reveal.showReadAloud}
+            onChange={(e) =>
+              onChange({ ...reveal, showReadAloud: e.target.checked })
+            }
+          />
+          Show on the player screen
+        </label>
+      </div>
+
+      <div className="mt-6 p-4 bg-gray-900/40 rounded-lg border border-gray-700">
+        <h3 className="text-sm font-semibold text-gray-300 mb-2">Monsters</h3>
+        {monsters.length === 0 ? (
+          <p className="text-xs text-gray-500">No encounter yet.</p>
+        ) : (
+          <ul className="space-y-3">
+            {monsters.map((monster) => (
+              <li
+                key={monster.name}
+                className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-center"
+              >
+                <label className="flex items-center gap-2 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={reveal.revealed.includes(monster.name)}
+                    onChange={(e) =>
+                      toggleMonster(monster.name, e.target.checked)
+                    }
+                  />
+                  {monster.name}
+                </label>
+                <label className="sm:col-span-2">
+                  <span className="sr-only">Art for {monster.name}</span>
+                  <input
+                    type="url"
+                    value={reveal.art[monster.name] || ""}
+                    onChange={(e) =>
+                      onChange({
+                        ...reveal,
+                        art: { ...reveal.art, [monster.name]: e.target.value },
+                      })
+                    }
+                    placeholder="Art image URL (optional)"
+                    className={inputClassName}
+                  />
+                </label>
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className="mt-2 text-xs text-gray-500">
+          Players see only the name and art of revealed monsters.
+        </p>
+      </div>
+
+      <label className="flex items-center gap-2 mt-4 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={reveal.showInitiative}
+          onChange={(e) =>
+            onChange({ ...reveal, showInitiative: e.target.checked })
+          }
+        />
+        Show the initiative order during combat
+        {reveal.showInitiative && !isCombatActive && (
+          <span className="text-xs text-gray-500">(no combat running)</span>
+        )}
+      </label>
+
+      <div className="mt-6">
+        <span className={labelClassName}>What the players see</span>
+        <div className="p-4 bg-gray-900 rounded-lg border border-gray-700">
+          <PlayerScreenContent screen={screen} compact />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlayerScreenControls;
@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from "react";
+import {
+  EMPTY_PLAYER_SCREEN,
+  isPlayerScreenEmpty,
+  openPlayerChannel,
+} from "./playerScreen";
+import { subscribeToScreen } from "./screenStore";
+
+// The player screen itself; also used as the DM's preview.
+export const PlayerScreenContent = ({ screen, compact = false }) => {
+  if (isPlayerScreenEmpty(screen)) {
+    return (
+      <p
+        className={`text-center text-gray-500 ${
+          compact ? "p-4 text-sm" : "p-24 text-2xl"
+        }`}
+      >
+        Waiting for the Dungeon Master…
+      </p>
+    );
+  }
+  return (
+    <div className={compact ? "space-y-4" : "space-y-10"}>
+      {screen.readAloud && (
+        <p
+          className={`font-serif text-gray-100 whitespace-pre-line leading-relaxed ${
+            compact ? "text-sm" : "text-3xl"
+          }`}
+        >
+          {screen.readAloud}
+        </p>
+      )}
+
+      {screen.monsters.length > 0 && (
+        <ul className="flex flex-wrap justify-center gap-6">
+          {screen.monsters.map((monster) => (
+            <li key={monster.name} className="text-center">
+              {monster.art ? (
+                <img
+                  src={monster.art}
+                  alt={monster.name}
+                  className={`object-cover rounded-xl border-2 border-red-800 ${
+                    compact ? "w-16 h-16" : "w-56 h-56"
+                  }`}
+                />
+              ) : (
+                <div
+                  className={`flex items-center justify-center rounded-xl border-2 border-red-800 bg-red-950/60 font-bold text-red-300 ${
+                    compact ? "w-16 h-16 text-2xl" : "w-56 h-56 text-8xl"
+                  }`}
+                  aria-hidden="true"
+                >
+                  {monster.name.charAt(0)}
+                </div>
+              )}
+              <span
+                className={`block mt-2 font-semibold text-red-300 ${
+                  compact ? "text-xs" : "text-2xl"
+                }`}
+              >
+                {monster.name}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {screen.initiative && (
+        <div>
+          <h2
+            className={`font-semibold text-yellow-400 mb-2 ${
+              compact ? "text-sm" : "text-3xl"
+            }`}
+          >
+            Initiative · Round {screen.initiative.round}
+          </h2>
+          <ol className={compact ? "space-y-1" : "space-y-2"}>
+            {screen.initiative.entries.map((entry, index) => (
+              <li
+                key={index}
+                className={`rounded-lg border px-3 py-1 ${
+                  compact ? "text-xs" : "text-2xl"
+                } ${
+                  entry.isActive
+                    ? "border-yellow-500 bg-yellow-900/30"
+                    : "border-gray-700"
+                } ${entry.type === "pc" ? "text-blue-300" : "text-red-300"}`}
+              >
+                {entry.isActive && "▶ "}
+                {entry.name}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Full-screen player view, opened with ?view=players. Without a screen id
+// it follows the DM screen in the same browser; with one it follows that
+// shared Firestore screen.
+const PlayerView = ({ db, appId, screenId, isAuthReady }) => {
+  const [screen, setScreen] = useState(EMPTY_PLAYER_SCREEN);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (screenId) return;
+    const channel = openPlayerChannel((message) => {
+      if (message.type === "screen") setScreen(message.screen);
+    });
+    if (!channel) {
+      setError("This browser cannot receive the DM screen.");
+      return;
+    }
+    channel.postMessage({ type: "hello" });
+    return () => channel.close();
+  }, [screenId]);
+
+  useEffect(() => {
+    if (!screenId || !isAuthReady) return;
+    if (!db) {
+      setError("Remote player screens need a database connection.");
+      return;
+    }
+    return subscribeToScreen(db, appId, screenId, setScreen, (e) => {
+      console.error("Failed to follow the player screen:", e);
+      setError("Could not open this player screen. Check the link.");
+    });
+  }, [db, appId, screenId, isAuthReady]);
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-8 font-sans">
+      <div className="max-w-5xl mx-auto">
+        {error ? (
+          <p className="text-center text-red-300 p-24 text-xl">{error}</p>
+        ) : (
+          <PlayerScreenContent screen={screen} />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlayerView;
@@ -0,0 +1,291 @@
+import React, { useState } from "react";
+import {
+  PROMPT_PURPOSES,
+  PROMPT_VARIABLES,
+  PROMPT_PRESETS,
+  DEFAULT_PROMPT_SETTINGS,
+  getTemplatesForPurpose,
+  getActiveTemplate,
+  getNewerBuiltIn,
+  selectTemplate,
+  forkTemplate,
+  updateTemplate,
+  resetTemplate,
+  deleteTemplate,
+  togglePreset,
+  findTemplateProblems,
+  buildSystemInstruction,
+} from "./promptTemplates";
+
+const inputClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+const labelClassName = "block text-sm font-medium text-gray-300 mb-1";
+const buttonClassName =
+  "py-1 px-3 rounded-lg font-semibold text-xs disabled:opacity-40 disabled:cursor-not-allowed";
+const secondaryButtonClassName = `${buttonClassName} bg-gray-600 text-white hover:bg-gray-500`;
+
+const templateLabel = (template) =>
+  `${template.name} · v${template.version}${
+    template.basedOn ? "" : " (built-in)"
+  }`;
+
+// Presets plus create/preview/fork/reset of the system instruction
+// templates behind each kind of AI call. Built-in templates are read-only;
+// forks are edited as drafts and saved as new versions.
+const PromptTemplateEditor = ({
+  settings,
+  onChange,
+  previewVariables,
+  onClose,
+}) => {
+  const [purpose, setPurpose] = useState(PROMPT_PURPOSES[0].id);
+  const [drafts, setDrafts] = useState({});
+
+  const templates = getTemplatesForPurpose(settings, purpose);
+  const active = getActiveTemplate(settings, purpose);
+  const isBuiltIn = !active.basedOn;
+  const draft = drafts[active.id] || { name: active.name, text: active.text };
+  const isDirty = draft.name !== active.name || draft.text !== active.text;
+  const newerBuiltIn = getNewerBuiltIn(active);
+  const problems = findTemplateProblems(draft.text, purpose);
+  const preview = buildSystemInstruction(
+    {
+      ...settings,
+      templates: settings.templates.map((template) =>
+        template.id === active.id ? { ...template, text: draft.text } : template
+      ),
+    },
+    purpose,
+    previewVariables
+  );
+
+  const changeDraft = (changes) =>
+    setDrafts({ ...drafts, [active.id]: { ...draft, ...changes } });
+  const discardDraft = () => {
+    const { [active.id]: discarded, ...rest } = drafts;
+    setDrafts(rest);
+  };
+
+  const fork = () => {
+    onChange(forkTemplate(settings, { ...active, text: draft.text }).settings);
+    discardDraft();
+  };
+
+  const save = () => {
+    onChange(
+      updateTemplate(settings, active.id, {
+        name: draft.name.trim() || active.name,
+        text: draft.text,
+      })
+    );
+    discardDraft();
+  };
+
+  const reset = () => {
+    if (
+      !window.confirm(
+        `Reset "${active.name}" to the built-in template? Your edits will be replaced.`
+      )
+    ) {
+      return;
+    }
+    onChange(resetTemplate(settings, active.id));
+    discardDraft();
+  };
+
+  const remove = () => {
+    if (!window.confirm(`Delete the template "${active.name}"?`)) return;
+    onChange(deleteTemplate(settings, active.id));
+    discardDraft();
+  };
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700 mb-8">
+      <div className="flex items-center mb-6 border-b border-yellow-700/50 pb-2">
+        <h2 className="text-2xl font-semibold text-white">Prompt Templates</h2>
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-400 hover:text-white"
+          aria-label="Close prompt templates"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        <div>
+          <span className={labelClassName}>
+            Presets (added to every AI call and to narration)
+          </span>
+          <div className="flex flex-wrap gap-2">
+            {PROMPT_PRESETS.map((preset) => {
+              const isSelected = settings.presetIds.includes(preset.id);
+              return (
+                <button
+                  key={preset.id}
+                  onClick={() => onChange(togglePreset(settings, preset.id))}
+                  title={preset.instruction}
+                  aria-pressed={isSelected}
+                  className={`text-xs rounded-full px-3 py-1 border ${
+                    isSelected
+                      ? "bg-yellow-400 text-gray-900 border-yellow-400"
+                      : "bg-gray-700 text-gray-300 border-gray-600 hover:border-yellow-500"
+                  }`}
+                >
+                  {preset.name}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 border-b border-gray-700 pb-2">
+          {PROMPT_PURPOSES.map((option) => (
+            <button
+              key={option.id}
+              onClick={() => setPurpose(option.id)}
+              className={`text-sm px-3 py-1 rounded-lg ${
+                option.id === purpose
+                  ? "bg-gray-700 text-yellow-300 font-semibold"
+                  : "text-gray-400 hover:text-white"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <label className="block">
+            <span className={labelClassName}>Active template</span>
+            <select
+              value={active.id}
+              onChange={(e) =>
+                onChange(selectTemplate(settings, purpose, e.target.value))
+              }
+              className={inputClassName}
+            >
+              {templates.map((template) => (
+                <option key={template.id} value={template.id}>
+                  {templateLabel(template)}
+                </option>
+              ))}
+            </select>
+          </label>
+          {!isBuiltIn && (
+            <label className="block">
+              <span className={labelClassName}>Name</span>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => changeDraft({ name: e.target.value })}
+                className={inputClassName}
+              />
+            </label>
+          )}
+        </div>
+
+        {newerBuiltIn && (
+          <p className="text-xs text-yellow-300">
+            The built-in template has been updated to v{newerBuiltIn.version}{" "}
+            since this copy was made. Reset to pick up the changes.
+          </p>
+        )}
+
+        <textarea
+          rows={12}
+          value={draft.text}
+          readOnly={isBuiltIn}
+          onChange={(e) => changeDraft({ text: e.target.value })}
+          className={`${inputClassName} font-mono text-xs ${
+            isBuiltIn ? "text-gray-400" : ""
+          }`}
+        />
+
+        {problems.length > 0 && (
+          <ul className="text-xs text-red-400 list-disc list-inside">
+            {problems.map((problem) => (
+              <li key={problem}>{problem}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          <button onClick={fork} className={secondaryButtonClassName}>
+            {isBuiltIn ? "Fork to edit" : "Fork"}
+          </button>
+          {!isBuiltIn && (
+            <>
+              <button
+                onClick={save}
+                disabled={!isDirty}
+                className={`${buttonClassName} bg-yellow-400 text-gray-900 hover:bg-yellow-500`}
+              >
+                Save as v{active.version + 1}
+              </button>
+              <button
+                onClick={discardDraft}
+                disabled={!isDirty}
+                className={secondaryButtonClassName}
+              >
+                Discard changes
+              </button>
+              <button onClick={reset} className={secondaryButtonClassName}>
+                Reset to built-in
+              </button>
+              <button
+                onClick={remove}
+                className={`${buttonClassName} bg-red-700 text-white hover:bg-red-600`}
+              >
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+
+        <details className="text-sm text-gray-300">
+          <summary className="cursor-pointer">Variables</summary>
+          <dl className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1 text-xs">
+            {Object.entries(PROMPT_VARIABLES).map(([name, description]) => (
+              <div key={name}>
+                <dt className="inline font-mono text-yellow-300">{`{{${name}}}`}</dt>{" "}
+                <dd className="inline text-gray-400">{description}</dd>
+              </div>
+            ))}
+          </dl>
+        </details>
+
+        <details className="text-sm text-gray-300">
+          <summary className="cursor-pointer">
+            Preview with the current party
+          </summary>
+          <p className="mt-2 text-xs text-gray-400">
+            Variables only known at generation time (like the schema) are shown
+            as written.
+          </p>
+          <pre className="mt-2 p-3 bg-gray-900 rounded-lg text-xs whitespace-pre-wrap max-h-80 overflow-y-auto">
+            {preview}
+          </pre>
+        </details>
+
+        <button
+          onClick={() => {
+            if (
+              window.confirm(
+                "Delete all custom templates and presets and go back to the built-in prompts?"
+              )
+            ) {
+              onChange(DEFAULT_PROMPT_SETTINGS);
+              setDrafts({});
+            }
+          }}
+          className="text-xs text-gray-400 hover:text-yellow-400"
+        >
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PromptTemplateEditor;
@@ -0,0 +1,188 @@
+import React, { useState } from "react";
+import { buildRoomLink, isPresent, parseRoomId } from "./roomStore";
+
+const inputClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+const labelClassName = "block text-xs text-gray-400 mb-1";
+
+// Shares the current encounter and combat with other DMs through a link,
+// and shows who else is in the room and what they are doing.
+const RoomPanel = ({
+  roomId,
+  isAvailable,
+  isSynced,
+  isBusy,
+  presence,
+  userId,
+  displayName,
+  onDisplayNameChange,
+  onCreate,
+  onJoin,
+  onLeave,
+  onClose,
+}) => {
+  const [joinText, setJoinText] = useState("");
+  const [copied, setCopied] = useState(false);
+  const joinRoomId = parseRoomId(joinText);
+  const link = roomId ? buildRoomLink(roomId) : "";
+
+  const copyLink = () => {
+    navigator.clipboard
+      .writeText(link)
+      .then(() => setCopied(true))
+      .catch((e) => console.error("Failed to copy room link:", e));
+  };
+
+  const submitJoin = (e) => {
+    e.preventDefault();
+    if (!joinRoomId) return;
+    onJoin(joinRoomId);
+    setJoinText("");
+  };
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700 mb-8">
+      <div className="flex items-center mb-6 border-b border-yellow-700/50 pb-2">
+        <h2 className="text-2xl font-semibold text-white">Co-DM Room</h2>
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-400 hover:text-white"
+          aria-label="Close co-DM room"
+        >
+          ✕
+        </button>
+      </div>
+
+      {!isAvailable ? (
+        <p className="text-sm text-yellow-300">
+          Co-DM rooms need a database connection.
+        </p>
+      ) : (
+        <>
+          <label className="block mb-4">
+            <span className={labelClassName}>Your name in rooms</span>
+            <input
+              type="text"
+              value={displayName}
+              onChange={(e) => onDisplayNameChange(e.target.value)}
+              placeholder={`DM ${userId.slice(0, 4)}`}
+              className={inputClassName}
+            />
+          </label>
+
+          {roomId ? (
+            <>
+              <span className={labelClassName}>
+                Share this link with your co-DM
+              </span>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={link}
+                  readOnly
+                  onFocus={(e) => e.target.select()}
+                  className={inputClassName}
+                  aria-label="Room link"
+                />
+                <button
+                  onClick={copyLink}
+                  className="py-2 px-3 rounded-lg text-sm font-semibold bg-gray-600 text-white hover:bg-gray-500 whitespace-nowrap"
+                >
+                  {copied ? "✓ Copied" : "Copy"}
+                </button>
+              </div>
+
+              <div className="mt-6 p-4 bg-gray-900/40 rounded-lg border border-gray-700">
+                <h3 className="text-sm font-semibold text-gray-300 mb-2">
+                  In the Room
+                </h3>
+                {!isSynced ? (
+                  <p className="text-xs text-gray-500">Connecting…</p>
+                ) : (
+                  <ul className="space-y-1 text-sm">
+                    {presence.map((entry) => {
+                      const online = isPresent(entry);
+                      return (
+                        <li
+                          key={entry.userId}
+                          className="flex items-center gap-2 text-gray-300"
+                        >
+                          <span
+                            className={`w-2 h-2 rounded-full ${
+                              online ? "bg-green-400" : "bg-gray-600"
+                            }`}
+                            aria-label={online ? "Online" : "Away"}
+                          />
+                          <span className="font-semibold">{entry.name}</span>
+                          {entry.userId === userId && (
+                            <span className="text-xs text-gray-500">(you)</span>
+                          )}
+                          {online && entry.activity && (
+                            <span className="text-xs text-yellow-400">
+                              {entry.activity}…
+                            </span>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </div>
+
+              <p className="mt-4 text-xs text-gray-500">
+                Generated encounters, edits, flesh-out details, loot and the
+                combat tracker are shared live. Simultaneous changes to the same
+                thing keep the last one saved. Encounters you save still go to
+                your own library only.
+              </p>
+              <button
+                onClick={onLeave}
+                className="mt-4 text-sm text-gray-400 hover:text-red-400"
+              >
+                Leave Room
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={onCreate}
+                disabled={isBusy}
+                className="w-full py-2 px-4 rounded-lg font-bold text-gray-900 bg-yellow-400 hover:bg-yellow-500 disabled:bg-gray-600 disabled:text-gray-400 transition duration-150"
+              >
+                {isBusy ? "Creating…" : "Create Room with This Encounter"}
+              </button>
+              <form onSubmit={submitJoin} className="mt-4">
+                <label className={labelClassName} htmlFor="join-room">
+                  Or join with a link from another DM
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    id="join-room"
+                    type="text"
+                    value={joinText}
+                    onChange={(e) => setJoinText(e.target.value)}
+                    placeholder="Room link or id"
+                    className={inputClassName}
+                  />
+                  <button
+                    type="submit"
+                    disabled={!joinRoomId}
+                    className="py-2 px-3 rounded-lg text-sm font-semibold bg-blue-600 text-white hover:bg-blue-500 disabled:bg-gray-600 disabled:text-gray-400"
+                  >
+                    Join
+                  </button>
+                </div>
+              </form>
+              <p className="mt-4 text-xs text-gray-500">
+                Joining replaces your current encounter and combat with the
+                room's.
+              </p>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RoomPanel;
@@ -0,0 +1,40 @@
+import React, { useState } from "react";
+
+// Offered after a safety block: the flavor text with graphic wording
+// softened, editable before retrying.
+const SafetyRetryNotice = ({ suggestedFlavor, onRetry, onDismiss }) => {
+  const [draft, setDraft] = useState(suggestedFlavor);
+
+  return (
+    <div className="p-4 bg-gray-900/40 border border-yellow-700 rounded-lg mb-4">
+      <p className="font-semibold text-yellow-300">🛡️ Rephrase and try again</p>
+      <p className="text-sm text-gray-400 mt-1 mb-2">
+        This milder version of your flavor text usually gets past the filters.
+        Adjust it if you like; it replaces the flavor field when you retry.
+      </p>
+      <textarea
+        rows={3}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        className="w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm"
+      />
+      <div className="flex gap-2 mt-2">
+        <button
+          onClick={() => onRetry(draft)}
+          disabled={!draft.trim()}
+          className="py-1 px-3 rounded-lg font-semibold text-sm bg-yellow-400 text-gray-900 hover:bg-yellow-500 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Retry with softened flavor
+        </button>
+        <button
+          onClick={onDismiss}
+          className="py-1 px-3 rounded-lg font-semibold text-sm bg-gray-600 text-white hover:bg-gray-500"
+        >
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SafetyRetryNotice;
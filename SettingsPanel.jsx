@@ -0,0 +1,172 @@
+import React from "react";
+import { PROVIDER_OPTIONS, DEFAULT_PROVIDER_SETTINGS } from "./providers";
+
+const inputClassName =
+  "w-full p-2 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 text-sm";
+const labelClassName = "block text-sm font-medium text-gray-300 mb-1";
+
+const Field = ({ label, children }) => (
+  <label className="block">
+    <span className={labelClassName}>{label}</span>
+    {children}
+  </label>
+);
+
+const CapabilityBadge = ({ label, enabled }) => (
+  <span
+    className={`text-xs rounded-full px-2 py-1 ${
+      enabled
+        ? "bg-green-900/60 text-green-300"
+        : "bg-gray-700 text-gray-400 line-through"
+    }`}
+  >
+    {label}
+  </span>
+);
+
+// Provider selection and per-provider connection settings.
+const SettingsPanel = ({ settings, onChange, capabilities, onClose }) => {
+  const updateProvider = (providerId, changes) =>
+    onChange({
+      ...settings,
+      [providerId]: { ...settings[providerId], ...changes },
+    });
+
+  return (
+    <div className="p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700 mb-8">
+      <div className="flex items-center mb-6 border-b border-yellow-700/50 pb-2">
+        <h2 className="text-2xl font-semibold text-white">AI Settings</h2>
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-400 hover:text-white"
+          aria-label="Close settings"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        <Field label="AI Provider">
+          <select
+            value={settings.providerId}
+            onChange={(e) =>
+              onChange({ ...settings, providerId: e.target.value })
+            }
+            className={inputClassName}
+          >
+            {PROVIDER_OPTIONS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </Field>
+
+        <div className="flex flex-wrap gap-2">
+          <CapabilityBadge
+            label="Search grounding & sources"
+            enabled={capabilities.grounding}
+          />
+          <CapabilityBadge
+            label="AI narration (falls back to browser voice)"
+            enabled={capabilities.tts}
+          />
+        </div>
+
+        {settings.providerId === "gemini" && (
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <Field label="API Key (optional in Canvas)">
+              <input
+                type="password"
+                value={settings.gemini.apiKey}
+                onChange={(e) =>
+                  updateProvider("gemini", { apiKey: e.target.value })
+                }
+                className={inputClassName}
+              />
+            </Field>
+            <Field label="Text Model">
+              <input
+                type="text"
+                value={settings.gemini.textModel}
+                onChange={(e) =>
+                  updateProvider("gemini", { textModel: e.target.value })
+                }
+                className={inputClassName}
+              />
+            </Field>
+            <Field label="Speech Model">
+              <input
+                type="text"
+                value={settings.gemini.ttsModel}
+                onChange={(e) =>
+                  updateProvider("gemini", { ttsModel: e.target.value })
+                }
+                className={inputClassName}
+              />
+            </Field>
+          </div>
+        )}
+
+        {settings.providerId === "openai" && (
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <Field label="Base URL">
+              <input
+                type="url"
+                value={settings.openai.baseUrl}
+                onChange={(e) =>
+                  updateProvider("openai", { baseUrl: e.target.value })
+                }
+                placeholder={DEFAULT_PROVIDER_SETTINGS.openai.baseUrl}
+                className={inputClassName}
+              />
+            </Field>
+            <Field label="Model">
+              <input
+                type="text"
+                value={settings.openai.model}
+                onChange={(e) =>
+                  updateProvider("openai", { model: e.target.value })
+                }
+                className={inputClassName}
+              />
+            </Field>
+            <Field label="API Key (if required)">
+              <input
+                type="password"
+                value={settings.openai.apiKey}
+                onChange={(e) =>
+                  updateProvider("openai", { apiKey: e.target.value })
+                }
+                className={inputClassName}
+              />
+            </Field>
+          </div>
+        )}
+
+        {settings.providerId === "fixture" && (
+          <Field label='Custom fixtures JSON (optional, e.g. { "encounter": {...}, "details": "..." })'>
+            <textarea
+              rows={6}
+              value={settings.fixture.customFixtures}
+              onChange={(e) =>
+                updateProvider("fixture", { customFixtures: e.target.value })
+              }
+              placeholder="Leave empty to replay the built-in sample encounter."
+              className={`${inputClassName} font-mono`}
+            />
+          </Field>
+        )}
+
+        <button
+          onClick={() => onChange(DEFAULT_PROVIDER_SETTINGS)}
+          className="text-xs text-gray-400 hover:text-yellow-400"
+        >
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,103 @@
+import React from "react";
+import { renderCitedText } from "./CitationMarker";
+
+// "Scimitar. +4 to hit, 5 (1d6 + 2) slashing damage." -> name + description
+const splitAction = (text) => {
+  const match = text.match(/^([^.]{1,60})\.\s+([\s\S]*)$/);
+  return match
+    ? { name: match[1], description: match[2] }
+    : { name: "", description: text };
+};
+
+const StatLine = ({ label, value }) =>
+  value ? (
+    <p className="text-sm">
+      <span className="font-bold text-red-900">{label}</span>{" "}
+      {renderCitedText(value)}
+    </p>
+  ) : null;
+
+const Divider = () => (
+  <div className="h-1 my-2 bg-gradient-to-r from-red-900 via-red-800 to-transparent" />
+);
+
+// A 5e-style stat card for a monster group detected by remarkStatBlocks.
+// Citation markers in its fields render as CitationMarkers.
+const StatBlockCard = (props) => {
+  let block;
+  try {
+    block = JSON.parse(props["data-stat-block"]);
+  } catch (e) {
+    console.error("Unreadable stat block:", e);
+    return null;
+  }
+
+  const compendiumWarning =
+    block.compendium && /⚠️|not in/i.test(block.compendium);
+
+  return (
+    <div className="my-4 p-4 rounded-lg bg-amber-50 text-gray-900 border-t-4 border-b-4 border-amber-600 shadow-lg font-serif not-prose">
+      <div className="flex items-baseline justify-between gap-2">
+        <h3 className="text-xl font-bold text-red-900 tracking-wide uppercase">
+          {block.name}
+        </h3>
+        <span className="text-sm font-semibold text-gray-700">
+          ×{block.quantity}
+        </span>
+      </div>
+      {block.cr && (
+        <p className="text-sm italic text-gray-700">
+          Challenge {renderCitedText(block.cr)}
+        </p>
+      )}
+      <Divider />
+      <StatLine label="Armor Class" value={block.armorClass} />
+      <StatLine label="Hit Points" value={block.hitPoints} />
+      <StatLine label="Speed" value={block.speed} />
+      <StatLine label="Initiative" value={block.initiative} />
+      {block.traits.length > 0 && (
+        <>
+          <Divider />
+          {block.traits.map((trait, index) => (
+            <p key={index} className="text-sm mb-1">
+              {renderCitedText(trait)}
+            </p>
+          ))}
+        </>
+      )}
+      {block.actions.length > 0 && (
+        <>
+          <h4 className="mt-3 mb-1 text-lg text-red-900 border-b border-red-900">
+            Actions
+          </h4>
+          {block.actions.map((action, index) => {
+            const { name, description } = splitAction(action);
+            return (
+              <p key={index} className="text-sm mb-1">
+                {name && <span className="font-bold italic">{name}. </span>}
+                {renderCitedText(description)}
+              </p>
+            );
+          })}
+        </>
+      )}
+      {block.notes && (
+        <p className="text-sm mt-2">
+          <span className="font-bold italic">Notes. </span>
+          {renderCitedText(block.notes)}
+        </p>
+      )}
+      {block.compendium && (
+        <p
+          className={`text-xs mt-3 ${
+            compendiumWarning ? "text-amber-800 font-semibold" : "text-gray-600"
+          }`}
+        >
+          {block.compendium}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default StatBlockCard;
@@ -0,0 +1,159 @@
+// --- Adventuring Day Planner ---
+// Splits the DMG's adjusted XP per day across a sequence of fights separated
+// by short rests, and tracks how much of that budget generated encounters use.
+
+import {
+  DIFFICULTIES,
+  getPartyThresholds,
+  evaluateEncounter,
+} from "./encounterMath";
+
+// Adjusted XP per day, per character, by level (DMG p. 84).
+export const ADVENTURING_DAY_XP_BY_LEVEL = {
+  1: 300,
+  2: 600,
+  3: 1200,
+  4: 1700,
+  5: 3500,
+  6: 4000,
+  7: 5000,
+  8: 6000,
+  9: 7500,
+  10: 9000,
+  11: 10500,
+  12: 11500,
+  13: 13500,
+  14: 15000,
+  15: 18000,
+  16: 20000,
+  17: 25000,
+  18: 27000,
+  19: 30000,
+  20: 40000,
+};
+
+export const MAX_DAY_ENCOUNTERS = 8;
+export const MAX_SHORT_RESTS = 3;
+
+// The fight just before each rest (and the day's last) is its leg's climax.
+const CLIMAX_WEIGHT = 1.5;
+
+const clamp = (value, min, max) =>
+  Math.max(min, Math.min(max, Math.round(Number(value) || 0)));
+
+export const getDailyXpBudget = (partyLevels) =>
+  partyLevels.reduce(
+    (sum, level) => sum + ADVENTURING_DAY_XP_BY_LEVEL[clamp(level, 1, 20)],
+    0
+  );
+
+// The hardest tier whose party threshold the target reaches (at least Easy).
+const difficultyForTarget = (targetXp, thresholds) => {
+  let difficulty = DIFFICULTIES[0];
+  DIFFICULTIES.forEach((tier) => {
+    if (targetXp >= thresholds[tier]) difficulty = tier;
+  });
+  return difficulty;
+};
+
+// Lays out the day as a list of slots, each either
+// { type: "encounter", number, targetXp, difficulty } or
+// { type: "rest", afterNumber }.
+// Short rests divide the fights into legs of near-equal length, and the
+// daily budget is shared out by weight so each leg builds to its climax.
+export const planAdventuringDay = ({
+  partyLevels,
+  encounterCount,
+  shortRests,
+}) => {
+  const count = clamp(encounterCount, 1, MAX_DAY_ENCOUNTERS);
+  const rests = clamp(shortRests, 0, Math.min(MAX_SHORT_RESTS, count - 1));
+  const budget = getDailyXpBudget(partyLevels);
+  const thresholds = getPartyThresholds(partyLevels);
+
+  const legCount = rests + 1;
+  const legSizes = Array.from(
+    { length: legCount },
+    (_, leg) => Math.floor(count / legCount) + (leg < count % legCount ? 1 : 0)
+  );
+  const weights = legSizes.flatMap((size) =>
+    Array.from({ length: size }, (_, index) =>
+      index === size - 1 && size > 1 ? CLIMAX_WEIGHT : 1
+    )
+  );
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const slots = [];
+  let number = 0;
+  legSizes.forEach((size, leg) => {
+    for (let i = 0; i < size; i++) {
+      const targetXp = Math.round((budget * weights[number]) / totalWeight);
+      number += 1;
+      slots.push({
+        type: "encounter",
+        number,
+        targetXp,
+        difficulty: difficultyForTarget(targetXp, thresholds),
+      });
+    }
+    if (leg < legCount - 1) slots.push({ type: "rest", afterNumber: number });
+  });
+
+  return {
+    budget,
+    thresholds,
+    encounterCount: count,
+    shortRests: rests,
+    slots,
+  };
+};
+
+// Adjusted XP of each generated encounter, in order, with the running total.
+// `encounters` is indexed by encounter number - 1; missing entries count 0.
+export const summarizeDayProgress = (plan, encounters, partyLevels) => {
+  let spent = 0;
+  const entries = plan.slots
+    .filter((slot) => slot.type === "encounter")
+    .map((slot) => {
+      const encounter = encounters[slot.number - 1];
+      const adjustedXp = encounter
+        ? evaluateEncounter({
+            monsters: encounter.monsters,
+            partyLevels,
+            difficulty: slot.difficulty,
+          }).adjustedXp
+        : 0;
+      spent += adjustedXp;
+      return { number: slot.number, adjustedXp, cumulativeXp: spent };
+    });
+  return { entries, spent, remaining: plan.budget - spent };
+};
+
+// Story so far, fed into each later encounter's prompt so the day reads as
+// one adventure rather than unrelated fights.
+export const dayStoryToPrompt = ({ slots, encounters, number }) => {
+  const lines = [];
+  slots.forEach((slot) => {
+    if (slot.type === "rest") {
+      if (slot.afterNumber < number) {
+        lines.push("- (The party took a short rest.)");
+      }
+      return;
+    }
+    const encounter = encounters[slot.number - 1];
+    if (slot.number < number && encounter) {
+      lines.push(
+        `- Encounter ${slot.number}: "${encounter.title}": ${encounter.hook}`
+      );
+    }
+  });
+  const position =
+    number === slots.filter((slot) => slot.type === "encounter").length
+      ? "the final encounter of the day, the climax of the adventure"
+      : `encounter ${number} of an adventuring day`;
+  return `This is ${position}. Keep the same location, factions and narrative threads, and build on what already happened:${
+    lines.length > 0
+      ? `\n${lines.join("\n")}`
+      : "\n- Nothing yet: this fight opens the day."
+  }`;
+};
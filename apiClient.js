@@ -0,0 +1,448 @@
+// --- API Client ---
+// The one place network calls to AI backends go through. It queues requests
+// so only a few run at once and no more than REQUESTS_PER_MINUTE start in any
+// minute, times out requests that never answer or whose body goes silent,
+// retries only the failures worth retrying (waiting as long as the server
+// asks), turns everything else into an ApiError with a `kind` the UI can
+// explain, and keeps a log of every request for the debug panel. A request
+// keeps its queue slot until its body has been read.
+//
+//   client.request(url, { ...fetchOptions, label, timeoutMs }) -> Response
+//   client.finish(response, { usage, error, aborted })  once the body is read
+//   client.subscribe(listener) -> unsubscribe   (listener gets the log)
+
+import { sleep, isAbortError } from "./streaming";
+
+export const MAX_CONCURRENT_REQUESTS = 2;
+export const REQUESTS_PER_MINUTE = 15;
+export const DEFAULT_TIMEOUT_MS = 30000;
+// A server asking for a longer wait than this is out of quota, not busy.
+const MAX_RETRY_DELAY_MS = 60000;
+const MAX_LOG_ENTRIES = 100;
+
+// `maxRetries` is how often a failure of each kind is retried; a timeout
+// already cost the user a long wait, so it gets a single retry.
+export const API_ERROR_KINDS = {
+  auth: {
+    label: "Authentication",
+    message: "The API key was rejected. Check it in AI Settings.",
+    maxRetries: 0,
+  },
+  quota: {
+    label: "Quota",
+    message: "The API rate limit or quota was reached.",
+    maxRetries: 5,
+  },
+  safety: {
+    label: "Safety block",
+    message: "The request was blocked by the provider's safety filters.",
+    maxRetries: 0,
+  },
+  badRequest: {
+    label: "Bad request",
+    message: "The API rejected the request.",
+    maxRetries: 0,
+  },
+  server: {
+    label: "Server error",
+    message: "The AI service had an internal error.",
+    maxRetries: 3,
+  },
+  timeout: {
+    label: "Timeout",
+    message: "The AI service did not answer in time.",
+    maxRetries: 1,
+  },
+  network: {
+    label: "Network",
+    message: "Could not reach the AI service. Check your connection.",
+    maxRetries: 3,
+  },
+};
+
+// An Error with `kind` (a key of API_ERROR_KINDS), `status` (HTTP status or
+// null), `retryable` and `retryAfterMs` (the server's hint, or null).
+export const createApiError = (
+  kind,
+  { status = null, detail = "", retryAfterMs = null } = {}
+) => {
+  const { message, maxRetries } = API_ERROR_KINDS[kind];
+  const error = new Error(
+    [message, status && `(HTTP ${status})`, detail].filter(Boolean).join(" ")
+  );
+  return Object.assign(error, {
+    name: "ApiError",
+    kind,
+    status,
+    retryable: maxRetries > 0,
+    retryAfterMs,
+  });
+};
+
+export const isApiError = (e) => e?.name === "ApiError";
+
+// "Retry-After: 12" or an HTTP date, in ms.
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Google's RetryInfo detail: { retryDelay: "12s" } or "0.5s".
+const parseRetryInfo = (body) => {
+  const retryInfo = (body?.error?.details || []).find((detail) =>
+    String(detail["@type"]).endsWith("RetryInfo")
+  );
+  const match = /^([\d.]+)s$/.exec(retryInfo?.retryDelay || "");
+  return match ? Number(match[1]) * 1000 : null;
+};
+
+const SAFETY_PATTERN = /safety|blocked|blockReason|PROHIBITED_CONTENT/i;
+
+// Turns a non-OK response into an ApiError.
+export const classifyResponse = async (response) => {
+  const text = await response.text().catch(() => "");
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch (e) {
+    // Not JSON: keep the raw text as the detail.
+  }
+  const detail = (body?.error?.message || text || "").slice(0, 300);
+  const { status } = response;
+  const retryAfterMs =
+    parseRetryAfter(response.headers.get("Retry-After")) ??
+    parseRetryInfo(body);
+
+  let kind;
+  if (status === 401 || status === 403) kind = "auth";
+  else if (status === 429) kind = "quota";
+  else if (status === 408) kind = "timeout";
+  else if (status >= 500) kind = "server";
+  else if (SAFETY_PATTERN.test(detail)) kind = "safety";
+  else kind = "badRequest";
+  return createApiError(kind, { status, detail, retryAfterMs });
+};
+
+// Token counts from Gemini's `usageMetadata` or an OpenAI-style `usage`.
+export const readUsage = (result) => {
+  const gemini = result?.usageMetadata;
+  if (gemini) {
+    return {
+      promptTokens: gemini.promptTokenCount ?? 0,
+      outputTokens: gemini.candidatesTokenCount ?? 0,
+      totalTokens: gemini.totalTokenCount ?? 0,
+    };
+  }
+  const openai = result?.usage;
+  if (openai) {
+    return {
+      promptTokens: openai.prompt_tokens ?? 0,
+      outputTokens: openai.completion_tokens ?? 0,
+      totalTokens: openai.total_tokens ?? 0,
+    };
+  }
+  return null;
+};
+
+// A copy of `response` whose body fails with a timeout ApiError after
+// `idleTimeoutMs` without a chunk (calling `onIdle` to abort the fetch).
+// `onDone` runs once the body has been read, has failed or was cancelled.
+const watchBody = (response, idleTimeoutMs, onIdle, onDone) => {
+  if (!response.body) {
+    onDone();
+    return response;
+  }
+  const reader = response.body.getReader();
+  let timedOut = false;
+  let timer = null;
+  let isDone = false;
+  const settle = () => {
+    clearTimeout(timer);
+    if (isDone) return;
+    isDone = true;
+    onDone();
+  };
+  const idleError = () =>
+    createApiError("timeout", {
+      detail: `No data for ${Math.round(idleTimeoutMs / 1000)}s.`,
+    });
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        onIdle();
+        reader.cancel().catch(() => {});
+      }, idleTimeoutMs);
+      try {
+        const { done, value } = await reader.read();
+        clearTimeout(timer);
+        if (timedOut) throw idleError();
+        if (done) {
+          settle();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (e) {
+        settle();
+        controller.error(timedOut ? idleError() : e);
+      }
+    },
+    cancel(reason) {
+      settle();
+      return reader.cancel(reason);
+    },
+  });
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+};
+
+const backoffDelay = (attempt) =>
+  Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+
+// API keys travel in the query string; keep them out of the log.
+const redactUrl = (url) => url.replace(/([?&]key=)[^&]*/, "$1…");
+
+export const createApiClient = ({
+  maxConcurrent = MAX_CONCURRENT_REQUESTS,
+  requestsPerMinute = REQUESTS_PER_MINUTE,
+  fetcher = (...args) => fetch(...args),
+} = {}) => {
+  let log = [];
+  let nextId = 1;
+  let running = 0;
+  let pausedUntil = 0;
+  const waiting = [];
+  const startTimes = [];
+  const listeners = new Set();
+  const entriesByResponse = new WeakMap();
+
+  const publish = () => listeners.forEach((listener) => listener(log));
+
+  const updateEntry = (id, changes) => {
+    log = log.map((entry) =>
+      entry.id === id ? { ...entry, ...changes } : entry
+    );
+    publish();
+  };
+
+  // How long until another request may start under the per-minute budget
+  // and any server-requested pause.
+  const budgetDelay = () => {
+    const now = Date.now();
+    while (startTimes.length > 0 && now - startTimes[0] >= 60000) {
+      startTimes.shift();
+    }
+    const budgetWait =
+      startTimes.length >= requestsPerMinute ? startTimes[0] + 60000 - now : 0;
+    return Math.max(budgetWait, pausedUntil - now, 0);
+  };
+
+  const acquireSlot = async (signal) => {
+    if (running < maxConcurrent) {
+      running += 1;
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      const cancel = () => {
+        const index = waiting.indexOf(waiter);
+        if (index === -1) return;
+        waiting.splice(index, 1);
+        reject(new DOMException("The operation was aborted.", "AbortError"));
+      };
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener("abort", cancel);
+          resolve();
+        },
+        reject,
+      };
+      waiting.push(waiter);
+      if (signal?.aborted) cancel();
+      signal?.addEventListener("abort", cancel, { once: true });
+    });
+  };
+
+  // Hands the slot straight to the next waiter, if any.
+  const releaseSlot = () => {
+    const next = waiting.shift();
+    if (next) next.resolve();
+    else running -= 1;
+  };
+
+  // One attempt, aborted after `timeoutMs` without a response or, while the
+  // body is read, without a chunk. The caller's `signal` keeps controlling
+  // the body until it is done; `onBodyDone` then runs for an OK response.
+  const attempt = async (url, options, timeoutMs, onBodyDone) => {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    options.signal?.addEventListener("abort", abort, { once: true });
+    const detach = () => options.signal?.removeEventListener("abort", abort);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    let response;
+    try {
+      response = await fetcher(url, { ...options, signal: controller.signal });
+    } catch (e) {
+      detach();
+      if (timedOut) {
+        throw createApiError("timeout", {
+          detail: `No response after ${Math.round(timeoutMs / 1000)}s.`,
+        });
+      }
+      if (isAbortError(e)) throw e;
+      throw createApiError("network", { detail: e.message });
+    } finally {
+      clearTimeout(timer);
+    }
+    return watchBody(response, timeoutMs, abort, () => {
+      detach();
+      if (response.ok) onBodyDone();
+    });
+  };
+
+  const request = async (
+    url,
+    { label = "request", timeoutMs = DEFAULT_TIMEOUT_MS, ...options } = {}
+  ) => {
+    const id = nextId++;
+    const startedAt = Date.now();
+    log = [
+      {
+        id,
+        label,
+        url: redactUrl(url),
+        startedAt,
+        status: "queued",
+        httpStatus: null,
+        attempts: 0,
+        latencyMs: null,
+        durationMs: null,
+        usage: null,
+        error: null,
+        errorKind: null,
+      },
+      ...log,
+    ].slice(0, MAX_LOG_ENTRIES);
+    publish();
+
+    const fail = (e) => {
+      updateEntry(id, {
+        status: isAbortError(e) ? "cancelled" : "error",
+        httpStatus: e.status ?? null,
+        durationMs: Date.now() - startedAt,
+        error: isAbortError(e) ? null : e.message,
+        errorKind: e.kind ?? null,
+      });
+      return e;
+    };
+
+    try {
+      await acquireSlot(options.signal);
+    } catch (e) {
+      throw fail(e);
+    }
+    let isReleased = false;
+    const release = () => {
+      if (isReleased) return;
+      isReleased = true;
+      releaseSlot();
+    };
+
+    try {
+      for (let attemptNumber = 0; ; attemptNumber++) {
+        // Checked again after every wait, since other requests may have
+        // started meanwhile; without a wait this request starts right away.
+        for (let wait = budgetDelay(); wait > 0; wait = budgetDelay()) {
+          await sleep(wait, options.signal);
+        }
+        startTimes.push(Date.now());
+        updateEntry(id, { status: "pending", attempts: attemptNumber + 1 });
+
+        let error;
+        try {
+          const response = await attempt(url, options, timeoutMs, release);
+          if (response.ok) {
+            entriesByResponse.set(response, { id, release });
+            updateEntry(id, {
+              status: "receiving",
+              httpStatus: response.status,
+              latencyMs: Date.now() - startedAt,
+            });
+            return response;
+          }
+          error = await classifyResponse(response);
+        } catch (e) {
+          if (isAbortError(e) || !isApiError(e)) throw e;
+          error = e;
+        }
+
+        const delay = error.retryAfterMs ?? backoffDelay(attemptNumber);
+        if (
+          attemptNumber >= API_ERROR_KINDS[error.kind].maxRetries ||
+          delay > MAX_RETRY_DELAY_MS
+        ) {
+          throw error;
+        }
+        // A rate limit applies to every queued call, not just this one.
+        if (error.kind === "quota") {
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+        console.log(
+          `${label}: ${error.message} Retrying in ${Math.round(
+            delay / 1000
+          )}s...`
+        );
+        updateEntry(id, { httpStatus: error.status, error: error.message });
+        await sleep(delay, options.signal);
+      }
+    } catch (e) {
+      release();
+      throw fail(e);
+    }
+  };
+
+  // Completes the log entry of `response` once its body has been read, and
+  // frees its slot if the body was left unread.
+  const finish = (
+    response,
+    { usage = null, error = null, aborted = false } = {}
+  ) => {
+    const record = entriesByResponse.get(response);
+    if (!record) return;
+    const { id, release } = record;
+    release();
+    const entry = log.find((item) => item.id === id);
+    updateEntry(id, {
+      status: aborted ? "cancelled" : error ? "error" : "ok",
+      durationMs: Date.now() - (entry?.startedAt ?? Date.now()),
+      usage,
+      error: error ? error.message || String(error) : null,
+      errorKind: error?.kind ?? null,
+    });
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    listener(log);
+    return () => listeners.delete(listener);
+  };
+
+  const clearLog = () => {
+    log = [];
+    publish();
+  };
+
+  return { request, finish, subscribe, clearLog };
+};
@@ -0,0 +1,378 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  API_ERROR_KINDS,
+  createApiError,
+  isApiError,
+  classifyResponse,
+  readUsage,
+  createApiClient,
+} from "./apiClient";
+
+const jsonResponse = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers });
+
+// A body that sends `chunks` and then stays open until cancelled.
+const silentResponse = (chunks = []) =>
+  new Response(
+    new ReadableStream({
+      start(controller) {
+        chunks.forEach((chunk) =>
+          controller.enqueue(new TextEncoder().encode(chunk))
+        );
+      },
+    }),
+    { status: 200 }
+  );
+
+// A fetch that only ends when its signal aborts.
+const hangingFetch = (url, { signal }) =>
+  new Promise((resolve, reject) => {
+    signal.addEventListener("abort", () =>
+      reject(new DOMException("The operation was aborted.", "AbortError"))
+    );
+  });
+
+// Response bodies are read on real timers; only the client's own waits and
+// clock are faked.
+const FAKED_TIMERS = ["setTimeout", "clearTimeout", "Date"];
+
+// Settles `promise` while the fake clock runs `ms` forward.
+const settleWithin = async (promise, ms) => {
+  const result = promise.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+  await vi.advanceTimersByTimeAsync(ms);
+  return result;
+};
+
+describe("createApiError", () => {
+  it("marks the kinds worth retrying", () => {
+    Object.entries(API_ERROR_KINDS).forEach(([kind, { maxRetries }]) => {
+      const error = createApiError(kind);
+      expect(isApiError(error)).toBe(true);
+      expect(error.retryable).toBe(maxRetries > 0);
+    });
+    expect(
+      createApiError("server", { status: 503, detail: "Busy" }).message
+    ).toBe("The AI service had an internal error. (HTTP 503) Busy");
+  });
+});
+
+describe("classifyResponse", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: FAKED_TIMERS });
+    vi.setSystemTime(new Date("2026-01-01T12:00:00Z"));
+  });
+  afterEach(() => vi.useRealTimers());
+
+  it.each([
+    [401, {}, "auth"],
+    [403, {}, "auth"],
+    [429, {}, "quota"],
+    [408, {}, "timeout"],
+    [500, {}, "server"],
+    [503, {}, "server"],
+    [
+      400,
+      { error: { message: "Request blocked by safety filters" } },
+      "safety",
+    ],
+    [400, { error: { message: "Invalid field" } }, "badRequest"],
+  ])("classifies HTTP %s as %s", async (status, body, kind) => {
+    const error = await classifyResponse(jsonResponse(status, body));
+    expect(error).toMatchObject({ name: "ApiError", kind, status });
+  });
+
+  it("keeps the server's error message as the detail", async () => {
+    const error = await classifyResponse(
+      jsonResponse(400, { error: { message: "Invalid field" } })
+    );
+    expect(error.message).toBe(
+      "The API rejected the request. (HTTP 400) Invalid field"
+    );
+    const plain = await classifyResponse(
+      new Response("Bad gateway", { status: 502 })
+    );
+    expect(plain.message).toContain("Bad gateway");
+  });
+
+  it("reads Retry-After in seconds or as an HTTP date", async () => {
+    const seconds = await classifyResponse(
+      jsonResponse(429, {}, { "Retry-After": "12" })
+    );
+    expect(seconds.retryAfterMs).toBe(12000);
+    const date = await classifyResponse(
+      jsonResponse(503, {}, { "Retry-After": "Thu, 01 Jan 2026 12:00:30 GMT" })
+    );
+    expect(date.retryAfterMs).toBe(30000);
+    const past = await classifyResponse(
+      jsonResponse(503, {}, { "Retry-After": "Thu, 01 Jan 2026 11:00:00 GMT" })
+    );
+    expect(past.retryAfterMs).toBe(0);
+    const garbage = await classifyResponse(
+      jsonResponse(503, {}, { "Retry-After": "soon" })
+    );
+    expect(garbage.retryAfterMs).toBe(null);
+  });
+
+  it("falls back to Google's RetryInfo delay", async () => {
+    const error = await classifyResponse(
+      jsonResponse(429, {
+        error: {
+          message: "Quota exceeded",
+          details: [
+            {
+              "@type": "type.googleapis.com/google.rpc.RetryInfo",
+              retryDelay: "1.5s",
+            },
+          ],
+        },
+      })
+    );
+    expect(error.retryAfterMs).toBe(1500);
+  });
+});
+
+describe("readUsage", () => {
+  it("reads Gemini and OpenAI token counts", () => {
+    expect(
+      readUsage({
+        usageMetadata: {
+          promptTokenCount: 10,
+          candidatesTokenCount: 5,
+          totalTokenCount: 15,
+        },
+      })
+    ).toEqual({ promptTokens: 10, outputTokens: 5, totalTokens: 15 });
+    expect(
+      readUsage({
+        usage: { prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 },
+      })
+    ).toEqual({ promptTokens: 3, outputTokens: 4, totalTokens: 7 });
+    expect(readUsage({})).toBe(null);
+  });
+});
+
+describe("createApiClient", () => {
+  let log;
+
+  const createClient = (options) => {
+    const client = createApiClient(options);
+    client.subscribe((entries) => {
+      log = entries;
+    });
+    return client;
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: FAKED_TIMERS });
+    // No jitter, so backoff waits are exactly 1s, 2s, 4s...
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe("retries", () => {
+    it("retries server errors with backoff until one succeeds", async () => {
+      const fetcher = vi
+        .fn()
+        .mockResolvedValueOnce(jsonResponse(503, {}))
+        .mockResolvedValueOnce(jsonResponse(500, {}))
+        .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+      const client = createClient({ fetcher });
+
+      const pending = client.request("https://ai.test/generate?key=secret");
+      await vi.advanceTimersByTimeAsync(999);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(fetcher).toHaveBeenCalledTimes(2);
+      const { value: response } = await settleWithin(pending, 2000);
+
+      expect(await response.json()).toEqual({ ok: true });
+      expect(fetcher).toHaveBeenCalledTimes(3);
+      expect(log[0]).toMatchObject({
+        status: "receiving",
+        attempts: 3,
+        httpStatus: 200,
+        url: "https://ai.test/generate?key=…",
+      });
+    });
+
+    it("gives up after the kind's retry limit", async () => {
+      const fetcher = vi.fn(async () => jsonResponse(500, {}));
+      const client = createClient({ fetcher });
+
+      const { error } = await settleWithin(client.request("u"), 60000);
+      expect(error).toMatchObject({ kind: "server", status: 500 });
+      expect(fetcher).toHaveBeenCalledTimes(
+        API_ERROR_KINDS.server.maxRetries + 1
+      );
+      expect(log[0]).toMatchObject({
+        status: "error",
+        errorKind: "server",
+        attempts: 4,
+      });
+    });
+
+    it("never retries auth, safety or bad requests", async () => {
+      for (const [status, body, kind] of [
+        [401, {}, "auth"],
+        [400, { error: { message: "blocked" } }, "safety"],
+        [400, {}, "badRequest"],
+      ]) {
+        const fetcher = vi.fn(async () => jsonResponse(status, body));
+        const client = createClient({ fetcher });
+        const { error } = await settleWithin(client.request("u"), 60000);
+        expect(error.kind).toBe(kind);
+        expect(fetcher).toHaveBeenCalledTimes(1);
+      }
+    });
+
+    it("waits as long as Retry-After asks and pauses the whole queue", async () => {
+      const fetcher = vi
+        .fn()
+        .mockResolvedValueOnce(jsonResponse(429, {}, { "Retry-After": "10" }))
+        .mockImplementation(async () => jsonResponse(200, {}));
+      const client = createClient({ fetcher });
+
+      const first = client.request("u", { label: "first" });
+      await vi.advanceTimersByTimeAsync(0);
+      const second = client.request("u", { label: "second" });
+      await vi.advanceTimersByTimeAsync(9999);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      await Promise.all([first, second]);
+      expect(fetcher).toHaveBeenCalledTimes(3);
+    });
+
+    it("gives up when the server asks for more than a minute", async () => {
+      const fetcher = vi.fn(async () =>
+        jsonResponse(429, {}, { "Retry-After": "120" })
+      );
+      const client = createClient({ fetcher });
+      const { error } = await settleWithin(client.request("u"), 0);
+      expect(error).toMatchObject({ kind: "quota", retryAfterMs: 120000 });
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it("turns fetch failures into retried network errors", async () => {
+      const fetcher = vi
+        .fn()
+        .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+        .mockResolvedValueOnce(jsonResponse(200, {}));
+      const client = createClient({ fetcher });
+      const { value } = await settleWithin(client.request("u"), 1000);
+      expect(value.ok).toBe(true);
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("timeouts", () => {
+    it("times out a request without a response and retries it once", async () => {
+      const fetcher = vi.fn(hangingFetch);
+      const client = createClient({ fetcher });
+
+      const pending = client.request("u", { timeoutMs: 5000 });
+      const { error } = await settleWithin(pending, 5000 + 1000 + 5000);
+      expect(error).toMatchObject({ kind: "timeout" });
+      expect(error.message).toContain("No response after 5s.");
+      expect(fetcher).toHaveBeenCalledTimes(2);
+      expect(log[0]).toMatchObject({ status: "error", errorKind: "timeout" });
+    });
+
+    it("fails a body that goes silent", async () => {
+      const client = createClient({
+        fetcher: async () => silentResponse(["partial"]),
+      });
+      const response = await client.request("u", { timeoutMs: 5000 });
+      const reader = response.body.getReader();
+      const { value } = await reader.read();
+      expect(new TextDecoder().decode(value)).toBe("partial");
+
+      const { error } = await settleWithin(reader.read(), 5000);
+      expect(error).toMatchObject({ kind: "timeout" });
+      expect(error.message).toContain("No data for 5s.");
+    });
+
+    it("stops when the caller aborts", async () => {
+      const client = createClient({ fetcher: hangingFetch });
+      const controller = new AbortController();
+      const pending = client.request("u", { signal: controller.signal });
+      await vi.advanceTimersByTimeAsync(100);
+      controller.abort();
+      const { error } = await settleWithin(pending, 0);
+      expect(error.name).toBe("AbortError");
+      expect(log[0].status).toBe("cancelled");
+    });
+  });
+
+  describe("queue", () => {
+    it("holds a slot until the body is read", async () => {
+      const fetcher = vi.fn(async () => jsonResponse(200, { ok: true }));
+      const client = createClient({ fetcher, maxConcurrent: 1 });
+
+      const first = await client.request("u", { label: "first" });
+      const second = client.request("u", { label: "second" });
+      await vi.advanceTimersByTimeAsync(0);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      expect(log[0]).toMatchObject({ label: "second", status: "queued" });
+
+      await first.json();
+      await vi.advanceTimersByTimeAsync(0);
+      expect(fetcher).toHaveBeenCalledTimes(2);
+      await second;
+    });
+
+    it("frees the slot of a body that is never read once finished", async () => {
+      const fetcher = vi.fn(async () => jsonResponse(200, {}));
+      const client = createClient({ fetcher, maxConcurrent: 1 });
+
+      const first = await client.request("u");
+      const second = client.request("u");
+      await vi.advanceTimersByTimeAsync(0);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+
+      client.finish(first, { error: new Error("Unusable") });
+      await second;
+      expect(fetcher).toHaveBeenCalledTimes(2);
+      expect(log[1]).toMatchObject({ status: "error", error: "Unusable" });
+    });
+
+    it("starts no more than the per-minute budget", async () => {
+      const fetcher = vi.fn(async () => jsonResponse(200, {}));
+      const client = createClient({
+        fetcher,
+        maxConcurrent: 5,
+        requestsPerMinute: 2,
+      });
+
+      const responses = [1, 2, 3].map(() => client.request("u"));
+      await vi.advanceTimersByTimeAsync(59999);
+      expect(fetcher).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(fetcher).toHaveBeenCalledTimes(3);
+      await Promise.all(responses);
+    });
+
+    it("drops a queued request when the caller aborts", async () => {
+      const fetcher = vi.fn(async () => jsonResponse(200, {}));
+      const client = createClient({ fetcher, maxConcurrent: 1 });
+      await client.request("u", { label: "first" });
+
+      const controller = new AbortController();
+      const queued = client.request("u", {
+        label: "queued",
+        signal: controller.signal,
+      });
+      controller.abort();
+      const { error } = await settleWithin(queued, 0);
+      expect(error.name).toBe("AbortError");
+      expect(log[0]).toMatchObject({ label: "queued", status: "cancelled" });
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+  });
+});
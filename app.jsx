@@ -1,4 +1,10 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useRef,
+  useMemo,
+} from "react";
 import { initializeApp } from "firebase/app";
 import {
   getAuth,
@@ -6,25 +12,184 @@ import {
   signInWithCustomToken,
   onAuthStateChanged,
 } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from "firebase/firestore";
+import { validateEncounter, getPartyThresholds } from "./encounterMath";
+import CombatTracker from "./CombatTracker";
+import CombatSimulation from "./CombatSimulation";
+import PartyEditor from "./PartyEditor";
+import {
+  loadParties,
+  saveParties,
+  getActiveParty,
+  getPartyLevels,
+  summarizeParty,
+} from "./partyRoster";
+import EncounterLibrary from "./EncounterLibrary";
+import { saveEncounter, updateEncounter } from "./encounterStore";
+import {
+  MONSTER_SCHEMA,
+  parseMonsterJson,
+  encounterToMarkdown,
+  partialEncounterToMarkdown,
+  withCitationMarkers,
+} from "./encounterSchema";
+import { isAbortError, PARTIAL_RESULT_NOTE } from "./streaming";
+import { createApiClient } from "./apiClient";
+import {
+  TRUNCATED_RESULT_NOTE,
+  describeStopReason,
+  isSafetyStop,
+  isTruncatedStop,
+  generateWithContinuation,
+  softenFlavor,
+} from "./stopReasons";
+import {
+  createProvider,
+  loadProviderSettings,
+  saveProviderSettings,
+  speakWithBrowser,
+} from "./providers";
+import SettingsPanel from "./SettingsPanel";
+import PromptTemplateEditor from "./PromptTemplateEditor";
+import {
+  loadPromptSettings,
+  savePromptSettings,
+  buildPromptVariables,
+  buildSystemInstruction,
+  getSpeechDirection,
+} from "./promptTemplates";
+import MonsterCompendium from "./MonsterCompendium";
+import {
+  reconcileEncounter,
+  findSimilarMonsters,
+  isUnlistedMonster,
+} from "./compendium";
+import {
+  MAX_REPAIR_ATTEMPTS,
+  buildEncounterPrompt,
+  generateStructuredEncounter,
+} from "./encounterGeneration";
+import EncounterEditor from "./EncounterEditor";
+import AdventuringDayPlanner from "./AdventuringDayPlanner";
+import BattleMap from "./BattleMap";
+import {
+  BATTLE_MAP_SCHEMA,
+  buildBattleMapPrompt,
+  parseBattleMapJson,
+} from "./battleMapLayout";
+import {
+  planAdventuringDay,
+  summarizeDayProgress,
+  dayStoryToPrompt,
+} from "./adventuringDay";
+import ExportMenu from "./ExportMenu";
+import LootPanel from "./LootPanel";
+import {
+  rollEncounterLoot,
+  rerollGroupLoot,
+  syncLootWithEncounter,
+  setLootHoard,
+  lootHasHoard,
+  lootToPrompt,
+} from "./treasure";
+import MarkdownView from "./MarkdownView";
+import ApiDebugPanel from "./ApiDebugPanel";
+import CampaignNotebook from "./CampaignNotebook";
+import HomebrewBuilder from "./HomebrewBuilder";
+import {
+  buildHomebrewPrompt,
+  generateHomebrewConcept,
+  snapToCr,
+  suggestHomebrewCr,
+  homebrewToEncounterMonster,
+} from "./homebrew";
+import {
+  DEFAULT_NOTEBOOK,
+  notebookToPrompt,
+  buildSummaryRequest,
+  applySummary,
+} from "./campaignMemory";
+import { loadNotebook, saveNotebook } from "./campaignStore";
+import RoomPanel from "./RoomPanel";
+import {
+  createRoom,
+  joinRoom,
+  updateRoom,
+  subscribeToRoom,
+  setPresence,
+  clearPresence,
+  subscribeToPresence,
+  isPresent,
+  getRoomIdFromUrl,
+  setRoomIdInUrl,
+  loadDisplayName,
+  saveDisplayName,
+  PRESENCE_HEARTBEAT_MS,
+} from "./roomStore";
+import PlayerView from "./PlayerView";
+import PlayerScreenControls from "./PlayerScreenControls";
+import {
+  DEFAULT_PLAYER_REVEAL,
+  buildPlayerScreen,
+  openPlayerChannel,
+  getPlayerViewFromUrl,
+} from "./playerScreen";
+import { createScreen, updateScreen, deleteScreen } from "./screenStore";
+import GenerationQueue from "./GenerationQueue";
+import {
+  QUEUE_RETRY_MS,
+  enqueueGeneration,
+  removeQueuedGeneration,
+  isConnectionError,
+  isBrowserOnline,
+  subscribeToConnectivity,
+  loadGenerationQueue,
+  saveGenerationQueue,
+} from "./offlineQueue";
+import { installPwa } from "./pwa";
+import SafetyRetryNotice from "./SafetyRetryNotice";
+import NarrationPanel from "./NarrationPanel";
+import {
+  DEFAULT_NARRATION_VOICES,
+  HIGHLIGHTED_SECTION_ID,
+  getNarrationSections,
+  markdownToSpeechText,
+  buildNarrationRequest,
+  speechToWav,
+} from "./narration";
+import { clipCacheKey, getCachedClip, putCachedClip } from "./audioCache";
+import {
+  slugify,
+  downloadFile,
+  buildMarkdownExport,
+  buildEncounterBundle,
+  parseEncounterBundle,
+  buildFoundryExport,
+  buildPrintableHtml,
+  printHandout,
+} from "./encounterExport";
+import {
+  rebalanceEncounter,
+  setMonsterQuantity,
+  replaceMonster,
+  addMonster,
+  createEncounterHistory,
+  pushEncounterVersion,
+  selectEncounterVersion,
+  getCurrentVersion,
+} from "./encounterEdits";
 
 // --- Configuration and Constants for Canvas Environment ---
 
-const TEXT_MODEL_NAME = "gemini-2.5-flash-preview-05-20";
-const TTS_MODEL_NAME = "gemini-2.5-flash-preview-tts";
-const MAX_RETRIES = 5;
-
 // Use global variables provided by the Canvas environment for guaranteed stability.
 const appId = typeof __app_id !== "undefined" ? __app_id : "default-app-id";
 const initialAuthToken =
   typeof __initial_auth_token !== "undefined" ? __initial_auth_token : null;
 
-// The API key is intentionally left empty here. In the Canvas environment,
-// the platform automatically provides the API key in the fetch call if it is not set.
-const API_KEY = "";
-const TEXT_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${TEXT_MODEL_NAME}:generateContent?key=${API_KEY}`;
-const TTS_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${TTS_MODEL_NAME}:generateContent?key=${API_KEY}`;
-
 let firebaseConfig = {};
 if (typeof __firebase_config !== "undefined" && __firebase_config) {
   try {
@@ -34,70 +199,91 @@ if (typeof __firebase_config !== "undefined" && __firebase_config) {
   }
 }
 
-// --- Audio Helper Functions for TTS ---
-const base64ToArrayBuffer = (base64) => {
-  const binaryString = window.atob(base64);
-  const len = binaryString.length;
-  const bytes = new Uint8Array(len);
-  for (let i = 0; i < len; i++) {
-    bytes[i] = binaryString.charCodeAt(i);
-  }
-  return bytes.buffer;
-};
-
-const pcmToWav = (pcmData, sampleRate) => {
-  const numChannels = 1;
-  const bytesPerSample = 2; // 16-bit PCM
-  const blockAlign = numChannels * bytesPerSample;
-  const byteRate = sampleRate * blockAlign;
-  const dataSize = pcmData.length * bytesPerSample;
-  const buffer = new ArrayBuffer(44 + dataSize);
-  const view = new DataView(buffer);
-
-  // RIFF header
-  view.setUint32(0, 0x52494646, false); // "RIFF"
-  view.setUint32(4, 36 + dataSize, true);
-  view.setUint32(8, 0x57415645, false); // "WAVE"
-  // "fmt " sub-chunk
-  view.setUint32(12, 0x666d7420, false); // "fmt "
-  view.setUint32(16, 16, true); // Sub-chunk size
-  view.setUint16(20, 1, true); // Audio format (1 = PCM)
-  view.setUint16(22, numChannels, true);
-  view.setUint32(24, sampleRate, true);
-  view.setUint32(28, byteRate, true);
-  view.setUint16(32, blockAlign, true);
-  view.setUint16(34, bytesPerSample * 8, true); // Bits per sample
-  // "data" sub-chunk
-  view.setUint32(36, 0x64617461, false); // "data"
-  view.setUint32(40, dataSize, true);
-
-  // Write PCM data
-  const pcm16 = new Int16Array(pcmData.buffer);
-  for (let i = 0; i < pcm16.length; i++) {
-    view.setInt16(44 + i * 2, pcm16[i], true);
-  }
-
-  return new Blob([view], { type: "audio/wav" });
+// Displays the locally computed XP math next to the AI's own balance claims
+const BalanceCheck = ({ report }) => {
+  if (!report) return null;
+  const hasWarnings = report.warnings.length > 0;
+  return (
+    <div
+      className={`p-4 rounded-lg mb-6 border ${
+        hasWarnings
+          ? "bg-yellow-900/30 border-yellow-700"
+          : "bg-green-900/30 border-green-700"
+      }`}
+    >
+      <h3 className="text-sm font-semibold text-gray-300 mb-2">
+        Balance Check (DMG Encounter Math)
+      </h3>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm text-gray-300">
+        <div>
+          <span className="block text-xs text-gray-500">Adjusted XP</span>
+          {report.adjustedXp.toLocaleString()}
+        </div>
+        <div>
+          <span className="block text-xs text-gray-500">Actual Difficulty</span>
+          <span className="font-bold text-yellow-400">{report.tier}</span>
+        </div>
+        <div>
+          <span className="block text-xs text-gray-500">Party Budget</span>
+          {report.budget.toLocaleString()} XP
+        </div>
+        <div>
+          <span className="block text-xs text-gray-500">Multiplier</span>
+          {report.baseXp.toLocaleString()} XP × {report.multiplier}
+        </div>
+      </div>
+      {hasWarnings && (
+        <ul className="list-disc list-inside mt-3 text-xs text-yellow-300 space-y-1">
+          {report.warnings.map((warning, index) => (
+            <li key={index}>{warning}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 };
 
-// Helper function to parse inline markdown (bolding)
-const parseInlineMarkdown = (text) => {
-  if (!text) return text;
-  // Split the text by the bolding delimiter (**) while keeping the delimiters
-  const parts = text.split(/(\*\*.*?\*\*)/g);
-  
-  return parts.map((part, i) => {
-      if (part.startsWith('**') && part.endsWith('**')) {
-          // Found a bolded section, remove the delimiters and wrap in <strong>
-          return <strong key={i}>{part.substring(2, part.length - 2)}</strong>;
-      }
-      return part;
-  });
+// Lists monsters whose AI stats were replaced with SRD values or that the
+// compendium does not know
+const CompendiumCheck = ({ monsters }) => {
+  const flagged = (monsters || []).filter(
+    (monster) => monster.compendium && monster.compendium.status !== "verified"
+  );
+  if (flagged.length === 0) return null;
+  return (
+    <div className="p-4 rounded-lg mb-6 border bg-blue-900/30 border-blue-700">
+      <h3 className="text-sm font-semibold text-gray-300 mb-2">
+        Compendium Check (SRD 5.1)
+      </h3>
+      <ul className="list-disc list-inside text-xs text-blue-200 space-y-1">
+        {flagged.map((monster, index) => (
+          <li key={index}>
+            {monster.compendium.status === "homebrew" ? (
+              <>
+                <span className="font-semibold">{monster.name}</span> is a
+                homebrew creature; its CR comes from the DMG stat table.
+              </>
+            ) : isUnlistedMonster(monster) ? (
+              <>
+                <span className="font-semibold">{monster.name}</span> is not in
+                the bundled compendium subset; its stats were not checked.
+              </>
+            ) : (
+              <>
+                <span className="font-semibold">{monster.name}</span> corrected
+                to SRD stats: {monster.compendium.corrections.join("; ")}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
 };
 
-
-// The main application component
-const App = () => {
+// Firebase app, Firestore and the signed-in user, shared by the DM screen
+// and the player view.
+const useFirebase = () => {
   // --- Firebase State and Initialization ---
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
@@ -116,7 +302,13 @@ const App = () => {
       }
 
       const firebaseApp = initializeApp(firebaseConfig);
-      const firestoreDb = getFirestore(firebaseApp);
+      // Cached in IndexedDB, so saved encounters load and saves queue up
+      // while offline; shared with the player window in another tab.
+      const firestoreDb = initializeFirestore(firebaseApp, {
+        localCache: persistentLocalCache({
+          tabManager: persistentMultipleTabManager(),
+        }),
+      });
       const firebaseAuth = getAuth(firebaseApp);
 
       setDb(firestoreDb);
@@ -149,320 +341,1664 @@ const App = () => {
     }
   }, []);
 
+  return { db, auth, userId, isAuthReady };
+};
+
+// The main application component
+const App = () => {
+  const { db, userId, isAuthReady } = useFirebase();
+
   // --- D&D App State ---
-  const [partySize, setPartySize] = useState(4);
-  const [averageLevel, setAverageLevel] = useState(5);
+  const [roster, setRoster] = useState(loadParties);
   const [difficulty, setDifficulty] = useState("Medium");
   const [terrain, setTerrain] = useState("Forest Ruin");
   const [flavor, setFlavor] = useState("A patrol guarding a magical artifact.");
   const [voiceStyle, setVoiceStyle] = useState("Dramatic");
 
   const [encounterOutput, setEncounterOutput] = useState(null);
+  const [encounterData, setEncounterData] = useState(null);
+  const [encounterHistory, setEncounterHistory] = useState(null);
+  const [editingMonsterIndex, setEditingMonsterIndex] = useState(null);
+  const [battleMap, setBattleMap] = useState(null);
+  const [loot, setLoot] = useState(null);
+  const [showBattleMap, setShowBattleMap] = useState(false);
+  const [isMapLoading, setIsMapLoading] = useState(false);
+  const [savedEncounterId, setSavedEncounterId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [isOnline, setIsOnline] = useState(isBrowserOnline);
+  const [generationQueue, setGenerationQueue] = useState(loadGenerationQueue);
+  // When the queue may try again after a queued request failed to connect.
+  const [queueRetryAt, setQueueRetryAt] = useState(0);
   const [isDetailLoading, setIsDetailLoading] = useState(false);
+  const abortControllerRef = useRef(null);
+  const [providerSettings, setProviderSettings] = useState(
+    loadProviderSettings
+  );
+  const [showSettings, setShowSettings] = useState(false);
+  const [promptSettings, setPromptSettings] = useState(loadPromptSettings);
+  const [showPrompts, setShowPrompts] = useState(false);
+  const [showApiLog, setShowApiLog] = useState(false);
+  // A milder flavor text offered after a safety block.
+  const [softenedFlavor, setSoftenedFlavor] = useState(null);
+  const [showCompendium, setShowCompendium] = useState(false);
+  const [showHomebrew, setShowHomebrew] = useState(false);
+  const [lockedMonsters, setLockedMonsters] = useState([]);
+  const [showDayPlanner, setShowDayPlanner] = useState(false);
+  const [dayOptions, setDayOptions] = useState({
+    encounterCount: 6,
+    shortRests: 2,
+  });
+  const [dayResults, setDayResults] = useState([]);
+  const [dayGeneratingNumber, setDayGeneratingNumber] = useState(null);
+  const [notebook, setNotebook] = useState(DEFAULT_NOTEBOOK);
+  // Saving waits until the stored notebook has been loaded.
+  const [isNotebookLoaded, setIsNotebookLoaded] = useState(false);
+  const [showNotebook, setShowNotebook] = useState(false);
+  const [isSummarizing, setIsSummarizing] = useState(false);
+  // Co-DM room from the `?room=` link, if any.
+  const [roomId, setRoomId] = useState(getRoomIdFromUrl);
+  const [showRoom, setShowRoom] = useState(() => Boolean(getRoomIdFromUrl()));
+  // Set once the room's state has been loaded; local changes are only
+  // shared after that, so joining never overwrites the room.
+  const [isRoomSynced, setIsRoomSynced] = useState(false);
+  const [isCreatingRoom, setIsCreatingRoom] = useState(false);
+  const [roomPresence, setRoomPresence] = useState([]);
+  const [remoteCombat, setRemoteCombat] = useState(null);
+  const [displayName, setDisplayName] = useState(loadDisplayName);
+  const [showPlayerControls, setShowPlayerControls] = useState(false);
+  const [playerReveal, setPlayerReveal] = useState(DEFAULT_PLAYER_REVEAL);
+  // Firestore copy of the player screen for remote players, once shared.
+  const [playerScreenId, setPlayerScreenId] = useState(null);
+  const [isSharingPlayerScreen, setIsSharingPlayerScreen] = useState(false);
+  const playerChannelRef = useRef(null);
+  // The last encounter and combat JSON written to or read from the room,
+  // to tell real changes from echoes.
+  const lastSyncedEncounterRef = useRef(null);
+  const lastSyncedCombatRef = useRef(null);
+  // Latest combat tracker state, for rooms and the player screen.
+  const [combatState, setCombatState] = useState(null);
+  const roomWriteTimerRef = useRef(null);
   const [isSpeaking, setIsSpeaking] = useState(false);
+  const [showNarration, setShowNarration] = useState(false);
+  const [narrationSectionId, setNarrationSectionId] = useState("0");
+  const [narrationVoices, setNarrationVoices] = useState(
+    DEFAULT_NARRATION_VOICES
+  );
+  const [narrationClip, setNarrationClip] = useState(null);
+  const narrationAbortRef = useRef(null);
   const [sources, setSources] = useState([]);
+  const [balanceReport, setBalanceReport] = useState(null);
   const [error, setError] = useState(null);
-  const [audioPlayer, setAudioPlayer] = useState(null);
 
-  // Exponential Backoff for API calls
-  const fetchWithBackoff = useCallback(async (url, options, retries = 0) => {
+  const activeParty = getActiveParty(roster);
+  const characters = activeParty.characters;
+
+  useEffect(() => {
+    saveParties(roster);
+  }, [roster]);
+
+  useEffect(() => {
+    saveProviderSettings(providerSettings);
+  }, [providerSettings]);
+
+  useEffect(() => {
+    savePromptSettings(promptSettings);
+  }, [promptSettings]);
+
+  useEffect(() => {
+    saveGenerationQueue(generationQueue);
+  }, [generationQueue]);
+
+  // Coming back online retries the queue straight away.
+  useEffect(
+    () =>
+      subscribeToConnectivity((online) => {
+        setIsOnline(online);
+        if (online) setQueueRetryAt(0);
+      }),
+    []
+  );
+
+  useEffect(() => {
+    if (!db || !userId) return;
+    let cancelled = false;
+    loadNotebook(db, appId, userId)
+      .then((stored) => {
+        if (cancelled) return;
+        setNotebook(stored);
+        setIsNotebookLoaded(true);
+      })
+      .catch((e) => console.error("Failed to load campaign notebook:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [db, userId]);
+
+  // Saved a moment after the last edit rather than on every keystroke.
+  useEffect(() => {
+    if (!db || !userId || !isNotebookLoaded) return;
+    const timer = setTimeout(() => {
+      saveNotebook(db, appId, userId, notebook).catch((e) =>
+        console.error("Failed to save campaign notebook:", e)
+      );
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [notebook, isNotebookLoaded, db, userId]);
+
+  // --- Co-DM Room ---
+  // Everything the other DMs see of the encounter. Form inputs stay local
+  // so two people typing do not fight over them.
+  const sharedEncounter = useMemo(
+    () =>
+      JSON.stringify({
+        encounterOutput,
+        encounterData,
+        encounterHistory,
+        loot,
+        sources,
+        balanceReport,
+      }),
+    [
+      encounterOutput,
+      encounterData,
+      encounterHistory,
+      loot,
+      sources,
+      balanceReport,
+    ]
+  );
+  const sharedEncounterRef = useRef(sharedEncounter);
+  sharedEncounterRef.current = sharedEncounter;
+
+  const applySharedEncounter = useCallback((shared) => {
+    setEncounterOutput(shared.encounterOutput);
+    setEncounterData(shared.encounterData);
+    setEncounterHistory(shared.encounterHistory);
+    setLoot(shared.loot);
+    setSources(shared.sources || []);
+    setBalanceReport(shared.balanceReport);
+    // Another DM's encounter must not overwrite the one saved here.
+    setSavedEncounterId(null);
+  }, []);
+
+  useEffect(() => {
+    saveDisplayName(displayName);
+  }, [displayName]);
+
+  // Joins the room and follows it until it is left.
+  useEffect(() => {
+    if (!db || !userId || !roomId) return;
+    let unsubscribeRoom = null;
+    let unsubscribePresence = null;
+    let cancelled = false;
+
+    const leaveWithError = (message, e) => {
+      console.error(message, e);
+      if (cancelled) return;
+      setError(message);
+      setRoomId(null);
+      setRoomIdInUrl(null);
+    };
+
+    joinRoom(db, appId, userId, roomId)
+      .then(() => {
+        if (cancelled) return;
+        unsubscribeRoom = subscribeToRoom(
+          db,
+          appId,
+          roomId,
+          (room) => {
+            if (!room) {
+              leaveWithError("This co-DM room no longer exists.");
+              return;
+            }
+            if (room.encounter !== lastSyncedEncounterRef.current) {
+              lastSyncedEncounterRef.current = room.encounter;
+              applySharedEncounter(JSON.parse(room.encounter));
+            }
+            if (room.combat && room.combat !== lastSyncedCombatRef.current) {
+              lastSyncedCombatRef.current = room.combat;
+              const combat = JSON.parse(room.combat);
+              setRemoteCombat(combat);
+              setCombatState(combat);
+            }
+            setIsRoomSynced(true);
+          },
+          (e) => leaveWithError("Lost the connection to the co-DM room.", e)
+        );
+        unsubscribePresence = subscribeToPresence(
+          db,
+          appId,
+          roomId,
+          setRoomPresence,
+          (e) => console.error("Failed to load room presence:", e)
+        );
+      })
+      .catch((e) =>
+        leaveWithError(
+          "Could not join the co-DM room. Check the link and try again.",
+          e
+        )
+      );
+
+    return () => {
+      cancelled = true;
+      if (unsubscribeRoom) unsubscribeRoom();
+      if (unsubscribePresence) unsubscribePresence();
+      clearTimeout(roomWriteTimerRef.current);
+      roomWriteTimerRef.current = null;
+      lastSyncedEncounterRef.current = null;
+      lastSyncedCombatRef.current = null;
+      setIsRoomSynced(false);
+      setRoomPresence([]);
+      clearPresence(db, appId, roomId, userId).catch((e) =>
+        console.error("Failed to clear room presence:", e)
+      );
+    };
+  }, [db, userId, roomId, applySharedEncounter]);
+
+  // Streams local encounter changes to the room at most once a second, so
+  // the other DMs watch a generation arrive without a write per chunk.
+  useEffect(() => {
+    if (!isRoomSynced || roomWriteTimerRef.current) return;
+    if (sharedEncounter === lastSyncedEncounterRef.current) return;
+    roomWriteTimerRef.current = setTimeout(() => {
+      roomWriteTimerRef.current = null;
+      const latest = sharedEncounterRef.current;
+      if (latest === lastSyncedEncounterRef.current) return;
+      lastSyncedEncounterRef.current = latest;
+      updateRoom(db, appId, userId, roomId, { encounter: latest }).catch((e) =>
+        console.error("Failed to share encounter:", e)
+      );
+    }, 1000);
+  }, [sharedEncounter, isRoomSynced, db, userId, roomId]);
+
+  // Called by the combat tracker on every local change; changes from the
+  // other DMs arrive through the room snapshot above.
+  const shareCombatState = useCallback(
+    (state) => {
+      setCombatState(state);
+      if (!isRoomSynced) return;
+      const combat = JSON.stringify(state);
+      if (combat === lastSyncedCombatRef.current) return;
+      lastSyncedCombatRef.current = combat;
+      updateRoom(db, appId, userId, roomId, { combat }).catch((e) =>
+        console.error("Failed to share combat:", e)
+      );
+    },
+    [isRoomSynced, db, userId, roomId]
+  );
+
+  const roomActivity = isLoading
+    ? "generating an encounter"
+    : isDetailLoading
+    ? "fleshing out details"
+    : isMapLoading
+    ? "drawing the battle map"
+    : null;
+  const roomName = displayName.trim() || `DM ${(userId || "").slice(0, 4)}`;
+
+  // Presence heartbeat, also sent whenever the name or activity changes.
+  useEffect(() => {
+    if (!db || !userId || !roomId || !isRoomSynced) return;
+    const beat = () =>
+      setPresence(db, appId, roomId, userId, {
+        name: roomName,
+        activity: roomActivity,
+      }).catch((e) => console.error("Failed to update room presence:", e));
+    beat();
+    const interval = setInterval(beat, PRESENCE_HEARTBEAT_MS);
+    return () => clearInterval(interval);
+  }, [db, userId, roomId, isRoomSynced, roomName, roomActivity]);
+
+  const createSharedRoom = useCallback(async () => {
+    if (!db || !userId || isCreatingRoom) return;
+    setIsCreatingRoom(true);
+    setError(null);
     try {
-      const response = await fetch(url, options);
-      if (!response.ok) {
-        if (response.status === 429 && retries < MAX_RETRIES) {
-          const delay = Math.pow(2, retries) * 1000 + Math.random() * 1000;
-          console.log(
-            `Rate limit exceeded. Retrying in ${Math.round(delay / 1000)}s...`
+      const encounter = sharedEncounterRef.current;
+      const combat = JSON.stringify(combatState);
+      const newRoomId = await createRoom(db, appId, userId, {
+        encounter,
+        combat,
+      });
+      lastSyncedEncounterRef.current = encounter;
+      lastSyncedCombatRef.current = combat;
+      setRoomId(newRoomId);
+      setRoomIdInUrl(newRoomId);
+    } catch (e) {
+      console.error("Failed to create co-DM room:", e);
+      setError("Failed to create the co-DM room.");
+    } finally {
+      setIsCreatingRoom(false);
+    }
+  }, [db, userId, isCreatingRoom, combatState]);
+
+  const joinSharedRoom = useCallback((newRoomId) => {
+    setError(null);
+    setRoomId(newRoomId);
+    setRoomIdInUrl(newRoomId);
+  }, []);
+
+  const leaveSharedRoom = useCallback(() => {
+    setRoomId(null);
+    setRoomIdInUrl(null);
+  }, []);
+
+  const roomMembersOnline = roomPresence.filter(
+    (entry) => entry.userId !== userId && isPresent(entry)
+  ).length;
+
+  // --- Player Screen ---
+  // Only what the DM has revealed; compared as JSON so combat HP changes
+  // and unshown read-aloud edits do not resend an unchanged screen.
+  const playerScreenJson = useMemo(
+    () =>
+      JSON.stringify(
+        buildPlayerScreen(playerReveal, encounterData, combatState?.present)
+      ),
+    [playerReveal, encounterData, combatState]
+  );
+  const playerScreenRef = useRef(null);
+  playerScreenRef.current = JSON.parse(playerScreenJson);
+
+  // Player windows in this browser ask for the screen when they open.
+  useEffect(() => {
+    const channel = openPlayerChannel((message) => {
+      if (message.type === "hello") {
+        channel.postMessage({
+          type: "screen",
+          screen: playerScreenRef.current,
+        });
+      }
+    });
+    playerChannelRef.current = channel;
+    return () => {
+      if (channel) channel.close();
+      playerChannelRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!playerChannelRef.current) return;
+    playerChannelRef.current.postMessage({
+      type: "screen",
+      screen: JSON.parse(playerScreenJson),
+    });
+  }, [playerScreenJson]);
+
+  useEffect(() => {
+    if (!db || !playerScreenId) return;
+    const timer = setTimeout(() => {
+      updateScreen(
+        db,
+        appId,
+        playerScreenId,
+        JSON.parse(playerScreenJson)
+      ).catch((e) => console.error("Failed to update the player screen:", e));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [db, playerScreenId, playerScreenJson]);
+
+  const sharePlayerScreen = useCallback(async () => {
+    if (!db || !userId || isSharingPlayerScreen) return;
+    setIsSharingPlayerScreen(true);
+    setError(null);
+    try {
+      setPlayerScreenId(
+        await createScreen(db, appId, userId, playerScreenRef.current)
+      );
+    } catch (e) {
+      console.error("Failed to share the player screen:", e);
+      setError("Failed to share the player screen.");
+    } finally {
+      setIsSharingPlayerScreen(false);
+    }
+  }, [db, userId, isSharingPlayerScreen]);
+
+  const stopSharingPlayerScreen = useCallback(() => {
+    if (db && playerScreenId) {
+      deleteScreen(db, appId, playerScreenId).catch((e) =>
+        console.error("Failed to stop sharing the player screen:", e)
+      );
+    }
+    setPlayerScreenId(null);
+  }, [db, playerScreenId]);
+
+  // Queues, retries and logs every request to the AI backends.
+  const apiClient = useMemo(() => createApiClient(), []);
+
+  // The active LLM backend, rebuilt whenever the settings change.
+  const provider = useMemo(
+    () => createProvider(providerSettings, apiClient),
+    [providerSettings, apiClient]
+  );
+
+  // `options` override the form inputs: `flavor` when retrying with a
+  // softened flavor after a safety block, all of them (with the locked
+  // monsters, campaign context and prompt settings captured when queueing)
+  // for queued requests (`queued: true`). Offline, or when the AI service
+  // cannot be reached, the request joins the generation queue instead.
+  const generateEncounter = useCallback(
+    async (e, options = {}) => {
+      if (e) e.preventDefault();
+      if (isLoading || dayGeneratingNumber !== null) return;
+
+      const {
+        characters: requestCharacters = characters,
+        partyName = activeParty.name,
+        difficulty: requestDifficulty = difficulty,
+        terrain: requestTerrain = terrain,
+        flavor: requestFlavor = flavor,
+        lockedMonsters: requestLockedMonsters = lockedMonsters,
+        campaignContext = notebookToPrompt(notebook).text,
+        promptSettings: requestPromptSettings = promptSettings,
+        queued = false,
+      } = options;
+      const inputs = {
+        characters: requestCharacters,
+        partyName,
+        difficulty: requestDifficulty,
+        terrain: requestTerrain,
+        flavor: requestFlavor,
+        lockedMonsters: requestLockedMonsters,
+        campaignContext,
+        promptSettings: requestPromptSettings,
+      };
+      if (!isOnline) {
+        setGenerationQueue((prev) =>
+          enqueueGeneration(prev, inputs, { atFront: queued })
+        );
+        return;
+      }
+
+      setNarrationClip(null);
+
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+
+      setIsLoading(true);
+      setSoftenedFlavor(null);
+      setEncounterOutput(null);
+      setEncounterData(null);
+      setEncounterHistory(null);
+      setBattleMap(null);
+      setShowBattleMap(false);
+      setLoot(null);
+      setSavedEncounterId(null);
+      setSources([]);
+      setBalanceReport(null);
+      setError(null);
+
+      const { systemInstruction, userQuery } = buildEncounterPrompt({
+        characters: requestCharacters,
+        difficulty: requestDifficulty,
+        terrain: requestTerrain,
+        flavor: requestFlavor,
+        lockedMonsters: requestLockedMonsters,
+        campaignContext,
+        promptSettings: requestPromptSettings,
+      });
+      const { partySize, averageLevel } = summarizeParty(requestCharacters);
+      const partyLevels = requestCharacters.map((character) => character.level);
+
+      try {
+        const {
+          encounter,
+          sources: sourcesFound,
+          partialText,
+          validationErrors,
+          stopReason,
+          result,
+        } = await generateStructuredEncounter({
+          provider,
+          systemInstruction,
+          userQuery,
+          signal: controller.signal,
+          onText: (streamedText) =>
+            setEncounterOutput(partialEncounterToMarkdown(streamedText)),
+        });
+
+        if (encounter) {
+          const newLoot = rollEncounterLoot(encounter);
+          setEncounterData(encounter);
+          setEncounterHistory(createEncounterHistory(encounter, "Generated"));
+          setEncounterOutput(encounterToMarkdown(encounter));
+          setLoot(newLoot);
+          setBalanceReport(
+            validateEncounter({
+              encounter,
+              partyLevels,
+              difficulty: requestDifficulty,
+            })
           );
-          await new Promise((resolve) => setTimeout(resolve, delay));
-          return fetchWithBackoff(url, options, retries + 1);
+
+          const newSources = sourcesFound;
+          setSources(newSources);
+
+          if (db && userId) {
+            saveEncounter(db, appId, userId, {
+              name: encounter.title,
+              inputs: {
+                party: requestCharacters,
+                partyName,
+                partySize,
+                averageLevel,
+                difficulty: requestDifficulty,
+                terrain: requestTerrain,
+                flavor: requestFlavor,
+              },
+              encounter,
+              markdown: encounterToMarkdown(encounter),
+              loot: newLoot,
+              sources: newSources,
+            })
+              .then(setSavedEncounterId)
+              .catch((e) => console.error("Failed to save encounter:", e));
+          }
+        } else if (stopReason) {
+          setError(describeStopReason(stopReason));
+          if (isTruncatedStop(stopReason)) {
+            const preview = partialEncounterToMarkdown(partialText || "");
+            setEncounterOutput(
+              preview
+                ? `${preview}\n\n---\n\n${TRUNCATED_RESULT_NOTE}`
+                : TRUNCATED_RESULT_NOTE
+            );
+          } else {
+            setEncounterOutput(null);
+          }
+          if (isSafetyStop(stopReason)) {
+            setSoftenedFlavor(softenFlavor(requestFlavor));
+          }
+        } else if (partialText !== null) {
+          const preview = partialEncounterToMarkdown(partialText);
+          setEncounterOutput(
+            preview
+              ? `${preview}\n\n---\n\n${PARTIAL_RESULT_NOTE}`
+              : PARTIAL_RESULT_NOTE
+          );
+        } else if (validationErrors.length > 0) {
+          setError(
+            `AI returned an encounter that failed validation: ${validationErrors
+              .slice(0, 3)
+              .join(" ")}`
+          );
+        } else {
+          console.error("API Error Response:", result);
+          setError(
+            "AI failed to generate content. Please try again with a different prompt."
+          );
+        }
+      } catch (e) {
+        if (isAbortError(e)) {
+          setError("Generation cancelled.");
+        } else if (isConnectionError(e)) {
+          setGenerationQueue((prev) =>
+            enqueueGeneration(prev, inputs, { atFront: queued })
+          );
+          setQueueRetryAt(Date.now() + QUEUE_RETRY_MS);
+          setError(
+            `${e.message} The request was queued and will be sent when the connection is back.`
+          );
+        } else {
+          setError(
+            e.message ||
+              "An unexpected error occurred during API communication."
+          );
+          console.error(e);
+        }
+      } finally {
+        abortControllerRef.current = null;
+        setIsLoading(false);
+      }
+    },
+    [
+      characters,
+      activeParty.name,
+      difficulty,
+      terrain,
+      flavor,
+      lockedMonsters,
+      notebook,
+      promptSettings,
+      provider,
+      isLoading,
+      isOnline,
+      dayGeneratingNumber,
+      db,
+      userId,
+    ]
+  );
+
+  // Sends queued requests one at a time while online, after any retry wait.
+  // With Firestore it first waits for sign-in so the results are saved to
+  // the library.
+  useEffect(() => {
+    if (!isOnline || generationQueue.length === 0) return;
+    if (!isAuthReady || (db && !userId)) return;
+    if (isLoading || dayGeneratingNumber !== null) return;
+    const sendNext = () => {
+      const [next, ...rest] = generationQueue;
+      setGenerationQueue(rest);
+      generateEncounter(null, { ...next.inputs, queued: true });
+    };
+    const timer = setTimeout(sendNext, Math.max(0, queueRetryAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [
+    isOnline,
+    generationQueue,
+    isLoading,
+    dayGeneratingNumber,
+    queueRetryAt,
+    generateEncounter,
+    isAuthReady,
+    db,
+    userId,
+  ]);
+
+  // --- Adventuring Day ---
+  const dayPlan = useMemo(
+    () =>
+      planAdventuringDay({
+        partyLevels: characters.map((character) => character.level),
+        ...dayOptions,
+      }),
+    [characters, dayOptions]
+  );
+
+  const dayProgress = useMemo(
+    () =>
+      summarizeDayProgress(
+        dayPlan,
+        dayResults.map((entry) => entry?.encounter),
+        characters.map((character) => character.level)
+      ),
+    [dayPlan, dayResults, characters]
+  );
+
+  // A different number of fights or rests is a different day.
+  const changeDayOptions = useCallback((options) => {
+    setDayOptions(options);
+    setDayResults([]);
+  }, []);
+
+  // Generates the day's missing encounters in order. Each prompt carries the
+  // fights (and rests) before it so terrain and story stay consistent.
+  const generateAdventuringDay = useCallback(async () => {
+    if (isLoading || dayGeneratingNumber !== null) return;
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setError(null);
+
+    const { partySize, averageLevel } = summarizeParty(characters);
+    const results = [...dayResults];
+
+    try {
+      for (const slot of dayPlan.slots) {
+        if (slot.type !== "encounter" || results[slot.number - 1]) continue;
+        setDayGeneratingNumber(slot.number);
+
+        const { systemInstruction, userQuery } = buildEncounterPrompt({
+          characters,
+          difficulty: slot.difficulty,
+          terrain,
+          flavor,
+          xpBudget: slot.targetXp,
+          storyContext: dayStoryToPrompt({
+            slots: dayPlan.slots,
+            encounters: results.map((entry) => entry?.encounter),
+            number: slot.number,
+          }),
+          campaignContext: notebookToPrompt(notebook).text,
+          promptSettings,
+        });
+        const {
+          encounter,
+          sources: sourcesFound,
+          partialText,
+          validationErrors,
+          stopReason,
+        } = await generateStructuredEncounter({
+          provider,
+          systemInstruction,
+          userQuery,
+          signal: controller.signal,
+        });
+
+        if (!encounter) {
+          if (controller.signal.aborted) {
+            setError("Generation cancelled.");
+          } else if (stopReason) {
+            setError(
+              `Encounter ${slot.number}: ${describeStopReason(stopReason)}`
+            );
+          } else if (partialText !== null) {
+            setError(`Encounter ${slot.number} was interrupted.`);
+          } else if (validationErrors.length > 0) {
+            setError(
+              `AI returned encounter ${
+                slot.number
+              } in a form that failed validation: ${validationErrors
+                .slice(0, 3)
+                .join(" ")}`
+            );
+          } else {
+            setError(`AI failed to generate encounter ${slot.number}.`);
+          }
+          break;
+        }
+
+        const entry = {
+          id: null,
+          inputs: {
+            party: characters,
+            partyName: activeParty.name,
+            partySize,
+            averageLevel,
+            difficulty: slot.difficulty,
+            terrain,
+            flavor,
+          },
+          encounter,
+          markdown: encounterToMarkdown(encounter),
+          loot: rollEncounterLoot(encounter),
+          sources: sourcesFound,
+        };
+        results[slot.number - 1] = entry;
+        setDayResults([...results]);
+
+        if (db && userId) {
+          const { id, ...fields } = entry;
+          saveEncounter(db, appId, userId, {
+            name: encounter.title,
+            ...fields,
+            tags: ["adventuring-day"],
+          })
+            .then((savedId) =>
+              setDayResults((prev) =>
+                prev.map((item) =>
+                  item === entry ? { ...item, id: savedId } : item
+                )
+              )
+            )
+            .catch((e) => console.error("Failed to save encounter:", e));
+        }
+      }
+    } catch (e) {
+      if (isAbortError(e)) {
+        setError("Generation cancelled.");
+      } else {
+        setError(
+          e.message || "An unexpected error occurred during API communication."
+        );
+        console.error(e);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setDayGeneratingNumber(null);
+    }
+  }, [
+    isLoading,
+    dayGeneratingNumber,
+    dayResults,
+    dayPlan,
+    characters,
+    activeParty.name,
+    terrain,
+    flavor,
+    notebook,
+    promptSettings,
+    provider,
+    db,
+    userId,
+  ]);
+
+  // Folds the older logged encounters into the notebook's summary.
+  const summarizeCampaign = useCallback(async () => {
+    if (isSummarizing) return;
+    setIsSummarizing(true);
+    setError(null);
+
+    const { systemInstruction, userQuery, itemIds } = buildSummaryRequest(
+      notebook,
+      promptSettings
+    );
+    try {
+      const stream = await generateWithContinuation(provider, {
+        contents: [{ role: "user", parts: [{ text: userQuery }] }],
+        systemInstruction,
+        temperature: 0.3,
+        purpose: "campaignSummary",
+      });
+      if (stream.text && !stream.stopReason && !stream.interrupted) {
+        // Edits made while the summary was written are kept.
+        setNotebook((prev) => applySummary(prev, stream.text, itemIds));
+      } else if (stream.stopReason) {
+        setError(describeStopReason(stream.stopReason));
+      } else {
+        setError("AI failed to summarize the campaign.");
+        console.error("API Error Response:", stream.result);
+      }
+    } catch (e) {
+      setError(e.message || "Failed to summarize the campaign.");
+      console.error(e);
+    } finally {
+      setIsSummarizing(false);
+    }
+  }, [isSummarizing, notebook, promptSettings, provider]);
+
+  const fleshOutEncounter = useCallback(async () => {
+    if (isDetailLoading || !encounterOutput) return;
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setIsDetailLoading(true);
+    setError(null);
+
+    const systemInstruction = buildSystemInstruction(
+      promptSettings,
+      "details",
+      buildPromptVariables({ characters, difficulty, terrain, flavor })
+    );
+    const userQuery = `The following encounter has been generated: \n\n---\n\n${encounterOutput}\n\n---\n\nPlease expand on this by providing the following details in separate, clearly marked sections with markdown headings:\n\n1.  **Monster Tactics:** How do these creatures fight intelligently? Describe their strategy, who they prioritize, and how they use their abilities.\n2.  **Environmental Features:** Describe 2-3 interactive elements in the '${terrain}' that could be used by players or monsters during combat (e.g., cover, difficult terrain, hazards).\n3.  **Treasure & Rewards:** ${
+      loot
+        ? `The treasure has already been rolled on the Dungeon Master's Guide tables:\n${lootToPrompt(
+            loot
+          )}\nDescribe where and how the party finds each item and give each gem, art object and magic item a short, evocative description. Do not add, remove or change any item, quantity or value.`
+        : "What treasure are the monsters guarding? Be specific with gold pieces and suggest one thematically appropriate common or uncommon magic item."
+    }`;
+
+    try {
+      const stream = await generateWithContinuation(provider, {
+        contents: [{ role: "user", parts: [{ text: userQuery }] }],
+        systemInstruction,
+        temperature: 0.7,
+        purpose: "details",
+        signal: controller.signal,
+        onText: (streamedText) =>
+          setEncounterOutput(encounterOutput + `\n\n---\n\n` + streamedText),
+      });
+
+      if (stream.aborted || stream.interrupted) {
+        if (stream.interrupted) {
+          console.error("Details stream interrupted:", stream.error);
+        }
+        setEncounterOutput(
+          stream.text
+            ? `${encounterOutput}\n\n---\n\n${stream.text}\n\n${PARTIAL_RESULT_NOTE}`
+            : encounterOutput
+        );
+      } else if (stream.text && !isSafetyStop(stream.stopReason)) {
+        // Text that stopped early stays, marked as incomplete.
+        const newDetails = stream.stopReason
+          ? `${stream.text}\n\n${
+              stream.truncated ? TRUNCATED_RESULT_NOTE : PARTIAL_RESULT_NOTE
+            }`
+          : stream.text;
+        if (stream.stopReason) {
+          setError(describeStopReason(stream.stopReason));
         }
-        throw new Error(`API call failed with status: ${response.status}`);
+        const updatedOutput = encounterOutput + `\n\n---\n\n` + newDetails;
+        setEncounterOutput(updatedOutput);
+        if (db && userId && savedEncounterId) {
+          updateEncounter(db, appId, userId, savedEncounterId, {
+            markdown: updatedOutput,
+          }).catch((e) => console.error("Failed to update encounter:", e));
+        }
+      } else if (stream.stopReason) {
+        setEncounterOutput(encounterOutput);
+        setError(describeStopReason(stream.stopReason));
+      } else {
+        setError("AI failed to generate additional details.");
+        console.error("API Error Response:", stream.result);
       }
-      return response;
     } catch (e) {
-      if (retries < MAX_RETRIES) {
-        const delay = Math.pow(2, retries) * 1000 + Math.random() * 1000;
-        console.log(`Fetch error. Retrying in ${Math.round(delay / 1000)}s...`);
-        await new Promise((resolve) => setTimeout(resolve, delay));
-        return fetchWithBackoff(url, options, retries + 1);
+      if (!isAbortError(e)) {
+        setError(
+          e.message || "An unexpected error occurred while fetching details."
+        );
+        console.error(e);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setIsDetailLoading(false);
+    }
+  }, [
+    encounterOutput,
+    loot,
+    characters,
+    difficulty,
+    terrain,
+    flavor,
+    promptSettings,
+    isDetailLoading,
+    provider,
+    db,
+    userId,
+    savedEncounterId,
+  ]);
+
+  // Shows an edited or restored encounter version and keeps the saved copy
+  // in the library in sync. Details from "Flesh Out" describe the previous
+  // monsters, so they are dropped.
+  const showEncounterVersion = useCallback(
+    (encounter) => {
+      const partyLevels = characters.map((character) => character.level);
+      const markdown = encounterToMarkdown(encounter);
+      const syncedLoot = syncLootWithEncounter(loot, encounter);
+      setEncounterData(encounter);
+      setEncounterOutput(markdown);
+      setLoot(syncedLoot);
+      setBalanceReport(
+        validateEncounter({ encounter, partyLevels, difficulty })
+      );
+      if (db && userId && savedEncounterId) {
+        updateEncounter(db, appId, userId, savedEncounterId, {
+          encounter,
+          markdown,
+          loot: syncedLoot,
+        }).catch((e) => console.error("Failed to update encounter:", e));
+      }
+    },
+    [characters, difficulty, loot, db, userId, savedEncounterId]
+  );
+
+  // Replaces the loot and keeps the saved copy in sync.
+  const replaceLoot = useCallback(
+    (newLoot) => {
+      setLoot(newLoot);
+      if (db && userId && savedEncounterId) {
+        updateEncounter(db, appId, userId, savedEncounterId, {
+          loot: newLoot,
+        }).catch((e) => console.error("Failed to update encounter:", e));
+      }
+    },
+    [db, userId, savedEncounterId]
+  );
+
+  // Without an `index` every group is rerolled.
+  const rerollLoot = useCallback(
+    (index) => {
+      if (!encounterData) return;
+      replaceLoot(
+        index === undefined || !loot
+          ? rollEncounterLoot(encounterData, undefined, {
+              withHoard: Boolean(loot && lootHasHoard(loot)),
+            })
+          : rerollGroupLoot(loot, encounterData, index)
+      );
+    },
+    [encounterData, loot, replaceLoot]
+  );
+
+  const toggleLootHoard = useCallback(
+    (withHoard) => {
+      if (!encounterData || !loot) return;
+      replaceLoot(setLootHoard(loot, encounterData, withHoard));
+    },
+    [encounterData, loot, replaceLoot]
+  );
+
+  const commitEncounterEdit = useCallback(
+    (encounter, label) => {
+      const partyLevels = characters.map((character) => character.level);
+      const rebalanced = rebalanceEncounter(encounter, partyLevels, difficulty);
+      setEncounterHistory((prev) =>
+        prev
+          ? pushEncounterVersion(prev, rebalanced, label)
+          : createEncounterHistory(rebalanced, label)
+      );
+      showEncounterVersion(rebalanced);
+    },
+    [characters, difficulty, showEncounterVersion]
+  );
+
+  // Designs a homebrew creature for the homebrew panel. Resolves to the
+  // creature snapped to `targetCr`, or null after reporting the failure.
+  const generateHomebrew = useCallback(
+    async ({ idea, targetCr }) => {
+      setError(null);
+      const { systemInstruction, userQuery } = buildHomebrewPrompt({
+        characters,
+        difficulty,
+        terrain,
+        flavor,
+        idea,
+        targetCr,
+        promptSettings,
+      });
+      try {
+        const { concept, validationErrors, stopReason } =
+          await generateHomebrewConcept({
+            provider,
+            systemInstruction,
+            userQuery,
+          });
+        if (concept) return snapToCr(concept, targetCr);
+        if (stopReason) {
+          setError(describeStopReason(stopReason));
+        } else if (validationErrors.length > 0) {
+          setError(
+            `AI returned a creature that failed validation: ${validationErrors
+              .slice(0, 3)
+              .join(" ")}`
+          );
+        } else {
+          setError("AI failed to design a creature.");
+        }
+      } catch (e) {
+        setError(e.message || "Failed to design a creature.");
+        console.error(e);
       }
-      throw new Error(
-        `Fetch failed after ${MAX_RETRIES} retries: ${e.message}`
+      return null;
+    },
+    [characters, difficulty, terrain, flavor, promptSettings, provider]
+  );
+
+  const addHomebrewToEncounter = useCallback(
+    (creature) => {
+      if (!encounterData) return;
+      commitEncounterEdit(
+        addMonster(encounterData, homebrewToEncounterMonster(creature)),
+        `Added ${creature.name}`
       );
-    }
-  }, []);
+    },
+    [encounterData, commitEncounterEdit]
+  );
 
-  const generateEncounter = useCallback(
-    async (e) => {
-      if (e) e.preventDefault();
-      if (isLoading) return;
+  const changeMonsterQuantity = useCallback(
+    (index, quantity) => {
+      if (!encounterData) return;
+      const monster = encounterData.monsters[index];
+      commitEncounterEdit(
+        setMonsterQuantity(encounterData, index, quantity),
+        `${monster.name} ×${monster.quantity} → ×${Math.max(1, quantity)}`
+      );
+    },
+    [encounterData, commitEncounterEdit]
+  );
 
-      if (audioPlayer) audioPlayer.pause();
+  const selectVersion = useCallback(
+    (index) => {
+      if (!encounterHistory) return;
+      const history = selectEncounterVersion(encounterHistory, index);
+      setEncounterHistory(history);
+      showEncounterVersion(getCurrentVersion(history).encounter);
+    },
+    [encounterHistory, showEncounterVersion]
+  );
 
-      setIsLoading(true);
-      setEncounterOutput(null);
-      setSources([]);
+  // Regenerates one monster group ("reroll") or replaces it with a different
+  // creature of similar CR ("swap"), keeping the rest of the encounter.
+  const editMonsterGroup = useCallback(
+    async (index, mode) => {
+      if (!encounterData || editingMonsterIndex !== null) return;
+
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      setEditingMonsterIndex(index);
       setError(null);
 
-      // --- System Instruction (Kept consistent with clean stat block request) ---
-      const systemInstruction = `You are an expert Dungeon Master (DM) and encounter designer for Dungeons & Dragons (D\&D). Use the latest D\&D 5th Edition rules and encounter building guidelines to accurately calculate and balance the combat difficulty.
-        
-        Task: Design a single combat encounter for the player party described below.
-        1. Setting: Use the specified terrain.
-        2. Difficulty: Strictly adhere to the requested difficulty level (${difficulty}).
-        3. Monster Selection: Select specific, named D&D monsters (e.g., Goblin, Bugbear, Fire Elemental) appropriate for the setting and the calculated Challenge Rating (CR) budget. Do not invent new monsters.
-        4. Output Format:
-           - Start with an engaging narrative hook describing the scene and the immediate threat.
-           - Follow with a structured list detailing the specific monsters. For each monster, include:
-             a. **Monster Name** and Quantity (Use markdown bolding **only** for the name).
-             b. Challenge Rating (CR).
-             c. A concise Stat Block Summary listing key combat stats: Armor Class (AC), Hit Points (HP), Speed, and its primary attack Action (Name, To Hit bonus, Damage, and effect). Use a simple, un-emphasized bullet list for these stats to ensure clean formatting.
-           - Conclude with a note on why the encounter is balanced for the party using CR/XP math (briefly mention the adjusted XP threshold vs. encounter XP budget, referencing D&D 5e encounter rules).
-
-        The response must be in plain markdown text.`;
-      // --- End System Instruction ---
-
-      const userQuery = `Generate a ${difficulty} combat encounter for a party of ${partySize} adventurers, with an average character level of ${averageLevel}.
-        - Terrain: ${terrain}
-        - Flavor/Context: ${flavor}`;
-
-      const payload = {
-        contents: [{ parts: [{ text: userQuery }] }],
-        tools: [{ google_search: {} }],
-        systemInstruction: { parts: [{ text: systemInstruction }] },
-        generationConfig: {
-          temperature: 0.8,
-        },
-      };
+      const monster = encounterData.monsters[index];
+      const { partySize, averageLevel } = summarizeParty(characters);
+      const partyLevels = characters.map((character) => character.level);
+      const budget = getPartyThresholds(partyLevels)[difficulty];
+      const suggestions = findSimilarMonsters(monster.cr, monster.name)
+        .map((candidate) => `${candidate.name} (CR ${candidate.cr})`)
+        .join(", ");
+
+      const systemInstruction = buildSystemInstruction(
+        promptSettings,
+        "monster",
+        buildPromptVariables({
+          characters,
+          difficulty,
+          terrain,
+          flavor,
+          schema: JSON.stringify(MONSTER_SCHEMA),
+        })
+      );
+
+      const currentEncounter = JSON.stringify({
+        title: encounterData.title,
+        hook: encounterData.hook,
+        monsters: encounterData.monsters.map(({ compendium, ...rest }) => rest),
+      });
+      const instruction =
+        mode === "swap"
+          ? `Swap group ${index + 1} (${monster.quantity}x ${monster.name}, CR ${monster.cr}) for a different creature of similar Challenge Rating that fits the terrain and the story. Keep the quantity at ${monster.quantity}.${
+              suggestions ? ` Good candidates: ${suggestions}.` : ""
+            }`
+          : `Reroll group ${index + 1} (${monster.quantity}x ${monster.name}, CR ${monster.cr}): choose a fresh monster group for this slot that fits the terrain, the story and the party's ${difficulty} XP budget. It may use a different creature and quantity, but must not duplicate another group.`;
+      const userQuery = `Current encounter for a party of ${partySize} adventurers (average character level ${averageLevel}, ${difficulty} budget ${budget} XP) in the terrain "${terrain}":
+${currentEncounter}
+
+${instruction}`;
+
+      let contents = [{ role: "user", parts: [{ text: userQuery }] }];
 
       try {
-        const response = await fetchWithBackoff(TEXT_API_URL, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        });
+        let replacement = null;
+        let validationErrors = [];
+        let cancelled = false;
+        let stopReason = null;
+
+        for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+          const stream = await generateWithContinuation(provider, {
+            contents,
+            systemInstruction,
+            temperature: attempt === 0 ? 0.9 : 0.2,
+            grounding: false,
+            responseSchema: MONSTER_SCHEMA,
+            purpose: "monster",
+            signal: controller.signal,
+          });
+          if (stream.aborted) {
+            cancelled = true;
+            break;
+          }
+          if (stream.interrupted || !stream.text) {
+            console.error(
+              "Monster edit failed:",
+              stream.error || stream.result
+            );
+            stopReason = stream.stopReason;
+            break;
+          }
 
-        const result = await response.json();
-        const candidate = result.candidates?.[0];
-
-        if (candidate && candidate.content?.parts?.[0]?.text) {
-          const text = candidate.content.parts[0].text;
-          setEncounterOutput(text);
-
-          let newSources = [];
-          const groundingMetadata = candidate.groundingMetadata;
-          if (groundingMetadata && groundingMetadata.groundingAttributions) {
-            newSources = groundingMetadata.groundingAttributions
-              .map((attribution) => ({
-                uri: attribution.web?.uri,
-                title: attribution.web?.title,
-              }))
-              .filter((source) => source.uri && source.title);
+          const parsed = parseMonsterJson(stream.text);
+          if (parsed.monster) {
+            replacement = parsed.monster;
+            break;
           }
-          setSources(newSources);
+
+          validationErrors = parsed.errors;
+          console.warn("Monster JSON failed validation:", validationErrors);
+          if (stream.stopReason) {
+            stopReason = stream.stopReason;
+            break;
+          }
+          contents = [
+            ...contents,
+            { role: "model", parts: [{ text: stream.text }] },
+            {
+              role: "user",
+              parts: [
+                {
+                  text: `Your previous response did not match the required JSON schema:\n- ${validationErrors.join(
+                    "\n- "
+                  )}\n\nReturn the corrected monster group as a single JSON object only.`,
+                },
+              ],
+            },
+          ];
+        }
+
+        if (replacement) {
+          const { encounter } = reconcileEncounter(
+            replaceMonster(encounterData, index, replacement)
+          );
+          commitEncounterEdit(
+            encounter,
+            `${mode === "swap" ? "Swapped" : "Rerolled"} ${monster.name} → ${
+              encounter.monsters[index].name
+            }`
+          );
+        } else if (cancelled) {
+          setError("Monster update cancelled.");
         } else {
           setError(
-            "AI failed to generate content. Please try again with a different prompt."
+            stopReason
+              ? describeStopReason(stopReason)
+              : validationErrors.length > 0
+                ? `AI returned a monster group that failed validation: ${validationErrors
+                    .slice(0, 3)
+                    .join(" ")}`
+                : "AI failed to update the monster group. Please try again."
           );
-          console.error("API Error Response:", result);
         }
       } catch (e) {
-        setError(
-          e.message || "An unexpected error occurred during API communication."
-        );
-        console.error(e);
+        if (isAbortError(e)) {
+          setError("Monster update cancelled.");
+        } else {
+          setError(e.message || "Failed to update the monster group.");
+          console.error(e);
+        }
       } finally {
-        setIsLoading(false);
+        abortControllerRef.current = null;
+        setEditingMonsterIndex(null);
       }
     },
     [
-      partySize,
-      averageLevel,
+      encounterData,
+      editingMonsterIndex,
+      characters,
       difficulty,
       terrain,
       flavor,
-      fetchWithBackoff,
-      isLoading,
-      audioPlayer,
+      promptSettings,
+      provider,
+      commitEncounterEdit,
     ]
   );
 
-  const fleshOutEncounter = useCallback(async () => {
-    if (isDetailLoading || !encounterOutput) return;
+  // Asks the model for a grid layout of the terrain, built around the
+  // encounter and any "Environmental Features" from Flesh Out Details.
+  const generateBattleMap = useCallback(async () => {
+    if (isMapLoading || !encounterOutput) return;
 
-    setIsDetailLoading(true);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsMapLoading(true);
+    setShowBattleMap(true);
     setError(null);
 
-    const systemInstruction = `You are a creative Dungeon Master. Your task is to expand upon an existing D\&D encounter description, adding details that make it more immersive and dynamic. Format your response in plain markdown.`;
-    const userQuery = `The following encounter has been generated: \n\n---\n\n${encounterOutput}\n\n---\n\nPlease expand on this by providing the following details in separate, clearly marked sections with markdown headings:\n\n1.  **Monster Tactics:** How do these creatures fight intelligently? Describe their strategy, who they prioritize, and how they use their abilities.\n2.  **Environmental Features:** Describe 2-3 interactive elements in the '${terrain}' that could be used by players or monsters during combat (e.g., cover, difficult terrain, hazards).\n3.  **Treasure & Rewards:** What treasure are the monsters guarding? Be specific with gold pieces and suggest one thematically appropriate common or uncommon magic item.`;
-
-    const payload = {
-      contents: [{ parts: [{ text: userQuery }] }],
-      systemInstruction: { parts: [{ text: systemInstruction }] },
-      generationConfig: {
-        temperature: 0.7,
-      },
-    };
+    const environment = getNarrationSections(encounterOutput).find((section) =>
+      /environment/i.test(section.title)
+    );
+    const { systemInstruction, userQuery } = buildBattleMapPrompt({
+      terrain,
+      encounter: encounterData,
+      environment: environment?.text,
+      promptSettings,
+    });
+    let contents = [{ role: "user", parts: [{ text: userQuery }] }];
 
     try {
-      const response = await fetchWithBackoff(TEXT_API_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
+      let map = null;
+      let validationErrors = [];
+      let cancelled = false;
+      let stopReason = null;
+
+      for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        const stream = await generateWithContinuation(provider, {
+          contents,
+          systemInstruction,
+          temperature: attempt === 0 ? 0.8 : 0.2,
+          grounding: false,
+          responseSchema: BATTLE_MAP_SCHEMA,
+          purpose: "battleMap",
+          signal: controller.signal,
+        });
+        if (stream.aborted) {
+          cancelled = true;
+          break;
+        }
+        if (stream.interrupted || !stream.text) {
+          console.error(
+            "Battle map generation failed:",
+            stream.error || stream.result
+          );
+          stopReason = stream.stopReason;
+          break;
+        }
+
+        const parsed = parseBattleMapJson(stream.text);
+        if (parsed.map) {
+          map = parsed.map;
+          break;
+        }
 
-      const result = await response.json();
-      const candidate = result.candidates?.[0];
-      if (candidate && candidate.content?.parts?.[0]?.text) {
-        const newDetails = candidate.content.parts[0].text;
-        setEncounterOutput((prev) => prev + `\n\n---\n\n` + newDetails);
+        validationErrors = parsed.errors;
+        console.warn("Battle map JSON failed validation:", validationErrors);
+        if (stream.stopReason) {
+          stopReason = stream.stopReason;
+          break;
+        }
+        contents = [
+          ...contents,
+          { role: "model", parts: [{ text: stream.text }] },
+          {
+            role: "user",
+            parts: [
+              {
+                text: `Your previous response did not match the required JSON schema:\n- ${validationErrors.join(
+                  "\n- "
+                )}\n\nReturn the corrected map as a single JSON object only.`,
+              },
+            ],
+          },
+        ];
+      }
+
+      if (map) {
+        setBattleMap(map);
+        if (db && userId && savedEncounterId) {
+          updateEncounter(db, appId, userId, savedEncounterId, {
+            battleMap: map,
+          }).catch((e) => console.error("Failed to update encounter:", e));
+        }
+      } else if (cancelled) {
+        setError("Battle map generation cancelled.");
       } else {
-        setError("AI failed to generate additional details.");
-        console.error("API Error Response:", result);
+        setError(
+          stopReason
+            ? describeStopReason(stopReason)
+            : validationErrors.length > 0
+              ? `AI returned a battle map that failed validation: ${validationErrors
+                  .slice(0, 3)
+                  .join(" ")}`
+              : "AI failed to draw the battle map. Please try again."
+        );
       }
     } catch (e) {
-      setError(
-        e.message || "An unexpected error occurred while fetching details."
-      );
-      console.error(e);
+      if (isAbortError(e)) {
+        setError("Battle map generation cancelled.");
+      } else {
+        setError(e.message || "Failed to generate the battle map.");
+        console.error(e);
+      }
     } finally {
-      setIsDetailLoading(false);
+      abortControllerRef.current = null;
+      setIsMapLoading(false);
     }
-  }, [encounterOutput, terrain, isDetailLoading, fetchWithBackoff]);
+  }, [
+    isMapLoading,
+    encounterOutput,
+    encounterData,
+    terrain,
+    promptSettings,
+    provider,
+    db,
+    userId,
+    savedEncounterId,
+  ]);
+
+  // Stops the streaming generation (or pending retries) in progress.
+  const cancelGeneration = useCallback(() => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  }, []);
+
+  // Restores a saved encounter and the inputs that produced it.
+  const loadSavedEncounter = useCallback((entry) => {
+    setNarrationClip(null);
+    const { inputs } = entry;
+    setDifficulty(inputs.difficulty);
+    setTerrain(inputs.terrain);
+    setFlavor(inputs.flavor);
+    setEncounterData(entry.encounter);
+    setEncounterHistory(
+      entry.encounter
+        ? createEncounterHistory(entry.encounter, "Loaded from library")
+        : null
+    );
+    setEncounterOutput(entry.markdown);
+    setBattleMap(entry.battleMap || null);
+    // Encounters saved before loot existed get loot seeded by their id, so
+    // it stays the same across loads.
+    setLoot(
+      entry.loot ||
+        (entry.encounter
+          ? rollEncounterLoot(entry.encounter, entry.id || undefined)
+          : null)
+    );
+    setShowBattleMap(false);
+    setSources(entry.sources || []);
+    setSavedEncounterId(entry.id);
+    setError(null);
+    setBalanceReport(
+      entry.encounter
+        ? validateEncounter({
+            encounter: entry.encounter,
+            partyLevels: getPartyLevels(inputs),
+            difficulty: inputs.difficulty,
+          })
+        : null
+    );
+  }, []);
+
+  // Shows one of the day's encounters in the main view.
+  const openDayEncounter = useCallback(
+    (number) => {
+      const entry = dayResults[number - 1];
+      if (entry) loadSavedEncounter(entry);
+    },
+    [dayResults, loadSavedEncounter]
+  );
+
+  // Writes the current encounter in one of the EXPORT_FORMATS.
+  const exportEncounter = useCallback(
+    (format) => {
+      if (!encounterOutput) return;
+      const { partySize, averageLevel } = summarizeParty(characters);
+      const inputs = {
+        party: characters,
+        partyName: activeParty.name,
+        partySize,
+        averageLevel,
+        difficulty,
+        terrain,
+        flavor,
+      };
+      const title = encounterData?.title || "Encounter";
+      const filename = slugify(title);
+
+      try {
+        switch (format) {
+          case "pdf":
+            printHandout(
+              buildPrintableHtml({
+                title,
+                markdown: encounterOutput,
+                sources,
+                inputs,
+              })
+            );
+            break;
+          case "markdown":
+            downloadFile(
+              `${filename}.md`,
+              buildMarkdownExport({ markdown: encounterOutput, sources }),
+              "text/markdown"
+            );
+            break;
+          case "json":
+            downloadFile(
+              `${filename}.json`,
+              JSON.stringify(
+                buildEncounterBundle({
+                  inputs,
+                  encounter: encounterData,
+                  markdown: encounterOutput,
+                  sources,
+                  loot,
+                }),
+                null,
+                2
+              ),
+              "application/json"
+            );
+            break;
+          case "foundry":
+            downloadFile(
+              `${filename}.foundry.json`,
+              JSON.stringify(buildFoundryExport(encounterData), null, 2),
+              "application/json"
+            );
+            break;
+          default:
+            break;
+        }
+      } catch (e) {
+        console.error("Export failed:", e);
+        setError(e.message || "Export failed.");
+      }
+    },
+    [
+      encounterOutput,
+      encounterData,
+      sources,
+      loot,
+      characters,
+      activeParty.name,
+      difficulty,
+      terrain,
+      flavor,
+    ]
+  );
+
+  // Loads a JSON bundle exported by another DM and adds it to the library.
+  const importEncounterFile = useCallback(
+    async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = "";
+      if (!file) return;
+
+      try {
+        const { bundle, errors } = parseEncounterBundle(await file.text());
+        if (!bundle) {
+          setError(
+            `Could not import "${file.name}": ${errors.slice(0, 3).join(" ")}`
+          );
+          return;
+        }
+
+        const { inputs, encounter } = bundle;
+        const markdown = bundle.markdown || encounterToMarkdown(encounter);
+        const bundleSources = bundle.sources || [];
+        // Rolled once, so the library copy opens with the loot shown now.
+        const bundleLoot = bundle.loot
+          ? syncLootWithEncounter(bundle.loot, encounter)
+          : rollEncounterLoot(encounter);
+        loadSavedEncounter({
+          id: null,
+          inputs,
+          encounter,
+          markdown,
+          loot: bundleLoot,
+          sources: bundleSources,
+        });
+
+        if (db && userId) {
+          saveEncounter(db, appId, userId, {
+            name: encounter.title,
+            inputs,
+            encounter,
+            markdown,
+            loot: bundleLoot,
+            sources: bundleSources,
+            tags: ["imported"],
+          })
+            .then(setSavedEncounterId)
+            .catch((e) =>
+              console.error("Failed to save imported encounter:", e)
+            );
+        }
+      } catch (e) {
+        console.error("Import failed:", e);
+        setError(`Could not import "${file.name}": ${e.message}`);
+      }
+    },
+    [loadSavedEncounter, db, userId]
+  );
+
+  const narrationSections = useMemo(
+    () => getNarrationSections(encounterOutput),
+    [encounterOutput]
+  );
 
-  const readSceneDescription = useCallback(async () => {
+  // Reads the chosen section (or the page selection) aloud. Provider TTS
+  // clips are cached in IndexedDB by request, so replays are free.
+  const narrateSection = useCallback(async () => {
     if (isSpeaking || !encounterOutput) return;
 
-    if (audioPlayer && !audioPlayer.paused) {
-      audioPlayer.pause();
-      setIsSpeaking(false);
+    let title;
+    let text;
+    if (narrationSectionId === HIGHLIGHTED_SECTION_ID) {
+      title = "Highlighted text";
+      text = markdownToSpeechText(window.getSelection().toString());
+    } else {
+      const section =
+        narrationSections.find((entry) => entry.id === narrationSectionId) ||
+        narrationSections[0];
+      title = section?.title;
+      text = section?.text;
+    }
+    if (!text) {
+      setError(
+        narrationSectionId === HIGHLIGHTED_SECTION_ID
+          ? "Highlight some encounter text to narrate first."
+          : "There is no text to narrate in this section."
+      );
       return;
     }
 
+    const controller = new AbortController();
+    narrationAbortRef.current = controller;
     setIsSpeaking(true);
     setError(null);
 
-    const narrativeHook = encounterOutput.split("\n\n")[0];
-
-    let textPrompt;
-    let voiceName;
-
-    if (voiceStyle === "Monotone") {
-      textPrompt = `Say the following text quickly and in a flat, monotone voice: ${narrativeHook}`;
-      voiceName = "Schedar";
-    } else {
-      textPrompt = `Say in a dramatic, storytelling voice suitable for a Dungeon Master: ${narrativeHook}`;
-      voiceName = "Charon";
+    // Providers without TTS fall back to the browser's built-in voices.
+    if (!provider.capabilities.tts) {
+      try {
+        await speakWithBrowser(text, {
+          rate: voiceStyle === "Monotone" ? 1.3 : 0.9,
+        });
+      } catch (e) {
+        if (!controller.signal.aborted) setError(e.message);
+      } finally {
+        setIsSpeaking(false);
+      }
+      return;
     }
 
-    const payload = {
-      contents: [
-        {
-          parts: [{ text: textPrompt }],
-        },
-      ],
-      generationConfig: {
-        responseModalities: ["AUDIO"],
-        speechConfig: {
-          voiceConfig: { prebuiltVoiceConfig: { voiceName: voiceName } },
-        },
-      },
-      model: TTS_MODEL_NAME,
-    };
-
     try {
-      const response = await fetchWithBackoff(TTS_API_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
+      const speechRequest = buildNarrationRequest({
+        text,
+        voiceStyle,
+        voices: narrationVoices,
+        extraDirection: getSpeechDirection(promptSettings),
       });
-      const result = await response.json();
-      const part = result?.candidates?.[0]?.content?.parts?.[0];
-      const audioData = part?.inlineData?.data;
-      const mimeType = part?.inlineData?.mimeType;
-
-      if (audioData && mimeType && mimeType.startsWith("audio/")) {
-        const sampleRateMatch = mimeType.match(/rate=(\d+)/);
-        const sampleRate = sampleRateMatch
-          ? parseInt(sampleRateMatch[1], 10)
-          : 24000;
-        const pcmData = base64ToArrayBuffer(audioData);
-        const pcm16 = new Int16Array(pcmData);
-        const wavBlob = pcmToWav(pcm16, sampleRate);
-        const audioUrl = URL.createObjectURL(wavBlob);
-
-        const newAudioPlayer = new Audio(audioUrl);
-        newAudioPlayer.onended = () => setIsSpeaking(false);
-        newAudioPlayer.play();
-        setAudioPlayer(newAudioPlayer);
+      const cacheKey = await clipCacheKey(speechRequest);
+      const cachedBlob = await getCachedClip(cacheKey);
+      if (cachedBlob) {
+        setNarrationClip({ title, blob: cachedBlob, fromCache: true });
+        return;
+      }
+
+      const wavBlob = speechToWav(
+        await provider.synthesizeSpeech({
+          ...speechRequest,
+          signal: controller.signal,
+        })
+      );
+      if (wavBlob) {
+        setNarrationClip({ title, blob: wavBlob, fromCache: false });
+        putCachedClip(cacheKey, wavBlob);
       } else {
         setError(
           "Failed to generate audio. The model did not return valid sound data."
         );
-        setIsSpeaking(false);
       }
     } catch (e) {
-      setError(
-        e.message || "An unexpected error occurred during audio generation."
-      );
+      if (!isAbortError(e)) {
+        console.error("Narration failed:", e);
+        setError(
+          e.message || "An unexpected error occurred during audio generation."
+        );
+      }
+    } finally {
       setIsSpeaking(false);
     }
-  }, [encounterOutput, isSpeaking, audioPlayer, fetchWithBackoff, voiceStyle]);
-
-  // --- REFACTORED RenderMarkdown component ---
-  const RenderMarkdown = ({ content }) => {
-    if (!content) return null;
-    const lines = content.split("\n");
-    return (
-      <div className="prose prose-invert max-w-none text-gray-200">
-        {lines.map((line, index) => {
-          if (line.trim() === "---") {
-            return <hr key={index} className="my-6 border-gray-600" />;
-          }
-          if (line.startsWith("## ")) {
-            return (
-              <h2
-                key={index}
-                className="text-xl font-bold text-yellow-400 mt-4 mb-2"
-              >
-                {line.substring(3)}
-              </h2>
-            );
-          }
-          if (line.startsWith("### ")) {
-            return (
-              <h3
-                key={index}
-                className="text-lg font-semibold text-yellow-300 mt-3 mb-1"
-              >
-                {line.substring(4)}
-              </h3>
-            );
-          }
-          // Handle list items with inline bolding
-          if (line.startsWith("* ") || line.startsWith("- ")) {
-            return (
-              <li key={index} className="list-disc ml-6 mt-1">
-                {parseInlineMarkdown(line.substring(2).trim())}
-              </li>
-            );
-          }
-          // Handle general paragraphs with inline bolding
-          if (line.trim().length > 0) {
-            return (
-              <p key={index} className="mb-2">
-                {parseInlineMarkdown(line)}
-              </p>
-            );
-          }
-          return null;
-        })}
-      </div>
-    );
-  };
-  // --- END REFACTORED RenderMarkdown component ---
+  }, [
+    encounterOutput,
+    isSpeaking,
+    narrationSectionId,
+    narrationSections,
+    narrationVoices,
+    promptSettings,
+    provider,
+    voiceStyle,
+  ]);
+
+  // Stops audio generation or browser speech in progress.
+  const stopNarration = useCallback(() => {
+    if (narrationAbortRef.current) narrationAbortRef.current.abort();
+    if (window.speechSynthesis) window.speechSynthesis.cancel();
+  }, []);
 
   return (
     <div className="min-h-screen bg-gray-900 p-4 sm:p-8 font-sans">
@@ -495,160 +2031,383 @@ const App = () => {
             Generate balanced D&D 5e/2024 combat encounters based on your
             party's power.
           </p>
+          <p className="mt-2 text-xs" role="status">
+            <span className={isOnline ? "text-green-400" : "text-red-400"}>
+              ● {isOnline ? "Online" : "Offline"}
+            </span>
+            {generationQueue.length > 0 && (
+              <span className="text-gray-400">
+                {" "}
+                · {generationQueue.length} queued
+              </span>
+            )}
+          </p>
+          <div className="mt-4 flex justify-center gap-6">
+            <button
+              onClick={() => setShowCompendium((prev) => !prev)}
+              className="text-sm text-gray-400 hover:text-yellow-400 transition-colors duration-150"
+            >
+              📖 Monster Compendium
+            </button>
+            <button
+              onClick={() => setShowHomebrew((prev) => !prev)}
+              className="text-sm text-gray-400 hover:text-yellow-400 transition-colors duration-150"
+            >
+              🧪 Homebrew
+            </button>
+            <button
+              onClick={() => setShowDayPlanner((prev) => !prev)}
+              className="text-sm text-gray-400 hover:text-yellow-400 transition-colors duration-150"
+            >
+              🗓️ Adventuring Day
+            </button>
+            <button
+              onClick={() => setShowNotebook((prev) => !prev)}
+              className="text-sm text-gray-400 hover:text-yellow-400 transition-colors duration-150"
+            >
+              📓 Campaign
+            </button>
+            <button
+              onClick={() => setShowRoom((prev) => !prev)}
+              className="text-sm text-gray-400 hover:text-yellow-400 transition-colors duration-150"
+            >
+              👥 Co-DM
+              {roomId && isRoomSynced && (
+                <span className="ml-1 text-green-400">
+                  ● {roomMembersOnline + 1}
+                </span>
+              )}
+            </button>
+            <button
+              onClick={() => setShowPlayerControls((prev) => !prev)}
+              className="text-sm text-gray-400 hover:text-yellow-400 transition-colors duration-150"
+            >
+              📺 Player Screen
+            </button>
+            <button
+              onClick={() => setShowSettings((prev) => !prev)}
+              className="text-sm text-gray-400 hover:text-yellow-400 transition-colors duration-150"
+            >
+              ⚙️ AI Settings
+            </button>
+            <button
+              onClick={() => setShowPrompts((prev) => !prev)}
+              className="text-sm text-gray-400 hover:text-yellow-400 transition-colors duration-150"
+            >
+              📝 Prompts
+            </button>
+            <button
+              onClick={() => setShowApiLog((prev) => !prev)}
+              className="text-sm text-gray-400 hover:text-yellow-400 transition-colors duration-150"
+            >
+              🐞 API Log
+            </button>
+          </div>
         </header>
 
-        <main className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-          <div className="lg:col-span-1 p-6 bg-gray-800 rounded-xl shadow-2xl h-fit border-2 border-gray-700">
-            <h2 className="text-2xl font-semibold mb-6 text-white border-b border-yellow-700/50 pb-2">
-              Party Details
-            </h2>
-            <form onSubmit={generateEncounter} className="space-y-4">
-              <div>
-                <label
-                  htmlFor="partySize"
-                  className="block text-sm font-medium text-gray-300 mb-1"
-                >
-                  Number of Players
-                </label>
-                <input
-                  id="partySize"
-                  type="number"
-                  min="1"
-                  max="12"
-                  value={partySize}
-                  onChange={(e) =>
-                    setPartySize(
-                      Math.max(1, Math.min(12, parseInt(e.target.value) || 1))
-                    )
-                  }
-                  className="w-full p-3 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 transition duration-150"
-                  required
-                />
-              </div>
+        {showCompendium && (
+          <MonsterCompendium
+            lockedMonsters={lockedMonsters}
+            onChange={setLockedMonsters}
+            onClose={() => setShowCompendium(false)}
+          />
+        )}
+
+        {showHomebrew && (
+          <HomebrewBuilder
+            db={db}
+            appId={appId}
+            userId={userId}
+            defaultIdea={flavor}
+            suggestedCr={suggestHomebrewCr(characters, difficulty)}
+            onGenerate={generateHomebrew}
+            canAddToEncounter={Boolean(encounterData) && !isLoading}
+            onAddToEncounter={addHomebrewToEncounter}
+            onClose={() => setShowHomebrew(false)}
+          />
+        )}
+
+        {showDayPlanner && (
+          <AdventuringDayPlanner
+            options={dayOptions}
+            onOptionsChange={changeDayOptions}
+            plan={dayPlan}
+            progress={dayProgress}
+            results={dayResults}
+            generatingNumber={dayGeneratingNumber}
+            disabled={isLoading}
+            onGenerate={generateAdventuringDay}
+            onCancel={cancelGeneration}
+            onReset={() => setDayResults([])}
+            onOpen={openDayEncounter}
+            onClose={() => setShowDayPlanner(false)}
+          />
+        )}
+
+        {showNotebook && (
+          <CampaignNotebook
+            notebook={notebook}
+            onChange={setNotebook}
+            currentEncounter={encounterData}
+            currentEncounterId={savedEncounterId}
+            isSummarizing={isSummarizing}
+            onSummarize={summarizeCampaign}
+            isPersisted={Boolean(db && userId)}
+            onClose={() => setShowNotebook(false)}
+          />
+        )}
+
+        {showRoom && (
+          <RoomPanel
+            roomId={roomId}
+            isAvailable={Boolean(db && userId)}
+            isSynced={isRoomSynced}
+            isBusy={isCreatingRoom}
+            presence={roomPresence}
+            userId={userId || ""}
+            displayName={displayName}
+            onDisplayNameChange={setDisplayName}
+            onCreate={createSharedRoom}
+            onJoin={joinSharedRoom}
+            onLeave={leaveSharedRoom}
+            onClose={() => setShowRoom(false)}
+          />
+        )}
+
+        {showPlayerControls && (
+          <PlayerScreenControls
+            reveal={playerReveal}
+            onChange={setPlayerReveal}
+            encounter={encounterData}
+            screen={playerScreenRef.current}
+            isCombatActive={Boolean(combatState?.present.isActive)}
+            screenId={playerScreenId}
+            isRemoteAvailable={Boolean(db && userId)}
+            isSharing={isSharingPlayerScreen}
+            onShareRemote={sharePlayerScreen}
+            onStopRemote={stopSharingPlayerScreen}
+            onClose={() => setShowPlayerControls(false)}
+          />
+        )}
+
+        {showSettings && (
+          <SettingsPanel
+            settings={providerSettings}
+            onChange={setProviderSettings}
+            capabilities={provider.capabilities}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
+
+        {showPrompts && (
+          <PromptTemplateEditor
+            settings={promptSettings}
+            onChange={setPromptSettings}
+            previewVariables={buildPromptVariables({
+              characters,
+              difficulty,
+              terrain,
+              flavor,
+            })}
+            onClose={() => setShowPrompts(false)}
+          />
+        )}
+
+        {showApiLog && (
+          <ApiDebugPanel
+            client={apiClient}
+            onClose={() => setShowApiLog(false)}
+          />
+        )}
 
-              <div>
-                <label
-                  htmlFor="averageLevel"
-                  className="block text-sm font-medium text-gray-300 mb-1"
-                >
-                  Average Party Level
-                </label>
-                <input
-                  id="averageLevel"
-                  type="number"
-                  min="1"
-                  max="20"
-                  value={averageLevel}
-                  onChange={(e) =>
-                    setAverageLevel(
-                      Math.max(1, Math.min(20, parseInt(e.target.value) || 1))
-                    )
-                  }
-                  className="w-full p-3 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 transition duration-150"
-                  required
-                />
-              </div>
+        <main className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-1 space-y-8">
+            <div className="p-6 bg-gray-800 rounded-xl shadow-2xl h-fit border-2 border-gray-700">
+              <h2 className="text-2xl font-semibold mb-6 text-white border-b border-yellow-700/50 pb-2">
+                Party Details
+              </h2>
+              <form onSubmit={generateEncounter} className="space-y-4">
+                <PartyEditor roster={roster} onChange={setRoster} />
 
-              <div>
-                <label
-                  htmlFor="difficulty"
-                  className="block text-sm font-medium text-gray-300 mb-1"
-                >
-                  Desired Difficulty (5e Standard)
-                </label>
-                <select
-                  id="difficulty"
-                  value={difficulty}
-                  onChange={(e) => setDifficulty(e.target.value)}
-                  className="w-full p-3 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 appearance-none transition duration-150"
-                  required
-                >
-                  <option value="Easy">Easy (Minimal threat)</option>
-                  <option value="Medium">Medium (Resource drain)</option>
-                  <option value="Hard">Hard (Significant danger)</option>
-                  <option value="Deadly">Deadly (Potential TPK)</option>
-                </select>
-              </div>
+                <div>
+                  <label
+                    htmlFor="difficulty"
+                    className="block text-sm font-medium text-gray-300 mb-1"
+                  >
+                    Desired Difficulty (5e Standard)
+                  </label>
+                  <select
+                    id="difficulty"
+                    value={difficulty}
+                    onChange={(e) => setDifficulty(e.target.value)}
+                    className="w-full p-3 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 appearance-none transition duration-150"
+                    required
+                  >
+                    <option value="Easy">Easy (Minimal threat)</option>
+                    <option value="Medium">Medium (Resource drain)</option>
+                    <option value="Hard">Hard (Significant danger)</option>
+                    <option value="Deadly">Deadly (Potential TPK)</option>
+                  </select>
+                </div>
 
-              <div>
-                <label
-                  htmlFor="terrain"
-                  className="block text-sm font-medium text-gray-300 mb-1"
-                >
-                  Encounter Setting / Terrain
-                </label>
-                <input
-                  id="terrain"
-                  type="text"
-                  value={terrain}
-                  onChange={(e) => setTerrain(e.target.value)}
-                  placeholder="e.g., Mountain Pass, Sewer Labyrinth"
-                  className="w-full p-3 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 transition duration-150"
-                  required
-                />
-              </div>
+                <div>
+                  <label
+                    htmlFor="terrain"
+                    className="block text-sm font-medium text-gray-300 mb-1"
+                  >
+                    Encounter Setting / Terrain
+                  </label>
+                  <input
+                    id="terrain"
+                    type="text"
+                    value={terrain}
+                    onChange={(e) => setTerrain(e.target.value)}
+                    placeholder="e.g., Mountain Pass, Sewer Labyrinth"
+                    className="w-full p-3 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 transition duration-150"
+                    required
+                  />
+                </div>
 
-              <div>
-                <label
-                  htmlFor="flavor"
-                  className="block text-sm font-medium text-gray-300 mb-1"
-                >
-                  Context / Narrative Hook
-                </label>
-                <input
-                  id="flavor"
-                  type="text"
-                  value={flavor}
-                  onChange={(e) => setFlavor(e.target.value)}
-                  placeholder="e.g., They are interrupting a ritual, guarding a chest"
-                  className="w-full p-3 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 transition duration-150"
-                  required
-                />
-              </div>
+                <div>
+                  <label
+                    htmlFor="flavor"
+                    className="block text-sm font-medium text-gray-300 mb-1"
+                  >
+                    Context / Narrative Hook
+                  </label>
+                  <input
+                    id="flavor"
+                    type="text"
+                    value={flavor}
+                    onChange={(e) => setFlavor(e.target.value)}
+                    placeholder="e.g., They are interrupting a ritual, guarding a chest"
+                    className="w-full p-3 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 transition duration-150"
+                    required
+                  />
+                </div>
 
-              <div>
-                <label
-                  htmlFor="voiceStyle"
-                  className="block text-sm font-medium text-gray-300 mb-1"
-                >
-                  Narration Voice Style
-                </label>
-                <select
-                  id="voiceStyle"
-                  value={voiceStyle}
-                  onChange={(e) => setVoiceStyle(e.target.value)}
-                  className="w-full p-3 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 appearance-none transition duration-150"
-                >
-                  <option value="Dramatic">Dramatic (Storyteller)</option>
-                  <option value="Monotone">Monotone (Fast)</option>
-                </select>
-              </div>
+                <div>
+                  <label
+                    htmlFor="voiceStyle"
+                    className="block text-sm font-medium text-gray-300 mb-1"
+                  >
+                    Narration Voice Style
+                  </label>
+                  <select
+                    id="voiceStyle"
+                    value={voiceStyle}
+                    onChange={(e) => setVoiceStyle(e.target.value)}
+                    className="w-full p-3 bg-gray-700 text-white border border-gray-600 rounded-lg focus:ring-yellow-500 focus:border-yellow-500 appearance-none transition duration-150"
+                  >
+                    <option value="Dramatic">Dramatic (Storyteller)</option>
+                    <option value="Monotone">Monotone (Fast)</option>
+                  </select>
+                </div>
 
-              <button
-                type="submit"
-                disabled={isLoading}
-                className={`w-full flex items-center justify-center py-3 px-4 rounded-lg font-bold text-gray-900 transition duration-300 shadow-md ${
-                  isLoading
-                    ? "bg-yellow-800 cursor-not-allowed"
-                    : "bg-yellow-400 hover:bg-yellow-500 active:bg-yellow-600"
-                }`}
-              >
-                {isLoading ? (
-                  <div className="flex items-center">
-                    <div className="loading-spinner w-5 h-5 border-4 rounded-full mr-2"></div>
-                    Generating...
+                {lockedMonsters.length > 0 && (
+                  <div>
+                    <span className="block text-sm font-medium text-gray-300 mb-1">
+                      Locked Monsters
+                    </span>
+                    <div className="flex flex-wrap gap-2">
+                      {lockedMonsters.map((entry) => (
+                        <span
+                          key={entry.name}
+                          className="text-xs rounded-full px-2 py-1 bg-yellow-900/50 text-yellow-300"
+                        >
+                          {entry.quantity}× {entry.name}{" "}
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setLockedMonsters((prev) =>
+                                prev.filter((other) => other !== entry)
+                              )
+                            }
+                            className="ml-1 hover:text-white"
+                            aria-label={`Unlock ${entry.name}`}
+                          >
+                            ✕
+                          </button>
+                        </span>
+                      ))}
+                    </div>
                   </div>
-                ) : (
-                  "Generate Combat Encounter"
                 )}
-              </button>
-            </form>
+
+                {(notebook.entries.length > 0 ||
+                  notebook.history.length > 0) && (
+                  <label className="flex items-center gap-2 text-sm text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={notebook.useInPrompts}
+                      onChange={(e) =>
+                        setNotebook((prev) => ({
+                          ...prev,
+                          useInPrompts: e.target.checked,
+                        }))
+                      }
+                    />
+                    📓 Use notes from "{notebook.name}" (session{" "}
+                    {notebook.session})
+                  </label>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={isLoading || dayGeneratingNumber !== null}
+                  className={`w-full flex items-center justify-center py-3 px-4 rounded-lg font-bold text-gray-900 transition duration-300 shadow-md ${
+                    isLoading || dayGeneratingNumber !== null
+                      ? "bg-yellow-800 cursor-not-allowed"
+                      : "bg-yellow-400 hover:bg-yellow-500 active:bg-yellow-600"
+                  }`}
+                >
+                  {isLoading ? (
+                    <div className="flex items-center">
+                      <div className="loading-spinner w-5 h-5 border-4 rounded-full mr-2"></div>
+                      Generating...
+                    </div>
+                  ) : isOnline ? (
+                    "Generate Combat Encounter"
+                  ) : (
+                    "Queue Encounter (Offline)"
+                  )}
+                </button>
+                {isLoading && (
+                  <button
+                    type="button"
+                    onClick={cancelGeneration}
+                    className="w-full py-2 px-4 rounded-lg font-semibold text-sm text-white bg-red-700 hover:bg-red-600 transition duration-300"
+                  >
+                    ✕ Cancel
+                  </button>
+                )}
+              </form>
+            </div>
+
+            <EncounterLibrary
+              db={db}
+              appId={appId}
+              userId={userId}
+              activeId={savedEncounterId}
+              onLoad={loadSavedEncounter}
+            />
           </div>
 
           <div className="lg:col-span-2 p-6 bg-gray-800 rounded-xl shadow-2xl border-2 border-gray-700 min-h-[400px]">
-            <h2 className="text-2xl font-semibold mb-6 text-white border-b border-yellow-700/50 pb-2">
-              Generated Encounter
-            </h2>
+            <div className="flex items-center mb-6 border-b border-yellow-700/50 pb-2">
+              <h2 className="text-2xl font-semibold text-white">
+                Generated Encounter
+              </h2>
+              <label className="ml-auto text-sm text-gray-400 hover:text-yellow-400 cursor-pointer transition-colors duration-150">
+                📥 Import
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={importEncounterFile}
+                  className="hidden"
+                />
+              </label>
+            </div>
 
             {error && (
               <div className="p-4 bg-red-900/50 border border-red-700 rounded-lg text-red-300 mb-4">
@@ -657,6 +2416,28 @@ const App = () => {
               </div>
             )}
 
+            <GenerationQueue
+              queue={generationQueue}
+              isOnline={isOnline}
+              isWaitingToRetry={queueRetryAt > Date.now()}
+              onRemove={(id) =>
+                setGenerationQueue((prev) => removeQueuedGeneration(prev, id))
+              }
+              onRetryNow={() => setQueueRetryAt(0)}
+            />
+
+            {softenedFlavor && !isLoading && (
+              <SafetyRetryNotice
+                key={softenedFlavor}
+                suggestedFlavor={softenedFlavor}
+                onRetry={(newFlavor) => {
+                  setFlavor(newFlavor);
+                  generateEncounter(null, { flavor: newFlavor });
+                }}
+                onDismiss={() => setSoftenedFlavor(null)}
+              />
+            )}
+
             {encounterOutput && !isLoading && (
               <div className="flex flex-wrap gap-4 mb-6">
                 <button
@@ -677,39 +2458,139 @@ const App = () => {
                     "✨ Flesh Out Details"
                   )}
                 </button>
+                {isDetailLoading && (
+                  <button
+                    onClick={cancelGeneration}
+                    className="flex items-center justify-center py-2 px-4 rounded-lg font-semibold text-sm transition duration-300 shadow-md bg-red-700 text-white hover:bg-red-600"
+                  >
+                    ✕ Cancel
+                  </button>
+                )}
                 <button
-                  onClick={readSceneDescription}
-                  disabled={isSpeaking}
+                  onClick={() =>
+                    battleMap
+                      ? setShowBattleMap((prev) => !prev)
+                      : generateBattleMap()
+                  }
+                  disabled={isMapLoading || !encounterData}
                   className={`flex items-center justify-center py-2 px-4 rounded-lg font-semibold text-sm transition duration-300 shadow-md ${
-                    isSpeaking
+                    isMapLoading || !encounterData
                       ? "bg-gray-600 text-gray-400 cursor-not-allowed"
-                      : "bg-green-600 text-white hover:bg-green-500"
+                      : "bg-purple-600 text-white hover:bg-purple-500"
                   }`}
                 >
-                  {isSpeaking ? (
+                  {isMapLoading ? (
                     <>
                       <div className="loading-spinner w-4 h-4 border-2 rounded-full mr-2"></div>
-                      Speaking...
+                      Drawing Map...
                     </>
                   ) : (
-                    "🔊 Read Scene Aloud"
+                    "🗺️ Battle Map"
                   )}
                 </button>
+                <ExportMenu
+                  onExport={exportEncounter}
+                  hasStructuredData={Boolean(encounterData)}
+                />
+                <button
+                  onClick={() => setShowNarration((prev) => !prev)}
+                  className={`flex items-center justify-center py-2 px-4 rounded-lg font-semibold text-sm transition duration-300 shadow-md ${
+                    showNarration
+                      ? "bg-green-800 text-white hover:bg-green-700"
+                      : "bg-green-600 text-white hover:bg-green-500"
+                  }`}
+                  aria-expanded={showNarration}
+                >
+                  🔊 Narration
+                </button>
               </div>
             )}
 
+            {encounterOutput && !isLoading && showNarration && (
+              <NarrationPanel
+                sections={narrationSections}
+                sectionId={narrationSectionId}
+                onSectionChange={setNarrationSectionId}
+                voices={narrationVoices}
+                onVoicesChange={setNarrationVoices}
+                supportsVoices={provider.capabilities.tts}
+                isNarrating={isSpeaking}
+                onNarrate={narrateSection}
+                onCancel={stopNarration}
+                clip={narrationClip}
+              />
+            )}
+
             {encounterOutput ? (
               <>
+                <BalanceCheck report={balanceReport} />
+                {!isLoading && (
+                  <CombatSimulation
+                    monsters={encounterData?.monsters}
+                    characters={characters}
+                    xpTier={balanceReport?.tier}
+                  />
+                )}
+                <CompendiumCheck monsters={encounterData?.monsters} />
+                {!isLoading && (
+                  <EncounterEditor
+                    monsters={encounterData?.monsters}
+                    history={encounterHistory}
+                    busyIndex={editingMonsterIndex}
+                    disabled={isDetailLoading}
+                    onReroll={(index) => editMonsterGroup(index, "reroll")}
+                    onSwap={(index) => editMonsterGroup(index, "swap")}
+                    onQuantityChange={changeMonsterQuantity}
+                    onSelectVersion={selectVersion}
+                    onCancel={cancelGeneration}
+                  />
+                )}
+
                 <div className="text-gray-200 space-y-4">
-                  <RenderMarkdown content={encounterOutput} />
+                  <MarkdownView
+                    content={withCitationMarkers(
+                      encounterOutput,
+                      encounterData
+                    )}
+                    sources={sources}
+                  />
                 </div>
 
+                {loot && !isLoading && (
+                  <LootPanel
+                    loot={loot}
+                    disabled={isDetailLoading}
+                    onReroll={rerollLoot}
+                    onRerollAll={() => rerollLoot()}
+                    onToggleHoard={toggleLootHoard}
+                  />
+                )}
+
+                {showBattleMap &&
+                  (battleMap ? (
+                    <BattleMap
+                      map={battleMap}
+                      encounter={encounterData}
+                      characters={characters}
+                      isGenerating={isMapLoading}
+                      onRegenerate={generateBattleMap}
+                      onClose={() => setShowBattleMap(false)}
+                    />
+                  ) : (
+                    isMapLoading && (
+                      <div className="mt-6 flex items-center text-sm text-gray-400">
+                        <div className="loading-spinner w-4 h-4 border-2 rounded-full mr-2"></div>
+                        Drawing the battle map...
+                      </div>
+                    )
+                  ))}
+
                 {sources.length > 0 && (
                   <div className="mt-8 pt-4 border-t border-gray-700">
                     <h3 className="text-sm font-semibold text-gray-500 mb-2">
                       Sources Used for Rules/Monsters:
                     </h3>
-                    <ul className="list-disc list-inside text-xs text-gray-500 space-y-1">
+                    <ol className="list-decimal list-inside text-xs text-gray-500 space-y-1">
                       {sources.map((source, index) => (
                         <li key={index} className="truncate">
                           <a
@@ -722,7 +2603,7 @@ const App = () => {
                           </a>
                         </li>
                       ))}
-                    </ul>
+                    </ol>
                   </div>
                 )}
               </>
@@ -757,11 +2638,42 @@ const App = () => {
               )
             )}
           </div>
+
+          <div className="lg:col-span-3">
+            <CombatTracker
+              monsters={encounterData?.monsters}
+              remoteState={remoteCombat}
+              onStateChange={shareCombatState}
+            />
+          </div>
         </main>
       </div>
     </div>
   );
 };
 
-export default App;
+// A player window, opened from the player screen controls.
+const PlayerWindow = ({ screenId }) => {
+  const { db, isAuthReady } = useFirebase();
+  return (
+    <PlayerView
+      db={db}
+      appId={appId}
+      screenId={screenId}
+      isAuthReady={isAuthReady}
+    />
+  );
+};
+
+// Pages opened with ?view=players show the player screen instead of the
+// DM screen.
+const Root = () => {
+  useEffect(() => {
+    installPwa();
+  }, []);
+  const { isPlayerView, screenId } = getPlayerViewFromUrl();
+  return isPlayerView ? <PlayerWindow screenId={screenId} /> : <App />;
+};
+
+export default Root;
               
\ No newline at end of file
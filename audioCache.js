@@ -0,0 +1,97 @@
+// --- Narration Audio Cache ---
+// Generated WAV clips are kept in IndexedDB, keyed by the exact TTS request
+// (text and voices), so replaying a section never calls the API twice.
+// Every function degrades to "no cache" when IndexedDB is unavailable.
+
+const DB_NAME = "dnd-battle-master-audio";
+const DB_VERSION = 1;
+const STORE_NAME = "clips";
+export const MAX_CACHED_CLIPS = 40;
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available."));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, {
+          keyPath: "key",
+        });
+        store.createIndex("createdAt", "createdAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((e) => {
+      dbPromise = null;
+      throw e;
+    });
+  }
+  return dbPromise;
+};
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// A stable key for a synthesizeSpeech request: a SHA-256 digest where the
+// browser offers one, the raw request otherwise.
+export const clipCacheKey = async (speechRequest) => {
+  const raw = JSON.stringify({
+    text: speechRequest.text,
+    voiceName: speechRequest.voiceName,
+    speakers: speechRequest.speakers || [],
+  });
+  if (typeof crypto === "undefined" || !crypto.subtle) return raw;
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(raw)
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// Resolves to the cached WAV blob, or null on a miss.
+export const getCachedClip = async (key) => {
+  try {
+    const db = await openDatabase();
+    const entry = await requestToPromise(
+      db.transaction(STORE_NAME).objectStore(STORE_NAME).get(key)
+    );
+    return entry ? entry.blob : null;
+  } catch (e) {
+    console.error("Failed to read cached narration:", e);
+    return null;
+  }
+};
+
+// Stores a clip, then drops the oldest ones beyond MAX_CACHED_CLIPS.
+export const putCachedClip = async (key, blob) => {
+  try {
+    const db = await openDatabase();
+    const store = db
+      .transaction(STORE_NAME, "readwrite")
+      .objectStore(STORE_NAME);
+    await requestToPromise(store.put({ key, blob, createdAt: Date.now() }));
+    const count = await requestToPromise(store.count());
+    if (count <= MAX_CACHED_CLIPS) return;
+
+    let excess = count - MAX_CACHED_CLIPS;
+    const cursorRequest = store.index("createdAt").openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || excess <= 0) return;
+      cursor.delete();
+      excess -= 1;
+      cursor.continue();
+    };
+  } catch (e) {
+    console.error("Failed to cache narration:", e);
+  }
+};
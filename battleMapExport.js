@@ -0,0 +1,159 @@
+// --- Battle Map Export ---
+// Draws the battle map onto a canvas for PNG export and packages it as a
+// Universal VTT (.dd2vtt) file, with walls as line-of-sight blockers, for
+// Foundry (via the Universal Battlemap Importer), Arkenforge and others.
+
+import {
+  FLOOR_COLOR,
+  FEATURE_COLORS,
+  FEATURE_OPACITY,
+  TOKEN_COLORS,
+} from "./battleMapLayout";
+
+export const EXPORT_CELL_SIZE = 70;
+
+// Paints the map onto `ctx`. With `playerView`, hidden cells are blacked out
+// and monster tokens standing in them are left off.
+export const drawBattleMap = (
+  ctx,
+  map,
+  { cellSize = EXPORT_CELL_SIZE, tokens = [], fog = null, playerView = false }
+) => {
+  const width = map.width * cellSize;
+  const height = map.height * cellSize;
+  const isHidden = (x, y) => playerView && fog && !fog[y][x];
+
+  ctx.fillStyle = FLOOR_COLOR;
+  ctx.fillRect(0, 0, width, height);
+
+  map.features.forEach((feature) => {
+    ctx.globalAlpha = FEATURE_OPACITY[feature.type];
+    ctx.fillStyle = FEATURE_COLORS[feature.type];
+    ctx.fillRect(
+      feature.x * cellSize,
+      feature.y * cellSize,
+      feature.width * cellSize,
+      feature.height * cellSize
+    );
+  });
+  ctx.globalAlpha = 1;
+
+  ctx.strokeStyle = "rgba(0, 0, 0, 0.25)";
+  ctx.lineWidth = 1;
+  for (let x = 0; x <= map.width; x++) {
+    ctx.beginPath();
+    ctx.moveTo(x * cellSize + 0.5, 0);
+    ctx.lineTo(x * cellSize + 0.5, height);
+    ctx.stroke();
+  }
+  for (let y = 0; y <= map.height; y++) {
+    ctx.beginPath();
+    ctx.moveTo(0, y * cellSize + 0.5);
+    ctx.lineTo(width, y * cellSize + 0.5);
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = "#111827";
+  ctx.font = `${Math.round(cellSize * 0.22)}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  map.features.forEach((feature) => {
+    const text = [
+      feature.label,
+      feature.elevation ? `+${feature.elevation} ft.` : "",
+    ]
+      .filter(Boolean)
+      .join(" ");
+    if (!text) return;
+    ctx.fillText(
+      text,
+      (feature.x + feature.width / 2) * cellSize,
+      (feature.y + feature.height / 2) * cellSize,
+      feature.width * cellSize
+    );
+  });
+
+  tokens.forEach((token) => {
+    if (token.kind === "monster" && isHidden(token.x, token.y)) return;
+    const centerX = (token.x + 0.5) * cellSize;
+    const centerY = (token.y + 0.5) * cellSize;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, cellSize * 0.4, 0, Math.PI * 2);
+    ctx.fillStyle = TOKEN_COLORS[token.kind];
+    ctx.fill();
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.fillStyle = "#ffffff";
+    ctx.font = `bold ${Math.round(cellSize * 0.3)}px sans-serif`;
+    ctx.fillText(token.label, centerX, centerY);
+  });
+
+  if (playerView && fog) {
+    ctx.fillStyle = "#000000";
+    fog.forEach((row, y) =>
+      row.forEach((revealed, x) => {
+        if (!revealed) {
+          ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+        }
+      })
+    );
+  }
+};
+
+const createCanvas = (map, cellSize) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = map.width * cellSize;
+  canvas.height = map.height * cellSize;
+  return canvas;
+};
+
+// Resolves to a PNG blob of the map with the given drawBattleMap options.
+export const renderBattleMapPng = (map, options = {}) =>
+  new Promise((resolve, reject) => {
+    const cellSize = options.cellSize || EXPORT_CELL_SIZE;
+    const canvas = createCanvas(map, cellSize);
+    drawBattleMap(canvas.getContext("2d"), map, { ...options, cellSize });
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not render the map.")),
+      "image/png"
+    );
+  });
+
+// Outlines of each wall rectangle, in grid units, as closed polylines.
+const wallsToLineOfSight = (map) =>
+  map.features
+    .filter((feature) => feature.type === "wall")
+    .map(({ x, y, width, height }) => [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height },
+      { x, y },
+    ]);
+
+// A Universal VTT document: the bare map image (no tokens or fog, which the
+// VTT manages itself) plus wall geometry.
+export const buildUvttExport = (map) => {
+  const canvas = createCanvas(map, EXPORT_CELL_SIZE);
+  drawBattleMap(canvas.getContext("2d"), map, {
+    cellSize: EXPORT_CELL_SIZE,
+  });
+  return {
+    format: 0.3,
+    resolution: {
+      map_origin: { x: 0, y: 0 },
+      map_size: { x: map.width, y: map.height },
+      pixels_per_grid: EXPORT_CELL_SIZE,
+    },
+    line_of_sight: wallsToLineOfSight(map),
+    objects_line_of_sight: [],
+    portals: [],
+    environment: { baked_lighting: false, ambient_light: "ffffffff" },
+    lights: [],
+    image: canvas
+      .toDataURL("image/png")
+      .replace(/^data:image\/png;base64,/, ""),
+  };
+};
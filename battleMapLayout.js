@@ -0,0 +1,297 @@
+// --- Tactical Battle Map ---
+// The structured map layout requested from the model, plus the grid helpers
+// the map view needs: rasterizing features, placing tokens and revealing
+// fog of war by line of sight. Coordinates are grid squares (5 ft.), with
+// (0, 0) in the top-left corner.
+
+import { parseJsonWithSchema } from "./encounterSchema";
+import {
+  DEFAULT_PROMPT_SETTINGS,
+  buildPromptVariables,
+  buildSystemInstruction,
+} from "./promptTemplates";
+
+export const MAP_FEATURE_TYPES = [
+  "wall",
+  "cover",
+  "difficult",
+  "hazard",
+  "water",
+  "elevation",
+];
+
+// Fill colors shared by the on-screen grid and the exported image.
+export const FLOOR_COLOR = "#d6cfb8";
+export const FEATURE_COLORS = {
+  wall: "#374151",
+  cover: "#92400e",
+  difficult: "#65a30d",
+  hazard: "#dc2626",
+  water: "#2563eb",
+  elevation: "#ca8a04",
+};
+// Features are translucent except walls, so labels and the grid show through.
+export const FEATURE_OPACITY = {
+  wall: 1,
+  cover: 0.85,
+  difficult: 0.55,
+  hazard: 0.55,
+  water: 0.55,
+  elevation: 0.55,
+};
+export const TOKEN_COLORS = { pc: "#1d4ed8", monster: "#b91c1c" };
+
+export const MIN_MAP_SIZE = 8;
+export const MAX_MAP_SIZE = 40;
+
+const AREA_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    x: { type: "INTEGER", minimum: 0 },
+    y: { type: "INTEGER", minimum: 0 },
+    width: { type: "INTEGER", minimum: 1 },
+    height: { type: "INTEGER", minimum: 1 },
+  },
+  required: ["x", "y", "width", "height"],
+};
+
+export const BATTLE_MAP_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    name: { type: "STRING" },
+    width: { type: "INTEGER", minimum: MIN_MAP_SIZE },
+    height: { type: "INTEGER", minimum: MIN_MAP_SIZE },
+    features: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          ...AREA_SCHEMA.properties,
+          type: { type: "STRING", enum: MAP_FEATURE_TYPES },
+          label: { type: "STRING" },
+          elevation: { type: "INTEGER" },
+        },
+        required: ["type", ...AREA_SCHEMA.required],
+      },
+    },
+    partyStart: AREA_SCHEMA,
+    monsterStart: AREA_SCHEMA,
+  },
+  required: [
+    "name",
+    "width",
+    "height",
+    "features",
+    "partyStart",
+    "monsterStart",
+  ],
+};
+
+const clampArea = (area, map) => {
+  const x = Math.min(area.x, map.width - 1);
+  const y = Math.min(area.y, map.height - 1);
+  return {
+    ...area,
+    x,
+    y,
+    width: Math.max(1, Math.min(area.width, map.width - x)),
+    height: Math.max(1, Math.min(area.height, map.height - y)),
+  };
+};
+
+// Returns { map, errors }. Oversized grids are capped at MAX_MAP_SIZE and
+// areas that spill past the edge are trimmed to fit.
+export const parseBattleMapJson = (text) => {
+  const { value, errors } = parseJsonWithSchema(text, BATTLE_MAP_SCHEMA, "map");
+  if (!value) return { map: null, errors };
+
+  const size = {
+    width: Math.min(value.width, MAX_MAP_SIZE),
+    height: Math.min(value.height, MAX_MAP_SIZE),
+  };
+  return {
+    map: {
+      ...value,
+      ...size,
+      features: value.features.map((feature) => clampArea(feature, size)),
+      partyStart: clampArea(value.partyStart, size),
+      monsterStart: clampArea(value.monsterStart, size),
+    },
+    errors: [],
+  };
+};
+
+export const buildBattleMapPrompt = ({
+  terrain,
+  encounter,
+  environment,
+  promptSettings = DEFAULT_PROMPT_SETTINGS,
+}) => {
+  const systemInstruction = buildSystemInstruction(
+    promptSettings,
+    "battleMap",
+    buildPromptVariables({
+      terrain,
+      schema: JSON.stringify(BATTLE_MAP_SCHEMA),
+      minMapSize: MIN_MAP_SIZE,
+      maxMapSize: MAX_MAP_SIZE,
+    })
+  );
+
+  const monsters = encounter
+    ? encounter.monsters
+        .map((monster) => `${monster.quantity}x ${monster.name}`)
+        .join(", ")
+    : "unknown";
+  const userQuery = `Design the battle map for this encounter.
+- Terrain: ${terrain}
+- Monsters: ${monsters}${encounter ? `\n- Scene: ${encounter.hook}` : ""}${
+    environment ? `\n- Environmental features to include:\n${environment}` : ""
+  }`;
+
+  return { systemInstruction, userQuery };
+};
+
+// --- Grid Helpers ---
+
+// A height x width array of cell feature types (null for open ground).
+// Later features are drawn over earlier ones.
+export const rasterizeMap = (map) => {
+  const cells = Array.from({ length: map.height }, () =>
+    Array(map.width).fill(null)
+  );
+  map.features.forEach((feature) => {
+    for (let y = feature.y; y < feature.y + feature.height; y++) {
+      for (let x = feature.x; x < feature.x + feature.width; x++) {
+        cells[y][x] = feature.type;
+      }
+    }
+  });
+  return cells;
+};
+
+export const isInsideMap = (map, x, y) =>
+  x >= 0 && y >= 0 && x < map.width && y < map.height;
+
+// Finds the free, non-wall cell nearest the area's top-left square,
+// searching outward ring by ring.
+const findFreeCell = (map, cells, area, occupied) => {
+  const maxRadius = Math.max(map.width, map.height);
+  for (let radius = 0; radius < maxRadius; radius++) {
+    for (let y = area.y - radius; y < area.y + area.height + radius; y++) {
+      for (let x = area.x - radius; x < area.x + area.width + radius; x++) {
+        if (
+          isInsideMap(map, x, y) &&
+          cells[y][x] !== "wall" &&
+          !occupied.has(`${x},${y}`)
+        ) {
+          return { x, y };
+        }
+      }
+    }
+  }
+  return { x: 0, y: 0 };
+};
+
+const initials = (name) =>
+  String(name || "?")
+    .split(/\s+/)
+    .map((word) => word.charAt(0).toUpperCase())
+    .join("")
+    .slice(0, 2);
+
+// One token per monster and per character, packed into the start areas.
+export const placeTokens = (map, encounter, characters) => {
+  const cells = rasterizeMap(map);
+  const occupied = new Set();
+  const place = (area) => {
+    const cell = findFreeCell(map, cells, area, occupied);
+    occupied.add(`${cell.x},${cell.y}`);
+    return cell;
+  };
+
+  const pcTokens = (characters || []).map((character, index) => ({
+    id: `pc-${index}`,
+    kind: "pc",
+    name: character.name,
+    label: initials(character.name),
+    ...place(map.partyStart),
+  }));
+  const monsterTokens = (encounter?.monsters || []).flatMap((monster, group) =>
+    Array.from({ length: monster.quantity }, (_, index) => ({
+      id: `monster-${group}-${index}`,
+      kind: "monster",
+      name:
+        monster.quantity > 1 ? `${monster.name} ${index + 1}` : monster.name,
+      label: `${initials(monster.name)}${monster.quantity > 1 ? index + 1 : ""}`,
+      ...place(map.monsterStart),
+    }))
+  );
+  return [...pcTokens, ...monsterTokens];
+};
+
+// --- Fog of War ---
+
+// Everything starts hidden except the party's start area.
+export const createFog = (map) =>
+  Array.from({ length: map.height }, (_, y) =>
+    Array.from(
+      { length: map.width },
+      (_, x) =>
+        x >= map.partyStart.x &&
+        x < map.partyStart.x + map.partyStart.width &&
+        y >= map.partyStart.y &&
+        y < map.partyStart.y + map.partyStart.height
+    )
+  );
+
+// True when no wall stands between the two cells (Bresenham line).
+const hasLineOfSight = (cells, from, to) => {
+  let { x, y } = from;
+  const dx = Math.abs(to.x - x);
+  const dy = -Math.abs(to.y - y);
+  const stepX = x < to.x ? 1 : -1;
+  const stepY = y < to.y ? 1 : -1;
+  let error = dx + dy;
+  while (x !== to.x || y !== to.y) {
+    if ((x !== from.x || y !== from.y) && cells[y][x] === "wall") return false;
+    const doubled = 2 * error;
+    if (doubled >= dy) {
+      error += dy;
+      x += stepX;
+    }
+    if (doubled <= dx) {
+      error += dx;
+      y += stepY;
+    }
+  }
+  return true;
+};
+
+export const SIGHT_RADIUS = 6;
+
+// Returns a new fog grid with every cell within `radius` squares of
+// `origin` and in its line of sight revealed.
+export const revealFrom = (fog, cells, origin, radius = SIGHT_RADIUS) => {
+  const next = fog.map((row) => [...row]);
+  for (let y = origin.y - radius; y <= origin.y + radius; y++) {
+    for (let x = origin.x - radius; x <= origin.x + radius; x++) {
+      if (y < 0 || x < 0 || y >= fog.length || x >= fog[0].length) continue;
+      const distance = Math.hypot(x - origin.x, y - origin.y);
+      if (distance <= radius && hasLineOfSight(cells, origin, { x, y })) {
+        next[y][x] = true;
+      }
+    }
+  }
+  return next;
+};
+
+// Sets every cell within `radius` of `origin` to `revealed` (the DM brush).
+export const paintFog = (fog, origin, radius, revealed) =>
+  fog.map((row, y) =>
+    row.map((value, x) =>
+      Math.abs(x - origin.x) <= radius && Math.abs(y - origin.y) <= radius
+        ? revealed
+        : value
+    )
+  );
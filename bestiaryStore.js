@@ -0,0 +1,58 @@
+// --- Firestore Bestiary ---
+// The user's homebrew creatures, under
+// artifacts/{appId}/users/{userId}/bestiary next to their encounters.
+
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  orderBy,
+  serverTimestamp,
+} from "firebase/firestore";
+
+const getBestiaryCollection = (db, appId, userId) =>
+  collection(db, "artifacts", appId, "users", userId, "bestiary");
+
+// Adds `creature`, or overwrites the saved one when it has an `id`.
+// Resolves to the document id.
+export const saveCreature = async (db, appId, userId, creature) => {
+  const { id, createdAt, updatedAt, ...fields } = creature;
+  if (id) {
+    await updateDoc(doc(getBestiaryCollection(db, appId, userId), id), {
+      ...fields,
+      updatedAt: serverTimestamp(),
+    });
+    return id;
+  }
+  const docRef = await addDoc(getBestiaryCollection(db, appId, userId), {
+    ...fields,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return docRef.id;
+};
+
+export const deleteCreature = (db, appId, userId, creatureId) =>
+  deleteDoc(doc(getBestiaryCollection(db, appId, userId), creatureId));
+
+// Streams the bestiary, newest first. Returns the unsubscribe function.
+export const subscribeToBestiary = (db, appId, userId, onChange, onError) =>
+  onSnapshot(
+    query(
+      getBestiaryCollection(db, appId, userId),
+      orderBy("createdAt", "desc")
+    ),
+    (snapshot) => {
+      onChange(
+        snapshot.docs.map((snapshotDoc) => ({
+          id: snapshotDoc.id,
+          ...snapshotDoc.data(),
+        }))
+      );
+    },
+    onError
+  );
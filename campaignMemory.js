@@ -0,0 +1,181 @@
+// --- Campaign Memory ---
+// Recurring factions, NPCs and locations plus a log of past encounters and
+// their outcomes, so new encounters can build on earlier sessions. The parts
+// marked `include` are added to the encounter prompt (notebookToPrompt);
+// older encounters are condensed into a "story so far" summary by the AI
+// once the log outgrows the prompt budget. Stored in Firestore by
+// campaignStore.js.
+
+import { buildSystemInstruction } from "./promptTemplates";
+
+export const NOTEBOOK_CATEGORIES = [
+  { id: "faction", label: "Factions", singular: "faction" },
+  { id: "npc", label: "NPCs", singular: "NPC" },
+  { id: "location", label: "Locations", singular: "location" },
+];
+
+// Roughly 1,000 tokens of the encounter prompt.
+export const CAMPAIGN_CONTEXT_CHAR_BUDGET = 4000;
+// Condensing always leaves this many of the latest encounters in full.
+export const KEEP_RECENT_ENCOUNTERS = 3;
+
+export const DEFAULT_NOTEBOOK = {
+  name: "My Campaign",
+  session: 1,
+  useInPrompts: true,
+  entries: [],
+  history: [],
+  summary: "",
+};
+
+const makeId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+export const normalizeNotebook = (data) => ({
+  ...DEFAULT_NOTEBOOK,
+  ...(data || {}),
+});
+
+export const addNotebookEntry = (notebook, type) => ({
+  ...notebook,
+  entries: [
+    ...notebook.entries,
+    { id: makeId(), type, name: "", notes: "", include: true },
+  ],
+});
+
+// `list` is "entries" or "history".
+export const updateNotebookItem = (notebook, list, id, changes) => ({
+  ...notebook,
+  [list]: notebook[list].map((item) =>
+    item.id === id ? { ...item, ...changes } : item
+  ),
+});
+
+export const removeNotebookItem = (notebook, list, id) => ({
+  ...notebook,
+  [list]: notebook[list].filter((item) => item.id !== id),
+});
+
+const monstersToLine = (monsters) =>
+  monsters.map((monster) => `${monster.quantity}x ${monster.name}`).join(", ");
+
+// Adds `encounter` to the log for the current session; the outcome is
+// filled in after play.
+export const logEncounter = (notebook, encounter, encounterId = null) => ({
+  ...notebook,
+  history: [
+    ...notebook.history,
+    {
+      id: makeId(),
+      encounterId,
+      session: notebook.session,
+      title: encounter.title,
+      hook: encounter.hook,
+      monsters: monstersToLine(encounter.monsters),
+      outcome: "",
+      include: true,
+      summarized: false,
+      loggedAt: new Date().toISOString(),
+    },
+  ],
+});
+
+const historyToLine = (item) =>
+  `- Session ${item.session}: "${item.title}" (${item.monsters}). ${
+    item.outcome.trim()
+      ? `Outcome: ${item.outcome.trim()}`
+      : "Outcome not recorded."
+  }`;
+
+// The campaign section of the encounter prompt. Earlier encounters are
+// added newest first while they fit CAMPAIGN_CONTEXT_CHAR_BUDGET; `omitted`
+// counts the ones that did not.
+export const notebookToPrompt = (notebook) => {
+  if (!notebook.useInPrompts) return { text: "", omitted: 0 };
+
+  const sections = NOTEBOOK_CATEGORIES.map((category) => {
+    const lines = notebook.entries
+      .filter(
+        (entry) =>
+          entry.type === category.id && entry.include && entry.name.trim()
+      )
+      .map(
+        (entry) =>
+          `- ${entry.name.trim()}${
+            entry.notes.trim() ? `: ${entry.notes.trim()}` : ""
+          }`
+      );
+    return lines.length > 0 ? `${category.label}:\n${lines.join("\n")}` : null;
+  }).filter(Boolean);
+  if (notebook.summary.trim()) {
+    sections.push(`Story so far: ${notebook.summary.trim()}`);
+  }
+
+  const history = notebook.history.filter(
+    (item) => item.include && !item.summarized
+  );
+  let length = sections.join("\n").length;
+  const fitting = [];
+  for (const item of [...history].reverse()) {
+    const line = historyToLine(item);
+    if (length + line.length > CAMPAIGN_CONTEXT_CHAR_BUDGET) break;
+    fitting.unshift(line);
+    length += line.length + 1;
+  }
+  if (fitting.length > 0) {
+    sections.push(`Earlier encounters:\n${fitting.join("\n")}`);
+  }
+
+  if (sections.length === 0) return { text: "", omitted: 0 };
+  return {
+    text: `This encounter is part of the ongoing campaign "${notebook.name}" (session ${notebook.session}). Where it fits the request, bring back these recurring factions, NPCs and locations and build on earlier events, such as enemies who escaped returning with a grudge:\n${sections.join(
+      "\n"
+    )}`,
+    omitted: history.length - fitting.length,
+  };
+};
+
+// Logged encounters the summarizer may fold into the summary: everything
+// not yet summarized except the latest few.
+export const getCondensableHistory = (notebook) => {
+  const open = notebook.history.filter((item) => !item.summarized);
+  return open.slice(0, Math.max(0, open.length - KEEP_RECENT_ENCOUNTERS));
+};
+
+export const buildSummaryRequest = (notebook, promptSettings) => {
+  const items = getCondensableHistory(notebook);
+  const systemInstruction = buildSystemInstruction(
+    promptSettings,
+    "campaignSummary",
+    {}
+  );
+  const userQuery = `Campaign: "${notebook.name}"
+${
+  notebook.summary.trim()
+    ? `Summary so far:\n${notebook.summary.trim()}\n\n`
+    : ""
+}Encounters to fold into the summary:
+${items
+  .map((item) => `${historyToLine(item)}\n  Hook: ${item.hook}`)
+  .join("\n")}
+
+Write the updated summary.`;
+  return {
+    systemInstruction,
+    userQuery,
+    itemIds: items.map((item) => item.id),
+  };
+};
+
+// Stores the new summary and marks the encounters it covers as summarized;
+// they stay in the log but are no longer listed in prompts.
+export const applySummary = (notebook, summary, itemIds) => ({
+  ...notebook,
+  summary: summary.trim(),
+  history: notebook.history.map((item) =>
+    itemIds.includes(item.id) ? { ...item, summarized: true } : item
+  ),
+});
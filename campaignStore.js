@@ -0,0 +1,23 @@
+// --- Firestore Campaign Notebook ---
+// One notebook document per user at
+// artifacts/{appId}/users/{userId}/campaign/notebook.
+
+import { doc, getDoc, setDoc, serverTimestamp } from "firebase/firestore";
+import { normalizeNotebook } from "./campaignMemory";
+
+const getNotebookDoc = (db, appId, userId) =>
+  doc(db, "artifacts", appId, "users", userId, "campaign", "notebook");
+
+// Resolves to the saved notebook, or the default one for a new user.
+export const loadNotebook = async (db, appId, userId) => {
+  const snapshot = await getDoc(getNotebookDoc(db, appId, userId));
+  if (!snapshot.exists()) return normalizeNotebook(null);
+  const { updatedAt, ...notebook } = snapshot.data();
+  return normalizeNotebook(notebook);
+};
+
+export const saveNotebook = (db, appId, userId, notebook) =>
+  setDoc(getNotebookDoc(db, appId, userId), {
+    ...notebook,
+    updatedAt: serverTimestamp(),
+  });
@@ -0,0 +1,224 @@
+// --- Grounding Citations ---
+// Maps the spans a grounded response cites (see providers.js) onto the
+// encounter they produced: each sentence of the hook, notes and balance notes
+// and each stat of a monster group gets the sources backing it. The markdown
+// view carries them as inline markers, " ⟦1,3⟧" for sources 1 and 3 or
+// " ⟦?⟧" for a stat nothing backs, which remarkCitations turns into links.
+
+export const CITATION_PATTERN = / ?⟦([\d,]+|\?)⟧/g;
+const UNVERIFIED = "?";
+
+// Reads the JSON object in `text` and returns every string, number or
+// boolean in it as { path, value, start, end, offsets }. `start`/`end` are
+// positions in `text`; for strings `offsets[i]` is the position of the i-th
+// decoded character (escapes take more than one).
+export const scanJsonValues = (text) => {
+  const values = [];
+  let i = text.indexOf("{");
+  if (i === -1) return values;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  const readString = () => {
+    const start = i;
+    const offsets = [];
+    let value = "";
+    i++;
+    while (i < text.length && text[i] !== '"') {
+      offsets.push(i);
+      if (text[i] === "\\") {
+        const escape = text[i + 1];
+        if (escape === "u") {
+          value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+          i += 6;
+        } else {
+          value +=
+            { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" }[escape] ?? escape;
+          i += 2;
+        }
+      } else {
+        value += text[i];
+        i++;
+      }
+    }
+    offsets.push(i);
+    i++;
+    return { value, start, end: i, offsets };
+  };
+
+  const readValue = (path) => {
+    skipSpace();
+    if (text[i] === "{") {
+      i++;
+      skipSpace();
+      while (i < text.length && text[i] !== "}") {
+        const key = readString().value;
+        skipSpace();
+        i++; // ":"
+        readValue([...path, key]);
+        skipSpace();
+        if (text[i] === ",") i++;
+        skipSpace();
+      }
+      i++;
+    } else if (text[i] === "[") {
+      i++;
+      skipSpace();
+      let index = 0;
+      while (i < text.length && text[i] !== "]") {
+        readValue([...path, index++]);
+        skipSpace();
+        if (text[i] === ",") i++;
+        skipSpace();
+      }
+      i++;
+    } else if (text[i] === '"') {
+      values.push({ path, ...readString() });
+    } else {
+      const start = i;
+      while (i < text.length && !/[\s,}\]]/.test(text[i])) i++;
+      values.push({ path, value: text.slice(start, i), start, end: i });
+    }
+  };
+
+  try {
+    readValue([]);
+  } catch (e) {
+    console.error("Could not read the cited JSON:", e);
+  }
+  return values;
+};
+
+// Sentences of `text` as { text, start, end }, trailing spaces included.
+// The same split is used when mapping citations and when rendering them.
+export const splitSentences = (text) =>
+  [...text.matchAll(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g)].map((match) => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+// Character range of a cited span in `text`. Segments carry UTF-8 byte
+// offsets, so the segment text itself is looked for first.
+const locateSegment = (text, citation) => {
+  if (citation.text) {
+    const index = text.indexOf(citation.text);
+    if (index !== -1) return [index, index + citation.text.length];
+  }
+  if (citation.endIndex === undefined) return null;
+  const bytes = new TextEncoder().encode(text);
+  const toChars = (byteIndex) =>
+    new TextDecoder().decode(bytes.slice(0, byteIndex)).length;
+  return [toChars(citation.startIndex), toChars(citation.endIndex)];
+};
+
+const overlaps = ([start, end], otherStart, otherEnd) =>
+  start < otherEnd && otherStart < end;
+
+const MONSTER_STATS = ["cr", "armorClass", "hitPoints", "speed", "dexModifier"];
+
+// Prefix of the sentence keys for prose fields, e.g. "hook" -> "hook#0".
+const sentencePrefix = (path) => {
+  const field = path.join(".");
+  if (field === "hook") return "hook";
+  if (field === "balance.notes") return "balanceNotes";
+  if (path[0] === "monsters" && path[2] === "notes") return "notes";
+  return null;
+};
+
+// The key of a monster stat: its name, or "attack<i>" for a whole attack.
+const statKey = (path) => {
+  if (path[0] !== "monsters") return null;
+  if (MONSTER_STATS.includes(path[2])) return path[2];
+  if (path[2] === "attacks" && path.length > 3) return `attack${path[3]}`;
+  return null;
+};
+
+const addSources = (map, key, sourceIndices) => {
+  map[key] = [...new Set([...(map[key] || []), ...sourceIndices])].sort(
+    (a, b) => a - b
+  );
+};
+
+// Adds `citations` (key -> source indices) to the encounter and each of its
+// monsters, from the raw response `text` they were parsed from. Sentence
+// keys look like "hook#0" or "notes#2", counted with splitSentences.
+export const attachCitations = (encounter, text, citations) => {
+  const ranges = citations
+    .map((citation) => ({
+      range: locateSegment(text, citation),
+      sourceIndices: citation.sourceIndices,
+    }))
+    .filter(({ range }) => range);
+  const encounterCitations = {};
+  const monsterCitations = encounter.monsters.map(() => ({}));
+
+  scanJsonValues(text).forEach(({ path, value, start, end, offsets }) => {
+    const target =
+      path[0] === "monsters" ? monsterCitations[path[1]] : encounterCitations;
+    const prefix = sentencePrefix(path);
+    const key = statKey(path);
+    if (!target || (!prefix && !key)) return;
+
+    ranges.forEach(({ range, sourceIndices }) => {
+      if (!overlaps(range, start, end)) return;
+      if (!prefix) {
+        addSources(target, key, sourceIndices);
+        return;
+      }
+      splitSentences(value).forEach((sentence, index) => {
+        if (overlaps(range, offsets[sentence.start], offsets[sentence.end])) {
+          addSources(target, `${prefix}#${index}`, sourceIndices);
+        }
+      });
+    });
+  });
+
+  return {
+    ...encounter,
+    citations: encounterCitations,
+    monsters: encounter.monsters.map((monster, index) => ({
+      ...monster,
+      citations: monsterCitations[index],
+    })),
+  };
+};
+
+// --- Markers ---
+export const formatCitationMarker = (sourceIndices) =>
+  sourceIndices && sourceIndices.length > 0
+    ? ` ⟦${sourceIndices.map((index) => index + 1).join(",")}⟧`
+    : "";
+
+// `text` with a marker after every cited sentence.
+export const citeSentences = (text, citations, prefix) =>
+  splitSentences(text)
+    .map((sentence, index) => {
+      const marker = formatCitationMarker(citations?.[`${prefix}#${index}`]);
+      if (!marker) return sentence.text;
+      const body = sentence.text.trimEnd();
+      return `${body}${marker}${sentence.text.slice(body.length)}`;
+    })
+    .join("");
+
+// The marker for one stat of a monster group: its sources, or the
+// unverified flag when nothing backs it. Stats taken from the SRD compendium
+// are backed by it and homebrew stats are the DM's own; both stay unmarked.
+export const statCitation = (monster, key) => {
+  const status = monster.compendium?.status;
+  if (status === "verified" || status === "corrected" || status === "homebrew")
+    return "";
+  const sourceIndices = monster.citations?.[key];
+  return sourceIndices?.length > 0
+    ? formatCitationMarker(sourceIndices)
+    : ` ⟦${UNVERIFIED}⟧`;
+};
+
+// "1,3" -> [0, 2]; "?" -> null (unverified).
+export const parseCitationMarker = (body) =>
+  body === UNVERIFIED ? null : body.split(",").map((n) => Number(n) - 1);
+
+export const stripCitationMarkers = (text) =>
+  text.replace(CITATION_PATTERN, "");
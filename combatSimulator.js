@@ -0,0 +1,244 @@
+// --- Combat Simulator ---
+// Plays an encounter out thousands of times to estimate how dangerous it
+// really is, since the XP math ignores action economy and the party's AC.
+// Monsters attack with their stat block numbers (to-hit, damage dice,
+// Multiattack); characters are modeled by AC, HP, an attack bonus for their
+// level and their average damage per round. Spells, area effects, healing
+// and death saves are not simulated. Runs use a seeded RNG, so the same seed
+// always gives the same report.
+
+import { createRng, randomSeed } from "./treasure";
+import { getAttackBonus, getDamagePerRound } from "./partyRoster";
+
+export const DEFAULT_SIMULATION_RUNS = 2000;
+// Fights still going after this many rounds count as unresolved.
+export const MAX_SIMULATED_ROUNDS = 20;
+// A character's damage per round is taken to assume this share of attacks
+// hit, which turns it into damage per hit.
+const BASELINE_HIT_CHANCE = 0.65;
+const CHARACTER_INITIATIVE_BONUS = 2;
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+const DICE_PATTERN = /(\d+)d(\d+)(?:\s*([+-])\s*(\d+))?/gi;
+
+// "13 (2d8 + 4) bludgeoning plus 7 (2d6) fire" -> the dice and flat bonus
+// of every damage roll, with their average. A plain "1 piercing" is flat.
+export const parseDamage = (damage) => {
+  const text = String(damage || "");
+  const dice = [];
+  let bonus = 0;
+  for (const [, count, sides, sign, modifier] of text.matchAll(DICE_PATTERN)) {
+    dice.push({ count: Number(count), sides: Number(sides) });
+    if (modifier) bonus += (sign === "-" ? -1 : 1) * Number(modifier);
+  }
+  if (dice.length === 0) bonus = Number(/^\s*(\d+)/.exec(text)?.[1] || 0);
+  const average = dice.reduce(
+    (sum, die) => sum + (die.count * (die.sides + 1)) / 2,
+    bonus
+  );
+  return { dice, bonus, average };
+};
+
+// "Multiattack: three attacks." in the notes -> 3.
+export const getAttacksPerTurn = (monster) => {
+  const match = /multiattack:\s*(\w+)/i.exec(monster.notes || "");
+  if (!match) return 1;
+  return NUMBER_WORDS[match[1].toLowerCase()] || Number(match[1]) || 1;
+};
+
+const rollD20 = (rng) => Math.floor(rng() * 20) + 1;
+
+const rollDamage = (rng, { dice, bonus }, critical) => {
+  let total = bonus;
+  for (const { count, sides } of dice) {
+    for (let i = 0; i < (critical ? count * 2 : count); i++) {
+      total += Math.floor(rng() * sides) + 1;
+    }
+  }
+  return Math.max(0, total);
+};
+
+// Natural 20s always hit (and crit), natural 1s always miss.
+const rollAttack = (rng, toHit, armorClass) => {
+  const roll = rollD20(rng);
+  if (roll === 1) return { hit: false, critical: false };
+  return {
+    hit: roll === 20 || roll + toHit >= armorClass,
+    critical: roll === 20,
+  };
+};
+
+// One creature per monster, each swinging its hardest-hitting attack.
+const buildMonsters = (monsters) =>
+  monsters.flatMap((monster) => {
+    const best = (monster.attacks || [])
+      .map((attack) => ({
+        toHit: attack.toHit,
+        damage: parseDamage(attack.damage),
+      }))
+      .sort((a, b) => b.damage.average - a.damage.average)[0];
+    return Array.from({ length: monster.quantity }, () => ({
+      name: monster.name,
+      armorClass: monster.armorClass,
+      maxHp: monster.hitPoints,
+      initiative: monster.dexModifier || 0,
+      attack: best || null,
+      attacksPerTurn: getAttacksPerTurn(monster),
+    }));
+  });
+
+const buildCharacters = (characters) =>
+  characters.map((character) => ({
+    name: character.name,
+    armorClass: character.armorClass,
+    maxHp: character.hitPoints,
+    initiative: CHARACTER_INITIATIVE_BONUS,
+    toHit: getAttackBonus(character.level),
+    damagePerHit: getDamagePerRound(character) / BASELINE_HIT_CHANCE,
+  }));
+
+// Characters focus the most wounded monster; monsters pick a random
+// standing character for every attack.
+const simulateFight = (rng, characters, monsters) => {
+  const party = characters.map((character) => ({
+    ...character,
+    hp: character.maxHp,
+    wentDown: false,
+  }));
+  const foes = monsters.map((monster) => ({ ...monster, hp: monster.maxHp }));
+  const turns = [
+    ...party.map((actor) => ({ actor, side: "party" })),
+    ...foes.map((actor) => ({ actor, side: "monsters" })),
+  ]
+    .map((turn) => ({ ...turn, roll: rollD20(rng) + turn.actor.initiative }))
+    .sort((a, b) => b.roll - a.roll);
+
+  for (let round = 1; round <= MAX_SIMULATED_ROUNDS; round++) {
+    for (const { actor, side } of turns) {
+      if (actor.hp <= 0) continue;
+
+      if (side === "party") {
+        const target = foes
+          .filter((foe) => foe.hp > 0)
+          .sort((a, b) => a.hp - b.hp)[0];
+        const { hit } = rollAttack(rng, actor.toHit, target.armorClass);
+        if (hit) target.hp -= Math.round(actor.damagePerHit * (0.5 + rng()));
+        if (foes.every((foe) => foe.hp <= 0)) {
+          return { rounds: round, party, outcome: "victory" };
+        }
+      } else if (actor.attack) {
+        for (let i = 0; i < actor.attacksPerTurn; i++) {
+          const standing = party.filter((character) => character.hp > 0);
+          const target = standing[Math.floor(rng() * standing.length)];
+          const { hit, critical } = rollAttack(
+            rng,
+            actor.attack.toHit,
+            target.armorClass
+          );
+          if (!hit) continue;
+          target.hp = Math.max(
+            0,
+            target.hp - rollDamage(rng, actor.attack.damage, critical)
+          );
+          if (target.hp === 0) target.wentDown = true;
+          if (party.every((character) => character.hp <= 0)) {
+            return { rounds: round, party, outcome: "tpk" };
+          }
+        }
+      }
+    }
+  }
+  return { rounds: MAX_SIMULATED_ROUNDS, party, outcome: "unresolved" };
+};
+
+// A rough label for the simulated danger, comparable to the DMG tiers.
+export const getSimulatedTier = ({
+  tpkChance,
+  pcDownChance,
+  averageHpLost,
+}) => {
+  if (tpkChance >= 0.1 || pcDownChance >= 0.5) return "Deadly";
+  if (pcDownChance >= 0.2 || averageHpLost >= 0.4) return "Hard";
+  if (averageHpLost >= 0.2) return "Medium";
+  return "Easy";
+};
+
+// Runs the fights a few at a time, so a UI can spread thousands of them over
+// several tasks: `runFights(count)` plays up to `count` more, `isDone()`
+// says whether all `runs` have been played, and `getReport()` summarizes
+// the fights so far. The RNG carries over between batches, so the report
+// does not depend on how the runs are split.
+//
+// Reports give chances in 0-1: `pcDownChance` (at least one character
+// dropped to 0 HP), `tpkChance` (all of them), `unresolvedChance` (still
+// fighting after MAX_SIMULATED_ROUNDS), plus the average rounds per fight,
+// share of the party's HP lost, characters dropped, and per-character
+// `downChance`.
+export const createSimulation = ({
+  monsters,
+  characters,
+  runs = DEFAULT_SIMULATION_RUNS,
+  seed = randomSeed(),
+}) => {
+  const rng = createRng(seed);
+  const party = buildCharacters(characters);
+  const foes = buildMonsters(monsters);
+  const totalHp = party.reduce((sum, character) => sum + character.maxHp, 0);
+  const totalRuns = party.length > 0 && foes.length > 0 ? runs : 0;
+
+  let completed = 0;
+  let rounds = 0;
+  let anyDown = 0;
+  let tpks = 0;
+  let unresolved = 0;
+  let hpLost = 0;
+  let pcsDown = 0;
+  const downCounts = party.map(() => 0);
+
+  const runFights = (count) => {
+    const end = Math.min(totalRuns, completed + count);
+    for (; completed < end; completed++) {
+      const fight = simulateFight(rng, party, foes);
+      rounds += fight.rounds;
+      if (fight.outcome === "tpk") tpks += 1;
+      if (fight.outcome === "unresolved") unresolved += 1;
+      const down = fight.party.filter((character) => character.wentDown);
+      if (down.length > 0) anyDown += 1;
+      pcsDown += down.length;
+      fight.party.forEach((character, index) => {
+        hpLost += character.maxHp - character.hp;
+        if (character.wentDown) downCounts[index] += 1;
+      });
+    }
+  };
+
+  const getReport = () => {
+    const share = (count) => (completed ? count / completed : 0);
+    const report = {
+      seed,
+      runs: completed,
+      totalRuns,
+      averageRounds: share(rounds),
+      pcDownChance: share(anyDown),
+      tpkChance: share(tpks),
+      unresolvedChance: share(unresolved),
+      averageHpLost: totalHp ? share(hpLost) / totalHp : 0,
+      averagePcsDown: share(pcsDown),
+      characters: party.map((character, index) => ({
+        name: character.name,
+        downChance: share(downCounts[index]),
+      })),
+    };
+    return { ...report, tier: getSimulatedTier(report) };
+  };
+
+  return { runFights, isDone: () => completed >= totalRuns, getReport };
+};
+
+// Plays every run at once; see createSimulation for the report.
+export const simulateEncounter = (options) => {
+  const simulation = createSimulation(options);
+  simulation.runFights(Infinity);
+  return simulation.getReport();
+};
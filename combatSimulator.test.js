@@ -0,0 +1,170 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseDamage,
+  getAttacksPerTurn,
+  getSimulatedTier,
+  createSimulation,
+  simulateEncounter,
+} from "./combatSimulator";
+
+const goblin = {
+  name: "Goblin",
+  quantity: 4,
+  armorClass: 15,
+  hitPoints: 7,
+  dexModifier: 2,
+  attacks: [
+    { name: "Scimitar", toHit: 4, damage: "5 (1d6 + 2) slashing" },
+    { name: "Shortbow", toHit: 4, damage: "5 (1d6 + 2) piercing" },
+  ],
+  notes: "",
+};
+
+const ogre = {
+  name: "Ogre",
+  quantity: 1,
+  armorClass: 11,
+  hitPoints: 59,
+  dexModifier: -1,
+  attacks: [
+    { name: "Greatclub", toHit: 6, damage: "13 (2d8 + 4) bludgeoning" },
+  ],
+  notes: "",
+};
+
+const party = [
+  {
+    name: "Aria",
+    level: 3,
+    characterClass: "Fighter",
+    armorClass: 18,
+    hitPoints: 28,
+  },
+  {
+    name: "Bram",
+    level: 3,
+    characterClass: "Wizard",
+    armorClass: 12,
+    hitPoints: 17,
+  },
+  {
+    name: "Cole",
+    level: 3,
+    characterClass: "Rogue",
+    armorClass: 14,
+    hitPoints: 21,
+  },
+];
+
+describe("parseDamage", () => {
+  it("reads every damage roll and the flat bonus", () => {
+    expect(parseDamage("13 (2d8 + 4) bludgeoning plus 7 (2d6) fire")).toEqual({
+      dice: [
+        { count: 2, sides: 8 },
+        { count: 2, sides: 6 },
+      ],
+      bonus: 4,
+      average: 20,
+    });
+    expect(parseDamage("1d4 - 1 piercing").average).toBe(1.5);
+  });
+
+  it("treats damage without dice as flat", () => {
+    expect(parseDamage("1 piercing")).toEqual({
+      dice: [],
+      bonus: 1,
+      average: 1,
+    });
+    expect(parseDamage(undefined).average).toBe(0);
+  });
+});
+
+describe("getAttacksPerTurn", () => {
+  it("reads Multiattack from the notes", () => {
+    expect(getAttacksPerTurn({ notes: "Multiattack: three attacks." })).toBe(3);
+    expect(getAttacksPerTurn({ notes: "Multiattack: 2 claws" })).toBe(2);
+    expect(getAttacksPerTurn({ notes: "" })).toBe(1);
+    expect(getAttacksPerTurn({})).toBe(1);
+  });
+});
+
+describe("getSimulatedTier", () => {
+  it("labels the danger like the DMG tiers", () => {
+    const calm = { tpkChance: 0, pcDownChance: 0, averageHpLost: 0.1 };
+    expect(getSimulatedTier(calm)).toBe("Easy");
+    expect(getSimulatedTier({ ...calm, averageHpLost: 0.2 })).toBe("Medium");
+    expect(getSimulatedTier({ ...calm, pcDownChance: 0.2 })).toBe("Hard");
+    expect(getSimulatedTier({ ...calm, pcDownChance: 0.5 })).toBe("Deadly");
+    expect(getSimulatedTier({ ...calm, tpkChance: 0.1 })).toBe("Deadly");
+  });
+});
+
+describe("simulateEncounter", () => {
+  const options = {
+    monsters: [goblin, ogre],
+    characters: party,
+    runs: 300,
+    seed: "table-1",
+  };
+
+  it("gives the same report for the same seed", () => {
+    const report = simulateEncounter(options);
+    expect(simulateEncounter(options)).toEqual(report);
+    expect(simulateEncounter({ ...options, seed: "table-2" })).not.toEqual(
+      report
+    );
+  });
+
+  it("reports chances and averages over every run", () => {
+    const report = simulateEncounter(options);
+    expect(report).toMatchObject({
+      seed: "table-1",
+      runs: 300,
+      totalRuns: 300,
+    });
+    [
+      report.pcDownChance,
+      report.tpkChance,
+      report.unresolvedChance,
+      report.averageHpLost,
+    ].forEach((chance) => {
+      expect(chance).toBeGreaterThanOrEqual(0);
+      expect(chance).toBeLessThanOrEqual(1);
+    });
+    expect(report.tpkChance).toBeLessThanOrEqual(report.pcDownChance);
+    expect(report.averageRounds).toBeGreaterThanOrEqual(1);
+    expect(report.characters.map((character) => character.name)).toEqual([
+      "Aria",
+      "Bram",
+      "Cole",
+    ]);
+  });
+
+  it("plays no fights without monsters or characters", () => {
+    expect(simulateEncounter({ ...options, characters: [] })).toMatchObject({
+      runs: 0,
+      pcDownChance: 0,
+      averageHpLost: 0,
+    });
+    expect(simulateEncounter({ ...options, monsters: [] }).runs).toBe(0);
+  });
+});
+
+describe("createSimulation", () => {
+  it("gives the same report however the runs are batched", () => {
+    const options = {
+      monsters: [goblin, ogre],
+      characters: party,
+      runs: 300,
+      seed: "table-1",
+    };
+    const simulation = createSimulation(options);
+    simulation.runFights(120);
+    expect(simulation.isDone()).toBe(false);
+    expect(simulation.getReport()).toMatchObject({ runs: 120, totalRuns: 300 });
+    simulation.runFights(120);
+    simulation.runFights(120);
+    expect(simulation.isDone()).toBe(true);
+    expect(simulation.getReport()).toEqual(simulateEncounter(options));
+  });
+});
@@ -0,0 +1,241 @@
+// --- Combat Tracker State ---
+// Pure reducer for the initiative tracker. Every action except UNDO pushes the
+// previous state onto `past`, so any change can be stepped back. Consecutive
+// initiative edits for one combatant (a keystroke each) share a single step.
+
+export const COMBAT_STORAGE_KEY = "dnd-battle-master:combat";
+const MAX_UNDO_STEPS = 50;
+
+export const CONDITIONS = [
+  "Blinded",
+  "Charmed",
+  "Deafened",
+  "Frightened",
+  "Grappled",
+  "Incapacitated",
+  "Invisible",
+  "Paralyzed",
+  "Petrified",
+  "Poisoned",
+  "Prone",
+  "Restrained",
+  "Stunned",
+  "Unconscious",
+  "Concentrating",
+];
+
+export const rollD20 = () => Math.floor(Math.random() * 20) + 1;
+
+const makeId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+export const initialCombatState = {
+  present: {
+    combatants: [],
+    round: 0,
+    turnIndex: 0,
+    isActive: false,
+  },
+  past: [],
+  undoGroup: null,
+};
+
+// Highest initiative first; ties go to the higher initiative bonus.
+const sortByInitiative = (combatants) =>
+  [...combatants].sort(
+    (a, b) =>
+      b.initiative - a.initiative || b.initiativeBonus - a.initiativeBonus
+  );
+
+// Expands each monster group into one combatant per creature with a rolled
+// initiative. Creatures in a group share one roll, as the PHB suggests.
+export const monstersToCombatants = (monsters, roll = rollD20) =>
+  monsters.flatMap((monster) => {
+    const bonus = Number(monster.dexModifier) || 0;
+    const initiative = roll() + bonus;
+    return Array.from({ length: monster.quantity }, (_, index) => ({
+      id: makeId(),
+      name:
+        monster.quantity > 1 ? `${monster.name} ${index + 1}` : monster.name,
+      type: "monster",
+      initiative,
+      initiativeBonus: bonus,
+      armorClass: monster.armorClass,
+      maxHp: monster.hitPoints,
+      hp: monster.hitPoints,
+      conditions: [],
+    }));
+  });
+
+const updateCombatant = (state, id, update) => ({
+  ...state,
+  combatants: state.combatants.map((combatant) =>
+    combatant.id === id ? { ...combatant, ...update(combatant) } : combatant
+  ),
+});
+
+// Conditions tick down at the start of their owner's turn and expire at zero.
+const tickConditions = (state) => {
+  const current = state.combatants[state.turnIndex];
+  if (!current) return state;
+  return updateCombatant(state, current.id, (combatant) => ({
+    conditions: combatant.conditions
+      .map((condition) =>
+        condition.rounds === null
+          ? condition
+          : { ...condition, rounds: condition.rounds - 1 }
+      )
+      .filter((condition) => condition.rounds === null || condition.rounds > 0),
+  }));
+};
+
+const applyAction = (state, action) => {
+  switch (action.type) {
+    case "START":
+      return {
+        combatants: sortByInitiative([
+          ...state.combatants.filter((c) => c.type === "pc"),
+          ...action.combatants,
+        ]),
+        round: 1,
+        turnIndex: 0,
+        isActive: true,
+      };
+    case "ADD_PC": {
+      const pc = {
+        id: makeId(),
+        type: "pc",
+        name: action.name,
+        initiative: Number(action.initiative) || 0,
+        initiativeBonus: 0,
+        armorClass: Number(action.armorClass) || null,
+        maxHp: Number(action.maxHp) || null,
+        hp: Number(action.maxHp) || null,
+        conditions: [],
+      };
+      const active = state.combatants[state.turnIndex];
+      const combatants = sortByInitiative([...state.combatants, pc]);
+      return {
+        ...state,
+        combatants,
+        turnIndex: active ? combatants.indexOf(active) : 0,
+      };
+    }
+    case "REMOVE": {
+      const index = state.combatants.findIndex((c) => c.id === action.id);
+      if (index === -1) return state;
+      const combatants = state.combatants.filter((c) => c.id !== action.id);
+      let turnIndex = state.turnIndex;
+      if (index < turnIndex) turnIndex -= 1;
+      if (turnIndex >= combatants.length) turnIndex = 0;
+      return { ...state, combatants, turnIndex };
+    }
+    case "SET_INITIATIVE": {
+      const active = state.combatants[state.turnIndex];
+      const combatants = sortByInitiative(
+        state.combatants.map((c) =>
+          c.id === action.id
+            ? { ...c, initiative: Number(action.initiative) || 0 }
+            : c
+        )
+      );
+      return {
+        ...state,
+        combatants,
+        turnIndex: Math.max(
+          0,
+          combatants.findIndex((c) => c.id === active?.id)
+        ),
+      };
+    }
+    case "NEXT_TURN": {
+      if (state.combatants.length === 0) return state;
+      const wraps = state.turnIndex + 1 >= state.combatants.length;
+      return tickConditions({
+        ...state,
+        turnIndex: wraps ? 0 : state.turnIndex + 1,
+        round: wraps ? state.round + 1 : state.round,
+      });
+    }
+    case "DAMAGE":
+      return updateCombatant(state, action.id, (c) => ({
+        hp: c.hp === null ? null : Math.max(0, c.hp - action.amount),
+      }));
+    case "HEAL":
+      return updateCombatant(state, action.id, (c) => ({
+        hp:
+          c.hp === null
+            ? null
+            : Math.min(c.maxHp ?? Infinity, c.hp + action.amount),
+      }));
+    case "ADD_CONDITION":
+      return updateCombatant(state, action.id, (c) => ({
+        conditions: [
+          ...c.conditions.filter((cond) => cond.name !== action.name),
+          {
+            name: action.name,
+            rounds: action.rounds ? Number(action.rounds) : null,
+          },
+        ],
+      }));
+    case "REMOVE_CONDITION":
+      return updateCombatant(state, action.id, (c) => ({
+        conditions: c.conditions.filter((cond) => cond.name !== action.name),
+      }));
+    case "END":
+      return { ...initialCombatState.present };
+    default:
+      return state;
+  }
+};
+
+// Actions with the same non-null group that follow each other are undone
+// together.
+const getUndoGroup = (action) =>
+  action.type === "SET_INITIATIVE" ? `initiative:${action.id}` : null;
+
+export const combatReducer = (state, action) => {
+  if (action.type === "UNDO") {
+    if (state.past.length === 0) return state;
+    return {
+      present: state.past[state.past.length - 1],
+      past: state.past.slice(0, -1),
+      undoGroup: null,
+    };
+  }
+  if (action.type === "LOAD") {
+    return action.state;
+  }
+
+  const present = applyAction(state.present, action);
+  if (present === state.present) return state;
+  const undoGroup = getUndoGroup(action);
+  if (undoGroup && undoGroup === state.undoGroup) {
+    return { ...state, present };
+  }
+  return {
+    present,
+    past: [...state.past, state.present].slice(-MAX_UNDO_STEPS),
+    undoGroup,
+  };
+};
+
+export const loadCombatState = () => {
+  try {
+    const saved = window.localStorage.getItem(COMBAT_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : initialCombatState;
+  } catch (e) {
+    console.error("Failed to load saved combat state:", e);
+    return initialCombatState;
+  }
+};
+
+export const saveCombatState = (state) => {
+  try {
+    window.localStorage.setItem(COMBAT_STORAGE_KEY, JSON.stringify(state));
+  } catch (e) {
+    console.error("Failed to save combat state:", e);
+  }
+};
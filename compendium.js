@@ -0,0 +1,201 @@
+// --- SRD Compendium ---
+// Search over the bundled SRD monsters and cross-checks AI-generated stat
+// blocks against them, so a misremembered AC or a made-up creature is caught
+// before it reaches the table.
+
+import { SRD_MONSTERS } from "./srdMonsters";
+import { normalizeCr, crToXp } from "./encounterMath";
+
+export const MONSTER_TYPES = [
+  ...new Set(SRD_MONSTERS.map((monster) => monster.type)),
+].sort();
+
+export const COMPENDIUM_CRS = [
+  ...new Set(SRD_MONSTERS.map((monster) => monster.cr)),
+];
+
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/\(.*?\)/g, "")
+    .replace(/[^a-z0-9' -]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const MONSTERS_BY_NAME = new Map(
+  SRD_MONSTERS.map((monster) => [normalizeName(monster.name), monster])
+);
+
+// Looks a monster up by name, tolerating case, parentheticals and plurals
+// ("Goblins", "Wolves", "Mummies"). Returns null when it is not bundled.
+export const findSrdMonster = (name) => {
+  const key = normalizeName(name);
+  const candidates = [
+    key,
+    key.replace(/ves$/, "f"),
+    key.replace(/ies$/, "y"),
+    key.replace(/es$/, ""),
+    key.replace(/s$/, ""),
+  ];
+  for (const candidate of candidates) {
+    const monster = MONSTERS_BY_NAME.get(candidate);
+    if (monster) return monster;
+  }
+  return null;
+};
+
+// Filters the compendium by free text (name or type), CR and creature type.
+export const searchMonsters = ({ query = "", cr = "", type = "" } = {}) => {
+  const text = query.trim().toLowerCase();
+  const crKey = cr ? normalizeCr(cr) : null;
+  return SRD_MONSTERS.filter(
+    (monster) =>
+      (!text ||
+        monster.name.toLowerCase().includes(text) ||
+        monster.type.toLowerCase().includes(text)) &&
+      (!crKey || monster.cr === crKey) &&
+      (!type || monster.type === type)
+  );
+};
+
+// Copies the canonical stats into an encounter monster group.
+export const srdMonsterToEncounterMonster = (monster, quantity = 1) => ({
+  name: monster.name,
+  quantity,
+  cr: monster.cr,
+  armorClass: monster.armorClass,
+  hitPoints: monster.hitPoints,
+  speed: monster.speed,
+  dexModifier: monster.dexModifier,
+  attacks: monster.attacks.map((attack) => ({ ...attack })),
+});
+
+// Monsters the user locked in for the next generation, as prompt lines.
+export const lockedMonstersToPrompt = (lockedMonsters) =>
+  lockedMonsters
+    .map(({ name, quantity }) => {
+      const cr = findSrdMonster(name)?.cr;
+      return `- ${quantity}x ${name} (CR ${cr}, ${crToXp(cr)} XP each)`;
+    })
+    .join("\n");
+
+const normalizeSpeed = (speed) =>
+  String(speed || "")
+    .toLowerCase()
+    .replace(/[\s.]/g, "");
+
+// Leading average of a damage string, e.g. 11 for "11 (2d8 + 2) piercing".
+const averageDamage = (damage) => {
+  const match = String(damage || "").match(/^\s*(\d+)/);
+  return match ? Number(match[1]) : null;
+};
+
+const attackKey = (name) => normalizeName(name).replace(/s$/, "");
+
+// True when every generated attack exists in the SRD entry with the same
+// to-hit bonus and average damage. Omitted SRD attacks are not an error.
+const attacksMatch = (attacks, canonicalAttacks) =>
+  (attacks || []).every((attack) => {
+    const canonical = canonicalAttacks.find(
+      (candidate) => attackKey(candidate.name) === attackKey(attack.name)
+    );
+    return (
+      canonical &&
+      attack.toHit === canonical.toHit &&
+      averageDamage(attack.damage) === averageDamage(canonical.damage)
+    );
+  });
+
+// Lists the stats that differ from the canonical entry, as readable strings.
+const findCorrections = (monster, canonical) => {
+  const corrections = [];
+  if (normalizeCr(monster.cr) !== canonical.cr) {
+    corrections.push(`CR ${monster.cr} → ${canonical.cr}`);
+  }
+  if (monster.armorClass !== canonical.armorClass) {
+    corrections.push(`AC ${monster.armorClass} → ${canonical.armorClass}`);
+  }
+  if (monster.hitPoints !== canonical.hitPoints) {
+    corrections.push(`HP ${monster.hitPoints} → ${canonical.hitPoints}`);
+  }
+  if (normalizeSpeed(monster.speed) !== normalizeSpeed(canonical.speed)) {
+    corrections.push(`Speed ${monster.speed} → ${canonical.speed}`);
+  }
+  if (
+    monster.dexModifier !== undefined &&
+    monster.dexModifier !== canonical.dexModifier
+  ) {
+    corrections.push(
+      `Initiative ${monster.dexModifier} → ${canonical.dexModifier}`
+    );
+  }
+  if (!attacksMatch(monster.attacks, canonical.attacks)) {
+    corrections.push("Attacks replaced with SRD actions");
+  }
+  return corrections;
+};
+
+// Cross-references every monster group against the compendium. Known
+// monsters get their canonical stats (keeping quantity and notes); the rest
+// are left as generated and flagged. Each group gains a
+// `compendium: { status, corrections }` entry where status is "verified",
+// "corrected" or "unlisted". Only a subset of the SRD is bundled, so
+// "unlisted" means "not checked", not "not in the SRD". Homebrew groups
+// (status "homebrew") are kept as the DM built them. Returns
+// { encounter, report }.
+export const reconcileEncounter = (encounter) => {
+  if (!encounter) return { encounter, report: [] };
+
+  const report = [];
+  const monsters = encounter.monsters.map((monster) => {
+    if (monster.compendium?.status === "homebrew") {
+      report.push({ name: monster.name, ...monster.compendium });
+      return monster;
+    }
+    const canonical = findSrdMonster(monster.name);
+    if (!canonical) {
+      report.push({ name: monster.name, status: "unlisted", corrections: [] });
+      return {
+        ...monster,
+        compendium: { status: "unlisted", corrections: [] },
+      };
+    }
+
+    const corrections = findCorrections(monster, canonical);
+    const status = corrections.length > 0 ? "corrected" : "verified";
+    report.push({ name: canonical.name, status, corrections });
+    return {
+      ...srdMonsterToEncounterMonster(canonical, monster.quantity),
+      ...(monster.notes ? { notes: monster.notes } : {}),
+      ...(monster.citations ? { citations: monster.citations } : {}),
+      compendium: { status, corrections },
+    };
+  });
+
+  return { encounter: { ...encounter, monsters }, report };
+};
+
+// Encounters saved before the "unlisted" status called it "unknown".
+export const isUnlistedMonster = (monster) =>
+  monster.compendium?.status === "unlisted" ||
+  monster.compendium?.status === "unknown";
+
+// Other compendium monsters within one XP step (half to double) of `cr`,
+// closest first. Used to suggest swaps of a similar challenge.
+export const findSimilarMonsters = (cr, excludeName, limit = 8) => {
+  const xp = crToXp(cr);
+  if (!xp) return [];
+  const excluded = findSrdMonster(excludeName)?.name ?? excludeName;
+  return SRD_MONSTERS.filter(
+    (monster) =>
+      monster.name !== excluded &&
+      crToXp(monster.cr) >= xp / 2 &&
+      crToXp(monster.cr) <= xp * 2
+  )
+    .sort(
+      (a, b) =>
+        Math.abs(Math.log(crToXp(a.cr) / xp)) -
+        Math.abs(Math.log(crToXp(b.cr) / xp))
+    )
+    .slice(0, limit);
+};
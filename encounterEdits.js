@@ -0,0 +1,86 @@
+// --- Targeted Encounter Edits ---
+// Per-monster changes to an existing encounter (quantity, replaced groups),
+// the locally recomputed balance block, and the version history that lets
+// the user step back to earlier variants.
+
+import { evaluateEncounter, crToXp, normalizeCr } from "./encounterMath";
+
+export const MAX_ENCOUNTER_VERSIONS = 20;
+
+const describeGroup = (monster) => {
+  const xp = crToXp(monster.cr);
+  return `${monster.quantity}x ${monster.name} (${
+    xp === null || xp === undefined ? "unknown" : xp.toLocaleString()
+  } XP each)`;
+};
+
+// Rewrites `encounter.balance` from the DMG math, so the balance note stays
+// true after the monster list changes.
+export const rebalanceEncounter = (encounter, partyLevels, difficulty) => {
+  const evaluation = evaluateEncounter({
+    monsters: encounter.monsters.map(({ name, quantity, cr }) => ({
+      name,
+      quantity,
+      cr: normalizeCr(cr),
+    })),
+    partyLevels,
+    difficulty,
+  });
+  const { tier, baseXp, adjustedXp, monsterCount, multiplier, budget } =
+    evaluation;
+  const article = /^[AEIOU]/.test(tier) ? "an" : "a";
+  const groups = encounter.monsters.map(describeGroup).join(", ");
+  return {
+    ...encounter,
+    balance: {
+      difficulty: tier,
+      encounterXp: baseXp,
+      adjustedXp,
+      notes: `Recalculated after editing: ${groups} total ${baseXp.toLocaleString()} XP; ${monsterCount} monsters use a x${multiplier} multiplier for ${adjustedXp.toLocaleString()} adjusted XP, ${article} ${tier} fight against the party's ${difficulty} budget of ${budget.toLocaleString()} XP.`,
+    },
+  };
+};
+
+export const setMonsterQuantity = (encounter, index, quantity) => ({
+  ...encounter,
+  monsters: encounter.monsters.map((monster, i) =>
+    i === index ? { ...monster, quantity: Math.max(1, quantity) } : monster
+  ),
+});
+
+export const replaceMonster = (encounter, index, replacement) => ({
+  ...encounter,
+  monsters: encounter.monsters.map((monster, i) =>
+    i === index ? replacement : monster
+  ),
+});
+
+export const addMonster = (encounter, monster) => ({
+  ...encounter,
+  monsters: [...encounter.monsters, monster],
+});
+
+// --- Version History ---
+// { versions: [{ encounter, label }], index }. Editing from an earlier
+// version drops the versions after it, like an editor's undo stack.
+
+export const createEncounterHistory = (encounter, label) => ({
+  versions: [{ encounter, label }],
+  index: 0,
+});
+
+export const pushEncounterVersion = (history, encounter, label) => {
+  const versions = [
+    ...history.versions.slice(0, history.index + 1),
+    { encounter, label },
+  ].slice(-MAX_ENCOUNTER_VERSIONS);
+  return { versions, index: versions.length - 1 };
+};
+
+export const selectEncounterVersion = (history, index) => ({
+  ...history,
+  index: Math.max(0, Math.min(history.versions.length - 1, index)),
+});
+
+export const getCurrentVersion = (history) =>
+  history ? history.versions[history.index] : null;
@@ -0,0 +1,313 @@
+// --- Encounter Export & Import ---
+// Turns the current encounter into downloadable files (Markdown, a JSON
+// bundle other DMs can import, Foundry VTT actors) or a printable handout,
+// and reads shared bundles back in.
+
+import { ENCOUNTER_SCHEMA, validateAgainstSchema } from "./encounterSchema";
+import { DIFFICULTIES, normalizeCr } from "./encounterMath";
+
+export const BUNDLE_FORMAT = "dnd-battle-master/encounter";
+export const BUNDLE_VERSION = 1;
+
+export const EXPORT_FORMATS = [
+  { id: "pdf", label: "🖨️ Printable handout (PDF)" },
+  { id: "markdown", label: "📝 Markdown" },
+  { id: "json", label: "📦 JSON bundle (shareable)" },
+  { id: "foundry", label: "🎲 Foundry VTT actors" },
+];
+
+export const slugify = (text) =>
+  String(text || "encounter")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "encounter";
+
+// Saves `content` through a temporary object URL.
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const sourcesToMarkdown = (sources) =>
+  sources && sources.length > 0
+    ? `\n\n## Sources\n\n${sources
+        .map((source) => `- [${source.title || source.uri}](${source.uri})`)
+        .join("\n")}`
+    : "";
+
+export const buildMarkdownExport = ({ markdown, sources }) =>
+  `${markdown}${sourcesToMarkdown(sources)}\n`;
+
+// --- JSON Bundle ---
+
+export const buildEncounterBundle = ({
+  inputs,
+  encounter,
+  markdown,
+  sources,
+  loot,
+}) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: new Date().toISOString(),
+  inputs,
+  encounter,
+  markdown,
+  sources: sources || [],
+  loot: loot || null,
+});
+
+// Parses and checks a bundle produced by buildEncounterBundle. Returns
+// { bundle, errors }; `bundle` is null when the file cannot be used.
+export const parseEncounterBundle = (text) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    return { bundle: null, errors: [`Invalid JSON: ${e.message}`] };
+  }
+
+  const errors = [];
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    errors.push("This file is not a D&D Battle Master encounter bundle.");
+  } else if (bundle.version > BUNDLE_VERSION) {
+    errors.push(
+      `Bundle version ${bundle.version} is newer than this app supports.`
+    );
+  } else {
+    errors.push(...validateAgainstSchema(bundle.encounter, ENCOUNTER_SCHEMA));
+    const { inputs } = bundle;
+    if (!inputs || typeof inputs !== "object") {
+      errors.push("bundle.inputs is required.");
+    } else {
+      if (!DIFFICULTIES.includes(inputs.difficulty)) {
+        errors.push(
+          `bundle.inputs.difficulty must be one of: ${DIFFICULTIES.join(", ")}.`
+        );
+      }
+      ["terrain", "flavor"].forEach((key) => {
+        if (typeof inputs[key] !== "string") {
+          errors.push(`bundle.inputs.${key} must be text.`);
+        }
+      });
+    }
+    // Bundles from before loot existed have none; the importer rolls it.
+    if (bundle.loot && !Array.isArray(bundle.loot.groups)) {
+      errors.push("bundle.loot.groups must be a list.");
+    }
+  }
+  return { bundle: errors.length === 0 ? bundle : null, errors };
+};
+
+// --- Foundry VTT (dnd5e system) ---
+
+const escapeHtml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const crToNumber = (cr) => {
+  const key = normalizeCr(cr);
+  if (key === null) return 0;
+  const [numerator, denominator] = key.split("/");
+  return denominator ? Number(numerator) / Number(denominator) : Number(key);
+};
+
+// "40 ft., climb 30 ft., fly 80 ft. (hover)" -> dnd5e movement data.
+const parseMovement = (speed) => {
+  const movement = { units: "ft", hover: /hover/i.test(speed || "") };
+  const pattern = /(walk|burrow|climb|fly|swim)?\s*(\d+)\s*ft/gi;
+  let match;
+  while ((match = pattern.exec(speed || "")) !== null) {
+    const mode = (match[1] || "walk").toLowerCase();
+    if (movement[mode] === undefined) movement[mode] = Number(match[2]);
+  }
+  return movement;
+};
+
+// "11 (2d8 + 2) piercing plus 7 (2d6) fire" -> [["2d8 + 2", "piercing"], ...]
+const parseDamageParts = (damage) => {
+  const parts = [
+    ...String(damage || "").matchAll(
+      /\((\d+d\d+(?:\s*[+-]\s*\d+)?)\)\s*([a-z]+)/gi
+    ),
+  ].map(([, formula, type]) => [formula, type.toLowerCase()]);
+  if (parts.length > 0) return parts;
+  const flat = String(damage || "").match(/^(\d+)\s*([a-z]+)?/i);
+  return flat ? [[flat[1], (flat[2] || "").toLowerCase()]] : [];
+};
+
+const attackToFoundryItem = (attack) => ({
+  name: attack.name,
+  type: "weapon",
+  system: {
+    description: {
+      value: attack.effect ? `<p>${escapeHtml(attack.effect)}</p>` : "",
+    },
+    actionType: /range|ranged/i.test(attack.effect || "") ? "rwak" : "mwak",
+    // The stat block's to-hit is final, so the ability and proficiency
+    // contributions are switched off and the whole bonus is stored flat.
+    ability: "none",
+    proficient: 0,
+    attackBonus: String(attack.toHit),
+    damage: { parts: parseDamageParts(attack.damage) },
+    equipped: true,
+  },
+});
+
+// One dnd5e NPC actor per monster group; quantity travels as a flag.
+export const monsterToFoundryActor = (monster) => ({
+  name: monster.name,
+  type: "npc",
+  img: "icons/svg/mystery-man.svg",
+  system: {
+    abilities: {
+      dex: { value: 10 + 2 * (monster.dexModifier || 0) },
+    },
+    attributes: {
+      ac: { calc: "flat", flat: monster.armorClass },
+      hp: {
+        value: monster.hitPoints,
+        max: monster.hitPoints,
+        formula: "",
+      },
+      movement: parseMovement(monster.speed),
+    },
+    details: {
+      cr: crToNumber(monster.cr),
+      biography: {
+        value: monster.notes ? `<p>${escapeHtml(monster.notes)}</p>` : "",
+      },
+    },
+  },
+  items: monster.attacks.map(attackToFoundryItem),
+  flags: { "dnd-battle-master": { quantity: monster.quantity } },
+});
+
+// Actor documents for the dnd5e system, grouped under the encounter's name.
+// Each entry in `actors` can be pasted into Foundry's "Import Data" dialog.
+export const buildFoundryExport = (encounter) => ({
+  name: encounter.title,
+  description: encounter.hook,
+  system: "dnd5e",
+  actors: encounter.monsters.map(monsterToFoundryActor),
+});
+
+// --- Printable Handout ---
+
+const inlineMarkdownToHtml = (text) =>
+  escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/\*(.+?)\*/g, "<em>$1</em>");
+
+const BULLET_PATTERN = /^\s*[-*]\s+/;
+
+// Just enough Markdown for the handout: headings, rules, bullets and
+// paragraphs. Consecutive bullet lines become one list.
+const markdownToHtml = (markdown) => {
+  const html = [];
+  let listItems = [];
+  const flushList = () => {
+    if (listItems.length > 0) html.push(`<ul>${listItems.join("")}</ul>`);
+    listItems = [];
+  };
+
+  markdown.split("\n").forEach((line) => {
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    if (BULLET_PATTERN.test(line)) {
+      listItems.push(
+        `<li>${inlineMarkdownToHtml(line.replace(BULLET_PATTERN, ""))}</li>`
+      );
+      return;
+    }
+    flushList();
+    if (heading) {
+      const level = heading[1].length + 1;
+      html.push(`<h${level}>${inlineMarkdownToHtml(heading[2])}</h${level}>`);
+    } else if (line.trim() === "---") {
+      html.push("<hr>");
+    } else if (line.trim()) {
+      html.push(`<p>${inlineMarkdownToHtml(line)}</p>`);
+    }
+  });
+  flushList();
+  return html.join("\n");
+};
+
+const PRINT_STYLES = `
+  body { font-family: Georgia, "Times New Roman", serif; color: #1a1a1a; max-width: 7.5in; margin: 0 auto; padding: 0.5in; line-height: 1.4; }
+  h1 { color: #7a200d; border-bottom: 3px solid #c9ad6a; margin-bottom: 0.2em; }
+  h2, h3, h4 { color: #7a200d; }
+  hr { border: 0; border-top: 2px solid #c9ad6a; }
+  ul { padding-left: 1.2em; }
+  .meta { color: #555; font-size: 0.9em; }
+  .sources { font-size: 0.8em; color: #555; }
+  @media print {
+    body { padding: 0; }
+    a { color: inherit; text-decoration: none; }
+    h2, h3 { page-break-after: avoid; }
+    ul { page-break-inside: avoid; }
+  }
+`;
+
+export const buildPrintableHtml = ({ title, markdown, sources, inputs }) => {
+  const meta = inputs
+    ? `<p class="meta">${escapeHtml(inputs.difficulty)} encounter · ${escapeHtml(
+        inputs.terrain
+      )} · ${escapeHtml(inputs.partyName || "Party")} (${
+        inputs.partySize
+      } PCs, avg. level ${inputs.averageLevel})</p>`
+    : "";
+  const sourceList =
+    sources && sources.length > 0
+      ? `<div class="sources"><h3>Sources</h3><ul>${sources
+          .map(
+            (source) =>
+              `<li>${escapeHtml(source.title || source.uri)} — ${escapeHtml(
+                source.uri
+              )}</li>`
+          )
+          .join("")}</ul></div>`
+      : "";
+  // The encounter markdown starts with its own "## title"; the handout uses
+  // a proper document title instead.
+  const body = markdown.replace(/^##\s+.*\n+/, "");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${meta}
+${markdownToHtml(body)}
+${sourceList}
+</body>
+</html>`;
+};
+
+// Opens the handout in a new window and starts the browser's print dialog,
+// where "Save as PDF" produces the PDF.
+export const printHandout = (html) => {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) {
+    throw new Error("Pop-up blocked: allow pop-ups to print the handout.");
+  }
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  // A written document may never fire `load`, so give it a moment to lay out.
+  setTimeout(() => printWindow.print(), 250);
+};
@@ -0,0 +1,177 @@
+// --- Structured Encounter Generation ---
+// The prompt and the validate-and-repair loop behind "Generate Encounter",
+// shared by single encounters and the adventuring-day planner.
+
+import { getPartyThresholds } from "./encounterMath";
+import { summarizeParty, partyToPrompt } from "./partyRoster";
+import { ENCOUNTER_SCHEMA, parseEncounterJson } from "./encounterSchema";
+import { reconcileEncounter, lockedMonstersToPrompt } from "./compendium";
+import { attachCitations } from "./citations";
+import { generateWithContinuation } from "./stopReasons";
+import {
+  DEFAULT_PROMPT_SETTINGS,
+  buildPromptVariables,
+  buildSystemInstruction,
+} from "./promptTemplates";
+
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+// `xpBudget` overrides the party's threshold for `difficulty`, and
+// `storyContext` (e.g. earlier fights of the day) and `campaignContext` (the
+// campaign notebook) are appended to the request.
+// The system instruction comes from the selected "encounter" template.
+export const buildEncounterPrompt = ({
+  characters,
+  difficulty,
+  terrain,
+  flavor,
+  lockedMonsters = [],
+  xpBudget,
+  storyContext,
+  campaignContext,
+  promptSettings = DEFAULT_PROMPT_SETTINGS,
+}) => {
+  // The schema is in the instruction because grounded requests cannot also
+  // send a `responseSchema`.
+  const systemInstruction = buildSystemInstruction(
+    promptSettings,
+    "encounter",
+    buildPromptVariables({
+      characters,
+      difficulty,
+      terrain,
+      flavor,
+      schema: JSON.stringify(ENCOUNTER_SCHEMA),
+    })
+  );
+
+  const { partySize, averageLevel } = summarizeParty(characters);
+  const partyLevels = characters.map((character) => character.level);
+  const budget = xpBudget ?? getPartyThresholds(partyLevels)[difficulty];
+  const budgetLabel =
+    xpBudget === undefined
+      ? `The party's combined ${difficulty} XP threshold is ${budget} XP.`
+      : `Aim for about ${budget} adjusted XP.`;
+
+  const userQuery = `Generate a ${difficulty} combat encounter for a party of ${partySize} adventurers (average character level ${averageLevel}). ${budgetLabel} Choose monsters that account for the party's composition, defenses and resistances:
+${partyToPrompt(characters)}
+        - Terrain: ${terrain}
+        - Flavor/Context: ${flavor}${
+          lockedMonsters.length > 0
+            ? `
+The encounter MUST include exactly these monsters chosen by the DM (count them toward the XP budget and add others only if the budget allows):
+${lockedMonstersToPrompt(lockedMonsters)}`
+            : ""
+        }${campaignContext ? `\n${campaignContext}` : ""}${
+          storyContext ? `\n${storyContext}` : ""
+        }`;
+
+  return { systemInstruction, userQuery };
+};
+
+// Streams an encounter from `provider`, asking again with the validation
+// errors until the JSON is usable. Resolves to { encounter, sources,
+// partialText, validationErrors, stopReason, result }: `encounter` is
+// reconciled against the compendium, `partialText` is set when the stream
+// was cancelled, interrupted or stopped early, and `stopReason` explains a
+// response that was blocked or stayed truncated (see stopReasons.js). Grounded encounters
+// carry the `citations` added by attachCitations.
+export const generateStructuredEncounter = async ({
+  provider,
+  systemInstruction,
+  userQuery,
+  signal,
+  onText,
+}) => {
+  let contents = [{ role: "user", parts: [{ text: userQuery }] }];
+  let sources = [];
+  let validationErrors = [];
+  let stopReason = null;
+  let result = null;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const stream = await generateWithContinuation(provider, {
+      contents,
+      systemInstruction,
+      temperature: attempt === 0 ? 0.8 : 0.2,
+      grounding: provider.capabilities.grounding,
+      responseSchema: ENCOUNTER_SCHEMA,
+      purpose: "encounter",
+      signal,
+      onText,
+    });
+    sources = stream.sources;
+    stopReason = stream.stopReason;
+    result = stream.result;
+    const text = stream.text;
+
+    if (stream.aborted || stream.interrupted) {
+      if (stream.interrupted) {
+        console.error("Encounter stream interrupted:", stream.error);
+      }
+      return {
+        encounter: null,
+        sources,
+        partialText: text,
+        validationErrors,
+        stopReason,
+        result,
+      };
+    }
+
+    if (!text) break;
+
+    const parsed = parseEncounterJson(text);
+    if (parsed.encounter) {
+      const cited = stream.citations
+        ? attachCitations(parsed.encounter, text, stream.citations)
+        : parsed.encounter;
+      return {
+        encounter: reconcileEncounter(cited).encounter,
+        sources,
+        partialText: null,
+        validationErrors: [],
+        stopReason: null,
+        result,
+      };
+    }
+
+    validationErrors = parsed.errors;
+    console.warn("Encounter JSON failed validation:", validationErrors);
+    // A blocked or cut-off reply is not a schema mistake; asking for a
+    // repair would only hit the same wall.
+    if (stopReason) {
+      return {
+        encounter: null,
+        sources,
+        partialText: text,
+        validationErrors,
+        stopReason,
+        result,
+      };
+    }
+    contents = [
+      ...contents,
+      { role: "model", parts: [{ text }] },
+      {
+        role: "user",
+        parts: [
+          {
+            text: `Your previous response did not match the required JSON schema:\n- ${validationErrors.join(
+              "\n- "
+            )}\n\nReturn the corrected encounter as a single JSON object only, keeping the same monsters and story where possible.`,
+          },
+        ],
+      },
+    ];
+  }
+
+  return {
+    encounter: null,
+    sources,
+    partialText: null,
+    validationErrors,
+    stopReason,
+    result,
+  };
+};
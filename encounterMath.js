@@ -0,0 +1,292 @@
+// --- D&D 5e Encounter Math (DMG "Creating a Combat Encounter") ---
+// Deterministic XP budget and difficulty calculations used to double-check
+// whatever balance claims the AI makes about a generated encounter.
+
+export const DIFFICULTIES = ["Easy", "Medium", "Hard", "Deadly"];
+
+// XP thresholds per character, indexed by character level (DMG p. 82).
+export const XP_THRESHOLDS_BY_LEVEL = {
+  1: { Easy: 25, Medium: 50, Hard: 75, Deadly: 100 },
+  2: { Easy: 50, Medium: 100, Hard: 150, Deadly: 200 },
+  3: { Easy: 75, Medium: 150, Hard: 225, Deadly: 400 },
+  4: { Easy: 125, Medium: 250, Hard: 375, Deadly: 500 },
+  5: { Easy: 250, Medium: 500, Hard: 750, Deadly: 1100 },
+  6: { Easy: 300, Medium: 600, Hard: 900, Deadly: 1400 },
+  7: { Easy: 350, Medium: 750, Hard: 1100, Deadly: 1700 },
+  8: { Easy: 450, Medium: 900, Hard: 1400, Deadly: 2100 },
+  9: { Easy: 550, Medium: 1100, Hard: 1600, Deadly: 2400 },
+  10: { Easy: 600, Medium: 1200, Hard: 1900, Deadly: 2800 },
+  11: { Easy: 800, Medium: 1600, Hard: 2400, Deadly: 3600 },
+  12: { Easy: 1000, Medium: 2000, Hard: 3000, Deadly: 4500 },
+  13: { Easy: 1100, Medium: 2200, Hard: 3400, Deadly: 5100 },
+  14: { Easy: 1250, Medium: 2500, Hard: 3800, Deadly: 5700 },
+  15: { Easy: 1400, Medium: 2800, Hard: 4300, Deadly: 6400 },
+  16: { Easy: 1600, Medium: 3200, Hard: 4800, Deadly: 7200 },
+  17: { Easy: 2000, Medium: 3900, Hard: 5900, Deadly: 8800 },
+  18: { Easy: 2100, Medium: 4200, Hard: 6300, Deadly: 9500 },
+  19: { Easy: 2400, Medium: 4900, Hard: 7300, Deadly: 10900 },
+  20: { Easy: 2800, Medium: 5700, Hard: 8500, Deadly: 12700 },
+};
+
+// Experience points awarded per monster by Challenge Rating (DMG p. 275).
+export const CR_TO_XP = {
+  0: 10,
+  "1/8": 25,
+  "1/4": 50,
+  "1/2": 100,
+  1: 200,
+  2: 450,
+  3: 700,
+  4: 1100,
+  5: 1800,
+  6: 2300,
+  7: 2900,
+  8: 3900,
+  9: 5000,
+  10: 5900,
+  11: 7200,
+  12: 8400,
+  13: 10000,
+  14: 11500,
+  15: 13000,
+  16: 15000,
+  17: 18000,
+  18: 20000,
+  19: 22000,
+  20: 25000,
+  21: 33000,
+  22: 41000,
+  23: 50000,
+  24: 62000,
+  25: 75000,
+  26: 90000,
+  27: 105000,
+  28: 120000,
+  29: 135000,
+  30: 155000,
+};
+
+// Encounter multipliers (DMG p. 82). The first and last steps only apply
+// when shifting for very large or very small parties.
+const MULTIPLIER_STEPS = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+
+const clampLevel = (level) =>
+  Math.max(1, Math.min(20, Math.round(Number(level) || 1)));
+
+// Normalizes CR inputs such as "1/4", "1 / 2", "0.25", 0.5 or "CR 3" to a
+// table key.
+export const normalizeCr = (cr) => {
+  if (cr === null || cr === undefined) return null;
+  const text = String(cr)
+    .replace(/^\s*CR/i, "")
+    .replace(/\s+/g, "");
+  if (/^1\/[248]$/.test(text)) return text;
+  if (text === "") return null;
+  const value = Number(text);
+  if (Number.isNaN(value)) return null;
+  if (value === 0.125) return "1/8";
+  if (value === 0.25) return "1/4";
+  if (value === 0.5) return "1/2";
+  if (Number.isInteger(value) && value >= 0 && value <= 30)
+    return String(value);
+  return null;
+};
+
+export const crToXp = (cr) => {
+  const key = normalizeCr(cr);
+  return key === null ? null : CR_TO_XP[key];
+};
+
+// Sums each character's own thresholds, as the DMG does for mixed-level
+// parties. `partyLevels` holds one level per character.
+export const getPartyThresholds = (partyLevels) =>
+  DIFFICULTIES.reduce((thresholds, tier) => {
+    thresholds[tier] = partyLevels.reduce(
+      (sum, level) => sum + XP_THRESHOLDS_BY_LEVEL[clampLevel(level)][tier],
+      0
+    );
+    return thresholds;
+  }, {});
+
+export const getEncounterMultiplier = (monsterCount, partySize) => {
+  if (monsterCount <= 0) return 1;
+  let step;
+  if (monsterCount === 1) step = 1;
+  else if (monsterCount === 2) step = 2;
+  else if (monsterCount <= 6) step = 3;
+  else if (monsterCount <= 10) step = 4;
+  else if (monsterCount <= 14) step = 5;
+  else step = 6;
+
+  // Small parties use the next higher multiplier, large parties the next lower.
+  if (partySize < 3) step += 1;
+  else if (partySize >= 6) step -= 1;
+
+  return MULTIPLIER_STEPS[
+    Math.max(0, Math.min(MULTIPLIER_STEPS.length - 1, step))
+  ];
+};
+
+// Maps an adjusted XP total to the highest threshold it meets.
+export const getDifficultyTier = (adjustedXp, thresholds) => {
+  let tier = "Trivial";
+  DIFFICULTIES.forEach((name) => {
+    if (adjustedXp >= thresholds[name]) tier = name;
+  });
+  return tier;
+};
+
+// Computes the party budget and the true difficulty of a monster list.
+// Each monster is { name, quantity, cr }.
+export const evaluateEncounter = ({ monsters, partyLevels, difficulty }) => {
+  const thresholds = getPartyThresholds(partyLevels);
+  const unknownCr = [];
+  let baseXp = 0;
+  let monsterCount = 0;
+
+  monsters.forEach((monster) => {
+    const quantity = Math.max(1, Math.round(Number(monster.quantity) || 1));
+    const xp = crToXp(monster.cr);
+    if (xp === null || xp === undefined) {
+      unknownCr.push(monster.name);
+      return;
+    }
+    baseXp += xp * quantity;
+    monsterCount += quantity;
+  });
+
+  const multiplier = getEncounterMultiplier(monsterCount, partyLevels.length);
+  const adjustedXp = Math.round(baseXp * multiplier);
+
+  return {
+    thresholds,
+    budget: thresholds[difficulty],
+    baseXp,
+    monsterCount,
+    multiplier,
+    adjustedXp,
+    tier: getDifficultyTier(adjustedXp, thresholds),
+    unknownCr,
+  };
+};
+
+// --- Markdown Parsing of the AI Response ---
+
+const QUANTITY_PATTERNS = [
+  /quantity\s*[:\-]?\s*(\d+)/i,
+  /(?:^|[\s(])(?:x|×)\s*(\d+)\b/i,
+  /\b(\d+)\s*(?:x|×)(?![a-z])/i,
+  /\((\d+)\)/,
+];
+
+const CR_PATTERN = /\bCR\b\)?\s*[:\-]?\s*(\d+\s*\/\s*\d+|\d+(?:\.\d+)?)/i;
+
+// Pulls { name, quantity, cr } entries out of the model's monster list. A
+// monster starts at a line containing a **bolded** name, and its CR is the
+// first CR value found before the next bolded name.
+export const parseMonstersFromMarkdown = (markdown) => {
+  if (!markdown) return [];
+  const monsters = [];
+  let current = null;
+
+  markdown.split("\n").forEach((line) => {
+    const boldMatch = line.match(/\*\*(.+?)\*\*/);
+    if (boldMatch && !/^\s*#/.test(line)) {
+      const name = boldMatch[1].replace(/[:\s]+$/, "").trim();
+      const rest = line.replace(boldMatch[0], " ");
+      const quantityMatch = QUANTITY_PATTERNS.map((p) => rest.match(p)).find(
+        Boolean
+      );
+      current = {
+        name,
+        quantity: quantityMatch ? parseInt(quantityMatch[1], 10) : 1,
+        cr: null,
+      };
+      monsters.push(current);
+      const crMatch = rest.match(CR_PATTERN);
+      if (crMatch) current.cr = normalizeCr(crMatch[1]);
+      return;
+    }
+    if (current && current.cr === null) {
+      const crMatch = line.match(CR_PATTERN);
+      if (crMatch) current.cr = normalizeCr(crMatch[1]);
+    }
+  });
+
+  // Bolded phrases without a CR are emphasis, not monsters.
+  return monsters.filter((monster) => monster.cr !== null);
+};
+
+// Reads the difficulty and adjusted XP the AI claims in its closing balance note.
+export const parseClaimedBalance = (markdown) => {
+  if (!markdown) return { difficulty: null, adjustedXp: null };
+  const paragraphs = markdown.split(/\n\s*\n/).filter((p) => p.trim());
+  const note =
+    [...paragraphs].reverse().find((p) => /\bXP\b/i.test(p)) ||
+    paragraphs[paragraphs.length - 1] ||
+    "";
+
+  const difficultyMatches = note.match(/\b(Easy|Medium|Hard|Deadly)\b/gi) || [];
+  const claimedDifficulty = difficultyMatches.length
+    ? difficultyMatches[difficultyMatches.length - 1].charAt(0).toUpperCase() +
+      difficultyMatches[difficultyMatches.length - 1].slice(1).toLowerCase()
+    : null;
+
+  const xpMatch = note.match(/adjusted[^.\d]*?([\d,]+)\s*XP/i);
+  const claimedXp = xpMatch ? parseInt(xpMatch[1].replace(/,/g, ""), 10) : null;
+
+  return { difficulty: claimedDifficulty, adjustedXp: claimedXp };
+};
+
+// Full validation of a generated encounter against the requested party. Uses
+// the structured `encounter` when available, otherwise parses `markdown`.
+export const validateEncounter = ({
+  encounter,
+  markdown,
+  partyLevels,
+  difficulty,
+}) => {
+  const monsters = encounter
+    ? encounter.monsters.map(({ name, quantity, cr }) => ({
+        name,
+        quantity,
+        cr: normalizeCr(cr),
+      }))
+    : parseMonstersFromMarkdown(markdown);
+  const evaluation = evaluateEncounter({ monsters, partyLevels, difficulty });
+  const claimed = encounter
+    ? {
+        difficulty: encounter.balance.difficulty,
+        adjustedXp: encounter.balance.adjustedXp,
+      }
+    : parseClaimedBalance(markdown);
+  const warnings = [];
+
+  if (monsters.length === 0) {
+    warnings.push("No monsters with a Challenge Rating could be found.");
+  }
+  if (evaluation.unknownCr.length > 0) {
+    warnings.push(`Unrecognized CR for: ${evaluation.unknownCr.join(", ")}.`);
+  }
+  if (monsters.length > 0 && evaluation.tier !== difficulty) {
+    warnings.push(
+      `Requested ${difficulty}, but the monsters add up to ${evaluation.tier}.`
+    );
+  }
+  if (claimed.difficulty && claimed.difficulty !== evaluation.tier) {
+    warnings.push(
+      `The AI labels this encounter ${claimed.difficulty}, but the DMG math says ${evaluation.tier}.`
+    );
+  }
+  if (
+    claimed.adjustedXp !== null &&
+    Math.abs(claimed.adjustedXp - evaluation.adjustedXp) >
+      Math.max(25, evaluation.adjustedXp * 0.05)
+  ) {
+    warnings.push(
+      `The AI claims ${claimed.adjustedXp.toLocaleString()} adjusted XP; the actual total is ${evaluation.adjustedXp.toLocaleString()}.`
+    );
+  }
+
+  return { monsters, claimed, warnings, ...evaluation };
+};
@@ -0,0 +1,170 @@
+import { describe, it, expect } from "vitest";
+import {
+  XP_THRESHOLDS_BY_LEVEL,
+  normalizeCr,
+  crToXp,
+  getPartyThresholds,
+  getEncounterMultiplier,
+  getDifficultyTier,
+  evaluateEncounter,
+} from "./encounterMath";
+
+describe("normalizeCr", () => {
+  it("accepts fractions, decimals, numbers and a CR prefix", () => {
+    expect(normalizeCr("1/4")).toBe("1/4");
+    expect(normalizeCr("0.125")).toBe("1/8");
+    expect(normalizeCr(0.5)).toBe("1/2");
+    expect(normalizeCr("CR 3")).toBe("3");
+    expect(normalizeCr("cr30")).toBe("30");
+    expect(normalizeCr(0)).toBe("0");
+  });
+
+  it("ignores whitespace inside the value", () => {
+    expect(normalizeCr("1 / 2")).toBe("1/2");
+    expect(normalizeCr(" CR 1 /8 ")).toBe("1/8");
+    expect(normalizeCr(" 12 ")).toBe("12");
+  });
+
+  it("rejects values that are not on the table", () => {
+    expect(normalizeCr(null)).toBe(null);
+    expect(normalizeCr("")).toBe(null);
+    expect(normalizeCr("CR")).toBe(null);
+    expect(normalizeCr("1/3")).toBe(null);
+    expect(normalizeCr("31")).toBe(null);
+    expect(normalizeCr("2.5")).toBe(null);
+    expect(normalizeCr("-1")).toBe(null);
+    expect(normalizeCr("goblin")).toBe(null);
+  });
+});
+
+describe("crToXp", () => {
+  it("reads the DMG XP by CR table", () => {
+    expect(crToXp("0")).toBe(10);
+    expect(crToXp("1 / 2")).toBe(100);
+    expect(crToXp(5)).toBe(1800);
+    expect(crToXp("CR 30")).toBe(155000);
+    expect(crToXp("1/3")).toBe(null);
+  });
+});
+
+describe("getPartyThresholds", () => {
+  it("sums each character's thresholds", () => {
+    expect(getPartyThresholds([1, 1, 1, 1])).toEqual({
+      Easy: 100,
+      Medium: 200,
+      Hard: 300,
+      Deadly: 400,
+    });
+    expect(getPartyThresholds([3, 5])).toEqual({
+      Easy: 75 + 250,
+      Medium: 150 + 500,
+      Hard: 225 + 750,
+      Deadly: 400 + 1100,
+    });
+  });
+
+  it("clamps levels to 1-20", () => {
+    expect(getPartyThresholds([0, 25])).toEqual({
+      Easy: XP_THRESHOLDS_BY_LEVEL[1].Easy + XP_THRESHOLDS_BY_LEVEL[20].Easy,
+      Medium:
+        XP_THRESHOLDS_BY_LEVEL[1].Medium + XP_THRESHOLDS_BY_LEVEL[20].Medium,
+      Hard: XP_THRESHOLDS_BY_LEVEL[1].Hard + XP_THRESHOLDS_BY_LEVEL[20].Hard,
+      Deadly:
+        XP_THRESHOLDS_BY_LEVEL[1].Deadly + XP_THRESHOLDS_BY_LEVEL[20].Deadly,
+    });
+  });
+});
+
+describe("getEncounterMultiplier", () => {
+  // [monsters, multiplier] at each edge of the DMG table, for 3-5 PCs.
+  const edges = [
+    [1, 1],
+    [2, 1.5],
+    [3, 2],
+    [6, 2],
+    [7, 2.5],
+    [10, 2.5],
+    [11, 3],
+    [14, 3],
+    [15, 4],
+    [40, 4],
+  ];
+
+  it.each(edges)(
+    "multiplies %s monsters by %s for 3-5 PCs",
+    (count, multiplier) => {
+      expect(getEncounterMultiplier(count, 4)).toBe(multiplier);
+      expect(getEncounterMultiplier(count, 3)).toBe(multiplier);
+      expect(getEncounterMultiplier(count, 5)).toBe(multiplier);
+    }
+  );
+
+  it("shifts one step up for parties of fewer than three", () => {
+    expect(getEncounterMultiplier(1, 2)).toBe(1.5);
+    expect(getEncounterMultiplier(2, 1)).toBe(2);
+    expect(getEncounterMultiplier(6, 2)).toBe(2.5);
+    expect(getEncounterMultiplier(15, 2)).toBe(5);
+  });
+
+  it("shifts one step down for parties of six or more", () => {
+    expect(getEncounterMultiplier(1, 6)).toBe(0.5);
+    expect(getEncounterMultiplier(2, 6)).toBe(1);
+    expect(getEncounterMultiplier(7, 8)).toBe(2);
+    expect(getEncounterMultiplier(15, 6)).toBe(3);
+  });
+
+  it("uses no multiplier without monsters", () => {
+    expect(getEncounterMultiplier(0, 4)).toBe(1);
+  });
+});
+
+describe("getDifficultyTier", () => {
+  const thresholds = getPartyThresholds([1, 1, 1, 1]);
+
+  it("picks the highest threshold met", () => {
+    expect(getDifficultyTier(99, thresholds)).toBe("Trivial");
+    expect(getDifficultyTier(100, thresholds)).toBe("Easy");
+    expect(getDifficultyTier(299, thresholds)).toBe("Medium");
+    expect(getDifficultyTier(300, thresholds)).toBe("Hard");
+    expect(getDifficultyTier(5000, thresholds)).toBe("Deadly");
+  });
+});
+
+describe("evaluateEncounter", () => {
+  it("applies the multiplier to the summed monster XP", () => {
+    const result = evaluateEncounter({
+      monsters: [
+        { name: "Goblin", quantity: 4, cr: "1/4" },
+        { name: "Bugbear", quantity: 1, cr: "1" },
+      ],
+      partyLevels: [3, 3, 3, 3],
+      difficulty: "Hard",
+    });
+    expect(result).toMatchObject({
+      baseXp: 400,
+      monsterCount: 5,
+      multiplier: 2,
+      adjustedXp: 800,
+      budget: 900,
+      tier: "Medium",
+      unknownCr: [],
+    });
+  });
+
+  it("leaves monsters with an unknown CR out of the math", () => {
+    const result = evaluateEncounter({
+      monsters: [
+        { name: "Ogre", quantity: 1, cr: "2" },
+        { name: "Mystery", quantity: 3, cr: "?" },
+      ],
+      partyLevels: [5, 5, 5, 5],
+      difficulty: "Easy",
+    });
+    expect(result).toMatchObject({
+      baseXp: 450,
+      monsterCount: 1,
+      multiplier: 1,
+      unknownCr: ["Mystery"],
+    });
+  });
+});
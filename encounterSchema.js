@@ -0,0 +1,297 @@
+// --- Structured Encounter Schema ---
+// The encounter generator asks the model for JSON matching this schema,
+// validates the reply locally and renders the markdown view from the data.
+
+import { citeSentences, statCitation } from "./citations";
+import { isUnlistedMonster } from "./compendium";
+
+// Written in the OpenAPI subset Gemini uses for `responseSchema`, so the same
+// objects can be shown to the model and checked locally.
+
+// A single monster group. Also requested on its own when one group of an
+// existing encounter is regenerated.
+export const MONSTER_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    name: { type: "STRING" },
+    quantity: { type: "INTEGER", minimum: 1 },
+    cr: { type: "STRING" },
+    armorClass: { type: "INTEGER", minimum: 1 },
+    hitPoints: { type: "INTEGER", minimum: 1 },
+    speed: { type: "STRING" },
+    dexModifier: { type: "INTEGER" },
+    attacks: {
+      type: "ARRAY",
+      minItems: 1,
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          toHit: { type: "INTEGER" },
+          damage: { type: "STRING" },
+          effect: { type: "STRING" },
+        },
+        required: ["name", "toHit", "damage"],
+      },
+    },
+    notes: { type: "STRING" },
+  },
+  required: [
+    "name",
+    "quantity",
+    "cr",
+    "armorClass",
+    "hitPoints",
+    "speed",
+    "attacks",
+  ],
+};
+
+export const ENCOUNTER_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    hook: { type: "STRING" },
+    monsters: {
+      type: "ARRAY",
+      minItems: 1,
+      items: MONSTER_SCHEMA,
+    },
+    balance: {
+      type: "OBJECT",
+      properties: {
+        difficulty: {
+          type: "STRING",
+          enum: ["Trivial", "Easy", "Medium", "Hard", "Deadly"],
+        },
+        encounterXp: { type: "INTEGER", minimum: 0 },
+        adjustedXp: { type: "INTEGER", minimum: 0 },
+        notes: { type: "STRING" },
+      },
+      required: ["difficulty", "encounterXp", "adjustedXp", "notes"],
+    },
+  },
+  required: ["title", "hook", "monsters", "balance"],
+};
+
+const TYPE_CHECKS = {
+  OBJECT: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+  ARRAY: (value) => Array.isArray(value),
+  STRING: (value) => typeof value === "string",
+  INTEGER: (value) => Number.isInteger(value),
+  NUMBER: (value) => typeof value === "number" && !Number.isNaN(value),
+  BOOLEAN: (value) => typeof value === "boolean",
+};
+
+// Minimal validator for the schema subset above. Returns a list of
+// human-readable problems (empty when the value is valid).
+export const validateAgainstSchema = (value, schema, path = "encounter") => {
+  const errors = [];
+  const check = TYPE_CHECKS[schema.type];
+  if (check && !check(value)) {
+    errors.push(`${path} must be of type ${schema.type.toLowerCase()}.`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(", ")}.`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}.`);
+  }
+  if (schema.type === "STRING" && value.trim().length === 0) {
+    errors.push(`${path} must not be empty.`);
+  }
+
+  if (schema.type === "OBJECT") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required.`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(
+          ...validateAgainstSchema(value[key], propSchema, `${path}.${key}`)
+        );
+      }
+    });
+  }
+
+  if (schema.type === "ARRAY") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} item(s).`);
+    }
+    value.forEach((item, index) => {
+      errors.push(
+        ...validateAgainstSchema(item, schema.items, `${path}[${index}]`)
+      );
+    });
+  }
+
+  return errors;
+};
+
+// Strips markdown code fences or surrounding prose, parses the JSON body and
+// validates it. Returns { value, errors }; `value` is null when either fails.
+export const parseJsonWithSchema = (text, schema, path) => {
+  if (!text) return { value: null, errors: ["The response was empty."] };
+
+  let body = text.trim();
+  const fenced = body.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    body = fenced[1].trim();
+  } else {
+    const start = body.indexOf("{");
+    const end = body.lastIndexOf("}");
+    if (start !== -1 && end > start) body = body.slice(start, end + 1);
+  }
+
+  let value;
+  try {
+    value = JSON.parse(body);
+  } catch (e) {
+    return { value: null, errors: [`Invalid JSON: ${e.message}`] };
+  }
+
+  const errors = validateAgainstSchema(value, schema, path);
+  return { value: errors.length === 0 ? value : null, errors };
+};
+
+// Returns { encounter, errors }; `encounter` is null when parsing fails.
+export const parseEncounterJson = (text) => {
+  const { value, errors } = parseJsonWithSchema(
+    text,
+    ENCOUNTER_SCHEMA,
+    "encounter"
+  );
+  return { encounter: value, errors };
+};
+
+// Returns { monster, errors } for a single regenerated monster group.
+export const parseMonsterJson = (text) => {
+  const { value, errors } = parseJsonWithSchema(
+    text,
+    MONSTER_SCHEMA,
+    "monster"
+  );
+  return { monster: value, errors };
+};
+
+const formatBonus = (bonus) => (bonus >= 0 ? `+${bonus}` : `${bonus}`);
+
+// Renders a monster group in the markdown layout the display has always used.
+// `withCitations` adds the grounding markers from citations.js.
+export const monsterToMarkdown = (monster, { withCitations = false } = {}) => {
+  const cite = (key) => (withCitations ? statCitation(monster, key) : "");
+  const lines = [
+    `**${monster.name}** x${monster.quantity}`,
+    `- CR: ${monster.cr}${cite("cr")}`,
+    `- Armor Class (AC): ${monster.armorClass}${cite("armorClass")}`,
+    `- Hit Points (HP): ${monster.hitPoints}${cite("hitPoints")}`,
+    `- Speed: ${monster.speed}${cite("speed")}`,
+  ];
+  if (monster.dexModifier !== undefined) {
+    lines.push(
+      `- Initiative: ${formatBonus(monster.dexModifier)}${cite("dexModifier")}`
+    );
+  }
+  monster.attacks.forEach((attack, index) => {
+    const effect = attack.effect ? ` ${attack.effect}` : "";
+    lines.push(
+      `- Action: ${attack.name}. ${formatBonus(attack.toHit)} to hit, ${
+        attack.damage
+      } damage.${effect}${cite(`attack${index}`)}`
+    );
+  });
+  if (monster.notes) {
+    const notes = withCitations
+      ? citeSentences(monster.notes, monster.citations, "notes")
+      : monster.notes;
+    lines.push(`- Notes: ${notes}`);
+  }
+  if (monster.compendium?.status === "corrected") {
+    lines.push(
+      `- Compendium: corrected to SRD stats (${monster.compendium.corrections.join(
+        "; "
+      )})`
+    );
+  } else if (monster.compendium?.status === "homebrew") {
+    lines.push("- Compendium: homebrew, CR computed from the DMG stat table");
+  } else if (isUnlistedMonster(monster)) {
+    lines.push(
+      "- Compendium: not in the bundled compendium subset — stats not checked"
+    );
+  }
+  return lines.join("\n");
+};
+
+// Builds the markdown encounter view from validated structured data.
+// `withCitations` marks the claims of a grounded encounter with their
+// sources; the stored and exported markdown stays unmarked.
+export const encounterToMarkdown = (
+  encounter,
+  { withCitations = false } = {}
+) => {
+  if (!encounter) return "";
+  const { balance } = encounter;
+  const cited = withCitations && Boolean(encounter.citations);
+  const cite = (text, prefix) =>
+    cited ? citeSentences(text, encounter.citations, prefix) : text;
+  return [
+    `## ${encounter.title}`,
+    cite(encounter.hook, "hook"),
+    "## Monsters",
+    ...encounter.monsters.map((monster) =>
+      monsterToMarkdown(monster, { withCitations: cited })
+    ),
+    "## Balance",
+    `**Difficulty:** ${balance.difficulty} — ${balance.encounterXp.toLocaleString()} XP, adjusted ${balance.adjustedXp.toLocaleString()} XP.`,
+    cite(balance.notes, "balanceNotes"),
+  ].join("\n\n");
+};
+
+// The displayed copy of `markdown` (an encounter view, possibly followed by
+// fleshed-out details) with the encounter part carrying citation markers.
+export const withCitationMarkers = (markdown, encounter) => {
+  if (!markdown || !encounter?.citations) return markdown;
+  const plain = encounterToMarkdown(encounter);
+  return markdown.startsWith(plain)
+    ? encounterToMarkdown(encounter, { withCitations: true }) +
+        markdown.slice(plain.length)
+    : markdown;
+};
+
+// Reads a (possibly unterminated) string value for `key` from partial JSON.
+const readPartialString = (text, key) => {
+  const match = text.match(
+    new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)(\\\\?)`)
+  );
+  if (!match) return null;
+  try {
+    return JSON.parse(`"${match[1]}"`);
+  } catch (e) {
+    return match[1];
+  }
+};
+
+// Best-effort markdown preview of an encounter whose JSON is still streaming.
+export const partialEncounterToMarkdown = (text) => {
+  const title = readPartialString(text, "title");
+  const hook = readPartialString(text, "hook");
+  const monsters = [
+    ...text.matchAll(
+      /"name"\s*:\s*"((?:[^"\\]|\\.)*)"\s*,\s*"quantity"\s*:\s*(\d+)/g
+    ),
+  ].map(([, name, quantity]) => `- **${name}** x${quantity}`);
+
+  return [
+    title && `## ${title}`,
+    hook,
+    monsters.length > 0 && "## Monsters",
+    monsters.length > 0 && monsters.join("\n"),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+};
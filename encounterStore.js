@@ -0,0 +1,94 @@
+// --- Firestore Encounter Library ---
+// Saved encounters live under artifacts/{appId}/users/{userId}/encounters so
+// each signed-in user only ever reads and writes their own documents.
+
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  orderBy,
+  serverTimestamp,
+} from "firebase/firestore";
+
+export const getEncountersCollection = (db, appId, userId) =>
+  collection(db, "artifacts", appId, "users", userId, "encounters");
+
+// Stores a generated encounter with the inputs that produced it.
+// Resolves to the new document id.
+export const saveEncounter = async (
+  db,
+  appId,
+  userId,
+  { name, inputs, encounter, markdown, loot, sources, tags = [] }
+) => {
+  const docRef = await addDoc(getEncountersCollection(db, appId, userId), {
+    name,
+    inputs,
+    encounter: encounter || null,
+    markdown,
+    loot: loot || null,
+    sources: sources || [],
+    tags,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return docRef.id;
+};
+
+export const updateEncounter = (db, appId, userId, encounterId, changes) =>
+  updateDoc(doc(getEncountersCollection(db, appId, userId), encounterId), {
+    ...changes,
+    updatedAt: serverTimestamp(),
+  });
+
+export const deleteEncounter = (db, appId, userId, encounterId) =>
+  deleteDoc(doc(getEncountersCollection(db, appId, userId), encounterId));
+
+// Streams the user's library, newest first. Returns the unsubscribe function.
+export const subscribeToEncounters = (db, appId, userId, onChange, onError) =>
+  onSnapshot(
+    query(
+      getEncountersCollection(db, appId, userId),
+      orderBy("createdAt", "desc")
+    ),
+    (snapshot) => {
+      onChange(
+        snapshot.docs.map((snapshotDoc) => ({
+          id: snapshotDoc.id,
+          ...snapshotDoc.data(),
+        }))
+      );
+    },
+    onError
+  );
+
+// Normalizes free-form tag input ("undead, Boss ,undead") to unique tags.
+export const parseTags = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+];
+
+// Case-insensitive match against the name, inputs and tags of an entry.
+export const matchesSearch = (entry, searchText) => {
+  const needle = searchText.trim().toLowerCase();
+  if (!needle) return true;
+  const haystack = [
+    entry.name,
+    entry.inputs?.terrain,
+    entry.inputs?.flavor,
+    entry.inputs?.difficulty,
+    ...(entry.tags || []),
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+  return haystack.includes(needle);
+};
@@ -0,0 +1,184 @@
+import { readFileSync } from "node:fs";
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} from "@firebase/rules-unit-testing";
+import { doc, getDoc, getDocs } from "firebase/firestore";
+import {
+  getEncountersCollection,
+  saveEncounter,
+  updateEncounter,
+  deleteEncounter,
+  subscribeToEncounters,
+  parseTags,
+  matchesSearch,
+} from "./encounterStore";
+
+const APP_ID = "test-app";
+
+const goblinAmbush = {
+  name: "Goblin Ambush",
+  inputs: { difficulty: "Medium", terrain: "Forest road", flavor: "Bandits" },
+  encounter: { title: "Goblin Ambush", monsters: [] },
+  markdown: "# Goblin Ambush",
+  loot: { seed: "abc", withHoard: false, groups: [] },
+  sources: [{ uri: "https://example.com", title: "Example" }],
+  tags: ["goblins"],
+};
+
+describe("parseTags", () => {
+  it("trims, lowercases and deduplicates comma-separated tags", () => {
+    expect(parseTags("undead, Boss ,undead,, ")).toEqual(["undead", "boss"]);
+  });
+});
+
+describe("matchesSearch", () => {
+  const entry = { ...goblinAmbush, tags: ["boss", "night"] };
+
+  it("matches the name, inputs and tags case-insensitively", () => {
+    expect(matchesSearch(entry, "goblin")).toBe(true);
+    expect(matchesSearch(entry, "FOREST")).toBe(true);
+    expect(matchesSearch(entry, "medium")).toBe(true);
+    expect(matchesSearch(entry, "night")).toBe(true);
+    expect(matchesSearch(entry, "dragon")).toBe(false);
+  });
+
+  it("matches everything for an empty search", () => {
+    expect(matchesSearch(entry, "  ")).toBe(true);
+  });
+});
+
+// Needs the Firestore emulator: `npm run test:emulator`.
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)(
+  "encounter library in Firestore",
+  () => {
+    let testEnv;
+    let db;
+
+    // Resolves to the first listing for which `predicate` holds.
+    const waitForListing = (predicate) =>
+      new Promise((resolve, reject) => {
+        const unsubscribe = subscribeToEncounters(
+          db,
+          APP_ID,
+          "alice",
+          (entries) => {
+            if (!predicate(entries)) return;
+            unsubscribe();
+            resolve(entries);
+          },
+          reject
+        );
+      });
+
+    beforeAll(async () => {
+      testEnv = await initializeTestEnvironment({
+        projectId: "demo-encounter-store",
+        firestore: { rules: readFileSync("firestore.rules", "utf8") },
+      });
+    });
+
+    beforeEach(async () => {
+      await testEnv.clearFirestore();
+      db = testEnv.authenticatedContext("alice").firestore();
+    });
+
+    afterAll(() => testEnv.cleanup());
+
+    it("saves an encounter with its inputs, loot and timestamps", async () => {
+      const id = await saveEncounter(db, APP_ID, "alice", goblinAmbush);
+
+      const snapshot = await getDoc(
+        doc(getEncountersCollection(db, APP_ID, "alice"), id)
+      );
+      const saved = snapshot.data();
+      expect(saved).toMatchObject(goblinAmbush);
+      expect(saved.createdAt.toMillis()).toBeGreaterThan(0);
+      expect(saved.updatedAt.toMillis()).toBeGreaterThan(0);
+    });
+
+    it("defaults the optional fields", async () => {
+      const id = await saveEncounter(db, APP_ID, "alice", {
+        name: "Bare",
+        inputs: {},
+        markdown: "",
+      });
+
+      const snapshot = await getDoc(
+        doc(getEncountersCollection(db, APP_ID, "alice"), id)
+      );
+      expect(snapshot.data()).toMatchObject({
+        encounter: null,
+        loot: null,
+        sources: [],
+        tags: [],
+      });
+    });
+
+    it("retags an encounter so the library search finds it", async () => {
+      const id = await saveEncounter(db, APP_ID, "alice", goblinAmbush);
+      await updateEncounter(db, APP_ID, "alice", id, {
+        tags: parseTags("Boss, night"),
+      });
+
+      const entries = await waitForListing(
+        (list) => list.length === 1 && list[0].tags.includes("night")
+      );
+      expect(entries[0].tags).toEqual(["boss", "night"]);
+      expect(entries.filter((entry) => matchesSearch(entry, "NIGHT"))).toEqual(
+        entries
+      );
+      expect(
+        entries.filter((entry) => matchesSearch(entry, "goblins"))
+      ).toEqual([]);
+    });
+
+    it("deletes an encounter", async () => {
+      const id = await saveEncounter(db, APP_ID, "alice", goblinAmbush);
+      await deleteEncounter(db, APP_ID, "alice", id);
+
+      const snapshot = await getDocs(
+        getEncountersCollection(db, APP_ID, "alice")
+      );
+      expect(snapshot.empty).toBe(true);
+    });
+
+    it("lists the library newest first and follows changes", async () => {
+      await saveEncounter(db, APP_ID, "alice", goblinAmbush);
+      const secondId = await saveEncounter(db, APP_ID, "alice", {
+        ...goblinAmbush,
+        name: "Owlbear Den",
+      });
+
+      const listed = await waitForListing(
+        (list) => list.length === 2 && list.every((entry) => entry.createdAt)
+      );
+      expect(listed.map((entry) => entry.name)).toEqual([
+        "Owlbear Den",
+        "Goblin Ambush",
+      ]);
+      expect(listed[0].id).toBe(secondId);
+
+      const afterDelete = waitForListing((list) => list.length === 1);
+      await deleteEncounter(db, APP_ID, "alice", secondId);
+      expect((await afterDelete).map((entry) => entry.name)).toEqual([
+        "Goblin Ambush",
+      ]);
+    });
+
+    it("keeps each library private to its owner", async () => {
+      await saveEncounter(db, APP_ID, "alice", goblinAmbush);
+      const bob = testEnv.authenticatedContext("bob").firestore();
+      const guest = testEnv.unauthenticatedContext().firestore();
+
+      await assertFails(getDocs(getEncountersCollection(bob, APP_ID, "alice")));
+      await assertFails(
+        getDocs(getEncountersCollection(guest, APP_ID, "alice"))
+      );
+      await assertFails(saveEncounter(bob, APP_ID, "alice", goblinAmbush));
+      await assertSucceeds(saveEncounter(bob, APP_ID, "bob", goblinAmbush));
+    });
+  }
+);
@@ -0,0 +1,349 @@
+import { readFileSync } from "node:fs";
+import { describe, it, beforeAll, afterAll, beforeEach } from "vitest";
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} from "@firebase/rules-unit-testing";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  arrayUnion,
+  serverTimestamp,
+} from "firebase/firestore";
+import {
+  createRoom,
+  joinRoom,
+  updateRoom,
+  setPresence,
+  clearPresence,
+} from "./roomStore";
+import { createScreen, updateScreen, deleteScreen } from "./screenStore";
+
+const APP_ID = "test-app";
+const ROOM_ID = "room1";
+
+const roomPath = ["artifacts", APP_ID, "public", "data", "rooms", ROOM_ID];
+const presencePath = (userId) => [...roomPath, "presence", userId];
+const SCREEN_ID = "screen1";
+const screenPath = [
+  "artifacts",
+  APP_ID,
+  "public",
+  "data",
+  "screens",
+  SCREEN_ID,
+];
+
+// Co-DM room rules (firestore.rules). Alice owns the room and Bob is a
+// member; Mallory only knows the room id. Needs the Firestore emulator:
+// `npm run test:emulator`.
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)("room rules", () => {
+  let testEnv;
+  let alice;
+  let bob;
+  let mallory;
+  let guest;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: "demo-room-rules",
+      firestore: { rules: readFileSync("firestore.rules", "utf8") },
+    });
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, ...roomPath), {
+        ownerId: "alice",
+        members: ["alice", "bob"],
+        encounter: "{}",
+        combat: null,
+        updatedBy: "alice",
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      await setDoc(doc(db, ...presencePath("alice")), {
+        name: "Alice",
+        activity: null,
+        lastSeen: serverTimestamp(),
+      });
+    });
+    alice = testEnv.authenticatedContext("alice").firestore();
+    bob = testEnv.authenticatedContext("bob").firestore();
+    mallory = testEnv.authenticatedContext("mallory").firestore();
+    guest = testEnv.unauthenticatedContext().firestore();
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  describe("reading", () => {
+    it("lets members read the room", async () => {
+      await assertSucceeds(getDoc(doc(alice, ...roomPath)));
+      await assertSucceeds(getDoc(doc(bob, ...roomPath)));
+    });
+
+    it("keeps non-members out", async () => {
+      await assertFails(getDoc(doc(mallory, ...roomPath)));
+      await assertFails(getDoc(doc(guest, ...roomPath)));
+    });
+
+    it("never lists rooms", async () => {
+      await assertFails(
+        getDocs(
+          collection(alice, "artifacts", APP_ID, "public", "data", "rooms")
+        )
+      );
+    });
+  });
+
+  describe("creating", () => {
+    it("lets a user create a room they own alone", async () => {
+      await assertSucceeds(
+        createRoom(mallory, APP_ID, "mallory", {
+          encounter: "{}",
+          combat: null,
+        })
+      );
+    });
+
+    it("rejects rooms owned by someone else or with extra members", async () => {
+      await assertFails(
+        createRoom(mallory, APP_ID, "alice", { encounter: "{}", combat: null })
+      );
+      const rooms = collection(
+        mallory,
+        "artifacts",
+        APP_ID,
+        "public",
+        "data",
+        "rooms"
+      );
+      await assertFails(
+        setDoc(doc(rooms, "room2"), {
+          ownerId: "mallory",
+          members: ["mallory", "alice"],
+        })
+      );
+      await assertFails(
+        createRoom(guest, APP_ID, null, { encounter: "{}", combat: null })
+      );
+    });
+  });
+
+  describe("editing", () => {
+    it("lets members edit the encounter and combat", async () => {
+      await assertSucceeds(
+        updateRoom(bob, APP_ID, "bob", ROOM_ID, {
+          encounter: '{"title":"Ambush"}',
+          combat: "{}",
+        })
+      );
+    });
+
+    it("requires updatedBy to name the editor", async () => {
+      await assertFails(
+        updateDoc(doc(bob, ...roomPath), {
+          encounter: "{}",
+          updatedBy: "alice",
+        })
+      );
+      await assertFails(
+        updateDoc(doc(bob, ...roomPath), { encounter: '{"title":"Ambush"}' })
+      );
+    });
+
+    it("stops members from changing the members, owner or creation time", async () => {
+      await assertFails(
+        updateRoom(bob, APP_ID, "bob", ROOM_ID, { members: ["bob"] })
+      );
+      await assertFails(
+        updateRoom(bob, APP_ID, "bob", ROOM_ID, { ownerId: "bob" })
+      );
+      await assertFails(
+        updateRoom(bob, APP_ID, "bob", ROOM_ID, {
+          createdAt: serverTimestamp(),
+        })
+      );
+    });
+
+    it("stops non-members from editing the encounter", async () => {
+      await assertFails(
+        updateRoom(mallory, APP_ID, "mallory", ROOM_ID, { encounter: "{}" })
+      );
+      await assertFails(
+        updateRoom(guest, APP_ID, null, ROOM_ID, { encounter: "{}" })
+      );
+    });
+  });
+
+  describe("joining", () => {
+    it("lets a user with the room id add themselves", async () => {
+      await assertSucceeds(joinRoom(mallory, APP_ID, "mallory", ROOM_ID));
+      await assertSucceeds(getDoc(doc(mallory, ...roomPath)));
+    });
+
+    it("is harmless for existing members", async () => {
+      await assertSucceeds(joinRoom(bob, APP_ID, "bob", ROOM_ID));
+    });
+
+    it("only adds the joining user", async () => {
+      await assertFails(
+        updateDoc(doc(mallory, ...roomPath), {
+          members: arrayUnion("mallory", "eve"),
+        })
+      );
+      await assertFails(
+        updateDoc(doc(mallory, ...roomPath), {
+          members: ["bob", "mallory"],
+        })
+      );
+      await assertFails(joinRoom(mallory, APP_ID, "eve", ROOM_ID));
+      await assertFails(joinRoom(guest, APP_ID, null, ROOM_ID));
+    });
+
+    it("cannot change anything else while joining", async () => {
+      await assertFails(
+        updateDoc(doc(mallory, ...roomPath), {
+          members: arrayUnion("mallory"),
+          ownerId: "mallory",
+        })
+      );
+      await assertFails(
+        updateDoc(doc(mallory, ...roomPath), {
+          members: arrayUnion("mallory"),
+          encounter: "{}",
+        })
+      );
+    });
+  });
+
+  describe("deleting", () => {
+    it("is left to the owner", async () => {
+      await assertFails(deleteDoc(doc(bob, ...roomPath)));
+      await assertFails(deleteDoc(doc(mallory, ...roomPath)));
+      await assertSucceeds(deleteDoc(doc(alice, ...roomPath)));
+    });
+  });
+
+  describe("presence", () => {
+    it("lets members read presence and write their own", async () => {
+      await assertSucceeds(
+        setPresence(bob, APP_ID, ROOM_ID, "bob", { name: "Bob" })
+      );
+      await assertSucceeds(getDocs(collection(bob, ...roomPath, "presence")));
+      await assertSucceeds(clearPresence(bob, APP_ID, ROOM_ID, "bob"));
+    });
+
+    it("stops members from writing another member's presence", async () => {
+      await assertFails(
+        setPresence(bob, APP_ID, ROOM_ID, "alice", { name: "Alice" })
+      );
+      await assertFails(clearPresence(bob, APP_ID, ROOM_ID, "alice"));
+    });
+
+    it("keeps non-members out", async () => {
+      await assertFails(
+        setPresence(mallory, APP_ID, ROOM_ID, "mallory", { name: "Mallory" })
+      );
+      await assertFails(
+        setPresence(mallory, APP_ID, ROOM_ID, "alice", { name: "Alice" })
+      );
+      await assertFails(getDoc(doc(mallory, ...presencePath("alice"))));
+      await assertFails(getDocs(collection(mallory, ...roomPath, "presence")));
+    });
+  });
+});
+
+// Player screen rules (firestore.rules). Alice shares the screen; anyone
+// signed in with the link, including anonymous players, may read it.
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)(
+  "player screen rules",
+  () => {
+    let testEnv;
+    let alice;
+    let mallory;
+    let player;
+    let guest;
+
+    beforeAll(async () => {
+      testEnv = await initializeTestEnvironment({
+        projectId: "demo-screen-rules",
+        firestore: { rules: readFileSync("firestore.rules", "utf8") },
+      });
+    });
+
+    beforeEach(async () => {
+      await testEnv.clearFirestore();
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), ...screenPath), {
+          ownerId: "alice",
+          screen: { readAloud: "The door creaks open." },
+          updatedAt: serverTimestamp(),
+        });
+      });
+      alice = testEnv.authenticatedContext("alice").firestore();
+      mallory = testEnv.authenticatedContext("mallory").firestore();
+      player = testEnv
+        .authenticatedContext("player", {
+          firebase: { sign_in_provider: "anonymous" },
+        })
+        .firestore();
+      guest = testEnv.unauthenticatedContext().firestore();
+    });
+
+    afterAll(() => testEnv.cleanup());
+
+    it("lets anyone signed in read a screen by its id", async () => {
+      await assertSucceeds(getDoc(doc(mallory, ...screenPath)));
+      await assertSucceeds(getDoc(doc(player, ...screenPath)));
+      await assertFails(getDoc(doc(guest, ...screenPath)));
+    });
+
+    it("never lists screens", async () => {
+      await assertFails(
+        getDocs(
+          collection(player, "artifacts", APP_ID, "public", "data", "screens")
+        )
+      );
+    });
+
+    it("lets only the owner write the screen", async () => {
+      await assertFails(
+        updateScreen(mallory, APP_ID, SCREEN_ID, { readAloud: "Spoilers" })
+      );
+      await assertFails(
+        updateScreen(player, APP_ID, SCREEN_ID, { readAloud: "Spoilers" })
+      );
+      await assertFails(
+        updateDoc(doc(mallory, ...screenPath), { ownerId: "mallory" })
+      );
+      await assertFails(deleteScreen(mallory, APP_ID, SCREEN_ID));
+      await assertSucceeds(
+        updateScreen(alice, APP_ID, SCREEN_ID, {
+          readAloud: "Roll initiative!",
+        })
+      );
+      await assertSucceeds(deleteScreen(alice, APP_ID, SCREEN_ID));
+    });
+
+    it("stops the owner from handing the screen to someone else", async () => {
+      await assertFails(
+        updateDoc(doc(alice, ...screenPath), { ownerId: "mallory" })
+      );
+    });
+
+    it("only creates screens owned by their creator", async () => {
+      await assertSucceeds(createScreen(mallory, APP_ID, "mallory", {}));
+      await assertFails(createScreen(mallory, APP_ID, "alice", {}));
+      await assertFails(createScreen(guest, APP_ID, null, {}));
+    });
+  }
+);
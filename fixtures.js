@@ -0,0 +1,211 @@
+// --- Canned Responses for the Fixture Provider ---
+// Lets the app run at the table with no network at all. Keys match the
+// `purpose` passed to provider.generateText.
+
+const SAMPLE_ENCOUNTER = {
+  title: "Ambush at the Broken Shrine",
+  hook: "Moss-choked pillars lean over a shattered altar where a faint blue light still pulses. As the party steps into the clearing, crude arrows thud into the stone beside them and a guttural voice barks orders from the tree line: the goblins of the Split Tusk tribe have claimed the shrine's relic, and they do not intend to share it.",
+  monsters: [
+    {
+      name: "Goblin",
+      quantity: 3,
+      cr: "1/4",
+      armorClass: 15,
+      hitPoints: 7,
+      speed: "30 ft.",
+      dexModifier: 2,
+      attacks: [
+        {
+          name: "Scimitar",
+          toHit: 4,
+          damage: "5 (1d6 + 2) slashing",
+        },
+        {
+          name: "Shortbow",
+          toHit: 4,
+          damage: "5 (1d6 + 2) piercing",
+          effect: "Range 80/320 ft.",
+        },
+      ],
+      notes: "Nimble Escape: Disengage or Hide as a bonus action.",
+    },
+    {
+      name: "Bugbear",
+      quantity: 2,
+      cr: "1",
+      armorClass: 16,
+      hitPoints: 27,
+      speed: "30 ft.",
+      dexModifier: 2,
+      attacks: [
+        {
+          name: "Morningstar",
+          toHit: 4,
+          damage: "11 (2d8 + 2) piercing",
+          effect:
+            "Surprise Attack: +7 (2d6) damage if the target is surprised.",
+        },
+      ],
+    },
+    {
+      name: "Ogre",
+      quantity: 1,
+      cr: "2",
+      armorClass: 11,
+      hitPoints: 59,
+      speed: "40 ft.",
+      dexModifier: -1,
+      attacks: [
+        {
+          name: "Greatclub",
+          toHit: 6,
+          damage: "13 (2d8 + 4) bludgeoning",
+        },
+      ],
+    },
+  ],
+  balance: {
+    difficulty: "Medium",
+    encounterXp: 1000,
+    adjustedXp: 2000,
+    notes:
+      "Three goblins (50 XP each), two bugbears (200 XP each) and an ogre (450 XP) total 1,000 XP; six monsters use a x2 multiplier for 2,000 adjusted XP, a Medium fight for four 5th-level characters.",
+  },
+};
+
+// Replacement group returned for per-monster reroll and swap requests.
+const SAMPLE_MONSTER = {
+  name: "Worg",
+  quantity: 2,
+  cr: "1/2",
+  armorClass: 13,
+  hitPoints: 26,
+  speed: "50 ft.",
+  dexModifier: 1,
+  attacks: [
+    {
+      name: "Bite",
+      toHit: 5,
+      damage: "10 (2d6 + 3) piercing",
+      effect: "DC 13 Strength save or knocked prone.",
+    },
+  ],
+  notes: "The goblins' mounts, circling the clearing to cut off retreat.",
+};
+
+const SAMPLE_BATTLE_MAP = {
+  name: "The Broken Shrine",
+  width: 20,
+  height: 14,
+  features: [
+    { type: "difficult", x: 0, y: 0, width: 20, height: 2, label: "Tree line" },
+    { type: "cover", x: 3, y: 1, width: 2, height: 1, label: "Fallen log" },
+    { type: "cover", x: 14, y: 1, width: 1, height: 2, label: "Thick oak" },
+    { type: "wall", x: 6, y: 5, width: 1, height: 1, label: "Pillar" },
+    { type: "wall", x: 13, y: 5, width: 1, height: 1, label: "Pillar" },
+    { type: "wall", x: 6, y: 9, width: 1, height: 1, label: "Pillar" },
+    {
+      type: "cover",
+      x: 13,
+      y: 9,
+      width: 2,
+      height: 1,
+      label: "Leaning pillar",
+    },
+    {
+      type: "elevation",
+      x: 8,
+      y: 6,
+      width: 4,
+      height: 3,
+      label: "Shrine dais",
+      elevation: 5,
+    },
+    { type: "hazard", x: 9, y: 7, width: 2, height: 1, label: "Glowing relic" },
+    { type: "difficult", x: 7, y: 10, width: 6, height: 2, label: "Rubble" },
+    {
+      type: "water",
+      x: 16,
+      y: 10,
+      width: 4,
+      height: 4,
+      label: "Stagnant pool",
+    },
+  ],
+  partyStart: { x: 1, y: 11, width: 4, height: 3 },
+  monsterStart: { x: 8, y: 2, width: 6, height: 3 },
+};
+
+const SAMPLE_HOMEBREW = {
+  name: "Split Tusk Shrine-Eater",
+  size: "Large",
+  type: "Monstrosity",
+  description:
+    "A hunched, moss-grown brute the goblins keep chained beneath the Broken Shrine. The relic's blue light has seeped into its hide, and it gnaws on the old altar stones to feed on the magic inside.",
+  speed: "30 ft.",
+  dexModifier: 0,
+  armorClass: 14,
+  hitPoints: 120,
+  attackBonus: 6,
+  damagePerRound: 30,
+  attacksPerRound: 2,
+  attacks: [
+    { name: "Stone-Crusher Jaws", damageType: "piercing" },
+    {
+      name: "Chain Flail",
+      damageType: "bludgeoning",
+      effect: "The target is knocked prone if it is Medium or smaller.",
+    },
+  ],
+  saveDc: 13,
+  saveAction: {
+    name: "Relic Flare (Recharge 5-6)",
+    ability: "Constitution",
+    effect:
+      "Each creature within 15 feet takes 18 (4d8) radiant damage on a failed save, or half as much on a success.",
+  },
+  traits: [
+    "Magic Hunger: the creature has advantage on attacks against a creature holding a magic item.",
+  ],
+};
+
+export const DEFAULT_FIXTURES = {
+  encounter: JSON.stringify(SAMPLE_ENCOUNTER, null, 2),
+  monster: JSON.stringify(SAMPLE_MONSTER, null, 2),
+  battleMap: JSON.stringify(SAMPLE_BATTLE_MAP, null, 2),
+  details: `## Monster Tactics
+
+The goblins stay hidden among the pillars, firing shortbows and using Nimble Escape to vanish after each shot. The bugbears wait in the undergrowth for someone to approach the altar, then charge the most lightly armored character while the ogre smashes its way toward whoever holds the relic.
+
+## Environmental Features
+
+- **Leaning Pillars:** Provide half cover. A creature can topple one with a DC 15 Strength check, dealing 2d6 bludgeoning damage in a 10-foot line.
+- **Shattered Altar:** Difficult terrain. Anyone touching the glowing relic must succeed on a DC 12 Wisdom save or be blinded until the end of their next turn.
+
+## Treasure & Rewards
+
+The goblins carry 23 gp and 41 sp between them. The relic is a *Driftglobe* that still hums with the shrine's old blessing.`,
+  homebrew: JSON.stringify(SAMPLE_HOMEBREW, null, 2),
+  campaignSummary:
+    "The party drove the Split Tusk goblins from the Broken Shrine, but their chieftain fled into the Thornwood with the shrine's relic and swore revenge. The Zhentarim, who had paid the goblins to recover it, now want the relic for themselves.",
+  default: "The fixture provider has no canned response for this request.",
+};
+
+// Merges user-supplied fixture JSON (from the settings panel) over the
+// defaults. Invalid JSON falls back to the defaults.
+export const resolveFixtures = (customJson) => {
+  if (!customJson || !customJson.trim()) return DEFAULT_FIXTURES;
+  try {
+    const custom = JSON.parse(customJson);
+    const normalized = Object.fromEntries(
+      Object.entries(custom).map(([key, value]) => [
+        key,
+        typeof value === "string" ? value : JSON.stringify(value),
+      ])
+    );
+    return { ...DEFAULT_FIXTURES, ...normalized };
+  } catch (e) {
+    console.error("Invalid custom fixtures JSON, using defaults:", e);
+    return DEFAULT_FIXTURES;
+  }
+};
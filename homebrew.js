@@ -0,0 +1,381 @@
+// --- Homebrew Monsters ---
+// Custom creatures for when no SRD monster fits the hook: the AI invents the
+// concept (name, look, attacks, traits) and its numbers are then snapped to
+// the DMG's Monster Statistics by Challenge Rating, so the creature's CR is
+// computed locally instead of trusted. Saved ones live in the bestiary
+// (bestiaryStore.js).
+
+import { CR_TO_XP, getPartyThresholds, normalizeCr } from "./encounterMath";
+import { parseJsonWithSchema } from "./encounterSchema";
+import { MAX_REPAIR_ATTEMPTS } from "./encounterGeneration";
+import { generateWithContinuation } from "./stopReasons";
+import { parseDamage } from "./combatSimulator";
+import { getCrStats, computeChallengeRating } from "./monsterStats";
+import {
+  DEFAULT_PROMPT_SETTINGS,
+  buildPromptVariables,
+  buildSystemInstruction,
+} from "./promptTemplates";
+
+export const MAX_ATTACKS_PER_ROUND = 4;
+
+const NUMBER_WORDS = ["zero", "one", "two", "three", "four"];
+
+// What the AI is asked for. Its numbers are only a starting point for
+// snapToCr; attack damage is worked out locally from the damage per round.
+export const HOMEBREW_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    name: { type: "STRING" },
+    size: { type: "STRING" },
+    type: { type: "STRING" },
+    description: { type: "STRING" },
+    speed: { type: "STRING" },
+    dexModifier: { type: "INTEGER" },
+    armorClass: { type: "INTEGER", minimum: 1 },
+    hitPoints: { type: "INTEGER", minimum: 1 },
+    attackBonus: { type: "INTEGER" },
+    damagePerRound: { type: "INTEGER", minimum: 0 },
+    attacksPerRound: { type: "INTEGER", minimum: 1 },
+    attacks: {
+      type: "ARRAY",
+      minItems: 1,
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          damageType: { type: "STRING" },
+          effect: { type: "STRING" },
+        },
+        required: ["name", "damageType"],
+      },
+    },
+    saveDc: { type: "INTEGER" },
+    saveAction: {
+      type: "OBJECT",
+      properties: {
+        name: { type: "STRING" },
+        ability: { type: "STRING" },
+        effect: { type: "STRING" },
+      },
+      required: ["name", "ability", "effect"],
+    },
+    traits: { type: "ARRAY", items: { type: "STRING" } },
+  },
+  required: [
+    "name",
+    "size",
+    "type",
+    "description",
+    "speed",
+    "armorClass",
+    "hitPoints",
+    "attackBonus",
+    "damagePerRound",
+    "attacksPerRound",
+    "attacks",
+  ],
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// The highest CR a single creature can have while staying within the
+// party's `difficulty` budget (one monster has a multiplier of 1).
+export const suggestHomebrewCr = (characters, difficulty) => {
+  const budget = getPartyThresholds(
+    characters.map((character) => character.level)
+  )[difficulty];
+  return Object.keys(CR_TO_XP)
+    .map(normalizeCr)
+    .filter((cr) => CR_TO_XP[cr] <= budget)
+    .reduce((best, cr) => (CR_TO_XP[cr] > CR_TO_XP[best] ? cr : best), "0");
+};
+
+const DAMAGE_DIE_SIDES = [8, 6, 10, 12];
+
+// The damage roll whose listed average (rounded down, as stat blocks do)
+// is closest to `average`, e.g. "13 (2d8 + 4) slashing", preferring rolls
+// whose average stays within `range`. Ties go to d8s, then d6s, d10s and
+// d12s. Tiny amounts stay flat.
+export const buildDamageExpression = (
+  average,
+  modifier,
+  damageType,
+  range = { min: -Infinity, max: Infinity }
+) => {
+  if (average - modifier < 2.5) {
+    return `${Math.max(1, Math.floor(average))} ${damageType}`;
+  }
+  const score = (listed) =>
+    Math.abs(listed - average) +
+    (listed < range.min || listed > range.max ? 1000 : 0);
+  let best = null;
+  DAMAGE_DIE_SIDES.forEach((sides) => {
+    const exact = (average - modifier) / ((sides + 1) / 2);
+    [Math.floor(exact), Math.ceil(exact)].forEach((candidate) => {
+      const count = Math.max(1, candidate);
+      const listed = Math.floor((count * (sides + 1)) / 2 + modifier);
+      if (!best || score(listed) < score(best.listed)) {
+        best = { count, sides, listed };
+      }
+    });
+  });
+  const bonus =
+    modifier > 0 ? ` + ${modifier}` : modifier < 0 ? ` - ${-modifier}` : "";
+  return `${best.listed} (${best.count}d${best.sides}${bonus}) ${damageType}`;
+};
+
+// Damage rolls for `attacksPerRound` even shares of `damagePerRound`.
+const buildAttacks = (attacks, attacksPerRound, damagePerRound, row) => {
+  const modifier = row.attackBonus - row.proficiency;
+  return attacks.map((attack) => ({
+    name: attack.name,
+    damageType: attack.damageType,
+    damage: buildDamageExpression(
+      damagePerRound / attacksPerRound,
+      modifier,
+      attack.damageType,
+      {
+        min: row.damagePerRound.min / attacksPerRound,
+        max: row.damagePerRound.max / attacksPerRound,
+      }
+    ),
+    effect: attack.effect || "",
+  }));
+};
+
+// Replaces the concept's numbers with the DMG's for `targetCr`: AC, attack
+// bonus and save DC as listed, HP and damage per round clamped into the
+// listed ranges. Damage per round is split evenly over the attacks made
+// each round. Dice cannot list every number, so when no even split lands
+// in the damage range the creature makes fewer, harder attacks instead
+// (a single attack always fits).
+export const snapToCr = (concept, targetCr) => {
+  const row = getCrStats(targetCr);
+  const damagePerRound = clamp(
+    concept.damagePerRound,
+    row.damagePerRound.min,
+    row.damagePerRound.max
+  );
+  let attacksPerRound = clamp(
+    concept.attacksPerRound || 1,
+    1,
+    MAX_ATTACKS_PER_ROUND
+  );
+  let attacks = buildAttacks(
+    concept.attacks,
+    attacksPerRound,
+    damagePerRound,
+    row
+  );
+  const fitsRange = () => {
+    const total = getHomebrewDamagePerRound({ attacksPerRound, attacks });
+    return total >= row.damagePerRound.min && total <= row.damagePerRound.max;
+  };
+  while (attacksPerRound > 1 && !fitsRange()) {
+    attacksPerRound -= 1;
+    attacks = buildAttacks(
+      concept.attacks,
+      attacksPerRound,
+      damagePerRound,
+      row
+    );
+  }
+  return {
+    ...concept,
+    targetCr: row.cr,
+    armorClass: row.armorClass,
+    hitPoints: clamp(concept.hitPoints, row.hitPoints.min, row.hitPoints.max),
+    attackBonus: row.attackBonus,
+    saveDc: concept.saveAction ? row.saveDc : null,
+    attacksPerRound,
+    attacks,
+    traits: concept.traits || [],
+  };
+};
+
+// The average a stat block lists first ("13 (2d8 + 4)" -> 13), or the
+// average of the dice when none is written.
+const listedAverage = (damage) => {
+  const listed = /^\s*(\d+)/.exec(String(damage || ""));
+  return listed ? Number(listed[1]) : parseDamage(damage).average;
+};
+
+// Damage per round from the hardest-hitting attack made every swing.
+export const getHomebrewDamagePerRound = (creature) =>
+  Math.round(
+    creature.attacksPerRound *
+      Math.max(
+        0,
+        ...creature.attacks.map((attack) => listedAverage(attack.damage))
+      )
+  );
+
+// { defensive, offensive, cr } from the creature's current numbers.
+export const rateHomebrew = (creature) =>
+  computeChallengeRating({
+    hitPoints: creature.hitPoints,
+    armorClass: creature.armorClass,
+    damagePerRound: getHomebrewDamagePerRound(creature),
+    attackBonus: creature.attackBonus,
+    saveDc: creature.saveDc,
+  });
+
+const homebrewNotes = (creature) =>
+  [
+    creature.attacksPerRound > 1 &&
+      `Multiattack: ${NUMBER_WORDS[creature.attacksPerRound]} attacks.`,
+    creature.saveAction &&
+      creature.saveDc &&
+      `${creature.saveAction.name}: DC ${creature.saveDc} ${creature.saveAction.ability} saving throw. ${creature.saveAction.effect}`,
+    ...(creature.traits || []),
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+// An encounter monster group built from a homebrew creature. Its
+// `compendium` status tells reconcileEncounter to leave it alone.
+export const homebrewToEncounterMonster = (creature, quantity = 1) => {
+  const notes = homebrewNotes(creature);
+  return {
+    name: creature.name,
+    quantity,
+    cr: rateHomebrew(creature).cr,
+    armorClass: creature.armorClass,
+    hitPoints: creature.hitPoints,
+    speed: creature.speed,
+    dexModifier: creature.dexModifier ?? 0,
+    attacks: creature.attacks.map((attack) => ({
+      name: attack.name,
+      toHit: creature.attackBonus,
+      damage: attack.damage,
+      ...(attack.effect ? { effect: attack.effect } : {}),
+    })),
+    ...(notes ? { notes } : {}),
+    compendium: { status: "homebrew", corrections: [] },
+  };
+};
+
+export const buildHomebrewPrompt = ({
+  characters,
+  difficulty,
+  terrain,
+  flavor,
+  idea,
+  targetCr,
+  promptSettings = DEFAULT_PROMPT_SETTINGS,
+}) => {
+  const systemInstruction = buildSystemInstruction(
+    promptSettings,
+    "homebrew",
+    buildPromptVariables({
+      characters,
+      difficulty,
+      terrain,
+      flavor,
+      schema: JSON.stringify(HOMEBREW_SCHEMA),
+    })
+  );
+  const row = getCrStats(targetCr);
+  const userQuery = `Design an original CR ${row.cr} creature for this idea: ${
+    idea.trim() || flavor
+  }
+- Terrain: ${terrain}
+- Aim for the Dungeon Master's Guide numbers for CR ${row.cr}: AC ${
+    row.armorClass
+  }, ${row.hitPoints.min}-${row.hitPoints.max} hit points, attack bonus +${
+    row.attackBonus
+  }, ${row.damagePerRound.min}-${row.damagePerRound.max} damage per round${
+    row.saveDc ? `, save DC ${row.saveDc} for any saving throw action` : ""
+  }.`;
+  return { systemInstruction, userQuery };
+};
+
+// Asks for a concept, repairing invalid JSON like the encounter generator.
+// Resolves to { concept, validationErrors, stopReason, cancelled }.
+export const generateHomebrewConcept = async ({
+  provider,
+  systemInstruction,
+  userQuery,
+  signal,
+}) => {
+  let contents = [{ role: "user", parts: [{ text: userQuery }] }];
+  let validationErrors = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const stream = await generateWithContinuation(provider, {
+      contents,
+      systemInstruction,
+      temperature: attempt === 0 ? 1 : 0.2,
+      grounding: false,
+      responseSchema: HOMEBREW_SCHEMA,
+      purpose: "homebrew",
+      signal,
+    });
+    if (stream.aborted) {
+      return {
+        concept: null,
+        validationErrors,
+        stopReason: null,
+        cancelled: true,
+      };
+    }
+    if (stream.interrupted || !stream.text) {
+      console.error(
+        "Homebrew generation failed:",
+        stream.error || stream.result
+      );
+      return {
+        concept: null,
+        validationErrors,
+        stopReason: stream.stopReason,
+        cancelled: false,
+      };
+    }
+
+    const { value, errors } = parseJsonWithSchema(
+      stream.text,
+      HOMEBREW_SCHEMA,
+      "creature"
+    );
+    if (value) {
+      return {
+        concept: value,
+        validationErrors: [],
+        stopReason: null,
+        cancelled: false,
+      };
+    }
+
+    validationErrors = errors;
+    console.warn("Homebrew JSON failed validation:", validationErrors);
+    if (stream.stopReason) {
+      return {
+        concept: null,
+        validationErrors,
+        stopReason: stream.stopReason,
+        cancelled: false,
+      };
+    }
+    contents = [
+      ...contents,
+      { role: "model", parts: [{ text: stream.text }] },
+      {
+        role: "user",
+        parts: [
+          {
+            text: `Your previous response did not match the required JSON schema:\n- ${validationErrors.join(
+              "\n- "
+            )}\n\nReturn the corrected creature as a single JSON object only.`,
+          },
+        ],
+      },
+    ];
+  }
+  return {
+    concept: null,
+    validationErrors,
+    stopReason: null,
+    cancelled: false,
+  };
+};
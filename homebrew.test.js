@@ -0,0 +1,166 @@
+import { describe, it, expect } from "vitest";
+import { MONSTER_STATS_BY_CR } from "./monsterStats";
+import {
+  buildDamageExpression,
+  snapToCr,
+  getHomebrewDamagePerRound,
+  rateHomebrew,
+  suggestHomebrewCr,
+} from "./homebrew";
+
+const concept = {
+  name: "Shrine-Eater",
+  armorClass: 10,
+  hitPoints: 1,
+  attackBonus: 0,
+  damagePerRound: 1,
+  attacksPerRound: 2,
+  attacks: [
+    { name: "Jaws", damageType: "piercing" },
+    { name: "Chain", damageType: "bludgeoning", effect: "Knocks prone." },
+  ],
+  saveDc: 99,
+  saveAction: { name: "Flare", ability: "Constitution", effect: "Burns." },
+};
+
+// The middle of a table range, as a concept the AI might write.
+const midpoint = ({ min, max }) => Math.round((min + max) / 2);
+
+describe("buildDamageExpression", () => {
+  it("writes a stat block damage roll close to the average", () => {
+    expect(buildDamageExpression(13, 4, "slashing")).toBe(
+      "13 (2d8 + 4) slashing"
+    );
+    expect(buildDamageExpression(7, 0, "fire")).toBe("7 (2d6) fire");
+    expect(buildDamageExpression(2, 0, "piercing")).toBe("2 piercing");
+  });
+
+  it("keeps the listed damage inside the range", () => {
+    const damage = buildDamageExpression(5.5, 1, "acid", { min: 5, max: 6 });
+    const listed = Number(damage.split(" ")[0]);
+    expect(listed).toBeGreaterThanOrEqual(5);
+    expect(listed).toBeLessThanOrEqual(6);
+  });
+});
+
+describe("snapToCr", () => {
+  const cases = MONSTER_STATS_BY_CR.flatMap((row) =>
+    [1, 2, 3, 4].map((attacksPerRound) => [row.cr, attacksPerRound, row])
+  );
+
+  it.each(cases)(
+    "gives CR %s with %s attacks the DMG numbers and rates it back at that CR",
+    (cr, attacksPerRound, row) => {
+      const creature = snapToCr(
+        {
+          ...concept,
+          attacksPerRound,
+          hitPoints: midpoint(row.hitPoints),
+          damagePerRound: midpoint(row.damagePerRound),
+        },
+        cr
+      );
+      expect(creature).toMatchObject({
+        targetCr: cr,
+        armorClass: row.armorClass,
+        attackBonus: row.attackBonus,
+        saveDc: row.saveDc,
+        hitPoints: midpoint(row.hitPoints),
+      });
+      const damagePerRound = getHomebrewDamagePerRound(creature);
+      expect(damagePerRound).toBeGreaterThanOrEqual(row.damagePerRound.min);
+      expect(damagePerRound).toBeLessThanOrEqual(row.damagePerRound.max);
+      expect(rateHomebrew(creature)).toEqual({
+        defensive: cr,
+        offensive: cr,
+        cr,
+      });
+    }
+  );
+
+  it("makes fewer attacks when no even split fits the damage range", () => {
+    // Two equal attacks list 49 or 53 damage at CR 16, never 50-52.
+    const creature = snapToCr({ ...concept, damagePerRound: 102 }, "16");
+    expect(creature.attacksPerRound).toBe(1);
+    expect(getHomebrewDamagePerRound(creature)).toBe(102);
+    // CR 0 deals at most 1 damage a round: one attack of 1.
+    expect(snapToCr(concept, "0")).toMatchObject({
+      attacksPerRound: 1,
+      attacks: [{ damage: "1 piercing" }, { damage: "1 bludgeoning" }],
+    });
+  });
+
+  it("clamps hit points and damage into the CR's ranges", () => {
+    const row = MONSTER_STATS_BY_CR.find((entry) => entry.cr === "5");
+    const weak = snapToCr(concept, "5");
+    expect(weak.hitPoints).toBe(row.hitPoints.min);
+    expect(getHomebrewDamagePerRound(weak)).toBeGreaterThanOrEqual(
+      row.damagePerRound.min - 1
+    );
+
+    const strong = snapToCr(
+      { ...concept, hitPoints: 999, damagePerRound: 999 },
+      "5"
+    );
+    expect(strong.hitPoints).toBe(row.hitPoints.max);
+    expect(getHomebrewDamagePerRound(strong)).toBeLessThanOrEqual(
+      row.damagePerRound.max
+    );
+  });
+
+  it("splits damage over the attacks and keeps their names and effects", () => {
+    const creature = snapToCr({ ...concept, damagePerRound: 35 }, "5");
+    expect(creature.attacks).toEqual([
+      {
+        name: "Jaws",
+        damageType: "piercing",
+        damage: "17 (4d6 + 3) piercing",
+        effect: "",
+      },
+      {
+        name: "Chain",
+        damageType: "bludgeoning",
+        damage: "17 (4d6 + 3) bludgeoning",
+        effect: "Knocks prone.",
+      },
+    ]);
+    expect(getHomebrewDamagePerRound(creature)).toBe(34);
+  });
+
+  it("drops the save DC without a save action and caps the attacks", () => {
+    const creature = snapToCr(
+      { ...concept, saveAction: null, attacksPerRound: 9 },
+      "3"
+    );
+    expect(creature.saveDc).toBe(null);
+    expect(creature.attacksPerRound).toBe(4);
+  });
+});
+
+describe("rateHomebrew", () => {
+  it("rates hand-edited numbers by the DMG averaging", () => {
+    const creature = snapToCr(
+      { ...concept, hitPoints: 140, damagePerRound: 35 },
+      "5"
+    );
+    // Tougher armor raises the defensive CR only.
+    expect(rateHomebrew({ ...creature, armorClass: 19 })).toEqual({
+      defensive: "7",
+      offensive: "5",
+      cr: "6",
+    });
+    // Without a save, a weak attack bonus lowers the offensive CR.
+    expect(rateHomebrew({ ...creature, attackBonus: 2, saveDc: null })).toEqual(
+      { defensive: "5", offensive: "3", cr: "4" }
+    );
+  });
+});
+
+describe("suggestHomebrewCr", () => {
+  it("picks the highest CR a lone creature can have within the budget", () => {
+    const party = [3, 3, 3, 3].map((level) => ({ level }));
+    // Hard for four level 3 characters is 900 XP: CR 3 is 700, CR 4 1,100.
+    expect(suggestHomebrewCr(party, "Hard")).toBe("3");
+    expect(suggestHomebrewCr(party, "Easy")).toBe("1");
+  });
+});
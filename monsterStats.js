@@ -0,0 +1,123 @@
+// --- Monster Statistics by Challenge Rating ---
+// The DMG's table of expected numbers per CR (DMG p. 274) and its procedure
+// for rating a creature: a defensive CR from hit points adjusted for AC, an
+// offensive CR from damage per round adjusted for attack bonus or save DC,
+// and the average of the two.
+
+import { normalizeCr } from "./encounterMath";
+
+// cr, proficiency, AC, HP range, attack bonus, damage per round range, save DC
+const TABLE = [
+  ["0", 2, 13, 1, 6, 3, 0, 1, 13],
+  ["1/8", 2, 13, 7, 35, 3, 2, 3, 13],
+  ["1/4", 2, 13, 36, 49, 3, 4, 5, 13],
+  ["1/2", 2, 13, 50, 70, 3, 6, 8, 13],
+  ["1", 2, 13, 71, 85, 3, 9, 14, 13],
+  ["2", 2, 13, 86, 100, 3, 15, 20, 13],
+  ["3", 2, 13, 101, 115, 4, 21, 26, 13],
+  ["4", 2, 14, 116, 130, 5, 27, 32, 14],
+  ["5", 3, 15, 131, 145, 6, 33, 38, 15],
+  ["6", 3, 15, 146, 160, 6, 39, 44, 15],
+  ["7", 3, 15, 161, 175, 6, 45, 50, 15],
+  ["8", 3, 16, 176, 190, 7, 51, 56, 16],
+  ["9", 4, 16, 191, 205, 7, 57, 62, 16],
+  ["10", 4, 17, 206, 220, 7, 63, 68, 16],
+  ["11", 4, 17, 221, 235, 8, 69, 74, 17],
+  ["12", 4, 17, 236, 250, 8, 75, 80, 17],
+  ["13", 5, 18, 251, 265, 8, 81, 86, 18],
+  ["14", 5, 18, 266, 280, 8, 87, 92, 18],
+  ["15", 5, 18, 281, 295, 8, 93, 98, 18],
+  ["16", 5, 18, 296, 310, 9, 99, 104, 18],
+  ["17", 6, 19, 311, 325, 10, 105, 110, 19],
+  ["18", 6, 19, 326, 340, 10, 111, 116, 19],
+  ["19", 6, 19, 341, 355, 10, 117, 122, 19],
+  ["20", 6, 19, 356, 400, 10, 123, 140, 19],
+  ["21", 7, 19, 401, 445, 11, 141, 158, 20],
+  ["22", 7, 19, 446, 490, 11, 159, 176, 20],
+  ["23", 7, 19, 491, 535, 11, 177, 194, 20],
+  ["24", 7, 19, 536, 580, 12, 195, 212, 21],
+  ["25", 8, 19, 581, 625, 12, 213, 230, 21],
+  ["26", 8, 19, 626, 670, 12, 231, 248, 21],
+  ["27", 8, 19, 671, 715, 13, 249, 266, 22],
+  ["28", 8, 19, 716, 760, 13, 267, 284, 22],
+  ["29", 9, 19, 761, 805, 13, 285, 302, 22],
+  ["30", 9, 19, 806, 850, 14, 303, 320, 23],
+];
+
+export const MONSTER_STATS_BY_CR = TABLE.map(
+  ([
+    cr,
+    proficiency,
+    armorClass,
+    hpMin,
+    hpMax,
+    attackBonus,
+    dprMin,
+    dprMax,
+    saveDc,
+  ]) => ({
+    cr,
+    proficiency,
+    armorClass,
+    hitPoints: { min: hpMin, max: hpMax },
+    attackBonus,
+    damagePerRound: { min: dprMin, max: dprMax },
+    saveDc,
+  })
+);
+
+export const CHALLENGE_RATINGS = MONSTER_STATS_BY_CR.map((row) => row.cr);
+
+const crValue = (cr) =>
+  cr.includes("/") ? 1 / Number(cr.split("/")[1]) : Number(cr);
+
+const clampIndex = (index) =>
+  Math.max(0, Math.min(MONSTER_STATS_BY_CR.length - 1, index));
+
+export const getCrStats = (cr) =>
+  MONSTER_STATS_BY_CR.find((row) => row.cr === normalizeCr(cr)) || null;
+
+// The first row whose range reaches `value`; past the table is CR 30.
+const rowIndexFor = (value, key) => {
+  const index = MONSTER_STATS_BY_CR.findIndex((row) => value <= row[key].max);
+  return index === -1 ? MONSTER_STATS_BY_CR.length - 1 : index;
+};
+
+// Every 2 points above (or below) the expected value moves the CR one step
+// up (or down), as the DMG describes.
+const adjustmentSteps = (actual, expected) =>
+  Math.trunc((actual - expected) / 2);
+
+export const computeDefensiveCr = ({ hitPoints, armorClass }) => {
+  const index = rowIndexFor(hitPoints, "hitPoints");
+  const expected = MONSTER_STATS_BY_CR[index].armorClass;
+  return MONSTER_STATS_BY_CR[
+    clampIndex(index + adjustmentSteps(armorClass, expected))
+  ].cr;
+};
+
+// Creatures with a save DC are rated on whichever of their attack bonus and
+// save DC is the bigger threat.
+export const computeOffensiveCr = ({ damagePerRound, attackBonus, saveDc }) => {
+  const index = rowIndexFor(damagePerRound, "damagePerRound");
+  const row = MONSTER_STATS_BY_CR[index];
+  const steps = Math.max(
+    adjustmentSteps(attackBonus, row.attackBonus),
+    saveDc ? adjustmentSteps(saveDc, row.saveDc) : -Infinity
+  );
+  return MONSTER_STATS_BY_CR[clampIndex(index + steps)].cr;
+};
+
+// The table CR closest to the average of the defensive and offensive CRs,
+// rounding halfway values up.
+export const computeChallengeRating = (stats) => {
+  const defensive = computeDefensiveCr(stats);
+  const offensive = computeOffensiveCr(stats);
+  const average = (crValue(defensive) + crValue(offensive)) / 2;
+  const cr = CHALLENGE_RATINGS.reduce((best, candidate) =>
+    Math.abs(crValue(candidate) - average) <= Math.abs(crValue(best) - average)
+      ? candidate
+      : best
+  );
+  return { defensive, offensive, cr };
+};
@@ -0,0 +1,151 @@
+import { describe, it, expect } from "vitest";
+import {
+  MONSTER_STATS_BY_CR,
+  CHALLENGE_RATINGS,
+  getCrStats,
+  computeDefensiveCr,
+  computeOffensiveCr,
+  computeChallengeRating,
+} from "./monsterStats";
+
+describe("MONSTER_STATS_BY_CR", () => {
+  // Rows copied from the DMG's Monster Statistics by Challenge Rating:
+  // cr, proficiency, AC, HP, attack bonus, damage per round, save DC.
+  it.each([
+    ["0", 2, 13, [1, 6], 3, [0, 1], 13],
+    ["1/4", 2, 13, [36, 49], 3, [4, 5], 13],
+    ["3", 2, 13, [101, 115], 4, [21, 26], 13],
+    ["5", 3, 15, [131, 145], 6, [33, 38], 15],
+    ["10", 4, 17, [206, 220], 7, [63, 68], 16],
+    ["17", 6, 19, [311, 325], 10, [105, 110], 19],
+    ["20", 6, 19, [356, 400], 10, [123, 140], 19],
+    ["30", 9, 19, [806, 850], 14, [303, 320], 23],
+  ])(
+    "lists CR %s as in the DMG",
+    (
+      cr,
+      proficiency,
+      armorClass,
+      [hpMin, hpMax],
+      attackBonus,
+      [dprMin, dprMax],
+      saveDc
+    ) => {
+      expect(getCrStats(cr)).toEqual({
+        cr,
+        proficiency,
+        armorClass,
+        hitPoints: { min: hpMin, max: hpMax },
+        attackBonus,
+        damagePerRound: { min: dprMin, max: dprMax },
+        saveDc,
+      });
+    }
+  );
+
+  it("covers every CR with ranges that follow on from each other", () => {
+    expect(CHALLENGE_RATINGS).toHaveLength(34);
+    MONSTER_STATS_BY_CR.slice(1).forEach((row, index) => {
+      const previous = MONSTER_STATS_BY_CR[index];
+      expect(row.hitPoints.min).toBe(previous.hitPoints.max + 1);
+      expect(row.damagePerRound.min).toBe(previous.damagePerRound.max + 1);
+    });
+  });
+
+  it("finds rows by any CR spelling", () => {
+    expect(getCrStats("CR 1/2").cr).toBe("1/2");
+    expect(getCrStats(0.25).cr).toBe("1/4");
+    expect(getCrStats("31")).toBe(null);
+  });
+});
+
+describe("computeDefensiveCr", () => {
+  it("rates hit points at the expected AC by the HP range", () => {
+    expect(computeDefensiveCr({ hitPoints: 6, armorClass: 13 })).toBe("0");
+    expect(computeDefensiveCr({ hitPoints: 45, armorClass: 13 })).toBe("1/4");
+    expect(computeDefensiveCr({ hitPoints: 140, armorClass: 15 })).toBe("5");
+    expect(computeDefensiveCr({ hitPoints: 400, armorClass: 19 })).toBe("20");
+  });
+
+  it("moves one CR per 2 points of AC above or below the expected AC", () => {
+    expect(computeDefensiveCr({ hitPoints: 140, armorClass: 17 })).toBe("6");
+    expect(computeDefensiveCr({ hitPoints: 140, armorClass: 18 })).toBe("6");
+    expect(computeDefensiveCr({ hitPoints: 140, armorClass: 19 })).toBe("7");
+    expect(computeDefensiveCr({ hitPoints: 140, armorClass: 13 })).toBe("4");
+    expect(computeDefensiveCr({ hitPoints: 140, armorClass: 14 })).toBe("5");
+  });
+
+  it("stays on the table", () => {
+    expect(computeDefensiveCr({ hitPoints: 3, armorClass: 5 })).toBe("0");
+    expect(computeDefensiveCr({ hitPoints: 2000, armorClass: 25 })).toBe("30");
+  });
+});
+
+describe("computeOffensiveCr", () => {
+  it("rates damage per round at the expected attack bonus", () => {
+    expect(computeOffensiveCr({ damagePerRound: 5, attackBonus: 3 })).toBe(
+      "1/4"
+    );
+    expect(computeOffensiveCr({ damagePerRound: 35, attackBonus: 6 })).toBe(
+      "5"
+    );
+  });
+
+  it("moves one CR per 2 points of attack bonus", () => {
+    expect(computeOffensiveCr({ damagePerRound: 35, attackBonus: 8 })).toBe(
+      "6"
+    );
+    expect(computeOffensiveCr({ damagePerRound: 35, attackBonus: 2 })).toBe(
+      "3"
+    );
+  });
+
+  it("uses the save DC when it is the bigger threat", () => {
+    expect(
+      computeOffensiveCr({ damagePerRound: 35, attackBonus: 6, saveDc: 19 })
+    ).toBe("7");
+    expect(
+      computeOffensiveCr({ damagePerRound: 35, attackBonus: 8, saveDc: 11 })
+    ).toBe("6");
+    expect(
+      computeOffensiveCr({ damagePerRound: 35, attackBonus: 6, saveDc: null })
+    ).toBe("5");
+  });
+});
+
+describe("computeChallengeRating", () => {
+  it("averages the defensive and offensive CRs", () => {
+    expect(
+      computeChallengeRating({
+        hitPoints: 140,
+        armorClass: 15,
+        damagePerRound: 65,
+        attackBonus: 7,
+      })
+    ).toEqual({ defensive: "5", offensive: "10", cr: "8" });
+  });
+
+  it("rounds halfway values up", () => {
+    // Defensive 1, offensive 2: 1.5 rounds to 2.
+    expect(
+      computeChallengeRating({
+        hitPoints: 80,
+        armorClass: 13,
+        damagePerRound: 18,
+        attackBonus: 3,
+      }).cr
+    ).toBe("2");
+  });
+
+  it("picks the nearest fractional CR for weak creatures", () => {
+    // Defensive 1/8, offensive 1/2: 0.3125 is closest to 1/4.
+    expect(
+      computeChallengeRating({
+        hitPoints: 20,
+        armorClass: 13,
+        damagePerRound: 7,
+        attackBonus: 3,
+      })
+    ).toEqual({ defensive: "1/8", offensive: "1/2", cr: "1/4" });
+  });
+});
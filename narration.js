@@ -0,0 +1,213 @@
+// --- Narration ---
+// Picks narratable sections out of the encounter markdown, turns them into
+// TTS requests (with a second voice for monster dialogue) and converts the
+// returned PCM audio into WAV clips.
+
+// Gemini's prebuilt TTS voices, with the tone Google describes for each.
+export const TTS_VOICES = [
+  { name: "Charon", tone: "Informative" },
+  { name: "Schedar", tone: "Even" },
+  { name: "Algenib", tone: "Gravelly" },
+  { name: "Gacrux", tone: "Mature" },
+  { name: "Fenrir", tone: "Excitable" },
+  { name: "Orus", tone: "Firm" },
+  { name: "Kore", tone: "Firm" },
+  { name: "Alnilam", tone: "Firm" },
+  { name: "Zephyr", tone: "Bright" },
+  { name: "Autonoe", tone: "Bright" },
+  { name: "Puck", tone: "Upbeat" },
+  { name: "Laomedeia", tone: "Upbeat" },
+  { name: "Leda", tone: "Youthful" },
+  { name: "Aoede", tone: "Breezy" },
+  { name: "Callirrhoe", tone: "Easy-going" },
+  { name: "Umbriel", tone: "Easy-going" },
+  { name: "Enceladus", tone: "Breathy" },
+  { name: "Iapetus", tone: "Clear" },
+  { name: "Erinome", tone: "Clear" },
+  { name: "Algieba", tone: "Smooth" },
+  { name: "Despina", tone: "Smooth" },
+  { name: "Rasalgethi", tone: "Informative" },
+  { name: "Achernar", tone: "Soft" },
+  { name: "Pulcherrima", tone: "Forward" },
+  { name: "Achird", tone: "Friendly" },
+  { name: "Zubenelgenubi", tone: "Casual" },
+  { name: "Vindemiatrix", tone: "Gentle" },
+  { name: "Sadachbia", tone: "Lively" },
+  { name: "Sadaltager", tone: "Knowledgeable" },
+  { name: "Sulafat", tone: "Warm" },
+];
+
+export const DEFAULT_NARRATION_VOICES = {
+  narrator: "Charon",
+  monster: "Algenib",
+};
+
+// Section id for whatever text the user has highlighted on the page.
+export const HIGHLIGHTED_SECTION_ID = "highlighted";
+
+// Strips Markdown syntax so the TTS model reads prose, not punctuation.
+export const markdownToSpeechText = (markdown) =>
+  String(markdown || "")
+    .replace(/```[\s\S]*?```/g, "")
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^\s{0,3}#{1,6}\s+/gm, "")
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, "")
+    .replace(/^\s*>\s?/gm, "")
+    .replace(/^\s*[-*_]{3,}\s*$/gm, "")
+    .replace(/^\s*\|?[\s:|-]+\|[\s:|-]*$/gm, "")
+    .replace(/\|/g, " ")
+    .replace(/(\*\*|__|\*|_|`|~~)/g, "")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const HEADING_PATTERN = /^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/;
+const BOLD_HEADING_PATTERN = /^\s*\*\*([^*]+?):?\*\*:?\s*$/;
+
+// Splits the encounter markdown into narratable sections, one per heading
+// (or bold line standing alone, as the detail prompt sometimes produces).
+// The section under the encounter title is the scene hook.
+export const getNarrationSections = (markdown) => {
+  const sections = [];
+  let current = { title: "Opening", lines: [] };
+  const flush = () => {
+    const text = markdownToSpeechText(current.lines.join("\n"));
+    if (text) sections.push({ title: current.title, text });
+  };
+
+  String(markdown || "")
+    .split("\n")
+    .forEach((line) => {
+      const heading =
+        line.match(HEADING_PATTERN) || line.match(BOLD_HEADING_PATTERN);
+      // Monster stat-block titles ("**Ogre** x2") are not section breaks.
+      if (heading && !/\bx\d+\s*$/i.test(line)) {
+        flush();
+        current = {
+          title: heading[1].replace(/[*_]/g, "").replace(/:$/, "").trim(),
+          lines: [],
+        };
+      } else {
+        current.lines.push(line);
+      }
+    });
+  flush();
+
+  return sections.map((section, index) => ({
+    ...section,
+    id: String(index),
+    title: index === 0 ? `Scene Hook: ${section.title}` : section.title,
+  }));
+};
+
+const DIALOGUE_PATTERN = /(“[^”]+”|"[^"]+")/;
+
+// Splits prose into narrator and monster turns around quoted speech.
+const toDialogueScript = (text) =>
+  text
+    .split(DIALOGUE_PATTERN)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) =>
+      DIALOGUE_PATTERN.test(part)
+        ? `Monster: ${part.replace(/^["“]|["”]$/g, "")}`
+        : `Narrator: ${part}`
+    )
+    .join("\n");
+
+const STYLE_DIRECTIONS = {
+  Dramatic: "in a dramatic, storytelling voice suitable for a Dungeon Master",
+  Monotone: "quickly and in a flat, monotone voice",
+};
+
+// Builds the arguments for provider.synthesizeSpeech. Quoted speech gets the
+// monster voice through Gemini's multi-speaker mode; everything else (and
+// any text without dialogue) is read by the narrator alone. `extraDirection`
+// comes from the selected prompt presets (e.g. a horror tone).
+export const buildNarrationRequest = ({
+  text,
+  voiceStyle,
+  voices,
+  extraDirection,
+}) => {
+  const styleDirection =
+    STYLE_DIRECTIONS[voiceStyle] || STYLE_DIRECTIONS.Dramatic;
+  const direction = extraDirection
+    ? `${styleDirection} and ${extraDirection}`
+    : styleDirection;
+  const hasDialogue =
+    DIALOGUE_PATTERN.test(text) && voices.monster !== voices.narrator;
+
+  if (!hasDialogue) {
+    return {
+      text: `Say ${direction}: ${text}`,
+      voiceName: voices.narrator,
+    };
+  }
+  return {
+    text: `TTS the following scene. The Narrator speaks ${direction}; the Monster speaks in a menacing, in-character voice.\n${toDialogueScript(
+      text
+    )}`,
+    voiceName: voices.narrator,
+    speakers: [
+      { speaker: "Narrator", voiceName: voices.narrator },
+      { speaker: "Monster", voiceName: voices.monster },
+    ],
+  };
+};
+
+// --- Audio Helper Functions for TTS ---
+const base64ToArrayBuffer = (base64) => {
+  const binaryString = window.atob(base64);
+  const len = binaryString.length;
+  const bytes = new Uint8Array(len);
+  for (let i = 0; i < len; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+export const pcmToWav = (pcmData, sampleRate) => {
+  const numChannels = 1;
+  const bytesPerSample = 2; // 16-bit PCM
+  const blockAlign = numChannels * bytesPerSample;
+  const byteRate = sampleRate * blockAlign;
+  const dataSize = pcmData.length * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  view.setUint32(0, 0x52494646, false); // "RIFF"
+  view.setUint32(4, 36 + dataSize, true);
+  view.setUint32(8, 0x57415645, false); // "WAVE"
+  // "fmt " sub-chunk
+  view.setUint32(12, 0x666d7420, false); // "fmt "
+  view.setUint32(16, 16, true); // Sub-chunk size
+  view.setUint16(20, 1, true); // Audio format (1 = PCM)
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, byteRate, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true); // Bits per sample
+  // "data" sub-chunk
+  view.setUint32(36, 0x64617461, false); // "data"
+  view.setUint32(40, dataSize, true);
+
+  // Write PCM data
+  const pcm16 = new Int16Array(pcmData.buffer);
+  for (let i = 0; i < pcm16.length; i++) {
+    view.setInt16(44 + i * 2, pcm16[i], true);
+  }
+
+  return new Blob([view], { type: "audio/wav" });
+};
+
+// Converts a synthesizeSpeech result into a WAV blob, or null when the model
+// returned no usable audio.
+export const speechToWav = ({ audioData, mimeType }) => {
+  if (!audioData || !mimeType || !mimeType.startsWith("audio/")) return null;
+  const sampleRateMatch = mimeType.match(/rate=(\d+)/);
+  const sampleRate = sampleRateMatch ? parseInt(sampleRateMatch[1], 10) : 24000;
+  const pcm16 = new Int16Array(base64ToArrayBuffer(audioData));
+  return pcmToWav(pcm16, sampleRate);
+};
@@ -0,0 +1,69 @@
+// --- Offline Generation Queue ---
+// Encounter requests made without a connection, or whose request could not
+// reach the AI service after its retries, wait here (persisted in
+// localStorage) and are sent one at a time once the connection is back.
+
+import { isApiError } from "./apiClient";
+
+export const GENERATION_QUEUE_STORAGE_KEY =
+  "dnd-battle-master:generation-queue";
+// How long to wait before retrying after a queued request failed again
+// while the browser still reports being online.
+export const QUEUE_RETRY_MS = 30000;
+
+const makeId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+// `inputs` is { characters, partyName, difficulty, terrain, flavor,
+// lockedMonsters, campaignContext, promptSettings }: everything the request
+// is built from, so it is sent as it was made. A queued request that failed
+// again goes back to the front.
+export const enqueueGeneration = (queue, inputs, { atFront = false } = {}) => {
+  const item = { id: makeId(), inputs, queuedAt: Date.now() };
+  return atFront ? [item, ...queue] : [...queue, item];
+};
+
+export const removeQueuedGeneration = (queue, id) =>
+  queue.filter((item) => item.id !== id);
+
+// Failures that mean "no connection" rather than a problem with the request.
+export const isConnectionError = (e) =>
+  isApiError(e) && (e.kind === "network" || e.kind === "timeout");
+
+export const isBrowserOnline = () =>
+  typeof navigator === "undefined" || navigator.onLine !== false;
+
+// Calls `onChange(isOnline)` whenever the browser goes on- or offline.
+// Returns the unsubscribe function.
+export const subscribeToConnectivity = (onChange) => {
+  const update = () => onChange(isBrowserOnline());
+  window.addEventListener("online", update);
+  window.addEventListener("offline", update);
+  return () => {
+    window.removeEventListener("online", update);
+    window.removeEventListener("offline", update);
+  };
+};
+
+export const loadGenerationQueue = () => {
+  try {
+    const saved = window.localStorage.getItem(GENERATION_QUEUE_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (e) {
+    console.error("Failed to load queued generation requests:", e);
+    return [];
+  }
+};
+
+export const saveGenerationQueue = (queue) => {
+  try {
+    window.localStorage.setItem(
+      GENERATION_QUEUE_STORAGE_KEY,
+      JSON.stringify(queue)
+    );
+  } catch (e) {
+    console.error("Failed to save queued generation requests:", e);
+  }
+};
@@ -0,0 +1,150 @@
+// --- Party Roster ---
+// Named parties of individual player characters, persisted in localStorage so
+// the roster is available even when Firebase is not configured.
+
+export const PARTY_STORAGE_KEY = "dnd-battle-master:parties";
+
+export const CHARACTER_CLASSES = [
+  "Artificer",
+  "Barbarian",
+  "Bard",
+  "Cleric",
+  "Druid",
+  "Fighter",
+  "Monk",
+  "Paladin",
+  "Ranger",
+  "Rogue",
+  "Sorcerer",
+  "Warlock",
+  "Wizard",
+];
+
+const makeId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+export const createCharacter = (overrides = {}) => ({
+  id: makeId(),
+  name: "New Adventurer",
+  level: 5,
+  characterClass: "Fighter",
+  armorClass: 15,
+  hitPoints: 40,
+  passivePerception: 12,
+  resistances: "",
+  // Average damage per round; null uses estimateDamagePerRound.
+  damagePerRound: null,
+  ...overrides,
+});
+
+export const createParty = (name = "New Party", characters) => ({
+  id: makeId(),
+  name,
+  characters: characters || [
+    createCharacter({ name: "Fighter", characterClass: "Fighter" }),
+    createCharacter({
+      name: "Cleric",
+      characterClass: "Cleric",
+      armorClass: 18,
+      hitPoints: 38,
+      passivePerception: 14,
+    }),
+    createCharacter({
+      name: "Rogue",
+      characterClass: "Rogue",
+      armorClass: 14,
+      hitPoints: 33,
+      passivePerception: 15,
+    }),
+    createCharacter({
+      name: "Wizard",
+      characterClass: "Wizard",
+      armorClass: 12,
+      hitPoints: 27,
+      passivePerception: 11,
+    }),
+  ],
+});
+
+export const loadParties = () => {
+  try {
+    const saved = window.localStorage.getItem(PARTY_STORAGE_KEY);
+    if (saved) {
+      const parsed = JSON.parse(saved);
+      if (parsed.parties?.length > 0) return parsed;
+    }
+  } catch (e) {
+    console.error("Failed to load saved parties:", e);
+  }
+  const party = createParty("My Party");
+  return { parties: [party], activePartyId: party.id };
+};
+
+export const saveParties = (roster) => {
+  try {
+    window.localStorage.setItem(PARTY_STORAGE_KEY, JSON.stringify(roster));
+  } catch (e) {
+    console.error("Failed to save parties:", e);
+  }
+};
+
+export const getActiveParty = (roster) =>
+  roster.parties.find((party) => party.id === roster.activePartyId) ||
+  roster.parties[0];
+
+// Character levels used for per-character XP thresholds. Encounters saved
+// before the roster existed only recorded a party size and average level.
+export const getPartyLevels = (inputs) =>
+  inputs.party
+    ? inputs.party.map((character) => character.level)
+    : Array.from({ length: inputs.partySize }, () => inputs.averageLevel);
+
+export const summarizeParty = (characters) => {
+  const partySize = characters.length;
+  const averageLevel = partySize
+    ? Math.round(
+        characters.reduce((sum, character) => sum + character.level, 0) /
+          partySize
+      )
+    : 0;
+  return { partySize, averageLevel };
+};
+
+// One line per character, injected into generation prompts.
+export const partyToPrompt = (characters) =>
+  characters
+    .map((character) => {
+      const resistances = character.resistances?.trim()
+        ? `, resistances: ${character.resistances.trim()}`
+        : "";
+      return `- ${character.name}: level ${character.level} ${character.characterClass}, AC ${character.armorClass}, HP ${character.hitPoints}, passive Perception ${character.passivePerception}${resistances}`;
+    })
+    .join("\n");
+
+// --- Combat Estimates ---
+// Rough offensive numbers for the combat simulator when the DM has not
+// entered a character's damage per round.
+const MARTIAL_CLASSES = [
+  "Barbarian",
+  "Fighter",
+  "Monk",
+  "Paladin",
+  "Ranger",
+  "Rogue",
+];
+
+export const getProficiencyBonus = (level) => 2 + Math.floor((level - 1) / 4);
+
+// Proficiency plus a primary ability modifier that rises at levels 4 and 8.
+export const getAttackBonus = (level) =>
+  getProficiencyBonus(level) + (level >= 8 ? 5 : level >= 4 ? 4 : 3);
+
+export const estimateDamagePerRound = (character) =>
+  MARTIAL_CLASSES.includes(character.characterClass)
+    ? Math.round(6 + 2 * character.level)
+    : Math.round(5 + 1.5 * character.level);
+
+export const getDamagePerRound = (character) =>
+  character.damagePerRound ?? estimateDamagePerRound(character);
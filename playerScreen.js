@@ -0,0 +1,100 @@
+// --- Player Screen ---
+// What the players' second screen (a TV, or a remote player's browser) is
+// allowed to show: the read-aloud text, monsters the DM has revealed (name
+// and art only) and the initiative order. The DM screen builds it from the
+// reveal settings and sends it over a BroadcastChannel to windows in the
+// same browser, or through Firestore (screenStore.js) to remote players.
+
+export const PLAYER_VIEW_PARAM = "view";
+export const PLAYER_VIEW_VALUE = "players";
+export const SCREEN_URL_PARAM = "screen";
+const PLAYER_CHANNEL_NAME = "dnd-battle-master:player-screen";
+
+// What the DM has chosen to reveal. Monsters are revealed by group name so
+// the choice survives rerolls and edits of other groups.
+export const DEFAULT_PLAYER_REVEAL = {
+  readAloud: "",
+  showReadAloud: false,
+  revealed: [],
+  art: {},
+  showInitiative: false,
+};
+
+export const EMPTY_PLAYER_SCREEN = {
+  readAloud: null,
+  monsters: [],
+  initiative: null,
+};
+
+const UNSEEN_MONSTER_NAME = "Unseen creature";
+
+// Combatants are named after their group ("Goblin" or "Goblin 2"), which
+// must not match "Goblin Boss".
+const belongsToGroup = (combatant, name) =>
+  combatant.name === name ||
+  (combatant.name.startsWith(`${name} `) &&
+    /^\d+$/.test(combatant.name.slice(name.length + 1)));
+
+export const buildPlayerScreen = (reveal, encounter, combat) => {
+  const monsters = encounter?.monsters || [];
+  const revealed = monsters.filter((monster) =>
+    reveal.revealed.includes(monster.name)
+  );
+  const isRevealed = (combatant) =>
+    combatant.type !== "monster" ||
+    revealed.some((monster) => belongsToGroup(combatant, monster.name));
+  const readAloud = reveal.readAloud.trim();
+
+  return {
+    readAloud: reveal.showReadAloud && readAloud ? readAloud : null,
+    monsters: revealed.map((monster) => ({
+      name: monster.name,
+      art: reveal.art[monster.name] || null,
+    })),
+    initiative:
+      reveal.showInitiative && combat?.isActive
+        ? {
+            round: combat.round,
+            entries: combat.combatants.map((combatant, index) => ({
+              name: isRevealed(combatant)
+                ? combatant.name
+                : UNSEEN_MONSTER_NAME,
+              type: combatant.type,
+              isActive: index === combat.turnIndex,
+            })),
+          }
+        : null,
+  };
+};
+
+export const isPlayerScreenEmpty = (screen) =>
+  !screen.readAloud && screen.monsters.length === 0 && !screen.initiative;
+
+// Opens the same-browser channel, or returns null where BroadcastChannel is
+// missing. The DM screen posts { type: "screen", screen }; a player window
+// posts { type: "hello" } when it opens to ask for the current screen.
+export const openPlayerChannel = (onMessage) => {
+  if (typeof BroadcastChannel === "undefined") return null;
+  const channel = new BroadcastChannel(PLAYER_CHANNEL_NAME);
+  channel.onmessage = (event) => onMessage(event.data);
+  return channel;
+};
+
+// { isPlayerView, screenId } from the address bar.
+export const getPlayerViewFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    isPlayerView: params.get(PLAYER_VIEW_PARAM) === PLAYER_VIEW_VALUE,
+    screenId: params.get(SCREEN_URL_PARAM),
+  };
+};
+
+// The player view's address; with a `screenId` it follows that Firestore
+// screen instead of this browser's channel.
+export const buildPlayerViewLink = (screenId = null) => {
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.searchParams.set(PLAYER_VIEW_PARAM, PLAYER_VIEW_VALUE);
+  if (screenId) url.searchParams.set(SCREEN_URL_PARAM, screenId);
+  return url.toString();
+};
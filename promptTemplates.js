@@ -0,0 +1,353 @@
+// --- Prompt Templates ---
+// The system instructions sent with every AI call, kept as versioned
+// templates with {{variables}} so DMs can fork and tweak them without
+// touching code. Presets (rules edition, tone) are appended to every prompt
+// and to narration. Settings are persisted in localStorage.
+
+import { summarizeParty, partyToPrompt } from "./partyRoster";
+
+export const PROMPT_SETTINGS_STORAGE_KEY = "dnd-battle-master:prompts";
+
+export const PROMPT_PURPOSES = [
+  { id: "encounter", label: "Encounter", requiredVariables: ["schema"] },
+  { id: "details", label: "Flesh Out", requiredVariables: [] },
+  { id: "monster", label: "Monster Edit", requiredVariables: ["schema"] },
+  { id: "battleMap", label: "Battle Map", requiredVariables: ["schema"] },
+  { id: "campaignSummary", label: "Campaign Summary", requiredVariables: [] },
+  { id: "homebrew", label: "Homebrew Monster", requiredVariables: ["schema"] },
+];
+
+// Variables every template can use, filled in by buildPromptVariables.
+export const PROMPT_VARIABLES = {
+  difficulty: "Requested difficulty (Easy, Medium, Hard, Deadly)",
+  terrain: "Terrain from Party Details",
+  flavor: "Flavor/context from Party Details",
+  party: "One line per character (level, class, AC, HP, resistances)",
+  partySize: "Number of characters",
+  averageLevel: "Average character level",
+  schema: "JSON schema the response must match (structured prompts only)",
+  minMapSize: "Smallest battle map side, in squares",
+  maxMapSize: "Largest battle map side, in squares",
+};
+
+// Built-in templates are read-only; bump `version` when changing their text
+// so forks can tell they are based on an older version.
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: "builtin:encounter",
+    purpose: "encounter",
+    name: "Standard",
+    version: 1,
+    text: `You are an expert Dungeon Master (DM) and encounter designer for Dungeons & Dragons (D&D). Use the latest D&D 5th Edition rules and encounter building guidelines to accurately calculate and balance the combat difficulty.
+
+Task: Design a single combat encounter for the player party described below.
+1. Setting: Use the specified terrain.
+2. Difficulty: Strictly adhere to the requested difficulty level ({{difficulty}}).
+3. Monster Selection: Select specific, named D&D monsters (e.g., Goblin, Bugbear, Fire Elemental) appropriate for the setting and the calculated Challenge Rating (CR) budget. Do not invent new monsters; prefer creatures from the D&D 5.1 System Reference Document (SRD) and use their official statistics.
+4. Output Format: Respond with a single JSON object and nothing else (no markdown, no code fences). It must match this schema:
+   {{schema}}
+   - "hook": an engaging narrative hook describing the scene and the immediate threat.
+   - "monsters": one entry per monster group with its quantity, Challenge Rating as a string (e.g., "1/4", "3"), Armor Class, Hit Points, Speed, Dexterity modifier (used for initiative) and its primary attack actions (name, to-hit bonus, damage and effect).
+   - "balance": why the encounter is balanced for the party using CR/XP math (the encounter XP, the adjusted XP after the group multiplier and the resulting difficulty, referencing D&D 5e encounter rules).`,
+  },
+  {
+    id: "builtin:details",
+    purpose: "details",
+    name: "Standard",
+    version: 1,
+    text: "You are a creative Dungeon Master. Your task is to expand upon an existing D&D encounter description, adding details that make it more immersive and dynamic. Format your response in plain markdown.",
+  },
+  {
+    id: "builtin:monster",
+    purpose: "monster",
+    name: "Standard",
+    version: 1,
+    text: `You are an expert Dungeon Master (DM) revising one monster group in an existing D&D 5th Edition encounter. Leave every other part of the encounter unchanged.
+Use official D&D 5.1 System Reference Document (SRD) statistics for any SRD creature.
+Respond with a single JSON object for the new monster group and nothing else (no markdown, no code fences). It must match this schema:
+{{schema}}`,
+  },
+  {
+    id: "builtin:battleMap",
+    purpose: "battleMap",
+    name: "Standard",
+    version: 1,
+    text: `You are a D&D 5e battle map designer. Lay out a top-down tactical grid map where each square is 5 feet.
+Respond with a single JSON object and nothing else (no markdown, no code fences). It must match this schema:
+{{schema}}
+- "width"/"height": the grid size in squares ({{minMapSize}}-{{maxMapSize}}).
+- "features": rectangles in grid squares, (0, 0) being the top-left corner. Types: "wall" (blocks movement and sight), "cover" (half or three-quarters cover, e.g. pillars, boulders, crates), "difficult" (difficult terrain), "hazard" (damaging or dangerous areas; say how in "label"), "water", "elevation" (raised ground; give its height in feet as "elevation").
+- Give every notable feature a short "label".
+- "partyStart" and "monsterStart": open areas large enough for each side's tokens, with some distance between them.`,
+  },
+  {
+    id: "builtin:homebrew",
+    purpose: "homebrew",
+    name: "Standard",
+    version: 1,
+    text: `You are a D&D 5th Edition monster designer. Invent one original creature (not an existing published monster) that fits the Dungeon Master's idea and the terrain ({{terrain}}), suitable for a party of {{partySize}} characters of average level {{averageLevel}}.
+Respond with a single JSON object and nothing else (no markdown, no code fences). It must match this schema:
+{{schema}}
+- "description": what the creature looks like and how it behaves, in two or three sentences.
+- "attacks": its weapon or natural attacks; they share the attack bonus and split the damage per round between the "attacksPerRound" attacks it makes each turn.
+- "saveAction" and "saveDc": only if it has an action that forces a saving throw, such as a breath weapon or a frightening roar.
+- "traits": short special abilities with their game effect, e.g. "Pack Tactics: advantage on attacks against a creature if an ally is within 5 feet of it."`,
+  },
+  {
+    id: "builtin:campaignSummary",
+    purpose: "campaignSummary",
+    name: "Standard",
+    version: 1,
+    text: 'You are the chronicler of an ongoing D&D campaign. Merge the summary so far and the encounters you are given into one updated "story so far" for the Dungeon Master, in at most 200 words of plain prose without headings. Keep the names of recurring factions, NPCs and locations, who survived or escaped and why it matters, grudges, debts and unresolved threads; leave out blow-by-blow combat details.',
+  },
+];
+
+// Presets in the same `group` are mutually exclusive. `speech` is added to
+// the narration direction.
+export const PROMPT_PRESETS = [
+  {
+    id: "rules-2014",
+    group: "rules",
+    name: "2014 rules",
+    instruction:
+      "Use the 2014 D&D 5th Edition core rules (2014 Player's Handbook, Dungeon Master's Guide and Monster Manual) and their monster statistics.",
+  },
+  {
+    id: "rules-2024",
+    group: "rules",
+    name: "2024 rules",
+    instruction:
+      "Use the 2024 revision of the D&D 5th Edition rules (2024 Player's Handbook, Dungeon Master's Guide and Monster Manual), including its updated monster statistics and terminology, wherever it differs from the 2014 books.",
+  },
+  {
+    id: "horror",
+    group: "tone",
+    name: "Horror tone",
+    instruction:
+      "Give everything a horror tone: dread, unsettling sensory details, creatures that stalk and terrify, and a sense that something is deeply wrong.",
+    speech: "with a hushed, eerie sense of dread",
+  },
+  {
+    id: "heroic",
+    group: "tone",
+    name: "Heroic tone",
+    instruction:
+      "Give everything a bright, heroic high-fantasy tone: bold villains, daring stakes and moments for the heroes to shine.",
+    speech: "with rousing, heroic energy",
+  },
+  {
+    id: "kid-friendly",
+    name: "Kid-friendly",
+    instruction:
+      "Keep everything suitable for young players: no gore, cruelty or mature themes, simple vocabulary, and defeated monsters flee, surrender or are knocked out rather than killed.",
+    speech: "in a warm, playful voice suitable for children",
+  },
+];
+
+export const DEFAULT_PROMPT_SETTINGS = {
+  templates: [],
+  selected: {},
+  presetIds: [],
+};
+
+const makeId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+export const loadPromptSettings = () => {
+  try {
+    const saved = window.localStorage.getItem(PROMPT_SETTINGS_STORAGE_KEY);
+    if (!saved) return DEFAULT_PROMPT_SETTINGS;
+    return { ...DEFAULT_PROMPT_SETTINGS, ...JSON.parse(saved) };
+  } catch (e) {
+    console.error("Failed to load prompt settings:", e);
+    return DEFAULT_PROMPT_SETTINGS;
+  }
+};
+
+export const savePromptSettings = (settings) => {
+  try {
+    window.localStorage.setItem(
+      PROMPT_SETTINGS_STORAGE_KEY,
+      JSON.stringify(settings)
+    );
+  } catch (e) {
+    console.error("Failed to save prompt settings:", e);
+  }
+};
+
+export const getBuiltInTemplate = (purpose) =>
+  BUILT_IN_TEMPLATES.find((template) => template.purpose === purpose);
+
+export const getTemplatesForPurpose = (settings, purpose) => [
+  ...BUILT_IN_TEMPLATES.filter((template) => template.purpose === purpose),
+  ...settings.templates.filter((template) => template.purpose === purpose),
+];
+
+// The selected template for `purpose`, falling back to the built-in one
+// when nothing (or a deleted fork) is selected.
+export const getActiveTemplate = (settings, purpose) =>
+  getTemplatesForPurpose(settings, purpose).find(
+    (template) => template.id === settings.selected[purpose]
+  ) || getBuiltInTemplate(purpose);
+
+// The built-in template a fork was copied from, if it has been updated since.
+export const getNewerBuiltIn = (template) => {
+  if (!template.basedOn) return null;
+  const builtIn = BUILT_IN_TEMPLATES.find(
+    (candidate) => candidate.id === template.basedOn.id
+  );
+  return builtIn && builtIn.version > template.basedOn.version ? builtIn : null;
+};
+
+export const selectTemplate = (settings, purpose, templateId) => ({
+  ...settings,
+  selected: { ...settings.selected, [purpose]: templateId },
+});
+
+// Copies `template` into an editable user template and selects it.
+export const forkTemplate = (settings, template) => {
+  const builtIn = template.basedOn
+    ? BUILT_IN_TEMPLATES.find(
+        (candidate) => candidate.id === template.basedOn.id
+      )
+    : template;
+  const fork = {
+    id: makeId(),
+    purpose: template.purpose,
+    name: `${template.name} (copy)`,
+    version: 1,
+    text: template.text,
+    basedOn: template.basedOn || { id: builtIn.id, version: builtIn.version },
+    updatedAt: Date.now(),
+  };
+  return {
+    settings: selectTemplate(
+      { ...settings, templates: [...settings.templates, fork] },
+      template.purpose,
+      fork.id
+    ),
+    template: fork,
+  };
+};
+
+// Saves edits to a user template as its next version.
+export const updateTemplate = (settings, templateId, changes) => ({
+  ...settings,
+  templates: settings.templates.map((template) =>
+    template.id === templateId
+      ? {
+          ...template,
+          ...changes,
+          version: template.version + 1,
+          updatedAt: Date.now(),
+        }
+      : template
+  ),
+});
+
+// Puts a fork back to the current text of the built-in it came from.
+export const resetTemplate = (settings, templateId) => {
+  const template = settings.templates.find(
+    (candidate) => candidate.id === templateId
+  );
+  const builtIn = getBuiltInTemplate(template.purpose);
+  return updateTemplate(settings, templateId, {
+    text: builtIn.text,
+    basedOn: { id: builtIn.id, version: builtIn.version },
+  });
+};
+
+export const deleteTemplate = (settings, templateId) => ({
+  ...settings,
+  templates: settings.templates.filter(
+    (template) => template.id !== templateId
+  ),
+});
+
+// Turns a preset on or off, turning off the others in its group.
+export const togglePreset = (settings, presetId) => {
+  if (settings.presetIds.includes(presetId)) {
+    return {
+      ...settings,
+      presetIds: settings.presetIds.filter((id) => id !== presetId),
+    };
+  }
+  const preset = PROMPT_PRESETS.find((candidate) => candidate.id === presetId);
+  const sameGroup = (id) =>
+    preset.group &&
+    PROMPT_PRESETS.find((candidate) => candidate.id === id)?.group ===
+      preset.group;
+  return {
+    ...settings,
+    presetIds: [...settings.presetIds.filter((id) => !sameGroup(id)), presetId],
+  };
+};
+
+const getSelectedPresets = (settings) =>
+  PROMPT_PRESETS.filter((preset) => settings.presetIds.includes(preset.id));
+
+export const buildPromptVariables = ({
+  characters = [],
+  difficulty = "",
+  terrain = "",
+  flavor = "",
+  ...extra
+}) => ({
+  difficulty,
+  terrain,
+  flavor,
+  party: partyToPrompt(characters),
+  ...summarizeParty(characters),
+  ...extra,
+});
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Replaces {{name}} with its variable; unknown names are left as written.
+export const renderTemplate = (text, variables) =>
+  text.replace(VARIABLE_PATTERN, (match, name) =>
+    variables[name] === undefined ? match : String(variables[name])
+  );
+
+// Unknown variables and missing required ones, for the template editor.
+export const findTemplateProblems = (text, purpose) => {
+  const used = [...text.matchAll(VARIABLE_PATTERN)].map((match) => match[1]);
+  const unknown = [...new Set(used)].filter(
+    (name) => !(name in PROMPT_VARIABLES)
+  );
+  const { requiredVariables } = PROMPT_PURPOSES.find(
+    (candidate) => candidate.id === purpose
+  );
+  return [
+    ...unknown.map((name) => `Unknown variable {{${name}}}.`),
+    ...requiredVariables
+      .filter((name) => !used.includes(name))
+      .map(
+        (name) =>
+          `Missing {{${name}}}: the AI will not be told the JSON format the app expects.`
+      ),
+  ];
+};
+
+// The active template for `purpose`, rendered, plus the selected presets.
+export const buildSystemInstruction = (settings, purpose, variables) => {
+  const instruction = renderTemplate(
+    getActiveTemplate(settings, purpose).text,
+    variables
+  );
+  const presets = getSelectedPresets(settings);
+  if (presets.length === 0) return instruction;
+  return `${instruction}\n\nDM preferences (apply them to everything you write):\n${presets
+    .map((preset) => `- ${preset.instruction}`)
+    .join("\n")}`;
+};
+
+// Extra narration direction from the selected presets, e.g. "with a hushed,
+// eerie sense of dread".
+export const getSpeechDirection = (settings) =>
+  getSelectedPresets(settings)
+    .map((preset) => preset.speech)
+    .filter(Boolean)
+    .join(" and ");
@@ -0,0 +1,439 @@
+// --- LLM Provider Layer ---
+// Every backend exposes the same surface so the app never touches a vendor's
+// request or response shape directly:
+//
+//   provider.capabilities  { grounding, tts, structuredOutput }
+//   provider.generateText({ contents, systemInstruction, temperature,
+//                           grounding, responseSchema, purpose, signal, onText })
+//     -> { text, sources, citations, stopReason, candidate, result, aborted,
+//          interrupted, error }
+//     `citations` ([{ text, startIndex, endIndex, sourceIndices }]) are the
+//     spans of `text` backed by `sources`; null when the call was not grounded.
+//     `stopReason` is null when the model finished normally, otherwise
+//     { kind, reason, categories } with `kind` one of "blocked" (the prompt
+//     was refused), "safety", "maxTokens", "recitation", "incomplete" (no
+//     finish reason at all) or "other"; see stopReasons.js.
+//   provider.synthesizeSpeech({ text, voiceName, speakers, signal })
+//     -> { audioData, mimeType }   (base64 PCM, only when capabilities.tts)
+//     `speakers` ([{ speaker, voiceName }]) voices a "Speaker: line" script
+//     with one voice per speaker instead of the single `voiceName`.
+//
+// Network backends send their requests through the shared API client
+// (apiClient.js), which queues, retries and logs them and throws ApiErrors.
+//
+// `contents` always uses the Gemini shape: [{ role: "user" | "model", parts }].
+
+import {
+  sleep,
+  isAbortError,
+  readGeminiStream,
+  readOpenAiStream,
+} from "./streaming";
+import { createApiError, readUsage } from "./apiClient";
+import { resolveFixtures } from "./fixtures";
+
+export const PROVIDER_SETTINGS_STORAGE_KEY = "dnd-battle-master:provider";
+
+const GEMINI_API_BASE = "https://generativelanguage.googleapis.com/v1beta";
+const TTS_TIMEOUT_MS = 90000;
+
+export const DEFAULT_PROVIDER_SETTINGS = {
+  providerId: "gemini",
+  gemini: {
+    // The API key is intentionally left empty here. In the Canvas environment,
+    // the platform automatically provides the API key in the fetch call if it is not set.
+    apiKey: "",
+    textModel: "gemini-2.5-flash-preview-05-20",
+    ttsModel: "gemini-2.5-flash-preview-tts",
+  },
+  openai: {
+    baseUrl: "http://localhost:11434/v1",
+    model: "llama3.1",
+    apiKey: "",
+  },
+  fixture: {
+    customFixtures: "",
+    chunkDelayMs: 20,
+  },
+};
+
+export const PROVIDER_OPTIONS = [
+  { id: "gemini", label: "Google Gemini" },
+  { id: "openai", label: "OpenAI-compatible (llama.cpp, Ollama)" },
+  { id: "fixture", label: "Offline fixtures (canned replay)" },
+];
+
+// --- Google Gemini ---
+
+// Sources and the spans of the response they back. Newer responses list
+// `groundingChunks` with `groundingSupports` pointing into them; older ones
+// have one `groundingAttributions` entry per source and span. Sources
+// without a URL are dropped and the rest deduplicated by URL.
+const extractGeminiGrounding = (candidate) => {
+  const metadata = candidate?.groundingMetadata || {};
+  const supports = metadata.groundingChunks
+    ? (metadata.groundingSupports || []).map((support) => ({
+        segment: support.segment,
+        chunks: (support.groundingChunkIndices || []).map(
+          (index) => metadata.groundingChunks[index]
+        ),
+      }))
+    : (metadata.groundingAttributions || []).map((attribution) => ({
+        segment: attribution.segment,
+        chunks: [attribution],
+      }));
+  const chunks = metadata.groundingChunks || metadata.groundingAttributions;
+
+  const sources = [];
+  const sourceIndex = (chunk) => {
+    const web = chunk?.web || chunk?.retrievedContext;
+    if (!web?.uri) return -1;
+    let index = sources.findIndex((source) => source.uri === web.uri);
+    if (index === -1) {
+      index = sources.push({ uri: web.uri, title: web.title || web.uri }) - 1;
+    }
+    return index;
+  };
+  (chunks || []).forEach(sourceIndex);
+
+  const citations = supports
+    .map(({ segment, chunks: backing }) => ({
+      text: segment?.text || "",
+      startIndex: segment?.startIndex || 0,
+      endIndex: segment?.endIndex,
+      sourceIndices: [
+        ...new Set(backing.map(sourceIndex).filter((index) => index >= 0)),
+      ],
+    }))
+    .filter((citation) => citation.sourceIndices.length > 0);
+  return { sources, citations };
+};
+
+// Closes the client's log entry for a streamed response.
+const finishStream = (client, response, stream) =>
+  client.finish(response, {
+    usage: readUsage(stream.result),
+    error: stream.interrupted ? stream.error : null,
+    aborted: stream.aborted,
+  });
+
+const GEMINI_STOP_KINDS = {
+  SAFETY: "safety",
+  PROHIBITED_CONTENT: "safety",
+  BLOCKLIST: "safety",
+  SPII: "safety",
+  IMAGE_SAFETY: "safety",
+  MAX_TOKENS: "maxTokens",
+  RECITATION: "recitation",
+};
+
+const flaggedCategories = (safetyRatings = []) =>
+  safetyRatings
+    .filter((rating) => rating.blocked || rating.probability === "HIGH")
+    .map((rating) => rating.category);
+
+const readGeminiStopReason = (stream) => {
+  if (stream.aborted || stream.interrupted) return null;
+  const feedback = stream.result?.promptFeedback;
+  if (feedback?.blockReason) {
+    return {
+      kind: "blocked",
+      reason: feedback.blockReason,
+      categories: flaggedCategories(feedback.safetyRatings),
+    };
+  }
+  const { finishReason, safetyRatings } = stream.candidate;
+  if (finishReason === "STOP") return null;
+  return {
+    kind: finishReason
+      ? GEMINI_STOP_KINDS[finishReason] || "other"
+      : "incomplete",
+    reason: finishReason || null,
+    categories: flaggedCategories(safetyRatings),
+  };
+};
+
+export const createGeminiProvider = (settings, client) => ({
+  id: "gemini",
+  capabilities: { grounding: true, tts: true, structuredOutput: true },
+
+  async generateText({
+    contents,
+    systemInstruction,
+    temperature,
+    grounding,
+    responseSchema,
+    purpose,
+    signal,
+    onText,
+  }) {
+    const generationConfig = { temperature };
+    const payload = { contents, generationConfig };
+    if (systemInstruction) {
+      payload.systemInstruction = { parts: [{ text: systemInstruction }] };
+    }
+    // Gemini rejects `responseSchema` alongside tools, so grounded calls rely
+    // on the caller validating the JSON locally.
+    if (grounding) {
+      payload.tools = [{ google_search: {} }];
+    } else if (responseSchema) {
+      generationConfig.responseMimeType = "application/json";
+      generationConfig.responseSchema = responseSchema;
+    }
+
+    const response = await client.request(
+      `${GEMINI_API_BASE}/models/${settings.textModel}:streamGenerateContent?alt=sse&key=${settings.apiKey}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal,
+        label: `gemini ${purpose || "text"}`,
+      }
+    );
+    const stream = await readGeminiStream(response, onText);
+    finishStream(client, response, stream);
+    const { sources, citations } = extractGeminiGrounding(stream.candidate);
+    return {
+      ...stream,
+      sources,
+      citations: grounding ? citations : null,
+      stopReason: readGeminiStopReason(stream),
+    };
+  },
+
+  async synthesizeSpeech({ text, voiceName, speakers, signal }) {
+    const speechConfig =
+      speakers && speakers.length > 1
+        ? {
+            multiSpeakerVoiceConfig: {
+              speakerVoiceConfigs: speakers.map((entry) => ({
+                speaker: entry.speaker,
+                voiceConfig: {
+                  prebuiltVoiceConfig: { voiceName: entry.voiceName },
+                },
+              })),
+            },
+          }
+        : { voiceConfig: { prebuiltVoiceConfig: { voiceName } } };
+    const payload = {
+      contents: [{ parts: [{ text }] }],
+      generationConfig: {
+        responseModalities: ["AUDIO"],
+        speechConfig,
+      },
+      model: settings.ttsModel,
+    };
+    // Speech arrives in one piece, so the timeout covers the whole synthesis.
+    const response = await client.request(
+      `${GEMINI_API_BASE}/models/${settings.ttsModel}:generateContent?key=${settings.apiKey}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal,
+        label: "gemini tts",
+        timeoutMs: TTS_TIMEOUT_MS,
+      }
+    );
+    let result;
+    try {
+      result = await response.json();
+    } catch (e) {
+      client.finish(response, { error: e, aborted: isAbortError(e) });
+      throw e;
+    }
+    const blockReason = result?.promptFeedback?.blockReason;
+    const error = blockReason
+      ? createApiError("safety", { detail: blockReason })
+      : null;
+    client.finish(response, { usage: readUsage(result), error });
+    if (error) throw error;
+    const part = result?.candidates?.[0]?.content?.parts?.[0];
+    return {
+      audioData: part?.inlineData?.data,
+      mimeType: part?.inlineData?.mimeType,
+    };
+  },
+});
+
+// --- OpenAI-compatible (llama.cpp server, Ollama, LM Studio...) ---
+
+const OPENAI_STOP_KINDS = { length: "maxTokens", content_filter: "safety" };
+
+const readOpenAiStopReason = (stream) => {
+  if (stream.aborted || stream.interrupted) return null;
+  const { finishReason } = stream.candidate;
+  if (finishReason === "stop") return null;
+  return {
+    kind: finishReason
+      ? OPENAI_STOP_KINDS[finishReason] || "other"
+      : "incomplete",
+    reason: finishReason,
+    categories: [],
+  };
+};
+
+export const createOpenAiProvider = (settings, client) => ({
+  id: "openai",
+  capabilities: { grounding: false, tts: false, structuredOutput: true },
+
+  async generateText({
+    contents,
+    systemInstruction,
+    temperature,
+    responseSchema,
+    purpose,
+    signal,
+    onText,
+  }) {
+    const messages = [
+      ...(systemInstruction
+        ? [{ role: "system", content: systemInstruction }]
+        : []),
+      ...contents.map((content) => ({
+        role: content.role === "model" ? "assistant" : "user",
+        content: content.parts.map((part) => part.text || "").join(""),
+      })),
+    ];
+    const payload = {
+      model: settings.model,
+      messages,
+      temperature,
+      stream: true,
+    };
+    if (responseSchema) payload.response_format = { type: "json_object" };
+
+    const headers = { "Content-Type": "application/json" };
+    if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+    const response = await client.request(
+      `${settings.baseUrl.replace(/\/+$/, "")}/chat/completions`,
+      {
+        method: "POST",
+        headers,
+        body: JSON.stringify(payload),
+        signal,
+        label: `openai ${purpose || "text"}`,
+      }
+    );
+    const stream = await readOpenAiStream(response, onText);
+    finishStream(client, response, stream);
+    return {
+      ...stream,
+      sources: [],
+      citations: null,
+      stopReason: readOpenAiStopReason(stream),
+    };
+  },
+
+  async synthesizeSpeech() {
+    throw new Error("This provider does not support text-to-speech.");
+  },
+});
+
+// --- Fixture replay (fully offline) ---
+
+export const createFixtureProvider = (settings) => ({
+  id: "fixture",
+  capabilities: { grounding: false, tts: false, structuredOutput: true },
+
+  async generateText({ purpose, signal, onText }) {
+    const fixtures = resolveFixtures(settings.customFixtures);
+    const fullText = fixtures[purpose] || fixtures.default;
+    let text = "";
+
+    // Replay in small chunks so streaming UI paths behave as they do online.
+    try {
+      for (let i = 0; i < fullText.length; i += 24) {
+        await sleep(settings.chunkDelayMs, signal);
+        text = fullText.slice(0, i + 24);
+        if (onText) onText(text);
+      }
+    } catch (e) {
+      if (!isAbortError(e)) throw e;
+      return {
+        text,
+        sources: [],
+        citations: null,
+        stopReason: null,
+        candidate: { text },
+        result: null,
+        aborted: true,
+        interrupted: false,
+        error: e,
+      };
+    }
+
+    return {
+      text,
+      sources: [],
+      citations: null,
+      stopReason: null,
+      candidate: { text, finishReason: "STOP" },
+      result: null,
+      aborted: false,
+      interrupted: false,
+    };
+  },
+
+  async synthesizeSpeech() {
+    throw new Error("This provider does not support text-to-speech.");
+  },
+});
+
+export const createProvider = (settings, client) => {
+  switch (settings.providerId) {
+    case "openai":
+      return createOpenAiProvider(settings.openai, client);
+    case "fixture":
+      return createFixtureProvider(settings.fixture);
+    case "gemini":
+    default:
+      return createGeminiProvider(settings.gemini, client);
+  }
+};
+
+export const loadProviderSettings = () => {
+  try {
+    const saved = window.localStorage.getItem(PROVIDER_SETTINGS_STORAGE_KEY);
+    if (!saved) return DEFAULT_PROVIDER_SETTINGS;
+    const parsed = JSON.parse(saved);
+    return {
+      ...DEFAULT_PROVIDER_SETTINGS,
+      ...parsed,
+      gemini: { ...DEFAULT_PROVIDER_SETTINGS.gemini, ...parsed.gemini },
+      openai: { ...DEFAULT_PROVIDER_SETTINGS.openai, ...parsed.openai },
+      fixture: { ...DEFAULT_PROVIDER_SETTINGS.fixture, ...parsed.fixture },
+    };
+  } catch (e) {
+    console.error("Failed to load provider settings:", e);
+    return DEFAULT_PROVIDER_SETTINGS;
+  }
+};
+
+export const saveProviderSettings = (settings) => {
+  try {
+    window.localStorage.setItem(
+      PROVIDER_SETTINGS_STORAGE_KEY,
+      JSON.stringify(settings)
+    );
+  } catch (e) {
+    console.error("Failed to save provider settings:", e);
+  }
+};
+
+// Browser speech synthesis, used when the active provider has no TTS.
+export const speakWithBrowser = (text, { rate = 1 } = {}) =>
+  new Promise((resolve, reject) => {
+    if (typeof window === "undefined" || !window.speechSynthesis) {
+      reject(new Error("Text-to-speech is not available in this browser."));
+      return;
+    }
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = rate;
+    utterance.onend = () => resolve();
+    utterance.onerror = (event) =>
+      reject(new Error(`Speech synthesis failed: ${event.error}`));
+    window.speechSynthesis.speak(utterance);
+  });
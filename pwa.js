@@ -0,0 +1,26 @@
+// --- Installable App ---
+// Links the web app manifest and registers the service worker (sw.js), which
+// keeps the app shell available offline. Saved encounters come from
+// Firestore's offline cache and narration clips from the IndexedDB clip
+// cache (audioCache.js), so neither goes through the service worker.
+
+const MANIFEST_URL = "manifest.webmanifest";
+const SERVICE_WORKER_URL = "sw.js";
+
+const addManifestLink = () => {
+  if (document.querySelector('link[rel="manifest"]')) return;
+  const link = document.createElement("link");
+  link.rel = "manifest";
+  link.href = MANIFEST_URL;
+  document.head.appendChild(link);
+};
+
+// Safe to call more than once; does nothing where service workers are
+// unavailable (e.g. plain http).
+export const installPwa = () => {
+  addManifestLink();
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker
+    .register(SERVICE_WORKER_URL)
+    .catch((e) => console.warn("Service worker registration failed:", e));
+};
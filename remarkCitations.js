@@ -0,0 +1,46 @@
+// --- Citation Markers for the Markdown Renderer ---
+// A remark plugin that turns the " ⟦1,3⟧" / " ⟦?⟧" markers written by
+// citations.js into <citation-ref> elements for the CitationMarker
+// component. Stat blocks keep their markers in the block JSON; StatBlockCard
+// renders those itself.
+
+import { CITATION_PATTERN } from "./citations";
+
+const splitText = (node) => {
+  const parts = [];
+  let last = 0;
+  for (const match of node.value.matchAll(CITATION_PATTERN)) {
+    if (match.index > last) {
+      parts.push({ type: "text", value: node.value.slice(last, match.index) });
+    }
+    parts.push({
+      type: "citationRef",
+      data: {
+        hName: "citation-ref",
+        hProperties: { dataSources: match[1] },
+      },
+      children: [],
+    });
+    last = match.index + match[0].length;
+  }
+  if (parts.length === 0) return [node];
+  if (last < node.value.length) {
+    parts.push({ type: "text", value: node.value.slice(last) });
+  }
+  return parts;
+};
+
+const transformChildren = (parent) => {
+  if (!parent.children) return;
+  parent.children = parent.children.flatMap((child) => {
+    if (child.type === "text") return splitText(child);
+    transformChildren(child);
+    return [child];
+  });
+};
+
+const remarkCitations = () => (tree) => {
+  transformChildren(tree);
+};
+
+export default remarkCitations;
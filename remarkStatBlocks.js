@@ -0,0 +1,101 @@
+// --- Stat-Block Detection for the Markdown Renderer ---
+// A remark plugin that finds monster stat blocks in the encounter markdown,
+// a "**Name** x3" line (or heading) directly followed by a bullet list of
+// "Label: value" items that includes CR, AC or HP, and replaces the pair
+// with a single <stat-block> element. The parsed block travels as JSON in
+// its `data-stat-block` attribute for the StatBlockCard component.
+
+const STAT_LABELS = /^(CR|Challenge|Armor Class|AC|Hit Points|HP)\b/i;
+
+const TITLE_PATTERN =
+  /^\s*(.+?)\s*(?:\(?\s*(?:x|×)\s*(\d+)\s*\)?|\((\d+)\))?\s*$/i;
+
+const nodeToString = (node) => {
+  if (!node) return "";
+  if (typeof node.value === "string") return node.value;
+  return (node.children || []).map(nodeToString).join("");
+};
+
+// A stat-block title must be bold, e.g. "**Ogre** x1" or "### **Ogre** (x1)".
+const readTitle = (node) => {
+  if (node.type !== "paragraph" && node.type !== "heading") return null;
+  const children = node.children || [];
+  if (children.length === 0 || children[0].type !== "strong") return null;
+  const rest = children.slice(1).map(nodeToString).join("");
+  if (rest.trim() && !/^\s*\(?\s*(?:x|×)?\s*\d+\s*\)?\s*$/i.test(rest)) {
+    return null;
+  }
+  const match = `${nodeToString(children[0])} ${rest}`.match(TITLE_PATTERN);
+  if (!match) return null;
+  return {
+    name: match[1].replace(/[*:]+$/, "").trim(),
+    quantity: Number(match[2] || match[3] || 1),
+  };
+};
+
+const splitLabel = (text) => {
+  const match = text.match(/^\s*([^:]{1,40}):\s*([\s\S]*)$/);
+  return match
+    ? { label: match[1].trim(), value: match[2].trim() }
+    : { label: "", value: text.trim() };
+};
+
+const FIELD_LABELS = [
+  [/^(CR|Challenge( Rating)?)$/i, "cr"],
+  [/^(Armor Class|AC)( \(AC\))?$/i, "armorClass"],
+  [/^(Hit Points|HP)( \(HP\))?$/i, "hitPoints"],
+  [/^Speed$/i, "speed"],
+  [/^Initiative$/i, "initiative"],
+  [/^Notes?$/i, "notes"],
+  [/^Compendium$/i, "compendium"],
+];
+
+// Reads the bullet list into { cr, armorClass, ..., actions, traits }.
+const readStats = (list) => {
+  const items = (list.children || []).map((item) => nodeToString(item));
+  if (!items.some((text) => STAT_LABELS.test(text.trim()))) return null;
+
+  const stats = { actions: [], traits: [] };
+  items.forEach((text) => {
+    const { label, value } = splitLabel(text);
+    const field = FIELD_LABELS.find(([pattern]) => pattern.test(label));
+    if (field) {
+      stats[field[1]] = value;
+    } else if (/^(Action|Attack)s?$/i.test(label)) {
+      stats.actions.push(value);
+    } else {
+      stats.traits.push(label ? `${label}: ${value}` : value);
+    }
+  });
+  return stats;
+};
+
+const transformChildren = (parent) => {
+  const children = parent.children || [];
+  for (let i = 0; i < children.length; i++) {
+    const title = readTitle(children[i]);
+    const next = children[i + 1];
+    const stats =
+      title && next && next.type === "list" ? readStats(next) : null;
+    if (stats) {
+      children.splice(i, 2, {
+        type: "statBlock",
+        data: {
+          hName: "stat-block",
+          hProperties: {
+            dataStatBlock: JSON.stringify({ ...title, ...stats }),
+          },
+        },
+        children: [],
+      });
+    } else if (children[i].children) {
+      transformChildren(children[i]);
+    }
+  }
+};
+
+const remarkStatBlocks = () => (tree) => {
+  transformChildren(tree);
+};
+
+export default remarkStatBlocks;
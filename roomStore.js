@@ -0,0 +1,155 @@
+// --- Firestore Co-DM Rooms ---
+// A room shares one encounter and its combat between DMs prepping together.
+// Rooms live under artifacts/{appId}/public/data/rooms so more than one user
+// can reach them; firestore.rules limits reads and writes to the room's
+// members, and anyone holding the link may add themselves as a member.
+// Presence is one document per member in the room's `presence` collection,
+// refreshed on a heartbeat.
+
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  setDoc,
+  deleteDoc,
+  onSnapshot,
+  arrayUnion,
+  serverTimestamp,
+} from "firebase/firestore";
+
+export const ROOM_URL_PARAM = "room";
+export const PRESENCE_HEARTBEAT_MS = 20000;
+// Members whose heartbeat is older than this are shown as away.
+export const PRESENCE_TIMEOUT_MS = 60000;
+const DISPLAY_NAME_STORAGE_KEY = "dnd-battle-master:display-name";
+
+const getRoomsCollection = (db, appId) =>
+  collection(db, "artifacts", appId, "public", "data", "rooms");
+
+const getRoomDoc = (db, appId, roomId) =>
+  doc(getRoomsCollection(db, appId), roomId);
+
+const getPresenceCollection = (db, appId, roomId) =>
+  collection(getRoomDoc(db, appId, roomId), "presence");
+
+// `encounter` and `combat` are JSON strings: Firestore rejects nested
+// arrays and undefined values, which both can contain. Resolves to the new
+// room id.
+export const createRoom = async (db, appId, userId, { encounter, combat }) => {
+  const docRef = await addDoc(getRoomsCollection(db, appId), {
+    ownerId: userId,
+    members: [userId],
+    encounter,
+    combat,
+    updatedBy: userId,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return docRef.id;
+};
+
+// Adds the user to the room's members. Joining again is harmless.
+export const joinRoom = (db, appId, userId, roomId) =>
+  updateDoc(getRoomDoc(db, appId, roomId), { members: arrayUnion(userId) });
+
+export const updateRoom = (db, appId, userId, roomId, changes) =>
+  updateDoc(getRoomDoc(db, appId, roomId), {
+    ...changes,
+    updatedBy: userId,
+    updatedAt: serverTimestamp(),
+  });
+
+// Streams the room, or null once it no longer exists. Snapshots holding
+// this client's own unsent writes are skipped; metadata changes are
+// followed so the snapshot confirming them still arrives, with any remote
+// changes made meanwhile. Returns the unsubscribe function.
+export const subscribeToRoom = (db, appId, roomId, onChange, onError) =>
+  onSnapshot(
+    getRoomDoc(db, appId, roomId),
+    { includeMetadataChanges: true },
+    (snapshot) => {
+      if (snapshot.metadata.hasPendingWrites) return;
+      onChange(
+        snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null
+      );
+    },
+    onError
+  );
+
+export const setPresence = (db, appId, roomId, userId, { name, activity }) =>
+  setDoc(doc(getPresenceCollection(db, appId, roomId), userId), {
+    name,
+    activity: activity || null,
+    lastSeen: serverTimestamp(),
+  });
+
+export const clearPresence = (db, appId, roomId, userId) =>
+  deleteDoc(doc(getPresenceCollection(db, appId, roomId), userId));
+
+export const subscribeToPresence = (db, appId, roomId, onChange, onError) =>
+  onSnapshot(
+    getPresenceCollection(db, appId, roomId),
+    (snapshot) => {
+      onChange(
+        snapshot.docs.map((snapshotDoc) => ({
+          userId: snapshotDoc.id,
+          ...snapshotDoc.data(),
+        }))
+      );
+    },
+    onError
+  );
+
+// A heartbeat still on its way to the server has no `lastSeen` yet and
+// counts as present.
+export const isPresent = (entry, now = Date.now()) =>
+  !entry.lastSeen || now - entry.lastSeen.toMillis() < PRESENCE_TIMEOUT_MS;
+
+// Accepts a room link or a bare room id.
+export const parseRoomId = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+  try {
+    return new URL(trimmed).searchParams.get(ROOM_URL_PARAM);
+  } catch (e) {
+    return /^[A-Za-z0-9]+$/.test(trimmed) ? trimmed : null;
+  }
+};
+
+export const getRoomIdFromUrl = () =>
+  new URLSearchParams(window.location.search).get(ROOM_URL_PARAM);
+
+export const buildRoomLink = (roomId) => {
+  const url = new URL(window.location.href);
+  url.searchParams.set(ROOM_URL_PARAM, roomId);
+  return url.toString();
+};
+
+// Keeps the address bar in step with the open room, so a reload rejoins it.
+export const setRoomIdInUrl = (roomId) => {
+  const url = new URL(window.location.href);
+  if (roomId) {
+    url.searchParams.set(ROOM_URL_PARAM, roomId);
+  } else {
+    url.searchParams.delete(ROOM_URL_PARAM);
+  }
+  window.history.replaceState(null, "", url.toString());
+};
+
+export const loadDisplayName = () => {
+  try {
+    return window.localStorage.getItem(DISPLAY_NAME_STORAGE_KEY) || "";
+  } catch (e) {
+    console.error("Failed to load display name:", e);
+    return "";
+  }
+};
+
+export const saveDisplayName = (name) => {
+  try {
+    window.localStorage.setItem(DISPLAY_NAME_STORAGE_KEY, name);
+  } catch (e) {
+    console.error("Failed to save display name:", e);
+  }
+};
@@ -0,0 +1,188 @@
+import { readFileSync } from "node:fs";
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import { initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { Timestamp } from "firebase/firestore";
+import {
+  PRESENCE_TIMEOUT_MS,
+  createRoom,
+  joinRoom,
+  updateRoom,
+  subscribeToRoom,
+  setPresence,
+  clearPresence,
+  subscribeToPresence,
+  isPresent,
+  parseRoomId,
+} from "./roomStore";
+
+const APP_ID = "test-app";
+
+describe("parseRoomId", () => {
+  it("reads the id from a room link or takes a bare id", () => {
+    expect(parseRoomId("https://example.com/app?room=abc123&x=1")).toBe(
+      "abc123"
+    );
+    expect(parseRoomId("  abc123 ")).toBe("abc123");
+  });
+
+  it("rejects anything else", () => {
+    expect(parseRoomId("")).toBe(null);
+    expect(parseRoomId("not a room")).toBe(null);
+    expect(parseRoomId("https://example.com/app")).toBe(null);
+  });
+});
+
+describe("isPresent", () => {
+  const now = Date.now();
+
+  it("counts recent heartbeats and unsent ones as present", () => {
+    expect(isPresent({ lastSeen: Timestamp.fromMillis(now - 1000) }, now)).toBe(
+      true
+    );
+    expect(isPresent({ lastSeen: null }, now)).toBe(true);
+  });
+
+  it("shows members with an old heartbeat as away", () => {
+    expect(
+      isPresent(
+        { lastSeen: Timestamp.fromMillis(now - PRESENCE_TIMEOUT_MS - 1) },
+        now
+      )
+    ).toBe(false);
+  });
+});
+
+// Two DMs sharing a room end to end. Needs the Firestore emulator:
+// `npm run test:emulator`.
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)(
+  "co-DM rooms in Firestore",
+  () => {
+    let testEnv;
+    let alice;
+    let bob;
+    const unsubscribes = [];
+
+    // Resolves to the first value `subscribe` reports for which `predicate`
+    // holds.
+    const waitFor = (subscribe, predicate) =>
+      new Promise((resolve, reject) => {
+        const unsubscribe = subscribe((value) => {
+          if (predicate(value)) resolve(value);
+        }, reject);
+        unsubscribes.push(unsubscribe);
+      });
+
+    beforeAll(async () => {
+      testEnv = await initializeTestEnvironment({
+        projectId: "demo-room-store",
+        firestore: { rules: readFileSync("firestore.rules", "utf8") },
+      });
+    });
+
+    beforeEach(async () => {
+      await testEnv.clearFirestore();
+      alice = testEnv.authenticatedContext("alice").firestore();
+      bob = testEnv.authenticatedContext("bob").firestore();
+    });
+
+    afterAll(async () => {
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+      await testEnv.cleanup();
+    });
+
+    it("creates, joins, updates and streams a room", async () => {
+      const roomId = await createRoom(alice, APP_ID, "alice", {
+        encounter: '{"title":"Goblin Ambush"}',
+        combat: null,
+      });
+      await joinRoom(bob, APP_ID, "bob", roomId);
+
+      const joined = await waitFor(
+        (onChange, onError) =>
+          subscribeToRoom(bob, APP_ID, roomId, onChange, onError),
+        (room) => room !== null
+      );
+      expect(joined).toMatchObject({
+        id: roomId,
+        ownerId: "alice",
+        members: ["alice", "bob"],
+        encounter: '{"title":"Goblin Ambush"}',
+      });
+
+      const edited = waitFor(
+        (onChange, onError) =>
+          subscribeToRoom(bob, APP_ID, roomId, onChange, onError),
+        (room) => room.combat !== null
+      );
+      await updateRoom(alice, APP_ID, "alice", roomId, {
+        encounter: '{"title":"Owlbear Den"}',
+        combat: '{"present":{"round":1}}',
+      });
+      expect(await edited).toMatchObject({
+        encounter: '{"title":"Owlbear Den"}',
+        combat: '{"present":{"round":1}}',
+        updatedBy: "alice",
+      });
+    });
+
+    it("only reports snapshots without this client's unsent writes", async () => {
+      const roomId = await createRoom(alice, APP_ID, "alice", {
+        encounter: "{}",
+        combat: null,
+      });
+      const seen = [];
+      const confirmed = waitFor(
+        (onChange, onError) =>
+          subscribeToRoom(
+            alice,
+            APP_ID,
+            roomId,
+            (room) => {
+              seen.push(room);
+              onChange(room);
+            },
+            onError
+          ),
+        (room) => room.encounter === '{"title":"Edited"}'
+      );
+      await updateRoom(alice, APP_ID, "alice", roomId, {
+        encounter: '{"title":"Edited"}',
+      });
+
+      const room = await confirmed;
+      expect(room.updatedAt).not.toBe(null);
+      expect(seen.every((entry) => entry.updatedAt !== null)).toBe(true);
+    });
+
+    it("shares presence between members", async () => {
+      const roomId = await createRoom(alice, APP_ID, "alice", {
+        encounter: "{}",
+        combat: null,
+      });
+      await joinRoom(bob, APP_ID, "bob", roomId);
+
+      const present = waitFor(
+        (onChange, onError) =>
+          subscribeToPresence(bob, APP_ID, roomId, onChange, onError),
+        (entries) => entries.some((entry) => entry.userId === "alice")
+      );
+      await setPresence(alice, APP_ID, roomId, "alice", {
+        name: "Alice",
+        activity: "generating an encounter",
+      });
+      const [entry] = (await present).filter((item) => item.userId === "alice");
+      expect(entry).toMatchObject({
+        name: "Alice",
+        activity: "generating an encounter",
+      });
+
+      const gone = waitFor(
+        (onChange, onError) =>
+          subscribeToPresence(bob, APP_ID, roomId, onChange, onError),
+        (entries) => entries.every((item) => item.userId !== "alice")
+      );
+      await clearPresence(alice, APP_ID, roomId, "alice");
+      await gone;
+    });
+  }
+);
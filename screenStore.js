@@ -0,0 +1,53 @@
+// --- Firestore Player Screens ---
+// The player screen (playerScreen.js) for remote players, one document per
+// shared screen under artifacts/{appId}/public/data/screens. Anyone signed
+// in who has the link can read it; only the DM who created it writes it
+// (see firestore.rules).
+
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  serverTimestamp,
+} from "firebase/firestore";
+import { EMPTY_PLAYER_SCREEN } from "./playerScreen";
+
+const getScreensCollection = (db, appId) =>
+  collection(db, "artifacts", appId, "public", "data", "screens");
+
+// Resolves to the new screen id.
+export const createScreen = async (db, appId, userId, screen) => {
+  const docRef = await addDoc(getScreensCollection(db, appId), {
+    ownerId: userId,
+    screen,
+    updatedAt: serverTimestamp(),
+  });
+  return docRef.id;
+};
+
+export const updateScreen = (db, appId, screenId, screen) =>
+  updateDoc(doc(getScreensCollection(db, appId), screenId), {
+    screen,
+    updatedAt: serverTimestamp(),
+  });
+
+export const deleteScreen = (db, appId, screenId) =>
+  deleteDoc(doc(getScreensCollection(db, appId), screenId));
+
+// Streams the screen; a deleted screen shows as empty. Returns the
+// unsubscribe function.
+export const subscribeToScreen = (db, appId, screenId, onChange, onError) =>
+  onSnapshot(
+    doc(getScreensCollection(db, appId), screenId),
+    (snapshot) => {
+      onChange(
+        snapshot.exists()
+          ? { ...EMPTY_PLAYER_SCREEN, ...snapshot.data().screen }
+          : EMPTY_PLAYER_SCREEN
+      );
+    },
+    onError
+  );
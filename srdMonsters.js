@@ -0,0 +1,1879 @@
+// --- SRD 5.1 Monster Data ---
+// A curated selection of creatures from the System Reference Document 5.1
+// (Wizards of the Coast, CC-BY-4.0), trimmed to the numbers the app uses:
+// AC, HP, speed, Dexterity modifier and primary attacks.
+
+const attack = (name, toHit, damage, effect) =>
+  effect ? { name, toHit, damage, effect } : { name, toHit, damage };
+
+export const SRD_MONSTERS = [
+  // --- CR 0 ---
+  {
+    name: "Commoner",
+    cr: "0",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 10,
+    hitPoints: 4,
+    speed: "30 ft.",
+    dexModifier: 0,
+    attacks: [attack("Club", 2, "2 (1d4) bludgeoning")],
+  },
+  {
+    name: "Rat",
+    cr: "0",
+    size: "Tiny",
+    type: "Beast",
+    armorClass: 10,
+    hitPoints: 1,
+    speed: "20 ft.",
+    dexModifier: 0,
+    attacks: [attack("Bite", 0, "1 piercing")],
+  },
+
+  // --- CR 1/8 ---
+  {
+    name: "Bandit",
+    cr: "1/8",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 12,
+    hitPoints: 11,
+    speed: "30 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Scimitar", 3, "4 (1d6 + 1) slashing"),
+      attack("Light Crossbow", 3, "5 (1d8 + 1) piercing", "Range 80/320 ft."),
+    ],
+  },
+  {
+    name: "Cultist",
+    cr: "1/8",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 12,
+    hitPoints: 9,
+    speed: "30 ft.",
+    dexModifier: 1,
+    attacks: [attack("Scimitar", 3, "4 (1d6 + 1) slashing")],
+  },
+  {
+    name: "Guard",
+    cr: "1/8",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 16,
+    hitPoints: 11,
+    speed: "30 ft.",
+    dexModifier: 1,
+    attacks: [attack("Spear", 3, "4 (1d6 + 1) piercing")],
+  },
+  {
+    name: "Kobold",
+    cr: "1/8",
+    size: "Small",
+    type: "Humanoid",
+    armorClass: 12,
+    hitPoints: 5,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Dagger", 4, "4 (1d4 + 2) piercing"),
+      attack("Sling", 4, "4 (1d4 + 2) bludgeoning", "Range 30/120 ft."),
+    ],
+  },
+  {
+    name: "Giant Rat",
+    cr: "1/8",
+    size: "Small",
+    type: "Beast",
+    armorClass: 12,
+    hitPoints: 7,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [attack("Bite", 4, "4 (1d4 + 2) piercing")],
+  },
+  {
+    name: "Stirge",
+    cr: "1/8",
+    size: "Tiny",
+    type: "Beast",
+    armorClass: 14,
+    hitPoints: 2,
+    speed: "10 ft., fly 40 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack(
+        "Blood Drain",
+        5,
+        "5 (1d4 + 3) piercing",
+        "Attaches and drains 5 (1d4 + 3) HP at the start of each of its turns."
+      ),
+    ],
+  },
+
+  // --- CR 1/4 ---
+  {
+    name: "Acolyte",
+    cr: "1/4",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 10,
+    hitPoints: 9,
+    speed: "30 ft.",
+    dexModifier: 0,
+    attacks: [attack("Club", 2, "2 (1d4) bludgeoning")],
+  },
+  {
+    name: "Drow",
+    cr: "1/4",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 15,
+    hitPoints: 13,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Shortsword", 4, "5 (1d6 + 2) piercing"),
+      attack(
+        "Hand Crossbow",
+        4,
+        "5 (1d6 + 2) piercing",
+        "DC 13 Constitution save or poisoned for 1 hour."
+      ),
+    ],
+  },
+  {
+    name: "Flying Sword",
+    cr: "1/4",
+    size: "Small",
+    type: "Construct",
+    armorClass: 17,
+    hitPoints: 17,
+    speed: "0 ft., fly 50 ft.",
+    dexModifier: 2,
+    attacks: [attack("Longsword", 3, "5 (1d8 + 1) slashing")],
+  },
+  {
+    name: "Giant Wolf Spider",
+    cr: "1/4",
+    size: "Medium",
+    type: "Beast",
+    armorClass: 13,
+    hitPoints: 11,
+    speed: "40 ft., climb 40 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack(
+        "Bite",
+        3,
+        "4 (1d6 + 1) piercing",
+        "DC 11 Constitution save or take 7 (2d6) poison damage (half on success)."
+      ),
+    ],
+  },
+  {
+    name: "Goblin",
+    cr: "1/4",
+    size: "Small",
+    type: "Humanoid",
+    armorClass: 15,
+    hitPoints: 7,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Scimitar", 4, "5 (1d6 + 2) slashing"),
+      attack("Shortbow", 4, "5 (1d6 + 2) piercing", "Range 80/320 ft."),
+    ],
+  },
+  {
+    name: "Panther",
+    cr: "1/4",
+    size: "Medium",
+    type: "Beast",
+    armorClass: 12,
+    hitPoints: 13,
+    speed: "50 ft., climb 40 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Bite", 4, "5 (1d6 + 2) piercing"),
+      attack("Claw", 4, "4 (1d4 + 2) slashing"),
+    ],
+  },
+  {
+    name: "Skeleton",
+    cr: "1/4",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 13,
+    hitPoints: 13,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Shortsword", 4, "5 (1d6 + 2) piercing"),
+      attack("Shortbow", 4, "5 (1d6 + 2) piercing", "Range 80/320 ft."),
+    ],
+  },
+  {
+    name: "Wolf",
+    cr: "1/4",
+    size: "Medium",
+    type: "Beast",
+    armorClass: 13,
+    hitPoints: 11,
+    speed: "40 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Bite",
+        4,
+        "7 (2d4 + 2) piercing",
+        "DC 11 Strength save or knocked prone."
+      ),
+    ],
+  },
+  {
+    name: "Zombie",
+    cr: "1/4",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 8,
+    hitPoints: 22,
+    speed: "20 ft.",
+    dexModifier: -2,
+    attacks: [attack("Slam", 3, "4 (1d6 + 1) bludgeoning")],
+  },
+
+  // --- CR 1/2 ---
+  {
+    name: "Black Bear",
+    cr: "1/2",
+    size: "Medium",
+    type: "Beast",
+    armorClass: 11,
+    hitPoints: 19,
+    speed: "40 ft., climb 30 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 3, "6 (1d6 + 2) piercing"),
+      attack("Claws", 3, "7 (2d4 + 2) slashing"),
+    ],
+  },
+  {
+    name: "Gnoll",
+    cr: "1/2",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 15,
+    hitPoints: 22,
+    speed: "30 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Bite", 4, "4 (1d4 + 2) piercing"),
+      attack("Spear", 4, "5 (1d6 + 2) piercing"),
+      attack("Longbow", 3, "5 (1d8 + 1) piercing", "Range 150/600 ft."),
+    ],
+  },
+  {
+    name: "Gray Ooze",
+    cr: "1/2",
+    size: "Medium",
+    type: "Ooze",
+    armorClass: 8,
+    hitPoints: 22,
+    speed: "10 ft., climb 10 ft.",
+    dexModifier: -2,
+    attacks: [
+      attack(
+        "Pseudopod",
+        3,
+        "4 (1d6 + 1) bludgeoning plus 7 (2d6) acid",
+        "Corrodes nonmagical metal armor (-1 AC)."
+      ),
+    ],
+  },
+  {
+    name: "Hobgoblin",
+    cr: "1/2",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 18,
+    hitPoints: 11,
+    speed: "30 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Longsword", 3, "5 (1d8 + 1) slashing"),
+      attack("Longbow", 3, "5 (1d8 + 1) piercing", "Range 150/600 ft."),
+    ],
+  },
+  {
+    name: "Lizardfolk",
+    cr: "1/2",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 15,
+    hitPoints: 22,
+    speed: "30 ft., swim 30 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 4, "5 (1d6 + 2) piercing"),
+      attack("Heavy Club", 4, "5 (1d6 + 2) bludgeoning"),
+      attack("Javelin", 4, "5 (1d6 + 2) piercing", "Range 30/120 ft."),
+    ],
+  },
+  {
+    name: "Orc",
+    cr: "1/2",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 13,
+    hitPoints: 15,
+    speed: "30 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Greataxe", 5, "9 (1d12 + 3) slashing"),
+      attack("Javelin", 5, "6 (1d6 + 3) piercing", "Range 30/120 ft."),
+    ],
+  },
+  {
+    name: "Scout",
+    cr: "1/2",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 13,
+    hitPoints: 16,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Shortsword", 4, "5 (1d6 + 2) piercing"),
+      attack("Longbow", 4, "6 (1d8 + 2) piercing", "Range 150/600 ft."),
+    ],
+  },
+  {
+    name: "Shadow",
+    cr: "1/2",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 12,
+    hitPoints: 16,
+    speed: "40 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Strength Drain",
+        4,
+        "9 (2d6 + 2) necrotic",
+        "Target's Strength is reduced by 1d4 until a short or long rest."
+      ),
+    ],
+  },
+  {
+    name: "Thug",
+    cr: "1/2",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 11,
+    hitPoints: 32,
+    speed: "30 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Mace", 4, "5 (1d6 + 2) bludgeoning"),
+      attack("Heavy Crossbow", 2, "5 (1d10) piercing", "Range 100/400 ft."),
+    ],
+  },
+  {
+    name: "Worg",
+    cr: "1/2",
+    size: "Large",
+    type: "Monstrosity",
+    armorClass: 13,
+    hitPoints: 26,
+    speed: "50 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack(
+        "Bite",
+        5,
+        "10 (2d6 + 3) piercing",
+        "DC 13 Strength save or knocked prone."
+      ),
+    ],
+  },
+
+  // --- CR 1 ---
+  {
+    name: "Animated Armor",
+    cr: "1",
+    size: "Medium",
+    type: "Construct",
+    armorClass: 18,
+    hitPoints: 33,
+    speed: "25 ft.",
+    dexModifier: 0,
+    attacks: [attack("Slam", 4, "5 (1d6 + 2) bludgeoning")],
+  },
+  {
+    name: "Brown Bear",
+    cr: "1",
+    size: "Large",
+    type: "Beast",
+    armorClass: 11,
+    hitPoints: 34,
+    speed: "40 ft., climb 30 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 6, "8 (1d8 + 4) piercing"),
+      attack("Claws", 6, "11 (2d6 + 4) slashing"),
+    ],
+  },
+  {
+    name: "Bugbear",
+    cr: "1",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 16,
+    hitPoints: 27,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Morningstar",
+        4,
+        "11 (2d8 + 2) piercing",
+        "Surprise Attack: +7 (2d6) damage if the target is surprised."
+      ),
+      attack("Javelin", 4, "9 (2d6 + 2) piercing", "Range 30/120 ft."),
+    ],
+  },
+  {
+    name: "Dire Wolf",
+    cr: "1",
+    size: "Large",
+    type: "Beast",
+    armorClass: 14,
+    hitPoints: 37,
+    speed: "50 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Bite",
+        5,
+        "10 (2d6 + 3) piercing",
+        "DC 13 Strength save or knocked prone."
+      ),
+    ],
+  },
+  {
+    name: "Duergar",
+    cr: "1",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 16,
+    hitPoints: 26,
+    speed: "25 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("War Pick", 4, "6 (1d8 + 2) piercing"),
+      attack("Javelin", 4, "5 (1d6 + 2) piercing", "Range 30/120 ft."),
+    ],
+  },
+  {
+    name: "Ghoul",
+    cr: "1",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 12,
+    hitPoints: 22,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Bite", 2, "9 (2d6 + 2) piercing"),
+      attack(
+        "Claws",
+        4,
+        "7 (2d4 + 2) slashing",
+        "DC 10 Constitution save or paralyzed for 1 minute (elves immune)."
+      ),
+    ],
+  },
+  {
+    name: "Giant Spider",
+    cr: "1",
+    size: "Large",
+    type: "Beast",
+    armorClass: 14,
+    hitPoints: 26,
+    speed: "30 ft., climb 30 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack(
+        "Bite",
+        5,
+        "7 (1d8 + 3) piercing",
+        "DC 11 Constitution save or take 9 (2d8) poison damage (half on success)."
+      ),
+      attack("Web", 5, "0", "Recharge 5-6. Target is restrained by webbing."),
+    ],
+  },
+  {
+    name: "Harpy",
+    cr: "1",
+    size: "Medium",
+    type: "Monstrosity",
+    armorClass: 11,
+    hitPoints: 38,
+    speed: "20 ft., fly 40 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Claws", 3, "6 (2d4 + 1) slashing"),
+      attack("Club", 3, "3 (1d4 + 1) bludgeoning"),
+    ],
+  },
+  {
+    name: "Imp",
+    cr: "1",
+    size: "Tiny",
+    type: "Fiend",
+    armorClass: 13,
+    hitPoints: 10,
+    speed: "20 ft., fly 40 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack(
+        "Sting",
+        5,
+        "5 (1d4 + 3) piercing",
+        "DC 11 Constitution save or take 10 (3d6) poison damage (half on success)."
+      ),
+    ],
+  },
+  {
+    name: "Specter",
+    cr: "1",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 12,
+    hitPoints: 22,
+    speed: "0 ft., fly 50 ft. (hover)",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Life Drain",
+        4,
+        "10 (3d6) necrotic",
+        "DC 10 Constitution save or hit point maximum is reduced by the damage taken."
+      ),
+    ],
+  },
+
+  // --- CR 2 ---
+  {
+    name: "Bandit Captain",
+    cr: "2",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 15,
+    hitPoints: 65,
+    speed: "30 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack(
+        "Scimitar",
+        5,
+        "6 (1d6 + 3) slashing",
+        "Multiattack: three attacks."
+      ),
+      attack("Dagger", 5, "5 (1d4 + 3) piercing"),
+    ],
+  },
+  {
+    name: "Berserker",
+    cr: "2",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 13,
+    hitPoints: 67,
+    speed: "30 ft.",
+    dexModifier: 1,
+    attacks: [attack("Greataxe", 5, "9 (1d12 + 3) slashing")],
+  },
+  {
+    name: "Cult Fanatic",
+    cr: "2",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 13,
+    hitPoints: 33,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Dagger",
+        4,
+        "4 (1d4 + 2) piercing",
+        "Multiattack: two melee attacks. Casts spells (save DC 11)."
+      ),
+    ],
+  },
+  {
+    name: "Gargoyle",
+    cr: "2",
+    size: "Medium",
+    type: "Elemental",
+    armorClass: 15,
+    hitPoints: 52,
+    speed: "30 ft., fly 60 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 4, "5 (1d6 + 2) piercing"),
+      attack("Claws", 4, "5 (1d6 + 2) slashing"),
+    ],
+  },
+  {
+    name: "Gelatinous Cube",
+    cr: "2",
+    size: "Large",
+    type: "Ooze",
+    armorClass: 6,
+    hitPoints: 84,
+    speed: "15 ft.",
+    dexModifier: -4,
+    attacks: [
+      attack(
+        "Pseudopod",
+        4,
+        "10 (3d6) acid",
+        "Engulf: DC 12 Dexterity save or engulfed, taking 10 (3d6) acid each turn."
+      ),
+    ],
+  },
+  {
+    name: "Ghast",
+    cr: "2",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 13,
+    hitPoints: 36,
+    speed: "30 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack("Bite", 3, "12 (2d8 + 3) piercing"),
+      attack(
+        "Claws",
+        5,
+        "10 (2d6 + 3) slashing",
+        "DC 10 Constitution save or paralyzed for 1 minute (elves immune)."
+      ),
+    ],
+  },
+  {
+    name: "Griffon",
+    cr: "2",
+    size: "Large",
+    type: "Monstrosity",
+    armorClass: 12,
+    hitPoints: 59,
+    speed: "30 ft., fly 80 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Beak", 6, "8 (1d8 + 4) piercing"),
+      attack("Claws", 6, "11 (2d6 + 4) slashing"),
+    ],
+  },
+  {
+    name: "Mimic",
+    cr: "2",
+    size: "Medium",
+    type: "Monstrosity",
+    armorClass: 12,
+    hitPoints: 58,
+    speed: "15 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack(
+        "Pseudopod",
+        5,
+        "7 (1d8 + 3) bludgeoning",
+        "Target is grappled (adhesive)."
+      ),
+      attack("Bite", 5, "7 (1d8 + 3) piercing plus 4 (1d8) acid"),
+    ],
+  },
+  {
+    name: "Ochre Jelly",
+    cr: "2",
+    size: "Large",
+    type: "Ooze",
+    armorClass: 8,
+    hitPoints: 45,
+    speed: "10 ft., climb 10 ft.",
+    dexModifier: -2,
+    attacks: [
+      attack("Pseudopod", 4, "9 (2d6 + 2) bludgeoning plus 3 (1d6) acid"),
+    ],
+  },
+  {
+    name: "Ogre",
+    cr: "2",
+    size: "Large",
+    type: "Giant",
+    armorClass: 11,
+    hitPoints: 59,
+    speed: "40 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack("Greatclub", 6, "13 (2d8 + 4) bludgeoning"),
+      attack("Javelin", 6, "11 (2d6 + 4) piercing", "Range 30/120 ft."),
+    ],
+  },
+  {
+    name: "Polar Bear",
+    cr: "2",
+    size: "Large",
+    type: "Beast",
+    armorClass: 12,
+    hitPoints: 42,
+    speed: "40 ft., swim 30 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 7, "9 (1d8 + 5) piercing"),
+      attack("Claws", 7, "12 (2d6 + 5) slashing"),
+    ],
+  },
+  {
+    name: "Priest",
+    cr: "2",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 13,
+    hitPoints: 27,
+    speed: "30 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack(
+        "Mace",
+        2,
+        "3 (1d6) bludgeoning",
+        "Casts spells such as spirit guardians (save DC 13)."
+      ),
+    ],
+  },
+  {
+    name: "Will-o'-Wisp",
+    cr: "2",
+    size: "Tiny",
+    type: "Undead",
+    armorClass: 19,
+    hitPoints: 22,
+    speed: "0 ft., fly 50 ft. (hover)",
+    dexModifier: 9,
+    attacks: [attack("Shock", 4, "9 (2d8) lightning")],
+  },
+
+  // --- CR 3 ---
+  {
+    name: "Basilisk",
+    cr: "3",
+    size: "Medium",
+    type: "Monstrosity",
+    armorClass: 15,
+    hitPoints: 52,
+    speed: "20 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack(
+        "Bite",
+        5,
+        "10 (2d6 + 3) piercing plus 7 (2d6) poison",
+        "Petrifying Gaze: DC 12 Constitution save."
+      ),
+    ],
+  },
+  {
+    name: "Doppelganger",
+    cr: "3",
+    size: "Medium",
+    type: "Monstrosity",
+    armorClass: 14,
+    hitPoints: 52,
+    speed: "30 ft.",
+    dexModifier: 4,
+    attacks: [
+      attack(
+        "Slam",
+        6,
+        "7 (1d6 + 4) bludgeoning",
+        "Multiattack: two slams. Ambusher: +10 (3d6) against surprised targets."
+      ),
+    ],
+  },
+  {
+    name: "Giant Scorpion",
+    cr: "3",
+    size: "Large",
+    type: "Beast",
+    armorClass: 15,
+    hitPoints: 52,
+    speed: "40 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Claw", 4, "6 (1d8 + 2) bludgeoning", "Target is grappled."),
+      attack(
+        "Sting",
+        4,
+        "7 (1d10 + 2) piercing",
+        "DC 12 Constitution save or take 22 (4d10) poison damage (half on success)."
+      ),
+    ],
+  },
+  {
+    name: "Hell Hound",
+    cr: "3",
+    size: "Medium",
+    type: "Fiend",
+    armorClass: 15,
+    hitPoints: 45,
+    speed: "50 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Bite", 5, "7 (1d8 + 3) piercing plus 7 (2d6) fire"),
+      attack(
+        "Fire Breath",
+        0,
+        "21 (6d6) fire",
+        "Recharge 5-6. 15-ft. cone, DC 12 Dexterity save for half."
+      ),
+    ],
+  },
+  {
+    name: "Knight",
+    cr: "3",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 18,
+    hitPoints: 52,
+    speed: "30 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack(
+        "Greatsword",
+        5,
+        "10 (2d6 + 3) slashing",
+        "Multiattack: two greatsword attacks."
+      ),
+      attack("Heavy Crossbow", 2, "5 (1d10) piercing", "Range 100/400 ft."),
+    ],
+  },
+  {
+    name: "Manticore",
+    cr: "3",
+    size: "Large",
+    type: "Monstrosity",
+    armorClass: 14,
+    hitPoints: 68,
+    speed: "30 ft., fly 50 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack("Bite", 5, "7 (1d8 + 3) piercing"),
+      attack("Claw", 5, "6 (1d6 + 3) slashing"),
+      attack("Tail Spike", 5, "7 (1d8 + 3) piercing", "Range 100/200 ft."),
+    ],
+  },
+  {
+    name: "Minotaur",
+    cr: "3",
+    size: "Large",
+    type: "Monstrosity",
+    armorClass: 14,
+    hitPoints: 76,
+    speed: "40 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Greataxe", 6, "17 (2d12 + 4) slashing"),
+      attack("Gore", 6, "13 (2d8 + 4) piercing"),
+    ],
+  },
+  {
+    name: "Mummy",
+    cr: "3",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 11,
+    hitPoints: 58,
+    speed: "20 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack(
+        "Rotting Fist",
+        5,
+        "10 (2d6 + 3) bludgeoning plus 10 (3d6) necrotic",
+        "DC 12 Constitution save or cursed with mummy rot."
+      ),
+    ],
+  },
+  {
+    name: "Owlbear",
+    cr: "3",
+    size: "Large",
+    type: "Monstrosity",
+    armorClass: 13,
+    hitPoints: 59,
+    speed: "40 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Beak", 7, "10 (1d10 + 5) piercing"),
+      attack("Claws", 7, "14 (2d8 + 5) slashing"),
+    ],
+  },
+  {
+    name: "Phase Spider",
+    cr: "3",
+    size: "Large",
+    type: "Monstrosity",
+    armorClass: 13,
+    hitPoints: 32,
+    speed: "30 ft., climb 30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Bite",
+        4,
+        "7 (1d10 + 2) piercing",
+        "DC 11 Constitution save or take 18 (4d8) poison damage (half on success)."
+      ),
+    ],
+  },
+  {
+    name: "Veteran",
+    cr: "3",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 17,
+    hitPoints: 58,
+    speed: "30 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack(
+        "Longsword",
+        5,
+        "7 (1d8 + 3) slashing",
+        "Multiattack: two longsword attacks."
+      ),
+      attack("Heavy Crossbow", 3, "6 (1d10 + 1) piercing", "Range 100/400 ft."),
+    ],
+  },
+  {
+    name: "Werewolf",
+    cr: "3",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 12,
+    hitPoints: 58,
+    speed: "30 ft. (40 ft. in wolf form)",
+    dexModifier: 1,
+    attacks: [
+      attack(
+        "Bite",
+        4,
+        "6 (1d8 + 2) piercing",
+        "DC 12 Constitution save or cursed with werewolf lycanthropy."
+      ),
+      attack("Claws", 4, "7 (2d4 + 2) slashing"),
+    ],
+  },
+  {
+    name: "Wight",
+    cr: "3",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 14,
+    hitPoints: 45,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Life Drain", 4, "5 (1d6 + 2) necrotic"),
+      attack("Longsword", 4, "6 (1d8 + 2) slashing"),
+      attack("Longbow", 4, "6 (1d8 + 2) piercing", "Range 150/600 ft."),
+    ],
+  },
+
+  // --- CR 4 ---
+  {
+    name: "Banshee",
+    cr: "4",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 12,
+    hitPoints: 58,
+    speed: "0 ft., fly 40 ft. (hover)",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Corrupting Touch",
+        4,
+        "12 (3d6 + 2) necrotic",
+        "Wail (1/day): DC 13 Constitution save or drop to 0 HP."
+      ),
+    ],
+  },
+  {
+    name: "Black Pudding",
+    cr: "4",
+    size: "Large",
+    type: "Ooze",
+    armorClass: 7,
+    hitPoints: 85,
+    speed: "20 ft., climb 20 ft.",
+    dexModifier: -3,
+    attacks: [
+      attack("Pseudopod", 5, "6 (1d6 + 3) bludgeoning plus 18 (4d8) acid"),
+    ],
+  },
+  {
+    name: "Ettin",
+    cr: "4",
+    size: "Large",
+    type: "Giant",
+    armorClass: 12,
+    hitPoints: 85,
+    speed: "40 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack("Battleaxe", 7, "14 (2d8 + 5) slashing"),
+      attack("Morningstar", 7, "14 (2d8 + 5) piercing"),
+    ],
+  },
+  {
+    name: "Ghost",
+    cr: "4",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 11,
+    hitPoints: 45,
+    speed: "0 ft., fly 40 ft. (hover)",
+    dexModifier: 1,
+    attacks: [attack("Withering Touch", 5, "17 (4d6 + 3) necrotic")],
+  },
+
+  // --- CR 5 ---
+  {
+    name: "Air Elemental",
+    cr: "5",
+    size: "Large",
+    type: "Elemental",
+    armorClass: 15,
+    hitPoints: 90,
+    speed: "0 ft., fly 90 ft. (hover)",
+    dexModifier: 5,
+    attacks: [
+      attack(
+        "Slam",
+        8,
+        "14 (2d8 + 5) bludgeoning",
+        "Multiattack: two slams. Whirlwind recharge 4-6 (DC 13 Strength)."
+      ),
+    ],
+  },
+  {
+    name: "Bulette",
+    cr: "5",
+    size: "Large",
+    type: "Monstrosity",
+    armorClass: 17,
+    hitPoints: 94,
+    speed: "40 ft., burrow 40 ft.",
+    dexModifier: 0,
+    attacks: [attack("Bite", 7, "30 (4d12 + 4) piercing")],
+  },
+  {
+    name: "Earth Elemental",
+    cr: "5",
+    size: "Large",
+    type: "Elemental",
+    armorClass: 17,
+    hitPoints: 126,
+    speed: "30 ft., burrow 30 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack("Slam", 8, "14 (2d8 + 5) bludgeoning", "Multiattack: two slams."),
+    ],
+  },
+  {
+    name: "Fire Elemental",
+    cr: "5",
+    size: "Large",
+    type: "Elemental",
+    armorClass: 13,
+    hitPoints: 102,
+    speed: "50 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack(
+        "Touch",
+        6,
+        "10 (2d6 + 3) fire",
+        "Multiattack: two touches. Target ignites, taking 5 (1d10) fire each turn."
+      ),
+    ],
+  },
+  {
+    name: "Gladiator",
+    cr: "5",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 16,
+    hitPoints: 112,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Spear",
+        7,
+        "11 (2d6 + 4) piercing",
+        "Multiattack: three melee attacks or two ranged attacks."
+      ),
+      attack("Shield Bash", 7, "9 (2d4 + 4) bludgeoning"),
+    ],
+  },
+  {
+    name: "Gorgon",
+    cr: "5",
+    size: "Large",
+    type: "Monstrosity",
+    armorClass: 19,
+    hitPoints: 114,
+    speed: "40 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Gore", 8, "18 (2d12 + 5) piercing"),
+      attack("Hooves", 8, "16 (2d10 + 5) bludgeoning"),
+    ],
+  },
+  {
+    name: "Hill Giant",
+    cr: "5",
+    size: "Huge",
+    type: "Giant",
+    armorClass: 13,
+    hitPoints: 105,
+    speed: "40 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack("Greatclub", 8, "18 (3d8 + 5) bludgeoning"),
+      attack("Rock", 8, "21 (3d10 + 5) bludgeoning", "Range 60/240 ft."),
+    ],
+  },
+  {
+    name: "Otyugh",
+    cr: "5",
+    size: "Large",
+    type: "Aberration",
+    armorClass: 14,
+    hitPoints: 114,
+    speed: "30 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack(
+        "Bite",
+        6,
+        "12 (2d8 + 3) piercing",
+        "DC 15 Constitution save or poisoned and diseased."
+      ),
+      attack("Tentacle", 6, "7 (1d8 + 3) bludgeoning plus 4 (1d8) piercing"),
+    ],
+  },
+  {
+    name: "Shambling Mound",
+    cr: "5",
+    size: "Large",
+    type: "Plant",
+    armorClass: 15,
+    hitPoints: 136,
+    speed: "20 ft., swim 20 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack(
+        "Slam",
+        7,
+        "13 (2d8 + 4) bludgeoning",
+        "Multiattack: two slams; engulfs a target hit by both."
+      ),
+    ],
+  },
+  {
+    name: "Troll",
+    cr: "5",
+    size: "Large",
+    type: "Giant",
+    armorClass: 15,
+    hitPoints: 84,
+    speed: "30 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Bite", 7, "7 (1d6 + 4) piercing"),
+      attack(
+        "Claw",
+        7,
+        "11 (2d6 + 4) slashing",
+        "Regenerates 10 HP per turn unless it took acid or fire damage."
+      ),
+    ],
+  },
+  {
+    name: "Vampire Spawn",
+    cr: "5",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 15,
+    hitPoints: 82,
+    speed: "30 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack("Claws", 6, "8 (2d4 + 3) slashing"),
+      attack("Bite", 6, "6 (1d6 + 3) piercing plus 7 (2d6) necrotic"),
+    ],
+  },
+  {
+    name: "Water Elemental",
+    cr: "5",
+    size: "Large",
+    type: "Elemental",
+    armorClass: 14,
+    hitPoints: 114,
+    speed: "30 ft., swim 90 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Slam",
+        7,
+        "13 (2d8 + 4) bludgeoning",
+        "Multiattack: two slams. Whelm recharge 4-6 (DC 15 Strength)."
+      ),
+    ],
+  },
+  {
+    name: "Wraith",
+    cr: "5",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 13,
+    hitPoints: 67,
+    speed: "0 ft., fly 60 ft. (hover)",
+    dexModifier: 3,
+    attacks: [
+      attack(
+        "Life Drain",
+        6,
+        "21 (4d8 + 3) necrotic",
+        "DC 14 Constitution save or hit point maximum is reduced by the damage taken."
+      ),
+    ],
+  },
+
+  // --- CR 6 ---
+  {
+    name: "Chimera",
+    cr: "6",
+    size: "Large",
+    type: "Monstrosity",
+    armorClass: 14,
+    hitPoints: 114,
+    speed: "30 ft., fly 60 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 7, "11 (2d6 + 4) piercing"),
+      attack("Horns", 7, "10 (1d12 + 4) bludgeoning"),
+      attack("Claws", 7, "11 (2d6 + 4) slashing"),
+      attack(
+        "Fire Breath",
+        0,
+        "31 (7d8) fire",
+        "Recharge 5-6. 15-ft. cone, DC 15 Dexterity save for half."
+      ),
+    ],
+  },
+  {
+    name: "Mage",
+    cr: "6",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 12,
+    hitPoints: 40,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Dagger",
+        5,
+        "4 (1d4 + 2) piercing",
+        "Casts spells such as fireball and cone of cold (save DC 14)."
+      ),
+    ],
+  },
+  {
+    name: "Medusa",
+    cr: "6",
+    size: "Medium",
+    type: "Monstrosity",
+    armorClass: 15,
+    hitPoints: 127,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Snake Hair", 5, "4 (1d4 + 2) piercing plus 14 (4d6) poison"),
+      attack("Shortsword", 5, "5 (1d6 + 2) piercing"),
+      attack(
+        "Longbow",
+        5,
+        "6 (1d8 + 2) piercing plus 7 (2d6) poison",
+        "Petrifying Gaze: DC 14 Constitution save."
+      ),
+    ],
+  },
+  {
+    name: "Wyvern",
+    cr: "6",
+    size: "Large",
+    type: "Dragon",
+    armorClass: 13,
+    hitPoints: 110,
+    speed: "20 ft., fly 80 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 7, "11 (2d6 + 4) piercing"),
+      attack("Claws", 7, "13 (2d8 + 4) slashing"),
+      attack(
+        "Stinger",
+        7,
+        "11 (2d6 + 4) piercing",
+        "DC 15 Constitution save or take 24 (7d6) poison damage (half on success)."
+      ),
+    ],
+  },
+  {
+    name: "Young White Dragon",
+    cr: "6",
+    size: "Large",
+    type: "Dragon",
+    armorClass: 17,
+    hitPoints: 133,
+    speed: "40 ft., burrow 20 ft., fly 80 ft., swim 40 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 7, "15 (2d10 + 4) piercing plus 4 (1d8) cold"),
+      attack("Claw", 7, "11 (2d6 + 4) slashing"),
+      attack(
+        "Cold Breath",
+        0,
+        "45 (10d8) cold",
+        "Recharge 5-6. 30-ft. cone, DC 15 Constitution save for half."
+      ),
+    ],
+  },
+
+  // --- CR 7-10 ---
+  {
+    name: "Oni",
+    cr: "7",
+    size: "Large",
+    type: "Giant",
+    armorClass: 16,
+    hitPoints: 110,
+    speed: "30 ft., fly 30 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack(
+        "Glaive",
+        7,
+        "15 (2d10 + 4) slashing",
+        "Multiattack: two glaive attacks. Regenerates 10 HP per turn."
+      ),
+    ],
+  },
+  {
+    name: "Stone Giant",
+    cr: "7",
+    size: "Huge",
+    type: "Giant",
+    armorClass: 17,
+    hitPoints: 126,
+    speed: "40 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Greatclub", 9, "19 (3d8 + 6) bludgeoning"),
+      attack("Rock", 9, "28 (4d10 + 6) bludgeoning", "Range 60/240 ft."),
+    ],
+  },
+  {
+    name: "Young Black Dragon",
+    cr: "7",
+    size: "Large",
+    type: "Dragon",
+    armorClass: 18,
+    hitPoints: 127,
+    speed: "40 ft., fly 80 ft., swim 40 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Bite", 7, "15 (2d10 + 4) piercing plus 4 (1d8) acid"),
+      attack("Claw", 7, "11 (2d6 + 4) slashing"),
+      attack(
+        "Acid Breath",
+        0,
+        "49 (11d8) acid",
+        "Recharge 5-6. 30-ft. line, DC 14 Dexterity save for half."
+      ),
+    ],
+  },
+  {
+    name: "Assassin",
+    cr: "8",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 15,
+    hitPoints: 78,
+    speed: "30 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack(
+        "Shortsword",
+        6,
+        "6 (1d6 + 3) piercing",
+        "DC 15 Constitution save or take 24 (7d6) poison damage (half on success)."
+      ),
+      attack(
+        "Light Crossbow",
+        6,
+        "7 (1d8 + 3) piercing",
+        "Range 80/320 ft. Same poison as the shortsword."
+      ),
+    ],
+  },
+  {
+    name: "Frost Giant",
+    cr: "8",
+    size: "Huge",
+    type: "Giant",
+    armorClass: 15,
+    hitPoints: 138,
+    speed: "40 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack("Greataxe", 9, "25 (3d12 + 6) slashing"),
+      attack("Rock", 9, "28 (4d10 + 6) bludgeoning", "Range 60/240 ft."),
+    ],
+  },
+  {
+    name: "Hydra",
+    cr: "8",
+    size: "Huge",
+    type: "Monstrosity",
+    armorClass: 15,
+    hitPoints: 172,
+    speed: "30 ft., swim 30 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack(
+        "Bite",
+        8,
+        "10 (1d10 + 5) piercing",
+        "One bite per head (starts with five); grows two heads for each one lost."
+      ),
+    ],
+  },
+  {
+    name: "Young Green Dragon",
+    cr: "8",
+    size: "Large",
+    type: "Dragon",
+    armorClass: 18,
+    hitPoints: 136,
+    speed: "40 ft., fly 80 ft., swim 40 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Bite", 7, "15 (2d10 + 4) piercing plus 7 (2d6) poison"),
+      attack("Claw", 7, "11 (2d6 + 4) slashing"),
+      attack(
+        "Poison Breath",
+        0,
+        "42 (12d6) poison",
+        "Recharge 5-6. 30-ft. cone, DC 14 Constitution save for half."
+      ),
+    ],
+  },
+  {
+    name: "Bone Devil",
+    cr: "9",
+    size: "Large",
+    type: "Fiend",
+    armorClass: 19,
+    hitPoints: 142,
+    speed: "40 ft., fly 40 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack("Claw", 8, "8 (1d8 + 4) slashing"),
+      attack(
+        "Sting",
+        8,
+        "13 (2d8 + 4) piercing plus 17 (5d6) poison",
+        "DC 14 Constitution save or poisoned for 1 minute."
+      ),
+    ],
+  },
+  {
+    name: "Cloud Giant",
+    cr: "9",
+    size: "Huge",
+    type: "Giant",
+    armorClass: 14,
+    hitPoints: 200,
+    speed: "40 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Morningstar", 12, "21 (3d8 + 8) piercing"),
+      attack("Rock", 12, "30 (4d10 + 8) bludgeoning", "Range 60/240 ft."),
+    ],
+  },
+  {
+    name: "Fire Giant",
+    cr: "9",
+    size: "Huge",
+    type: "Giant",
+    armorClass: 18,
+    hitPoints: 162,
+    speed: "30 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack("Greatsword", 11, "28 (6d6 + 7) slashing"),
+      attack("Rock", 11, "29 (4d10 + 7) bludgeoning", "Range 60/240 ft."),
+    ],
+  },
+  {
+    name: "Young Blue Dragon",
+    cr: "9",
+    size: "Large",
+    type: "Dragon",
+    armorClass: 18,
+    hitPoints: 152,
+    speed: "40 ft., burrow 20 ft., fly 80 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 9, "16 (2d10 + 5) piercing plus 5 (1d10) lightning"),
+      attack("Claw", 9, "12 (2d6 + 5) slashing"),
+      attack(
+        "Lightning Breath",
+        0,
+        "55 (10d10) lightning",
+        "Recharge 5-6. 60-ft. line, DC 16 Dexterity save for half."
+      ),
+    ],
+  },
+  {
+    name: "Aboleth",
+    cr: "10",
+    size: "Large",
+    type: "Aberration",
+    armorClass: 17,
+    hitPoints: 135,
+    speed: "10 ft., swim 40 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack(
+        "Tentacle",
+        9,
+        "12 (2d6 + 5) bludgeoning",
+        "DC 14 Constitution save or diseased."
+      ),
+      attack("Tail", 9, "15 (3d6 + 5) bludgeoning"),
+    ],
+  },
+  {
+    name: "Stone Golem",
+    cr: "10",
+    size: "Large",
+    type: "Construct",
+    armorClass: 17,
+    hitPoints: 178,
+    speed: "30 ft.",
+    dexModifier: -1,
+    attacks: [
+      attack(
+        "Slam",
+        10,
+        "19 (3d8 + 6) bludgeoning",
+        "Multiattack: two slams. Slow recharge 5-6 (DC 17 Wisdom)."
+      ),
+    ],
+  },
+  {
+    name: "Young Red Dragon",
+    cr: "10",
+    size: "Large",
+    type: "Dragon",
+    armorClass: 18,
+    hitPoints: 178,
+    speed: "40 ft., climb 40 ft., fly 80 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 10, "17 (2d10 + 6) piercing plus 3 (1d6) fire"),
+      attack("Claw", 10, "13 (2d6 + 6) slashing"),
+      attack(
+        "Fire Breath",
+        0,
+        "56 (16d6) fire",
+        "Recharge 5-6. 30-ft. cone, DC 17 Dexterity save for half."
+      ),
+    ],
+  },
+
+  // --- CR 11+ ---
+  {
+    name: "Behir",
+    cr: "11",
+    size: "Huge",
+    type: "Monstrosity",
+    armorClass: 17,
+    hitPoints: 168,
+    speed: "50 ft., climb 40 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack("Bite", 10, "22 (3d10 + 6) piercing"),
+      attack("Constrict", 10, "17 (2d10 + 6) bludgeoning"),
+      attack(
+        "Lightning Breath",
+        0,
+        "66 (12d10) lightning",
+        "Recharge 5-6. 20-ft. line, DC 16 Dexterity save for half."
+      ),
+    ],
+  },
+  {
+    name: "Horned Devil",
+    cr: "11",
+    size: "Large",
+    type: "Fiend",
+    armorClass: 18,
+    hitPoints: 178,
+    speed: "20 ft., fly 60 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack("Fork", 10, "15 (2d8 + 6) piercing"),
+      attack(
+        "Tail",
+        10,
+        "10 (1d8 + 6) piercing",
+        "Infernal Wound: DC 17 Constitution save or lose 10 (3d6) HP each turn."
+      ),
+      attack("Hurl Flame", 7, "14 (4d6) fire", "Range 150 ft."),
+    ],
+  },
+  {
+    name: "Remorhaz",
+    cr: "11",
+    size: "Huge",
+    type: "Monstrosity",
+    armorClass: 17,
+    hitPoints: 195,
+    speed: "30 ft., burrow 20 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack(
+        "Bite",
+        11,
+        "40 (6d10 + 7) piercing plus 10 (3d6) fire",
+        "Swallows a Medium or smaller target on a hit."
+      ),
+    ],
+  },
+  {
+    name: "Archmage",
+    cr: "12",
+    size: "Medium",
+    type: "Humanoid",
+    armorClass: 12,
+    hitPoints: 99,
+    speed: "30 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack(
+        "Dagger",
+        6,
+        "4 (1d4 + 2) piercing",
+        "Casts spells up to 9th level (save DC 17)."
+      ),
+    ],
+  },
+  {
+    name: "Erinyes",
+    cr: "12",
+    size: "Medium",
+    type: "Fiend",
+    armorClass: 18,
+    hitPoints: 153,
+    speed: "30 ft., fly 60 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack("Longsword", 8, "8 (1d8 + 4) slashing plus 13 (3d8) poison"),
+      attack(
+        "Longbow",
+        7,
+        "7 (1d8 + 3) piercing plus 13 (3d8) poison",
+        "Range 150/600 ft."
+      ),
+    ],
+  },
+  {
+    name: "Adult White Dragon",
+    cr: "13",
+    size: "Huge",
+    type: "Dragon",
+    armorClass: 18,
+    hitPoints: 200,
+    speed: "40 ft., burrow 30 ft., fly 80 ft., swim 40 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 11, "17 (2d10 + 6) piercing plus 4 (1d8) cold"),
+      attack("Claw", 11, "13 (2d6 + 6) slashing"),
+      attack("Tail", 11, "15 (2d8 + 6) bludgeoning"),
+    ],
+  },
+  {
+    name: "Storm Giant",
+    cr: "13",
+    size: "Huge",
+    type: "Giant",
+    armorClass: 16,
+    hitPoints: 230,
+    speed: "50 ft., swim 50 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Greatsword", 14, "30 (6d6 + 9) slashing"),
+      attack("Rock", 14, "35 (4d12 + 9) bludgeoning", "Range 60/240 ft."),
+    ],
+  },
+  {
+    name: "Vampire",
+    cr: "13",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 16,
+    hitPoints: 144,
+    speed: "30 ft.",
+    dexModifier: 4,
+    attacks: [
+      attack("Unarmed Strike", 9, "8 (1d8 + 4) bludgeoning"),
+      attack("Bite", 9, "7 (1d6 + 4) piercing plus 10 (3d6) necrotic"),
+    ],
+  },
+  {
+    name: "Adult Black Dragon",
+    cr: "14",
+    size: "Huge",
+    type: "Dragon",
+    armorClass: 19,
+    hitPoints: 195,
+    speed: "40 ft., fly 80 ft., swim 40 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Bite", 11, "17 (2d10 + 6) piercing plus 4 (1d8) acid"),
+      attack("Claw", 11, "13 (2d6 + 6) slashing"),
+      attack("Tail", 11, "15 (2d8 + 6) bludgeoning"),
+    ],
+  },
+  {
+    name: "Adult Green Dragon",
+    cr: "15",
+    size: "Huge",
+    type: "Dragon",
+    armorClass: 19,
+    hitPoints: 207,
+    speed: "40 ft., fly 80 ft., swim 40 ft.",
+    dexModifier: 1,
+    attacks: [
+      attack("Bite", 11, "17 (2d10 + 6) piercing plus 7 (2d6) poison"),
+      attack("Claw", 11, "13 (2d6 + 6) slashing"),
+      attack("Tail", 11, "15 (2d8 + 6) bludgeoning"),
+    ],
+  },
+  {
+    name: "Adult Blue Dragon",
+    cr: "16",
+    size: "Huge",
+    type: "Dragon",
+    armorClass: 19,
+    hitPoints: 225,
+    speed: "40 ft., burrow 30 ft., fly 80 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 12, "18 (2d10 + 7) piercing plus 5 (1d10) lightning"),
+      attack("Claw", 12, "14 (2d6 + 7) slashing"),
+      attack("Tail", 12, "16 (2d8 + 7) bludgeoning"),
+    ],
+  },
+  {
+    name: "Adult Red Dragon",
+    cr: "17",
+    size: "Huge",
+    type: "Dragon",
+    armorClass: 19,
+    hitPoints: 256,
+    speed: "40 ft., climb 40 ft., fly 80 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 14, "19 (2d10 + 8) piercing plus 7 (2d6) fire"),
+      attack("Claw", 14, "15 (2d6 + 8) slashing"),
+      attack("Tail", 14, "17 (2d8 + 8) bludgeoning"),
+    ],
+  },
+  {
+    name: "Balor",
+    cr: "19",
+    size: "Huge",
+    type: "Fiend",
+    armorClass: 19,
+    hitPoints: 262,
+    speed: "40 ft., fly 80 ft.",
+    dexModifier: 2,
+    attacks: [
+      attack("Longsword", 14, "21 (3d8 + 8) slashing plus 13 (3d8) lightning"),
+      attack(
+        "Whip",
+        14,
+        "15 (2d6 + 8) slashing plus 10 (3d6) fire",
+        "DC 20 Strength save or pulled up to 25 feet toward the balor."
+      ),
+    ],
+  },
+  {
+    name: "Lich",
+    cr: "21",
+    size: "Medium",
+    type: "Undead",
+    armorClass: 17,
+    hitPoints: 135,
+    speed: "30 ft.",
+    dexModifier: 3,
+    attacks: [
+      attack(
+        "Paralyzing Touch",
+        12,
+        "10 (3d6) cold",
+        "DC 18 Constitution save or paralyzed for 1 minute. Casts spells up to 9th level (save DC 20)."
+      ),
+    ],
+  },
+  {
+    name: "Ancient Red Dragon",
+    cr: "24",
+    size: "Gargantuan",
+    type: "Dragon",
+    armorClass: 22,
+    hitPoints: 546,
+    speed: "40 ft., climb 40 ft., fly 80 ft.",
+    dexModifier: 0,
+    attacks: [
+      attack("Bite", 17, "21 (2d10 + 10) piercing plus 14 (4d6) fire"),
+      attack("Claw", 17, "17 (2d6 + 10) slashing"),
+      attack("Tail", 17, "19 (2d8 + 10) bludgeoning"),
+    ],
+  },
+];
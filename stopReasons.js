@@ -0,0 +1,192 @@
+// --- Stop Reasons ---
+// Why a generation ended early, as reported by the providers' `stopReason`
+// ({ kind, reason, categories } or null for a normal finish), explained for
+// the DM. Output cut off by the token limit is continued automatically;
+// safety blocks get a softened flavor text to retry with.
+
+export const MAX_CONTINUATIONS = 3;
+
+export const TRUNCATED_RESULT_NOTE =
+  "**⚠️ Truncated result:** the AI reached its output limit before finishing. The content above is incomplete.";
+
+const CONTINUE_PROMPT =
+  "Your previous response was cut off by the output limit. Continue it exactly where it stopped, without repeating anything and without any commentary, so that both parts joined together form the complete response.";
+
+// HARM_CATEGORY_DANGEROUS_CONTENT -> "dangerous content"
+const categoryLabel = (category) =>
+  category
+    .replace(/^HARM_CATEGORY_/, "")
+    .toLowerCase()
+    .replace(/_/g, " ");
+
+const withCategories = (stopReason) =>
+  stopReason.categories?.length > 0
+    ? ` (${stopReason.categories.map(categoryLabel).join(", ")})`
+    : "";
+
+export const isSafetyStop = (stopReason) =>
+  stopReason?.kind === "blocked" || stopReason?.kind === "safety";
+
+export const isTruncatedStop = (stopReason) =>
+  stopReason?.kind === "maxTokens" || stopReason?.kind === "incomplete";
+
+export const describeStopReason = (stopReason) => {
+  if (!stopReason) return null;
+  switch (stopReason.kind) {
+    case "blocked":
+      return `The AI provider refused the request before writing anything${withCategories(
+        stopReason
+      )}. Its safety filters objected to the prompt, most likely the flavor text.`;
+    case "safety":
+      return `The AI stopped because its safety filters flagged what it was writing${withCategories(
+        stopReason
+      )}.`;
+    case "recitation":
+      return "The AI stopped because its output matched existing published text too closely. Try again, or reword the flavor to ask for something original.";
+    case "maxTokens":
+      return "The AI reached its output limit, even after being asked to continue, so the result is cut off.";
+    case "incomplete":
+      return "The response ended without the AI marking it as finished, so it is probably cut off.";
+    default:
+      return `The AI stopped early (${stopReason.reason || "unknown reason"}).`;
+  }
+};
+
+// Joins a continuation onto the text it continues: drops a code fence the
+// model reopened and any overlap it repeated.
+export const stitchContinuation = (text, continuation) => {
+  if (!text) return continuation;
+  let next = continuation;
+  const fences = (text.match(/```/g) || []).length;
+  if (fences % 2 === 1 || fences === 0) {
+    const reopened = next.match(/^\s*```[a-z]*\s*\n/i);
+    if (reopened) {
+      next = next.slice(reopened[0].length);
+      if (fences === 0) next = next.replace(/\n?```\s*$/, "");
+    }
+  }
+  for (
+    let length = Math.min(200, text.length, next.length);
+    length >= 8;
+    length--
+  ) {
+    if (text.endsWith(next.slice(0, length))) {
+      next = next.slice(length);
+      break;
+    }
+  }
+  return text + next;
+};
+
+// Adds the sources of a continuation to the earlier ones. Its citations keep
+// only their text, since their offsets count from the continuation's start.
+const mergeGrounding = (stream, next) => {
+  if (!next.citations) return stream;
+  const sources = [...stream.sources];
+  const remap = next.sources.map((source) => {
+    const index = sources.findIndex((other) => other.uri === source.uri);
+    return index === -1 ? sources.push(source) - 1 : index;
+  });
+  return {
+    sources,
+    citations: [
+      ...(stream.citations || []),
+      ...next.citations.map((citation) => ({
+        text: citation.text,
+        sourceIndices: citation.sourceIndices.map((index) => remap[index]),
+      })),
+    ],
+  };
+};
+
+// provider.generateText, asking the model to carry on (up to
+// MAX_CONTINUATIONS times) while it stops at the token limit. Resolves to
+// the last stream with the stitched `text` plus `continuations` and
+// `truncated` (the text is still incomplete).
+export const generateWithContinuation = async (provider, request) => {
+  let stream = await provider.generateText(request);
+  let { text } = stream;
+  let grounding = { sources: stream.sources, citations: stream.citations };
+  let continuations = 0;
+
+  while (
+    stream.stopReason?.kind === "maxTokens" &&
+    !stream.aborted &&
+    !stream.interrupted &&
+    continuations < MAX_CONTINUATIONS
+  ) {
+    continuations += 1;
+    const soFar = text;
+    stream = await provider.generateText({
+      ...request,
+      contents: [
+        ...request.contents,
+        { role: "model", parts: [{ text: soFar }] },
+        { role: "user", parts: [{ text: CONTINUE_PROMPT }] },
+      ],
+      onText:
+        request.onText &&
+        ((partial) => request.onText(stitchContinuation(soFar, partial))),
+    });
+    text = stitchContinuation(soFar, stream.text);
+    grounding = mergeGrounding(grounding, stream);
+  }
+
+  return {
+    ...stream,
+    ...grounding,
+    text,
+    continuations,
+    truncated: isTruncatedStop(stream.stopReason),
+  };
+};
+
+// --- Softening Flavor Text ---
+const SOFTER_WORDS = {
+  gore: "peril",
+  gory: "grim",
+  gruesome: "grim",
+  grisly: "grim",
+  graphic: "vivid",
+  bloody: "fierce",
+  bloodthirsty: "fierce",
+  bloodshed: "conflict",
+  blood: "crimson",
+  torture: "captivity",
+  tortured: "captive",
+  torturing: "menacing",
+  mutilated: "wounded",
+  dismembered: "fallen",
+  disemboweled: "fallen",
+  massacre: "battle",
+  slaughter: "battle",
+  slaughtered: "defeated",
+  corpse: "remains",
+  corpses: "remains",
+  murder: "crime",
+  murdered: "attacked",
+  murderous: "menacing",
+  sacrifice: "ritual",
+};
+
+const GENERAL_AUDIENCE_NOTE =
+  "Keep all descriptions non-graphic and suitable for a general audience.";
+
+const matchCase = (word, replacement) =>
+  word[0] === word[0].toUpperCase()
+    ? replacement[0].toUpperCase() + replacement.slice(1)
+    : replacement;
+
+// A milder version of `flavor` for retrying after a safety block: graphic
+// words swapped for tamer ones and a request to keep things non-graphic.
+// The request is set aside while swapping so softening twice leaves it alone.
+export const softenFlavor = (flavor) => {
+  const softened = flavor
+    .replace(GENERAL_AUDIENCE_NOTE, "")
+    .replace(/[a-z]+/gi, (word) =>
+      SOFTER_WORDS[word.toLowerCase()]
+        ? matchCase(word, SOFTER_WORDS[word.toLowerCase()])
+        : word
+    );
+  return `${softened.trim()} ${GENERAL_AUDIENCE_NOTE}`.trim();
+};
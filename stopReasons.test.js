@@ -0,0 +1,292 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  MAX_CONTINUATIONS,
+  isSafetyStop,
+  isTruncatedStop,
+  describeStopReason,
+  stitchContinuation,
+  generateWithContinuation,
+  softenFlavor,
+} from "./stopReasons";
+
+const MAX_TOKENS = { kind: "maxTokens", reason: "MAX_TOKENS" };
+
+// A provider whose generateText resolves to `streams` in turn, each filled
+// out like a finished provider stream.
+const fakeProvider = (streams) => {
+  const generateText = vi.fn();
+  streams.forEach((stream) =>
+    generateText.mockResolvedValueOnce({
+      sources: [],
+      citations: null,
+      stopReason: null,
+      aborted: false,
+      interrupted: false,
+      ...stream,
+    })
+  );
+  return { generateText };
+};
+
+const request = {
+  contents: [{ role: "user", parts: [{ text: "Build an encounter." }] }],
+  purpose: "encounter",
+};
+
+describe("stop reason kinds", () => {
+  it.each([
+    ["blocked", true, false],
+    ["safety", true, false],
+    ["maxTokens", false, true],
+    ["incomplete", false, true],
+    ["recitation", false, false],
+    ["other", false, false],
+  ])("treats %s as safety: %s, truncated: %s", (kind, safety, truncated) => {
+    expect(isSafetyStop({ kind })).toBe(safety);
+    expect(isTruncatedStop({ kind })).toBe(truncated);
+  });
+
+  it("treats a normal finish as neither", () => {
+    expect(isSafetyStop(null)).toBe(false);
+    expect(isTruncatedStop(null)).toBe(false);
+  });
+});
+
+describe("describeStopReason", () => {
+  it("says nothing about a normal finish", () => {
+    expect(describeStopReason(null)).toBe(null);
+  });
+
+  it("names the flagged safety categories", () => {
+    expect(
+      describeStopReason({
+        kind: "blocked",
+        reason: "SAFETY",
+        categories: [
+          "HARM_CATEGORY_DANGEROUS_CONTENT",
+          "HARM_CATEGORY_HARASSMENT",
+        ],
+      })
+    ).toMatch(
+      /^The AI provider refused the request before writing anything \(dangerous content, harassment\)\./
+    );
+    expect(describeStopReason({ kind: "safety", categories: [] })).toBe(
+      "The AI stopped because its safety filters flagged what it was writing."
+    );
+  });
+
+  it("explains truncation and recitation", () => {
+    expect(describeStopReason(MAX_TOKENS)).toMatch(/output limit/);
+    expect(describeStopReason({ kind: "incomplete" })).toMatch(
+      /without the AI marking it as finished/
+    );
+    expect(describeStopReason({ kind: "recitation" })).toMatch(
+      /published text/
+    );
+  });
+
+  it("falls back to the provider's reason", () => {
+    expect(describeStopReason({ kind: "other", reason: "LANGUAGE" })).toBe(
+      "The AI stopped early (LANGUAGE)."
+    );
+    expect(describeStopReason({ kind: "other" })).toBe(
+      "The AI stopped early (unknown reason)."
+    );
+  });
+});
+
+describe("stitchContinuation", () => {
+  it("appends a continuation that starts where the text stopped", () => {
+    expect(stitchContinuation("The goblins ", "charge the wagon.")).toBe(
+      "The goblins charge the wagon."
+    );
+  });
+
+  it("takes the continuation alone when there is no earlier text", () => {
+    expect(stitchContinuation("", "Roll initiative.")).toBe("Roll initiative.");
+  });
+
+  it("drops the part of the text the model repeated", () => {
+    expect(
+      stitchContinuation(
+        "Three goblins hide behind the ",
+        "hide behind the overturned cart."
+      )
+    ).toBe("Three goblins hide behind the overturned cart.");
+  });
+
+  it("keeps short matches, which are more likely a coincidence", () => {
+    expect(stitchContinuation("It was the ", "the end.")).toBe(
+      "It was the the end."
+    );
+  });
+
+  it("drops a code fence reopened inside an unclosed one", () => {
+    expect(
+      stitchContinuation(
+        '```json\n{"title": "Ambush", ',
+        '```json\n"xp": 150}\n```'
+      )
+    ).toBe('```json\n{"title": "Ambush", "xp": 150}\n```');
+  });
+
+  it("drops a fence wrapped around a continuation of plain text", () => {
+    expect(stitchContinuation("The ogre swings ", "```\nits club.\n```")).toBe(
+      "The ogre swings its club."
+    );
+  });
+
+  it("keeps a fence that opens a new block after a closed one", () => {
+    expect(stitchContinuation("```json\n{}\n```\n", "```json\n[]\n```")).toBe(
+      "```json\n{}\n```\n```json\n[]\n```"
+    );
+  });
+});
+
+describe("generateWithContinuation", () => {
+  it("returns a normal finish as it is", async () => {
+    const provider = fakeProvider([{ text: "Done." }]);
+
+    const result = await generateWithContinuation(provider, request);
+
+    expect(provider.generateText).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({
+      text: "Done.",
+      continuations: 0,
+      truncated: false,
+    });
+  });
+
+  it("asks the model to continue after the token limit and stitches the parts", async () => {
+    const provider = fakeProvider([
+      { text: "The bandits wait in the ", stopReason: MAX_TOKENS },
+      { text: "wait in the trees." },
+    ]);
+
+    const result = await generateWithContinuation(provider, request);
+
+    expect(result).toMatchObject({
+      text: "The bandits wait in the trees.",
+      continuations: 1,
+      truncated: false,
+    });
+    const followUp = provider.generateText.mock.calls[1][0];
+    expect(followUp.purpose).toBe("encounter");
+    expect(followUp.contents).toHaveLength(3);
+    expect(followUp.contents[1]).toEqual({
+      role: "model",
+      parts: [{ text: "The bandits wait in the " }],
+    });
+    expect(followUp.contents[2].role).toBe("user");
+  });
+
+  it("streams the stitched text while continuing", async () => {
+    const onText = vi.fn();
+    const provider = {
+      generateText: vi
+        .fn()
+        .mockResolvedValueOnce({ text: "First ", stopReason: MAX_TOKENS })
+        .mockImplementationOnce(async (next) => {
+          next.onText("second");
+          return { text: "second", stopReason: null };
+        }),
+    };
+
+    await generateWithContinuation(provider, { ...request, onText });
+
+    expect(onText).toHaveBeenCalledWith("First second");
+  });
+
+  it("gives up after MAX_CONTINUATIONS and reports the text as truncated", async () => {
+    const provider = fakeProvider(
+      Array.from({ length: MAX_CONTINUATIONS + 1 }, (_, index) => ({
+        text: `part ${index} `,
+        stopReason: MAX_TOKENS,
+      }))
+    );
+
+    const result = await generateWithContinuation(provider, request);
+
+    expect(provider.generateText).toHaveBeenCalledTimes(MAX_CONTINUATIONS + 1);
+    expect(result).toMatchObject({
+      text: "part 0 part 1 part 2 part 3 ",
+      continuations: MAX_CONTINUATIONS,
+      truncated: true,
+      stopReason: MAX_TOKENS,
+    });
+  });
+
+  it("does not continue a safety block", async () => {
+    const blocked = { kind: "blocked", reason: "SAFETY", categories: [] };
+    const provider = fakeProvider([{ text: "", stopReason: blocked }]);
+
+    const result = await generateWithContinuation(provider, request);
+
+    expect(provider.generateText).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({
+      continuations: 0,
+      truncated: false,
+      stopReason: blocked,
+    });
+    expect(isSafetyStop(result.stopReason)).toBe(true);
+  });
+
+  it("does not continue an aborted generation", async () => {
+    const provider = fakeProvider([
+      { text: "Half", stopReason: MAX_TOKENS, aborted: true },
+    ]);
+
+    const result = await generateWithContinuation(provider, request);
+
+    expect(provider.generateText).toHaveBeenCalledTimes(1);
+    expect(result.truncated).toBe(true);
+  });
+
+  it("merges the sources of each part and keeps only their citation text", async () => {
+    const tavern = { uri: "https://example.com/tavern", title: "Tavern" };
+    const crypt = { uri: "https://example.com/crypt", title: "Crypt" };
+    const provider = fakeProvider([
+      {
+        text: "Part one. ",
+        stopReason: MAX_TOKENS,
+        sources: [tavern],
+        citations: [
+          { text: "Part one.", startIndex: 0, endIndex: 9, sourceIndices: [0] },
+        ],
+      },
+      {
+        text: "Part two.",
+        sources: [crypt, tavern],
+        citations: [
+          {
+            text: "Part two.",
+            startIndex: 0,
+            endIndex: 9,
+            sourceIndices: [0, 1],
+          },
+        ],
+      },
+    ]);
+
+    const result = await generateWithContinuation(provider, request);
+
+    expect(result.sources).toEqual([tavern, crypt]);
+    expect(result.citations).toEqual([
+      { text: "Part one.", startIndex: 0, endIndex: 9, sourceIndices: [0] },
+      { text: "Part two.", sourceIndices: [1, 0] },
+    ]);
+  });
+});
+
+describe("softenFlavor", () => {
+  it("swaps graphic words for milder ones, keeping their case", () => {
+    expect(softenFlavor("Gory cultists and a bloody massacre")).toBe(
+      "Grim cultists and a fierce battle Keep all descriptions non-graphic and suitable for a general audience."
+    );
+  });
+
+  it("adds the general audience note only once", () => {
+    const softened = softenFlavor("A haunted crypt");
+    expect(softenFlavor(softened)).toBe(softened);
+  });
+});
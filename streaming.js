@@ -0,0 +1,125 @@
+// --- Gemini Streaming Helpers ---
+// Reads `streamGenerateContent?alt=sse` responses chunk by chunk so the UI can
+// render partial output and keep whatever arrived if the stream is cut short.
+
+export const isAbortError = (e) => e?.name === "AbortError";
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` fires.
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("The operation was aborted.", "AbortError"));
+      return;
+    }
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("The operation was aborted.", "AbortError"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+
+// Folds one streamed chunk into the running candidate. Text parts are
+// concatenated; metadata such as finishReason and grounding keeps the latest.
+const mergeChunk = (candidate, chunkCandidate) => {
+  const text = (chunkCandidate.content?.parts || [])
+    .map((part) => part.text || "")
+    .join("");
+  return {
+    ...candidate,
+    ...chunkCandidate,
+    text: candidate.text + text,
+    groundingMetadata:
+      chunkCandidate.groundingMetadata || candidate.groundingMetadata,
+  };
+};
+
+// Reads an SSE response body and hands each event's `data:` payload to
+// `onData`. Never throws for a broken or aborted stream; resolves to
+// { aborted, interrupted, error } so callers can keep the partial output.
+export const readSseStream = async (response, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const handleEvent = (eventText) => {
+    const data = eventText
+      .split("\n")
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trim())
+      .join("");
+    if (data) onData(data);
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      events.forEach(handleEvent);
+    }
+    if (buffer.trim()) handleEvent(buffer);
+  } catch (e) {
+    return {
+      aborted: isAbortError(e),
+      interrupted: !isAbortError(e),
+      error: e,
+    };
+  }
+  return { aborted: false, interrupted: false };
+};
+
+// Consumes a Gemini `streamGenerateContent` response. `onText` receives the
+// accumulated text after every chunk. Resolves to
+// { text, candidate, result, aborted, interrupted, error }.
+export const readGeminiStream = async (response, onText) => {
+  let candidate = { text: "" };
+  let lastResult = null;
+
+  const status = await readSseStream(response, (data) => {
+    const chunk = JSON.parse(data);
+    lastResult = { ...lastResult, ...chunk };
+    const chunkCandidate = chunk.candidates?.[0];
+    if (chunkCandidate) {
+      candidate = mergeChunk(candidate, chunkCandidate);
+      if (onText) onText(candidate.text);
+    }
+  });
+
+  return { text: candidate.text, candidate, result: lastResult, ...status };
+};
+
+// Consumes an OpenAI-compatible `chat/completions` stream (llama.cpp, Ollama,
+// LM Studio...). Resolves to the same shape as readGeminiStream.
+export const readOpenAiStream = async (response, onText) => {
+  let text = "";
+  let finishReason = null;
+  let lastResult = null;
+
+  const status = await readSseStream(response, (data) => {
+    if (data === "[DONE]") return;
+    const chunk = JSON.parse(data);
+    lastResult = { ...lastResult, ...chunk };
+    const choice = chunk.choices?.[0];
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    if (choice?.delta?.content) {
+      text += choice.delta.content;
+      if (onText) onText(text);
+    }
+  });
+
+  return {
+    text,
+    candidate: { text, finishReason },
+    result: lastResult,
+    ...status,
+  };
+};
+
+export const PARTIAL_RESULT_NOTE =
+  "**⚠️ Partial result:** generation stopped before the AI finished. The content above is incomplete.";
@@ -0,0 +1,87 @@
+// --- Service Worker ---
+// Keeps the app shell working offline. Page loads go to the network first
+// and fall back to the cached copy; scripts, styles, fonts and images are
+// served from the cache while a fresh copy is fetched in the background.
+// Google API traffic (the AI providers, Firestore and Auth) is never
+// cached: Firestore keeps its own offline cache, and generation requests
+// made offline wait in the app's queue (offlineQueue.js).
+
+const CACHE_NAME = "dnd-battle-master-shell-v1";
+const PRECACHE_URLS = ["./", "manifest.webmanifest", "icon.svg"];
+const CACHED_DESTINATIONS = ["script", "style", "font", "image", "manifest"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drops the caches of older versions.
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+const isApiRequest = (url) => url.hostname.endsWith("googleapis.com");
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (e) {
+    const cached =
+      (await cache.match(request, { ignoreSearch: true })) ||
+      (await cache.match("./"));
+    if (cached) return cached;
+    throw e;
+  }
+};
+
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      // Opaque cross-origin responses (status 0) are cached as they are.
+      if (response.ok || response.type === "opaque") {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch((e) => {
+      if (cached) return cached;
+      throw e;
+    });
+  return cached || refresh;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (isApiRequest(url)) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (
+    url.origin === self.location.origin ||
+    CACHED_DESTINATIONS.includes(request.destination)
+  ) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
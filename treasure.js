@@ -0,0 +1,291 @@
+// --- Treasure Engine ---
+// Rolls loot on the DMG tables with a seeded RNG, so the same seed always
+// gives the same treasure. Every monster group carries individual treasure
+// for each creature. When the DM adds a hoard, the highest-CR group guards it
+// instead of carrying individual treasure. The AI only describes the rolled
+// items (see lootToPrompt).
+
+import { normalizeCr } from "./encounterMath";
+import {
+  TREASURE_TIERS,
+  INDIVIDUAL_TREASURE,
+  TREASURE_HOARDS,
+  GEMSTONES,
+  ART_OBJECTS,
+  MAGIC_ITEM_TABLES,
+} from "./treasureTables";
+
+export const COIN_TYPES = ["cp", "sp", "ep", "gp", "pp"];
+const GP_PER_COIN = { cp: 0.01, sp: 0.1, ep: 0.5, gp: 1, pp: 10 };
+
+export const randomSeed = () => Math.random().toString(36).slice(2, 10);
+
+// mulberry32 over a 32-bit hash of the seed string.
+export const createRng = (seed) => {
+  let state = 1779033703 ^ String(seed).length;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 3432918353);
+    state = (state << 13) | (state >>> 19);
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const rollDie = (rng, sides) => Math.floor(rng() * sides) + 1;
+
+// Rolls dice written like "3d6", "4d6*100" or a flat "1".
+export const rollDice = (rng, expression) => {
+  const match = /^(\d+)(?:d(\d+))?(?:\*(\d+))?$/.exec(expression);
+  if (!match) throw new Error(`Invalid dice expression: ${expression}`);
+  const [, count, sides, multiplier = "1"] = match;
+  let total = 0;
+  if (sides) {
+    for (let i = 0; i < Number(count); i++) {
+      total += rollDie(rng, Number(sides));
+    }
+  } else {
+    total = Number(count);
+  }
+  return total * Number(multiplier);
+};
+
+const lookup = (rows, roll) => rows.find((row) => roll <= row.max);
+
+const crValue = (cr) => {
+  const normalized = normalizeCr(cr);
+  if (!normalized) return 0;
+  return normalized.includes("/")
+    ? 1 / Number(normalized.split("/")[1])
+    : Number(normalized);
+};
+
+export const getTreasureTier = (cr) => {
+  const value = crValue(cr);
+  return [...TREASURE_TIERS].reverse().find((tier) => value >= tier.minCr);
+};
+
+const emptyCoins = () => ({ cp: 0, sp: 0, ep: 0, gp: 0, pp: 0 });
+
+const addCoins = (coins, rng, dice) => {
+  Object.entries(dice).forEach(([type, expression]) => {
+    coins[type] += rollDice(rng, expression);
+  });
+  return coins;
+};
+
+// Individual treasure for `quantity` creatures of `cr`, summed.
+export const rollIndividualTreasure = (rng, cr, quantity = 1) => {
+  const rows = INDIVIDUAL_TREASURE[getTreasureTier(cr).id];
+  const coins = emptyCoins();
+  for (let i = 0; i < quantity; i++) {
+    addCoins(coins, rng, lookup(rows, rollDie(rng, 100)).coins);
+  }
+  return coins;
+};
+
+const rollValuables = (rng, [dice, value], lists) => {
+  const names = lists[value];
+  return Array.from({ length: rollDice(rng, dice) }, () => ({
+    name: names[rollDie(rng, names.length) - 1],
+    value,
+  }));
+};
+
+export const rollMagicItem = (rng, table) => {
+  const { item } = lookup(MAGIC_ITEM_TABLES[table], rollDie(rng, 100));
+  const name =
+    typeof item === "string"
+      ? item
+      : lookup(item.rows, rollDie(rng, item.die)).item;
+  return { name, table };
+};
+
+export const rollHoard = (rng, cr) => {
+  const tier = getTreasureTier(cr);
+  const hoard = TREASURE_HOARDS[tier.id];
+  const row = lookup(hoard.rows, rollDie(rng, 100));
+  return {
+    tier: tier.id,
+    coins: addCoins(emptyCoins(), rng, hoard.coins),
+    gems: row.gems ? rollValuables(rng, row.gems, GEMSTONES) : [],
+    artObjects: row.art ? rollValuables(rng, row.art, ART_OBJECTS) : [],
+    magicItems: (row.magic || []).flatMap(([dice, table]) =>
+      Array.from({ length: rollDice(rng, dice) }, () =>
+        rollMagicItem(rng, table)
+      )
+    ),
+  };
+};
+
+export const rollGroupLoot = (monster, seed, { withHoard = false } = {}) => {
+  const rng = createRng(seed);
+  return {
+    seed,
+    name: monster.name,
+    quantity: monster.quantity,
+    cr: monster.cr,
+    coins: withHoard
+      ? emptyCoins()
+      : rollIndividualTreasure(rng, monster.cr, monster.quantity),
+    hoard: withHoard ? rollHoard(rng, monster.cr) : null,
+  };
+};
+
+// Loot saved before the hoard became optional has no `withHoard` flag.
+export const lootHasHoard = (loot) =>
+  loot.withHoard ?? loot.groups.some((group) => Boolean(group.hoard));
+
+// The group guarding the hoard, or -1 without one.
+const findHoardIndex = (monsters, withHoard) =>
+  withHoard
+    ? monsters.reduce(
+        (best, monster, index) =>
+          crValue(monster.cr) > crValue(monsters[best].cr) ? index : best,
+        0
+      )
+    : -1;
+
+// Loot for every monster group. Group seeds derive from `seed`, so a saved
+// seed reproduces the whole list.
+export const rollEncounterLoot = (
+  encounter,
+  seed = randomSeed(),
+  { withHoard = false } = {}
+) => {
+  const hoardIndex = findHoardIndex(encounter.monsters, withHoard);
+  return {
+    seed,
+    withHoard,
+    groups: encounter.monsters.map((monster, index) =>
+      rollGroupLoot(monster, `${seed}-${index + 1}`, {
+        withHoard: index === hoardIndex,
+      })
+    ),
+  };
+};
+
+export const rerollGroupLoot = (loot, encounter, index) => {
+  const hoardIndex = findHoardIndex(encounter.monsters, lootHasHoard(loot));
+  return {
+    ...loot,
+    groups: loot.groups.map((group, groupIndex) =>
+      groupIndex === index
+        ? rollGroupLoot(encounter.monsters[index], randomSeed(), {
+            withHoard: index === hoardIndex,
+          })
+        : group
+    ),
+  };
+};
+
+// After a monster edit: keeps the loot of unchanged groups and rolls new
+// loot for groups that were rerolled, swapped or resized.
+export const syncLootWithEncounter = (loot, encounter) => {
+  if (!loot) return rollEncounterLoot(encounter);
+  const hoardIndex = findHoardIndex(encounter.monsters, lootHasHoard(loot));
+  return {
+    ...loot,
+    groups: encounter.monsters.map((monster, index) => {
+      const group = loot.groups[index];
+      const unchanged =
+        group &&
+        group.name === monster.name &&
+        group.quantity === monster.quantity &&
+        group.cr === monster.cr &&
+        Boolean(group.hoard) === (index === hoardIndex);
+      return unchanged
+        ? group
+        : rollGroupLoot(monster, randomSeed(), {
+            withHoard: index === hoardIndex,
+          });
+    }),
+  };
+};
+
+// Adds or removes the hoard; only the highest-CR group's loot is rerolled.
+export const setLootHoard = (loot, encounter, withHoard) =>
+  syncLootWithEncounter({ ...loot, withHoard }, encounter);
+
+// --- Summaries ---
+export const coinsToGp = (coins) =>
+  COIN_TYPES.reduce((sum, type) => sum + coins[type] * GP_PER_COIN[type], 0);
+
+export const formatCoins = (coins) =>
+  COIN_TYPES.filter((type) => coins[type] > 0)
+    .map((type) => `${coins[type].toLocaleString()} ${type}`)
+    .join(", ") || "no coins";
+
+const groupValuables = (valuables) =>
+  Object.values(
+    valuables.reduce((groups, { name, value }) => {
+      const key = `${name}:${value}`;
+      groups[key] = groups[key] || { name, value, count: 0 };
+      groups[key].count += 1;
+      return groups;
+    }, {})
+  );
+
+export const getLootValue = (loot) =>
+  Math.round(
+    loot.groups.reduce((sum, group) => {
+      const hoard = group.hoard;
+      const hoardValue = hoard
+        ? coinsToGp(hoard.coins) +
+          [...hoard.gems, ...hoard.artObjects].reduce(
+            (total, item) => total + item.value,
+            0
+          )
+        : 0;
+      return sum + coinsToGp(group.coins) + hoardValue;
+    }, 0)
+  );
+
+// Identical gems or art objects are listed once, as "3 × Azurite (10 gp each)".
+export const formatValuables = (valuables) =>
+  groupValuables(valuables)
+    .map(
+      ({ name, value, count }) =>
+        `${count > 1 ? `${count} × ` : ""}${name} (${value.toLocaleString()} gp${
+          count > 1 ? " each" : ""
+        })`
+    )
+    .join("; ");
+
+// One line per kind of treasure, shared by the loot panel and the prompt.
+export const hoardToLines = (hoard) =>
+  [
+    `Coins: ${formatCoins(hoard.coins)}`,
+    hoard.gems.length > 0 && `Gems: ${formatValuables(hoard.gems)}`,
+    hoard.artObjects.length > 0 &&
+      `Art objects: ${formatValuables(hoard.artObjects)}`,
+    hoard.magicItems.length > 0 &&
+      `Magic items: ${hoard.magicItems.map((item) => item.name).join("; ")}`,
+  ].filter(Boolean);
+
+// A group guarding the hoard carries no individual treasure of its own.
+export const carriesCoins = (group) =>
+  !group.hoard || coinsToGp(group.coins) > 0;
+
+export const lootToPrompt = (loot) =>
+  loot.groups
+    .map((group) => {
+      const lines = carriesCoins(group)
+        ? [
+            `- Carried by the ${group.quantity}x ${group.name}: ${formatCoins(
+              group.coins
+            )}`,
+          ]
+        : [];
+      if (group.hoard) {
+        lines.push(
+          `- Hoard guarded by the ${group.name}:`,
+          ...hoardToLines(group.hoard).map((line) => `  - ${line}`)
+        );
+      }
+      return lines.join("\n");
+    })
+    .join("\n");
@@ -0,0 +1,197 @@
+import { describe, it, expect } from "vitest";
+import {
+  createRng,
+  rollDice,
+  getTreasureTier,
+  rollEncounterLoot,
+  rerollGroupLoot,
+  syncLootWithEncounter,
+  setLootHoard,
+  lootHasHoard,
+  carriesCoins,
+  coinsToGp,
+} from "./treasure";
+
+const encounter = {
+  monsters: [
+    { name: "Goblin", quantity: 4, cr: "1/4" },
+    { name: "Ogre", quantity: 1, cr: "2" },
+    { name: "Bugbear", quantity: 2, cr: "1" },
+  ],
+};
+
+describe("createRng", () => {
+  it("repeats the same sequence for the same seed", () => {
+    const first = createRng("abc");
+    const second = createRng("abc");
+    const other = createRng("abd");
+    const a = Array.from({ length: 5 }, first);
+    expect(Array.from({ length: 5 }, second)).toEqual(a);
+    expect(Array.from({ length: 5 }, other)).not.toEqual(a);
+    a.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe("rollDice", () => {
+  it("rolls within the dice range and applies the multiplier", () => {
+    const rng = createRng("dice");
+    for (let i = 0; i < 50; i++) {
+      const total = rollDice(rng, "3d6*10");
+      expect(total % 10).toBe(0);
+      expect(total).toBeGreaterThanOrEqual(30);
+      expect(total).toBeLessThanOrEqual(180);
+    }
+    expect(rollDice(rng, "1")).toBe(1);
+  });
+
+  it("rejects other expressions", () => {
+    expect(() => rollDice(createRng("x"), "d6")).toThrow(/Invalid dice/);
+  });
+});
+
+describe("getTreasureTier", () => {
+  it("places each CR in its DMG tier", () => {
+    expect(getTreasureTier("1/4").id).toBe(getTreasureTier("4").id);
+    expect(getTreasureTier("5").id).not.toBe(getTreasureTier("4").id);
+    expect(getTreasureTier("11").id).not.toBe(getTreasureTier("10").id);
+    expect(getTreasureTier("17").id).not.toBe(getTreasureTier("16").id);
+  });
+});
+
+describe("rollEncounterLoot", () => {
+  it("gives identical loot for the same seed", () => {
+    expect(rollEncounterLoot(encounter, "seed-1")).toEqual(
+      rollEncounterLoot(encounter, "seed-1")
+    );
+    expect(rollEncounterLoot(encounter, "seed-1", { withHoard: true })).toEqual(
+      rollEncounterLoot(encounter, "seed-1", { withHoard: true })
+    );
+    expect(rollEncounterLoot(encounter, "seed-1")).not.toEqual(
+      rollEncounterLoot(encounter, "seed-2")
+    );
+  });
+
+  it("rolls individual treasure for every group by default", () => {
+    const loot = rollEncounterLoot(encounter, "seed-1");
+    expect(loot.withHoard).toBe(false);
+    expect(lootHasHoard(loot)).toBe(false);
+    loot.groups.forEach((group, index) => {
+      expect(group).toMatchObject(encounter.monsters[index]);
+      expect(group.hoard).toBe(null);
+      expect(coinsToGp(group.coins)).toBeGreaterThan(0);
+    });
+  });
+
+  it("gives the hoard to the highest-CR group only", () => {
+    const loot = rollEncounterLoot(encounter, "seed-1", { withHoard: true });
+    expect(loot.groups.map((group) => Boolean(group.hoard))).toEqual([
+      false,
+      true,
+      false,
+    ]);
+    expect(coinsToGp(loot.groups[1].coins)).toBe(0);
+    expect(carriesCoins(loot.groups[1])).toBe(false);
+    expect(loot.groups[0]).toEqual(
+      rollEncounterLoot(encounter, "seed-1").groups[0]
+    );
+  });
+
+  it("gives ties to the first of the highest-CR groups", () => {
+    const loot = rollEncounterLoot(
+      {
+        monsters: [
+          { name: "Gnoll", quantity: 3, cr: "1/2" },
+          { name: "Ogre", quantity: 1, cr: "2" },
+          { name: "Ogre Zombie", quantity: 1, cr: "2" },
+        ],
+      },
+      "tie",
+      { withHoard: true }
+    );
+    expect(loot.groups.map((group) => Boolean(group.hoard))).toEqual([
+      false,
+      true,
+      false,
+    ]);
+  });
+});
+
+describe("rerollGroupLoot", () => {
+  it("rerolls only the chosen group and keeps the hoard with it", () => {
+    const loot = rollEncounterLoot(encounter, "seed-1", { withHoard: true });
+    const rerolled = rerollGroupLoot(loot, encounter, 1);
+    expect(rerolled.groups[0]).toBe(loot.groups[0]);
+    expect(rerolled.groups[2]).toBe(loot.groups[2]);
+    expect(rerolled.groups[1].seed).not.toBe(loot.groups[1].seed);
+    expect(rerolled.groups[1].hoard).not.toBe(null);
+  });
+});
+
+describe("setLootHoard", () => {
+  it("adds and removes the hoard by rerolling only the highest-CR group", () => {
+    const loot = rollEncounterLoot(encounter, "seed-1");
+    const withHoard = setLootHoard(loot, encounter, true);
+    expect(withHoard.withHoard).toBe(true);
+    expect(withHoard.groups[0]).toBe(loot.groups[0]);
+    expect(withHoard.groups[2]).toBe(loot.groups[2]);
+    expect(withHoard.groups[1].hoard).not.toBe(null);
+
+    const withoutHoard = setLootHoard(withHoard, encounter, false);
+    expect(withoutHoard.withHoard).toBe(false);
+    expect(withoutHoard.groups[0]).toBe(loot.groups[0]);
+    expect(withoutHoard.groups[2]).toBe(loot.groups[2]);
+    expect(withoutHoard.groups[1].hoard).toBe(null);
+    expect(coinsToGp(withoutHoard.groups[1].coins)).toBeGreaterThan(0);
+  });
+});
+
+describe("syncLootWithEncounter", () => {
+  it("keeps unchanged groups and rerolls edited ones", () => {
+    const loot = rollEncounterLoot(encounter, "seed-1");
+    const edited = {
+      monsters: [
+        encounter.monsters[0],
+        { ...encounter.monsters[1], quantity: 2 },
+        encounter.monsters[2],
+        { name: "Worg", quantity: 1, cr: "1/2" },
+      ],
+    };
+    const synced = syncLootWithEncounter(loot, edited);
+    expect(synced.seed).toBe("seed-1");
+    expect(synced.groups[0]).toBe(loot.groups[0]);
+    expect(synced.groups[2]).toBe(loot.groups[2]);
+    expect(synced.groups[1]).toMatchObject({ name: "Ogre", quantity: 2 });
+    expect(synced.groups[3]).toMatchObject({ name: "Worg", hoard: null });
+  });
+
+  it("moves the hoard when a stronger group joins", () => {
+    const loot = rollEncounterLoot(encounter, "seed-1", { withHoard: true });
+    const edited = {
+      monsters: [
+        ...encounter.monsters,
+        { name: "Troll", quantity: 1, cr: "5" },
+      ],
+    };
+    const synced = syncLootWithEncounter(loot, edited);
+    expect(synced.groups.map((group) => Boolean(group.hoard))).toEqual([
+      false,
+      false,
+      false,
+      true,
+    ]);
+    expect(synced.groups[0]).toBe(loot.groups[0]);
+    expect(synced.groups[1]).not.toBe(loot.groups[1]);
+  });
+
+  it("keeps the hoard on loot saved before it became optional", () => {
+    const saved = rollEncounterLoot(encounter, "seed-1", { withHoard: true });
+    delete saved.withHoard;
+    expect(lootHasHoard(saved)).toBe(true);
+    expect(syncLootWithEncounter(saved, encounter).groups).toEqual(
+      saved.groups
+    );
+  });
+});
@@ -0,0 +1,769 @@
+// --- Treasure Tables ---
+// The Dungeon Master's Guide treasure tables (chapter 7): individual
+// treasure and treasure hoards by challenge tier, gemstones, art objects and
+// magic item tables A-I. Rows are { max, ... } on a d100 (100 = "00") unless
+// noted; dice are written like "4d6*100".
+
+export const TREASURE_TIERS = [
+  { id: "0-4", label: "Challenge 0–4", minCr: 0 },
+  { id: "5-10", label: "Challenge 5–10", minCr: 5 },
+  { id: "11-16", label: "Challenge 11–16", minCr: 11 },
+  { id: "17+", label: "Challenge 17+", minCr: 17 },
+];
+
+export const INDIVIDUAL_TREASURE = {
+  "0-4": [
+    { max: 30, coins: { cp: "5d6" } },
+    { max: 60, coins: { sp: "4d6" } },
+    { max: 70, coins: { ep: "3d6" } },
+    { max: 95, coins: { gp: "3d6" } },
+    { max: 100, coins: { pp: "1d6" } },
+  ],
+  "5-10": [
+    { max: 30, coins: { cp: "4d6*100", ep: "1d6*10" } },
+    { max: 60, coins: { sp: "6d6*10", gp: "2d6*10" } },
+    { max: 70, coins: { ep: "3d6*10", gp: "2d6*10" } },
+    { max: 95, coins: { gp: "4d6*10" } },
+    { max: 100, coins: { gp: "2d6*10", pp: "3d6" } },
+  ],
+  "11-16": [
+    { max: 20, coins: { sp: "4d6*100", gp: "1d6*100" } },
+    { max: 35, coins: { ep: "1d6*100", gp: "1d6*100" } },
+    { max: 75, coins: { gp: "2d6*100", pp: "1d6*10" } },
+    { max: 100, coins: { gp: "2d6*100", pp: "2d6*10" } },
+  ],
+  "17+": [
+    { max: 15, coins: { ep: "2d6*1000", gp: "8d6*100" } },
+    { max: 55, coins: { gp: "1d6*1000", pp: "1d6*100" } },
+    { max: 100, coins: { gp: "1d6*1000", pp: "2d6*100" } },
+  ],
+};
+
+// `gems`/`art` are [dice, gp value each]; `magic` lists [dice, table] rolls.
+export const TREASURE_HOARDS = {
+  "0-4": {
+    coins: { cp: "6d6*100", sp: "3d6*100", gp: "2d6*10" },
+    rows: [
+      { max: 6 },
+      { max: 16, gems: ["2d6", 10] },
+      { max: 26, art: ["2d4", 25] },
+      { max: 36, gems: ["2d6", 50] },
+      { max: 44, gems: ["2d6", 10], magic: [["1d6", "A"]] },
+      { max: 52, art: ["2d4", 25], magic: [["1d6", "A"]] },
+      { max: 60, gems: ["2d6", 50], magic: [["1d6", "A"]] },
+      { max: 65, gems: ["2d6", 10], magic: [["1d4", "B"]] },
+      { max: 70, art: ["2d4", 25], magic: [["1d4", "B"]] },
+      { max: 75, gems: ["2d6", 50], magic: [["1d4", "B"]] },
+      { max: 78, gems: ["2d6", 10], magic: [["1d4", "C"]] },
+      { max: 80, art: ["2d4", 25], magic: [["1d4", "C"]] },
+      { max: 85, gems: ["2d6", 50], magic: [["1d4", "C"]] },
+      { max: 92, art: ["2d4", 25], magic: [["1d4", "F"]] },
+      { max: 97, gems: ["2d6", 50], magic: [["1d4", "F"]] },
+      { max: 99, art: ["2d4", 25], magic: [["1", "G"]] },
+      { max: 100, gems: ["2d6", 50], magic: [["1", "G"]] },
+    ],
+  },
+  "5-10": {
+    coins: { cp: "2d6*100", sp: "2d6*1000", gp: "6d6*100", pp: "3d6*10" },
+    rows: [
+      { max: 4 },
+      { max: 10, art: ["2d4", 25] },
+      { max: 16, gems: ["3d6", 50] },
+      { max: 22, gems: ["3d6", 100] },
+      { max: 28, art: ["2d4", 250] },
+      { max: 32, art: ["2d4", 25], magic: [["1d6", "A"]] },
+      { max: 36, gems: ["3d6", 50], magic: [["1d6", "A"]] },
+      { max: 40, gems: ["3d6", 100], magic: [["1d6", "A"]] },
+      { max: 44, art: ["2d4", 250], magic: [["1d6", "A"]] },
+      { max: 49, art: ["2d4", 25], magic: [["1d4", "B"]] },
+      { max: 54, gems: ["3d6", 50], magic: [["1d4", "B"]] },
+      { max: 59, gems: ["3d6", 100], magic: [["1d4", "B"]] },
+      { max: 63, art: ["2d4", 250], magic: [["1d4", "B"]] },
+      { max: 66, art: ["2d4", 25], magic: [["1d4", "C"]] },
+      { max: 69, gems: ["3d6", 50], magic: [["1d4", "C"]] },
+      { max: 72, gems: ["3d6", 100], magic: [["1d4", "C"]] },
+      { max: 74, art: ["2d4", 250], magic: [["1d4", "C"]] },
+      { max: 76, art: ["2d4", 25], magic: [["1", "D"]] },
+      { max: 78, gems: ["3d6", 50], magic: [["1", "D"]] },
+      { max: 79, gems: ["3d6", 100], magic: [["1", "D"]] },
+      { max: 80, art: ["2d4", 250], magic: [["1", "D"]] },
+      { max: 84, art: ["2d4", 25], magic: [["1d4", "F"]] },
+      { max: 88, gems: ["3d6", 50], magic: [["1d4", "F"]] },
+      { max: 91, gems: ["3d6", 100], magic: [["1d4", "F"]] },
+      { max: 94, art: ["2d4", 250], magic: [["1d4", "F"]] },
+      { max: 96, gems: ["3d6", 100], magic: [["1d4", "G"]] },
+      { max: 98, art: ["2d4", 250], magic: [["1d4", "G"]] },
+      { max: 99, gems: ["3d6", 100], magic: [["1", "H"]] },
+      { max: 100, art: ["2d4", 250], magic: [["1", "H"]] },
+    ],
+  },
+  "11-16": {
+    coins: { gp: "4d6*1000", pp: "5d6*100" },
+    rows: [
+      { max: 3 },
+      { max: 6, art: ["2d4", 250] },
+      { max: 9, art: ["2d4", 750] },
+      { max: 12, gems: ["3d6", 500] },
+      { max: 15, gems: ["3d6", 1000] },
+      {
+        max: 19,
+        art: ["2d4", 250],
+        magic: [
+          ["1d4", "A"],
+          ["1d6", "B"],
+        ],
+      },
+      {
+        max: 23,
+        art: ["2d4", 750],
+        magic: [
+          ["1d4", "A"],
+          ["1d6", "B"],
+        ],
+      },
+      {
+        max: 26,
+        gems: ["3d6", 500],
+        magic: [
+          ["1d4", "A"],
+          ["1d6", "B"],
+        ],
+      },
+      {
+        max: 29,
+        gems: ["3d6", 1000],
+        magic: [
+          ["1d4", "A"],
+          ["1d6", "B"],
+        ],
+      },
+      { max: 35, art: ["2d4", 250], magic: [["1d6", "C"]] },
+      { max: 40, art: ["2d4", 750], magic: [["1d6", "C"]] },
+      { max: 45, gems: ["3d6", 500], magic: [["1d6", "C"]] },
+      { max: 50, gems: ["3d6", 1000], magic: [["1d6", "C"]] },
+      { max: 54, art: ["2d4", 250], magic: [["1d4", "D"]] },
+      { max: 58, art: ["2d4", 750], magic: [["1d4", "D"]] },
+      { max: 62, gems: ["3d6", 500], magic: [["1d4", "D"]] },
+      { max: 66, gems: ["3d6", 1000], magic: [["1d4", "D"]] },
+      { max: 68, art: ["2d4", 250], magic: [["1", "E"]] },
+      { max: 70, art: ["2d4", 750], magic: [["1", "E"]] },
+      { max: 72, gems: ["3d6", 500], magic: [["1", "E"]] },
+      { max: 74, gems: ["3d6", 1000], magic: [["1", "E"]] },
+      {
+        max: 76,
+        art: ["2d4", 250],
+        magic: [
+          ["1", "F"],
+          ["1d4", "G"],
+        ],
+      },
+      {
+        max: 78,
+        art: ["2d4", 750],
+        magic: [
+          ["1", "F"],
+          ["1d4", "G"],
+        ],
+      },
+      {
+        max: 80,
+        gems: ["3d6", 500],
+        magic: [
+          ["1", "F"],
+          ["1d4", "G"],
+        ],
+      },
+      {
+        max: 82,
+        gems: ["3d6", 1000],
+        magic: [
+          ["1", "F"],
+          ["1d4", "G"],
+        ],
+      },
+      { max: 85, art: ["2d4", 250], magic: [["1d4", "H"]] },
+      { max: 88, art: ["2d4", 750], magic: [["1d4", "H"]] },
+      { max: 90, gems: ["3d6", 500], magic: [["1d4", "H"]] },
+      { max: 92, gems: ["3d6", 1000], magic: [["1d4", "H"]] },
+      { max: 94, art: ["2d4", 250], magic: [["1", "I"]] },
+      { max: 96, art: ["2d4", 750], magic: [["1", "I"]] },
+      { max: 98, gems: ["3d6", 500], magic: [["1", "I"]] },
+      { max: 100, gems: ["3d6", 1000], magic: [["1", "I"]] },
+    ],
+  },
+  "17+": {
+    coins: { gp: "12d6*1000", pp: "8d6*1000" },
+    rows: [
+      { max: 2 },
+      { max: 5, gems: ["3d6", 1000], magic: [["1d8", "C"]] },
+      { max: 8, art: ["1d10", 2500], magic: [["1d8", "C"]] },
+      { max: 11, art: ["1d4", 7500], magic: [["1d8", "C"]] },
+      { max: 14, gems: ["1d8", 5000], magic: [["1d8", "C"]] },
+      { max: 22, gems: ["3d6", 1000], magic: [["1d6", "D"]] },
+      { max: 30, art: ["1d10", 2500], magic: [["1d6", "D"]] },
+      { max: 38, art: ["1d4", 7500], magic: [["1d6", "D"]] },
+      { max: 46, gems: ["1d8", 5000], magic: [["1d6", "D"]] },
+      { max: 52, gems: ["3d6", 1000], magic: [["1d6", "E"]] },
+      { max: 58, art: ["1d10", 2500], magic: [["1d6", "E"]] },
+      { max: 63, art: ["1d4", 7500], magic: [["1d6", "E"]] },
+      { max: 68, gems: ["1d8", 5000], magic: [["1d6", "E"]] },
+      { max: 69, gems: ["3d6", 1000], magic: [["1d4", "G"]] },
+      { max: 70, art: ["1d10", 2500], magic: [["1d4", "G"]] },
+      { max: 71, art: ["1d4", 7500], magic: [["1d4", "G"]] },
+      { max: 72, gems: ["1d8", 5000], magic: [["1d4", "G"]] },
+      { max: 74, gems: ["3d6", 1000], magic: [["1d4", "H"]] },
+      { max: 76, art: ["1d10", 2500], magic: [["1d4", "H"]] },
+      { max: 78, art: ["1d4", 7500], magic: [["1d4", "H"]] },
+      { max: 80, gems: ["1d8", 5000], magic: [["1d4", "H"]] },
+      { max: 85, gems: ["3d6", 1000], magic: [["1d4", "I"]] },
+      { max: 90, art: ["1d10", 2500], magic: [["1d4", "I"]] },
+      {
+        max: 95,
+        art: ["1d4", 7500],
+        magic: [
+          ["1", "F"],
+          ["1d4", "G"],
+        ],
+      },
+      { max: 100, gems: ["1d8", 5000], magic: [["1d4", "I"]] },
+    ],
+  },
+};
+
+// Each list is rolled on a die of its own length.
+export const GEMSTONES = {
+  10: [
+    "Azurite",
+    "Banded agate",
+    "Blue quartz",
+    "Eye agate",
+    "Hematite",
+    "Lapis lazuli",
+    "Malachite",
+    "Moss agate",
+    "Obsidian",
+    "Rhodochrosite",
+    "Tiger eye",
+    "Turquoise",
+  ],
+  50: [
+    "Bloodstone",
+    "Carnelian",
+    "Chalcedony",
+    "Chrysoprase",
+    "Citrine",
+    "Jasper",
+    "Moonstone",
+    "Onyx",
+    "Quartz",
+    "Sardonyx",
+    "Star rose quartz",
+    "Zircon",
+  ],
+  100: [
+    "Amber",
+    "Amethyst",
+    "Chrysoberyl",
+    "Coral",
+    "Garnet",
+    "Jade",
+    "Jet",
+    "Pearl",
+    "Spinel",
+    "Tourmaline",
+  ],
+  500: [
+    "Alexandrite",
+    "Aquamarine",
+    "Black pearl",
+    "Blue spinel",
+    "Peridot",
+    "Topaz",
+  ],
+  1000: [
+    "Black opal",
+    "Blue sapphire",
+    "Emerald",
+    "Fire opal",
+    "Opal",
+    "Star ruby",
+    "Star sapphire",
+    "Yellow sapphire",
+  ],
+  5000: ["Black sapphire", "Diamond", "Jacinth", "Ruby"],
+};
+
+export const ART_OBJECTS = {
+  25: [
+    "Silver ewer",
+    "Carved bone statuette",
+    "Small gold bracelet",
+    "Cloth-of-gold vestments",
+    "Black velvet mask stitched with silver thread",
+    "Copper chalice with silver filigree",
+    "Pair of engraved bone dice",
+    "Small mirror set in a painted wooden frame",
+    "Embroidered silk handkerchief",
+    "Gold locket with a painted portrait inside",
+  ],
+  250: [
+    "Gold ring set with bloodstones",
+    "Carved ivory statuette",
+    "Large gold bracelet",
+    "Silver necklace with a gemstone pendant",
+    "Bronze crown",
+    "Silk robe with gold embroidery",
+    "Large well-made tapestry",
+    "Brass mug with jade inlay",
+    "Box of turquoise animal figurines",
+    "Gold bird cage with electrum filigree",
+  ],
+  750: [
+    "Silver chalice set with moonstones",
+    "Silver-plated steel longsword with jet set in hilt",
+    "Carved harp of exotic wood with ivory inlay and zircon gems",
+    "Small gold idol",
+    "Gold dragon comb set with red garnets as eyes",
+    "Bottle stopper cork embossed with gold leaf and set with amethysts",
+    "Ceremonial electrum dagger with a black pearl in the pommel",
+    "Silver and gold brooch",
+    "Obsidian statuette with gold fittings and inlay",
+    "Painted gold war mask",
+  ],
+  2500: [
+    "Fine gold chain set with a fire opal",
+    "Old masterpiece painting",
+    "Embroidered silk and velvet mantle set with numerous moonstones",
+    "Platinum bracelet set with a sapphire",
+    "Embroidered glove set with jewel chips",
+    "Jeweled anklet",
+    "Gold music box",
+    "Gold circlet set with four aquamarines",
+    "Eye patch with a mock eye set in blue sapphire and moonstone",
+    "A necklace string of small pink pearls",
+  ],
+  7500: [
+    "Jeweled gold crown",
+    "Jeweled platinum ring",
+    "Small gold statuette set with rubies",
+    "Gold cup set with emeralds",
+    "Gold jewelry box with platinum filigree",
+    "Painted gold child's sarcophagus",
+    "Jade game board with solid gold playing pieces",
+    "Bejeweled ivory drinking horn with gold filigree",
+  ],
+};
+
+// A row's `item` is a name or a { die, rows } subtable.
+export const MAGIC_ITEM_TABLES = {
+  A: [
+    { max: 50, item: "Potion of healing" },
+    { max: 60, item: "Spell scroll (cantrip)" },
+    { max: 70, item: "Potion of climbing" },
+    { max: 90, item: "Spell scroll (1st level)" },
+    { max: 94, item: "Spell scroll (2nd level)" },
+    { max: 98, item: "Potion of greater healing" },
+    { max: 99, item: "Bag of holding" },
+    { max: 100, item: "Driftglobe" },
+  ],
+  B: [
+    { max: 15, item: "Potion of greater healing" },
+    { max: 22, item: "Potion of fire breath" },
+    { max: 29, item: "Potion of resistance" },
+    { max: 34, item: "Ammunition, +1" },
+    { max: 39, item: "Potion of animal friendship" },
+    { max: 44, item: "Potion of hill giant strength" },
+    { max: 49, item: "Potion of growth" },
+    { max: 54, item: "Potion of water breathing" },
+    { max: 59, item: "Spell scroll (2nd level)" },
+    { max: 64, item: "Spell scroll (3rd level)" },
+    { max: 67, item: "Bag of holding" },
+    { max: 70, item: "Keoghtom's ointment" },
+    { max: 73, item: "Oil of slipperiness" },
+    { max: 75, item: "Dust of disappearance" },
+    { max: 77, item: "Dust of dryness" },
+    { max: 79, item: "Dust of sneezing and choking" },
+    { max: 81, item: "Elemental gem" },
+    { max: 83, item: "Philter of love" },
+    { max: 84, item: "Alchemy jug" },
+    { max: 85, item: "Cap of water breathing" },
+    { max: 86, item: "Cloak of the manta ray" },
+    { max: 87, item: "Driftglobe" },
+    { max: 88, item: "Goggles of night" },
+    { max: 89, item: "Helm of comprehending languages" },
+    { max: 90, item: "Immovable rod" },
+    { max: 91, item: "Lantern of revealing" },
+    { max: 92, item: "Mariner's armor" },
+    { max: 93, item: "Mithral armor" },
+    { max: 94, item: "Potion of poison" },
+    { max: 95, item: "Ring of swimming" },
+    { max: 96, item: "Robe of useful items" },
+    { max: 97, item: "Rope of climbing" },
+    { max: 98, item: "Saddle of the cavalier" },
+    { max: 99, item: "Wand of magic detection" },
+    { max: 100, item: "Wand of secrets" },
+  ],
+  C: [
+    { max: 15, item: "Potion of superior healing" },
+    { max: 22, item: "Spell scroll (4th level)" },
+    { max: 27, item: "Ammunition, +2" },
+    { max: 32, item: "Potion of clairvoyance" },
+    { max: 37, item: "Potion of diminution" },
+    { max: 42, item: "Potion of gaseous form" },
+    { max: 47, item: "Potion of frost giant strength" },
+    { max: 52, item: "Potion of stone giant strength" },
+    { max: 57, item: "Potion of heroism" },
+    { max: 62, item: "Potion of invulnerability" },
+    { max: 67, item: "Potion of mind reading" },
+    { max: 72, item: "Spell scroll (5th level)" },
+    { max: 75, item: "Elixir of health" },
+    { max: 78, item: "Oil of etherealness" },
+    { max: 81, item: "Potion of fire giant strength" },
+    { max: 84, item: "Quaal's feather token" },
+    { max: 87, item: "Scroll of protection" },
+    { max: 89, item: "Bag of beans" },
+    { max: 91, item: "Bead of force" },
+    { max: 92, item: "Chime of opening" },
+    { max: 93, item: "Decanter of endless water" },
+    { max: 94, item: "Eyes of minute seeing" },
+    { max: 95, item: "Folding boat" },
+    { max: 96, item: "Heward's handy haversack" },
+    { max: 97, item: "Horseshoes of speed" },
+    { max: 98, item: "Necklace of fireballs" },
+    { max: 99, item: "Periapt of health" },
+    { max: 100, item: "Sending stones" },
+  ],
+  D: [
+    { max: 20, item: "Potion of supreme healing" },
+    { max: 30, item: "Potion of invisibility" },
+    { max: 40, item: "Potion of speed" },
+    { max: 50, item: "Spell scroll (6th level)" },
+    { max: 57, item: "Spell scroll (7th level)" },
+    { max: 62, item: "Ammunition, +3" },
+    { max: 67, item: "Oil of sharpness" },
+    { max: 72, item: "Potion of flying" },
+    { max: 77, item: "Potion of cloud giant strength" },
+    { max: 82, item: "Potion of longevity" },
+    { max: 87, item: "Potion of vitality" },
+    { max: 92, item: "Spell scroll (8th level)" },
+    { max: 95, item: "Horseshoes of a zephyr" },
+    { max: 98, item: "Nolzur's marvelous pigments" },
+    { max: 99, item: "Bag of devouring" },
+    { max: 100, item: "Portable hole" },
+  ],
+  E: [
+    { max: 30, item: "Spell scroll (8th level)" },
+    { max: 55, item: "Potion of storm giant strength" },
+    { max: 70, item: "Potion of supreme healing" },
+    { max: 85, item: "Spell scroll (9th level)" },
+    { max: 93, item: "Universal solvent" },
+    { max: 98, item: "Arrow of slaying" },
+    { max: 100, item: "Sovereign glue" },
+  ],
+  F: [
+    { max: 15, item: "Weapon, +1" },
+    { max: 18, item: "Shield, +1" },
+    { max: 21, item: "Sentinel shield" },
+    { max: 23, item: "Amulet of proof against detection and location" },
+    { max: 25, item: "Boots of elvenkind" },
+    { max: 27, item: "Boots of striding and springing" },
+    { max: 29, item: "Bracers of archery" },
+    { max: 31, item: "Brooch of shielding" },
+    { max: 33, item: "Broom of flying" },
+    { max: 35, item: "Cloak of elvenkind" },
+    { max: 37, item: "Cloak of protection" },
+    { max: 39, item: "Gauntlets of ogre power" },
+    { max: 41, item: "Hat of disguise" },
+    { max: 43, item: "Javelin of lightning" },
+    { max: 45, item: "Pearl of power" },
+    { max: 47, item: "Rod of the pact keeper, +1" },
+    { max: 49, item: "Slippers of spider climbing" },
+    { max: 51, item: "Staff of the adder" },
+    { max: 53, item: "Staff of the python" },
+    { max: 55, item: "Sword of vengeance" },
+    { max: 57, item: "Trident of fish command" },
+    { max: 59, item: "Wand of magic missiles" },
+    { max: 61, item: "Wand of the war mage, +1" },
+    { max: 63, item: "Wand of web" },
+    { max: 65, item: "Weapon of warning" },
+    { max: 66, item: "Adamantine armor (chain mail)" },
+    { max: 67, item: "Adamantine armor (chain shirt)" },
+    { max: 68, item: "Adamantine armor (scale mail)" },
+    { max: 69, item: "Bag of tricks (gray)" },
+    { max: 70, item: "Bag of tricks (rust)" },
+    { max: 71, item: "Bag of tricks (tan)" },
+    { max: 72, item: "Boots of the winterlands" },
+    { max: 73, item: "Circlet of blasting" },
+    { max: 74, item: "Deck of illusions" },
+    { max: 75, item: "Eversmoking bottle" },
+    { max: 76, item: "Eyes of charming" },
+    { max: 77, item: "Eyes of the eagle" },
+    { max: 78, item: "Figurine of wondrous power (silver raven)" },
+    { max: 79, item: "Gem of brightness" },
+    { max: 80, item: "Gloves of missile snaring" },
+    { max: 81, item: "Gloves of swimming and climbing" },
+    { max: 82, item: "Gloves of thievery" },
+    { max: 83, item: "Headband of intellect" },
+    { max: 84, item: "Helm of telepathy" },
+    { max: 85, item: "Instrument of the bards (Doss lute)" },
+    { max: 86, item: "Instrument of the bards (Fochlucan bandore)" },
+    { max: 87, item: "Instrument of the bards (Mac-Fuimidh cittern)" },
+    { max: 88, item: "Medallion of thoughts" },
+    { max: 89, item: "Necklace of adaptation" },
+    { max: 90, item: "Periapt of wound closure" },
+    { max: 91, item: "Pipes of haunting" },
+    { max: 92, item: "Pipes of the sewers" },
+    { max: 93, item: "Ring of jumping" },
+    { max: 94, item: "Ring of mind shielding" },
+    { max: 95, item: "Ring of warmth" },
+    { max: 96, item: "Ring of water walking" },
+    { max: 97, item: "Quiver of Ehlonna" },
+    { max: 98, item: "Stone of good luck" },
+    { max: 99, item: "Wind fan" },
+    { max: 100, item: "Winged boots" },
+  ],
+  G: [
+    { max: 11, item: "Weapon, +2" },
+    {
+      max: 14,
+      item: {
+        die: 8,
+        rows: [
+          { max: 1, item: "Figurine of wondrous power (bronze griffon)" },
+          { max: 2, item: "Figurine of wondrous power (ebony fly)" },
+          { max: 3, item: "Figurine of wondrous power (golden lions)" },
+          { max: 4, item: "Figurine of wondrous power (ivory goats)" },
+          { max: 5, item: "Figurine of wondrous power (marble elephant)" },
+          { max: 7, item: "Figurine of wondrous power (onyx dog)" },
+          { max: 8, item: "Figurine of wondrous power (serpentine owl)" },
+        ],
+      },
+    },
+    { max: 15, item: "Adamantine armor (breastplate)" },
+    { max: 16, item: "Adamantine armor (splint)" },
+    { max: 17, item: "Amulet of health" },
+    { max: 18, item: "Armor of vulnerability" },
+    { max: 19, item: "Arrow-catching shield" },
+    { max: 20, item: "Belt of dwarvenkind" },
+    { max: 21, item: "Belt of hill giant strength" },
+    { max: 22, item: "Berserker axe" },
+    { max: 23, item: "Boots of levitation" },
+    { max: 24, item: "Boots of speed" },
+    { max: 25, item: "Bowl of commanding water elementals" },
+    { max: 26, item: "Bracers of defense" },
+    { max: 27, item: "Brazier of commanding fire elementals" },
+    { max: 28, item: "Cape of the mountebank" },
+    { max: 29, item: "Censer of controlling air elementals" },
+    { max: 30, item: "Armor, +1 chain mail" },
+    { max: 31, item: "Armor of resistance (chain mail)" },
+    { max: 32, item: "Armor, +1 chain shirt" },
+    { max: 33, item: "Armor of resistance (chain shirt)" },
+    { max: 34, item: "Cloak of displacement" },
+    { max: 35, item: "Cloak of the bat" },
+    { max: 36, item: "Cube of force" },
+    { max: 37, item: "Daern's instant fortress" },
+    { max: 38, item: "Dagger of venom" },
+    { max: 39, item: "Dimensional shackles" },
+    { max: 40, item: "Dragon slayer" },
+    { max: 41, item: "Elven chain" },
+    { max: 42, item: "Flame tongue" },
+    { max: 43, item: "Gem of seeing" },
+    { max: 44, item: "Giant slayer" },
+    { max: 45, item: "Glamoured studded leather" },
+    { max: 46, item: "Helm of teleportation" },
+    { max: 47, item: "Horn of blasting" },
+    { max: 48, item: "Horn of Valhalla (silver or brass)" },
+    { max: 49, item: "Instrument of the bards (Canaith mandolin)" },
+    { max: 50, item: "Instrument of the bards (Cli lyre)" },
+    { max: 51, item: "Ioun stone (awareness)" },
+    { max: 52, item: "Ioun stone (protection)" },
+    { max: 53, item: "Ioun stone (reserve)" },
+    { max: 54, item: "Ioun stone (sustenance)" },
+    { max: 55, item: "Iron bands of Bilarro" },
+    { max: 56, item: "Armor, +1 leather" },
+    { max: 57, item: "Armor of resistance (leather)" },
+    { max: 58, item: "Mace of disruption" },
+    { max: 59, item: "Mace of smiting" },
+    { max: 60, item: "Mace of terror" },
+    { max: 61, item: "Mantle of spell resistance" },
+    { max: 62, item: "Necklace of prayer beads" },
+    { max: 63, item: "Periapt of proof against poison" },
+    { max: 64, item: "Ring of animal influence" },
+    { max: 65, item: "Ring of evasion" },
+    { max: 66, item: "Ring of feather falling" },
+    { max: 67, item: "Ring of free action" },
+    { max: 68, item: "Ring of protection" },
+    { max: 69, item: "Ring of resistance" },
+    { max: 70, item: "Ring of spell storing" },
+    { max: 71, item: "Ring of the ram" },
+    { max: 72, item: "Ring of X-ray vision" },
+    { max: 73, item: "Robe of eyes" },
+    { max: 74, item: "Rod of rulership" },
+    { max: 75, item: "Rod of the pact keeper, +2" },
+    { max: 76, item: "Rope of entanglement" },
+    { max: 77, item: "Armor, +1 scale mail" },
+    { max: 78, item: "Armor of resistance (scale mail)" },
+    { max: 79, item: "Shield, +2" },
+    { max: 80, item: "Shield of missile attraction" },
+    { max: 81, item: "Staff of charming" },
+    { max: 82, item: "Staff of healing" },
+    { max: 83, item: "Staff of swarming insects" },
+    { max: 84, item: "Staff of the woodlands" },
+    { max: 85, item: "Staff of withering" },
+    { max: 86, item: "Stone of controlling earth elementals" },
+    { max: 87, item: "Sun blade" },
+    { max: 88, item: "Sword of life stealing" },
+    { max: 89, item: "Sword of wounding" },
+    { max: 90, item: "Tentacle rod" },
+    { max: 91, item: "Vicious weapon" },
+    { max: 92, item: "Wand of binding" },
+    { max: 93, item: "Wand of enemy detection" },
+    { max: 94, item: "Wand of fear" },
+    { max: 95, item: "Wand of fireballs" },
+    { max: 96, item: "Wand of lightning bolts" },
+    { max: 97, item: "Wand of paralysis" },
+    { max: 98, item: "Wand of the war mage, +2" },
+    { max: 99, item: "Wand of wonder" },
+    { max: 100, item: "Wings of flying" },
+  ],
+  H: [
+    { max: 10, item: "Weapon, +3" },
+    { max: 12, item: "Amulet of the planes" },
+    { max: 14, item: "Carpet of flying" },
+    { max: 16, item: "Crystal ball (very rare version)" },
+    { max: 18, item: "Ring of regeneration" },
+    { max: 20, item: "Ring of shooting stars" },
+    { max: 22, item: "Ring of telekinesis" },
+    { max: 24, item: "Robe of scintillating colors" },
+    { max: 26, item: "Robe of stars" },
+    { max: 28, item: "Rod of absorption" },
+    { max: 30, item: "Rod of alertness" },
+    { max: 32, item: "Rod of security" },
+    { max: 34, item: "Rod of the pact keeper, +3" },
+    { max: 36, item: "Scimitar of speed" },
+    { max: 38, item: "Shield, +3" },
+    { max: 40, item: "Staff of fire" },
+    { max: 42, item: "Staff of frost" },
+    { max: 44, item: "Staff of power" },
+    { max: 46, item: "Staff of striking" },
+    { max: 48, item: "Staff of thunder and lightning" },
+    { max: 50, item: "Sword of sharpness" },
+    { max: 52, item: "Wand of polymorph" },
+    { max: 54, item: "Wand of the war mage, +3" },
+    { max: 55, item: "Adamantine armor (half plate)" },
+    { max: 56, item: "Adamantine armor (plate)" },
+    { max: 57, item: "Animated shield" },
+    { max: 58, item: "Belt of fire giant strength" },
+    { max: 59, item: "Belt of frost (or stone) giant strength" },
+    { max: 60, item: "Armor, +1 breastplate" },
+    { max: 61, item: "Armor of resistance (breastplate)" },
+    { max: 62, item: "Candle of invocation" },
+    { max: 63, item: "Armor, +2 chain mail" },
+    { max: 64, item: "Armor, +2 chain shirt" },
+    { max: 65, item: "Cloak of arachnida" },
+    { max: 66, item: "Dancing sword" },
+    { max: 67, item: "Demon armor" },
+    { max: 68, item: "Dragon scale mail" },
+    { max: 69, item: "Dwarven plate" },
+    { max: 70, item: "Dwarven thrower" },
+    { max: 71, item: "Efreeti bottle" },
+    { max: 72, item: "Figurine of wondrous power (obsidian steed)" },
+    { max: 73, item: "Frost brand" },
+    { max: 74, item: "Helm of brilliance" },
+    { max: 75, item: "Horn of Valhalla (bronze)" },
+    { max: 76, item: "Instrument of the bards (Anstruth harp)" },
+    { max: 77, item: "Ioun stone (absorption)" },
+    { max: 78, item: "Ioun stone (agility)" },
+    { max: 79, item: "Ioun stone (fortitude)" },
+    { max: 80, item: "Ioun stone (insight)" },
+    { max: 81, item: "Ioun stone (intellect)" },
+    { max: 82, item: "Ioun stone (leadership)" },
+    { max: 83, item: "Ioun stone (strength)" },
+    { max: 84, item: "Armor, +2 leather" },
+    { max: 85, item: "Manual of bodily health" },
+    { max: 86, item: "Manual of gainful exercise" },
+    { max: 87, item: "Manual of golems" },
+    { max: 88, item: "Manual of quickness of action" },
+    { max: 89, item: "Mirror of life trapping" },
+    { max: 90, item: "Nine lives stealer" },
+    { max: 91, item: "Oathbow" },
+    { max: 92, item: "Armor, +2 scale mail" },
+    { max: 93, item: "Spellguard shield" },
+    { max: 94, item: "Armor, +1 splint" },
+    { max: 95, item: "Armor of resistance (splint)" },
+    { max: 96, item: "Armor, +1 studded leather" },
+    { max: 97, item: "Armor of resistance (studded leather)" },
+    { max: 98, item: "Tome of clear thought" },
+    { max: 99, item: "Tome of leadership and influence" },
+    { max: 100, item: "Tome of understanding" },
+  ],
+  I: [
+    { max: 5, item: "Defender" },
+    { max: 10, item: "Hammer of thunderbolts" },
+    { max: 15, item: "Luck blade" },
+    { max: 20, item: "Sword of answering" },
+    { max: 23, item: "Holy avenger" },
+    { max: 26, item: "Ring of djinni summoning" },
+    { max: 29, item: "Ring of invisibility" },
+    { max: 32, item: "Ring of spell turning" },
+    { max: 35, item: "Rod of lordly might" },
+    { max: 38, item: "Staff of the magi" },
+    { max: 41, item: "Vorpal sword" },
+    { max: 43, item: "Belt of cloud giant strength" },
+    { max: 45, item: "Armor, +2 breastplate" },
+    { max: 47, item: "Armor, +3 chain mail" },
+    { max: 49, item: "Armor, +3 chain shirt" },
+    { max: 51, item: "Cloak of invisibility" },
+    { max: 53, item: "Crystal ball (legendary version)" },
+    { max: 55, item: "Armor, +1 half plate" },
+    { max: 57, item: "Iron flask" },
+    { max: 59, item: "Armor, +3 leather" },
+    { max: 61, item: "Armor, +1 plate" },
+    { max: 63, item: "Robe of the archmagi" },
+    { max: 65, item: "Rod of resurrection" },
+    { max: 67, item: "Armor, +1 scale mail" },
+    { max: 69, item: "Scarab of protection" },
+    { max: 71, item: "Armor, +2 splint" },
+    { max: 73, item: "Armor, +2 studded leather" },
+    { max: 75, item: "Well of many worlds" },
+    {
+      max: 76,
+      item: {
+        die: 12,
+        rows: [
+          { max: 2, item: "Armor, +2 half plate" },
+          { max: 4, item: "Armor, +2 plate" },
+          { max: 6, item: "Armor, +3 studded leather" },
+          { max: 8, item: "Armor, +3 breastplate" },
+          { max: 10, item: "Armor, +3 splint" },
+          { max: 11, item: "Armor, +3 half plate" },
+          { max: 12, item: "Armor, +3 plate" },
+        ],
+      },
+    },
+    { max: 77, item: "Apparatus of Kwalish" },
+    { max: 78, item: "Armor of invulnerability" },
+    { max: 79, item: "Belt of storm giant strength" },
+    { max: 80, item: "Cubic gate" },
+    { max: 81, item: "Deck of many things" },
+    { max: 82, item: "Efreeti chain" },
+    { max: 83, item: "Armor of resistance (half plate)" },
+    { max: 84, item: "Horn of Valhalla (iron)" },
+    { max: 85, item: "Instrument of the bards (Ollamh harp)" },
+    { max: 86, item: "Ioun stone (greater absorption)" },
+    { max: 87, item: "Ioun stone (mastery)" },
+    { max: 88, item: "Ioun stone (regeneration)" },
+    { max: 89, item: "Plate armor of etherealness" },
+    { max: 90, item: "Plate armor of resistance" },
+    { max: 91, item: "Ring of air elemental command" },
+    { max: 92, item: "Ring of earth elemental command" },
+    { max: 93, item: "Ring of fire elemental command" },
+    { max: 94, item: "Ring of three wishes" },
+    { max: 95, item: "Ring of water elemental command" },
+    { max: 96, item: "Sphere of annihilation" },
+    { max: 97, item: "Talisman of pure good" },
+    { max: 98, item: "Talisman of the sphere" },
+    { max: 99, item: "Talisman of ultimate evil" },
+    { max: 100, item: "Tome of the stilled tongue" },
+  ],
+};